@@ -0,0 +1,160 @@
+#!/usr/bin/env node
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * DETECTOR ACCURACY REPORT CLI
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Joins the Playwright session manifest with the server log and prints
+ * per-metric coverage plus precision/recall of each telemetry.js detector,
+ * overall and per scenario (see detectorAccuracy.js).
+ *
+ * Usage:
+ *   node run.js --baseUrl http://localhost:3000 --sessions 8 --telemetry-js-only
+ *   node accuracyReport.js
+ *   node accuracyReport.js --markdown logs/accuracy_report.md --min-recall 0.8
+ *
+ * With --min-recall the process exits 1 when any detector with expected
+ * sessions falls below the threshold, so a run can gate on regressions.
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+import fs from 'fs';
+import {
+  DEFAULT_MANIFEST_PATH,
+  readManifest,
+  evaluateDetectors,
+  findRecallRegressions,
+  reportToMarkdown,
+  formatRate,
+} from './detectorAccuracy.js';
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const options = {
+    manifest: DEFAULT_MANIFEST_PATH,
+    logsDir: undefined,
+    markdown: undefined,
+    json: false,
+    minRecall: undefined,
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    if (arg === '--manifest' && i + 1 < args.length) {
+      options.manifest = args[i + 1];
+      i++;
+    } else if (arg === '--logs-dir' && i + 1 < args.length) {
+      options.logsDir = args[i + 1];
+      i++;
+    } else if (arg === '--markdown' && i + 1 < args.length) {
+      options.markdown = args[i + 1];
+      i++;
+    } else if (arg === '--min-recall' && i + 1 < args.length) {
+      options.minRecall = parseFloat(args[i + 1]);
+      i++;
+    } else if (arg === '--json') {
+      options.json = true;
+    } else if (arg === '--help' || arg === '-h') {
+      console.log(`
+Usage: node accuracyReport.js [options]
+
+Options:
+  --manifest <file>     Session manifest from run.js (default: ${DEFAULT_MANIFEST_PATH})
+  --logs-dir <dir>      Read NDJSON logs from this directory instead of the configured storage
+  --markdown <file>     Also write the report as Markdown (e.g. logs/accuracy_report.md)
+  --min-recall <0..1>   Exit 1 if any detector's recall is below this value
+  --json                Print machine-readable JSON instead of tables
+  --help, -h            Show this help message
+
+Examples:
+  node accuracyReport.js
+  node accuracyReport.js --logs-dir logs --min-recall 0.8
+      `);
+      process.exit(0);
+    }
+  }
+
+  return options;
+}
+
+function printTable(rows) {
+  console.table(rows.map(row => ({
+    metric: row.label,
+    expected: row.expected,
+    detected: row.detected,
+    TP: row.tp,
+    FP: row.fp,
+    FN: row.fn,
+    precision: formatRate(row.precision),
+    recall: formatRate(row.recall),
+  })));
+}
+
+/**
+ * Main entry point
+ */
+async function main() {
+  const options = parseArgs();
+  if (!fs.existsSync(options.manifest)) {
+    console.error(`Error: manifest not found: ${options.manifest} (run node run.js first)`);
+    process.exit(1);
+  }
+  if (options.minRecall !== undefined && !(options.minRecall >= 0 && options.minRecall <= 1)) {
+    console.error('Error: --min-recall must be a number between 0 and 1');
+    process.exit(1);
+  }
+
+  try {
+    const manifest = await readManifest(options.manifest);
+    const report = await evaluateDetectors({ manifest, logsDir: options.logsDir });
+    const source = `${options.manifest} + ${options.logsDir ?? 'configured storage'}`;
+
+    if (options.markdown) {
+      fs.writeFileSync(options.markdown, reportToMarkdown(report, { source }) + '\n');
+    }
+
+    if (options.json) {
+      console.log(JSON.stringify(report, null, 2));
+    } else {
+      console.log(`Evaluated ${report.scoredSessions} of ${report.sessions} sessions from ${source}`);
+      if (report.missingSessions.length > 0) {
+        console.log(`${report.missingSessions.length} session(s) had no telemetry.js events and were skipped`);
+      }
+
+      console.log('\nMetric coverage:');
+      console.table(report.coverage.map(({ label, eventType, covered, events, sessions }) => ({
+        metric: label,
+        eventType,
+        covered: covered ? 'Yes' : 'No',
+        events,
+        sessions,
+      })));
+
+      console.log('\nDetector accuracy (all scenarios):');
+      printTable(report.overall);
+      for (const [scenario, rows] of Object.entries(report.byScenario)) {
+        console.log(`\n${scenario}:`);
+        printTable(rows);
+      }
+      if (options.markdown) console.log(`\n✓ Markdown report written to ${options.markdown}`);
+    }
+
+    if (options.minRecall !== undefined) {
+      const regressions = findRecallRegressions(report, options.minRecall);
+      if (regressions.length > 0) {
+        console.error(`\n❌ Recall below ${options.minRecall}: ${regressions.map(r => `${r.label} (${formatRate(r.recall)})`).join(', ')}`);
+        process.exit(1);
+      }
+    }
+  } catch (error) {
+    console.error('Error building accuracy report:', error);
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,293 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * ADMIN DASHBOARD AGGREGATIONS
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Purpose: Turns the NDJSON log into the numbers public/admin.html renders
+ * (KPI cards, the charts, the risk list and the session explorer).
+ *
+ * Architecture:
+ *   - Single streaming pass over logReader.readEvents()
+ *   - Time series are anchored at "now" so the dashboard behaves as a live
+ *     monitor while a Playwright run is landing
+ *   - Per-session state is a handful of counters (no event buffering)
+ *   - Session score/band come from frustrationScore.js (config/frustration.json)
+ *   - Page performance (web_vital, long_task) is averaged per pageRoute, and
+ *     each page view (page_view → next page_view of the session) is marked
+ *     slow if any of its Web Vitals rated poor, so frustration signals per
+ *     view can be compared between slow and other views
+ *
+ * Data Flow:
+ *   logs/*.ndjson → buildDashboardSummary() → GET /api/dashboard/summary → admin.html
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+import { readEvents, eventTime } from './logReader.js';
+import { loadScoringConfig, countEvent, scoreFromCounts } from './frustrationScore.js';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// SIGNAL CLASSIFICATION
+// ─────────────────────────────────────────────────────────────────────────────
+/**
+ * Returns true for events that count as a frustration signal (SDD §6.1.1).
+ * `scroll` and `mouse_move` only count for their erratic/shake variants.
+ *
+ * @param {Object} event - Telemetry event
+ * @returns {boolean}
+ */
+export function isFrustrationSignal(event) {
+  switch (event.eventType) {
+    case 'rage_click':
+    case 'dead_click':
+    case 'u_turn':
+    case 'idle_time':
+    case 'refocus':
+    case 'form_abandonment':
+      return true;
+    case 'scroll':
+      return event.metadata?.behavior === 'erratic';
+    case 'mouse_move':
+      return event.metadata?.behavior === 'shake';
+    default:
+      return false;
+  }
+}
+
+/**
+ * Returns true for system-side failures: JS errors, timeouts, and instrumented
+ * API calls that timed out, failed on the network or answered 5xx.
+ * (4xx and aborts are usually the page's or the user's doing.)
+ *
+ * @param {Object} event - Telemetry event
+ * @returns {boolean}
+ */
+export function isSystemError(event) {
+  if (event.eventType === 'api_call') {
+    const { outcome, status } = event.metadata ?? {};
+    return outcome === 'timeout' || outcome === 'network_error' || status >= 500;
+  }
+  return event.eventType === 'system_error' || event.eventType === 'timeout';
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// AGGREGATION
+// ─────────────────────────────────────────────────────────────────────────────
+const FLOW_TRANSITION_LABELS = ['Enter', 'Next', 'Back', 'Retry', 'Complete', 'Abandon'];
+const LATENCY_VITALS = ['TTFB', 'FCP', 'LCP', 'INP'];
+
+function routePerformance(byRoute, route) {
+  let p = byRoute.get(route);
+  if (!p) {
+    p = { pageViews: 0, slowViews: 0, signalsOnSlowViews: 0, signalsOnOtherViews: 0, longTasks: 0,
+          vitals: Object.fromEntries([...LATENCY_VITALS, 'CLS'].map(name => [name, { sum: 0, n: 0 }])) };
+    byRoute.set(route, p);
+  }
+  return p;
+}
+
+/** Folds a finished page view ({ route, slow, signals }) into its route's totals. */
+function closePageView(byRoute, view) {
+  if (!view) return;
+  const p = routePerformance(byRoute, view.route);
+  p.pageViews++;
+  if (view.slow) {
+    p.slowViews++;
+    p.signalsOnSlowViews += view.signals;
+  } else {
+    p.signalsOnOtherViews += view.signals;
+  }
+}
+
+/**
+ * Builds every aggregate the admin dashboard needs in one pass over the logs.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.windowMinutes=60] - Length of the overview time series
+ * @param {number} [options.bucketMinutes=5] - Width of each time-series bucket
+ * @param {number} [options.activeMinutes=30] - A session is "active" if seen this recently
+ * @param {number} [options.sessionLimit=50] - Max sessions returned for the explorer
+ * @param {number} [options.now=Date.now()] - Anchor time (injectable for reproducibility)
+ * @param {string} [options.logsDir] - Read NDJSON files from here instead of the configured store
+ * @returns {Promise<Object>} { generatedAt, kpis, frustrationSeries, flowTransitions,
+ *   systemErrorsByRoute, performanceByRoute, signalCounts, sessions[] } — each session
+ *   carries { score, band, breakdown } from frustrationScore.js
+ */
+export async function buildDashboardSummary({
+  windowMinutes = 60,
+  bucketMinutes = 5,
+  activeMinutes = 30,
+  sessionLimit = 50,
+  now = Date.now(),
+  logsDir,
+} = {}) {
+  const bucketMs = bucketMinutes * 60 * 1000;
+  const bucketCount = Math.max(1, Math.ceil(windowMinutes / bucketMinutes));
+  const windowStart = now - bucketCount * bucketMs;
+  const buckets = new Array(bucketCount).fill(0);
+
+  const flowTransitions = Object.fromEntries(FLOW_TRANSITION_LABELS.map(label => [label, 0]));
+  const lastStepByFlow = new Map();   // `${sessionId}|${flowName}` → last stepIndex
+  const systemErrorsByRoute = {};
+  const perfByRoute = new Map();      // pageRoute → routePerformance()
+  const signalCounts = { rageClicksLastHour: 0, deadClicks: 0, refocus: 0, formAbandonment: 0 };
+  const sessions = new Map();
+  const scoringConfig = loadScoringConfig();
+  let totalEvents = 0;
+  let totalErrors = 0;
+
+  for await (const event of readEvents({ logsDir })) {
+    totalEvents++;
+    const t = eventTime(event);
+    const signal = isFrustrationSignal(event);
+    const systemError = isSystemError(event);
+
+    // ─── Per-session counters (explorer + risk list) ───────────────────────
+    if (event.sessionId) {
+      let s = sessions.get(event.sessionId);
+      if (!s) {
+        s = { sessionId: event.sessionId, userId: event.userId ?? null, eventCount: 0,
+              signalCount: 0, errorCount: 0, firstSeenMs: t, lastSeenMs: t, lastPageRoute: null, flows: [],
+              scoreCounts: {}, view: null };
+        sessions.set(event.sessionId, s);
+      }
+      s.eventCount++;
+      if (signal) s.signalCount++;
+      if (systemError) s.errorCount++;
+      countEvent(s.scoreCounts, event, scoringConfig);
+      if (t < s.firstSeenMs) s.firstSeenMs = t;
+      if (t >= s.lastSeenMs || Number.isNaN(s.lastSeenMs)) {
+        s.lastSeenMs = t;
+        s.lastPageRoute = event.pageRoute ?? s.lastPageRoute;
+      }
+      const flowName = event.metadata?.flowName;
+      if (event.eventType === 'flow_start' && flowName && !s.flows.includes(flowName)) {
+        s.flows.push(flowName);
+      }
+
+      // ─── Current page view (slow vs. other, performanceByRoute) ──────────
+      if (event.eventType === 'page_view') {
+        closePageView(perfByRoute, s.view);
+        s.view = { route: event.pageRoute || 'unknown', slow: false, signals: 0 };
+      } else if (s.view) {
+        if (signal) s.view.signals++;
+        if (event.eventType === 'web_vital' && event.metadata?.rating === 'poor') s.view.slow = true;
+      }
+    }
+
+    // ─── Web Vitals and long tasks by page (latencyChart) ──────────────────
+    if (event.eventType === 'web_vital') {
+      const stat = routePerformance(perfByRoute, event.pageRoute || 'unknown').vitals[event.metadata?.name];
+      if (stat && Number.isFinite(event.metadata.value)) {
+        stat.sum += event.metadata.value;
+        stat.n++;
+      }
+    } else if (event.eventType === 'long_task') {
+      routePerformance(perfByRoute, event.pageRoute || 'unknown').longTasks++;
+    }
+
+    // ─── Frustration signals over time (overviewChart) ─────────────────────
+    if (signal && t >= windowStart && t < now) {
+      buckets[Math.floor((t - windowStart) / bucketMs)]++;
+    }
+
+    // ─── Flow step transitions (behaviorChart) ─────────────────────────────
+    const flowKey = `${event.sessionId}|${event.metadata?.flowName}`;
+    switch (event.eventType) {
+      case 'flow_start':
+        flowTransitions.Enter++;
+        lastStepByFlow.set(flowKey, 0);
+        break;
+      case 'flow_step': {
+        const prev = lastStepByFlow.get(flowKey) ?? 0;
+        const stepIndex = event.metadata?.stepIndex ?? 0;
+        if (stepIndex > prev) flowTransitions.Next++;
+        else if (stepIndex < prev) flowTransitions.Back++;
+        lastStepByFlow.set(flowKey, stepIndex);
+        break;
+      }
+      case 'retry_attempt':
+        flowTransitions.Retry++;
+        break;
+      case 'flow_complete':
+        flowTransitions.Complete++;
+        break;
+      case 'flow_abandon':
+        flowTransitions.Abandon++;
+        break;
+      default:
+        break;
+    }
+
+    // ─── System failures by page (systemChart) ─────────────────────────────
+    if (systemError) {
+      totalErrors++;
+      const route = event.pageRoute || 'unknown';
+      systemErrorsByRoute[route] = (systemErrorsByRoute[route] || 0) + 1;
+    }
+
+    // ─── Frustration signal cards ──────────────────────────────────────────
+    if (event.eventType === 'rage_click' && t >= now - 60 * 60 * 1000) signalCounts.rageClicksLastHour++;
+    if (event.eventType === 'dead_click') signalCounts.deadClicks++;
+    if (event.eventType === 'refocus') signalCounts.refocus++;
+    if (event.eventType === 'form_abandonment') signalCounts.formAbandonment++;
+  }
+
+  for (const s of sessions.values()) closePageView(perfByRoute, s.view);
+  const average = ({ sum, n }, digits = 0) => (n ? Number((sum / n).toFixed(digits)) : null);
+  const perView = (signals, views) => (views ? Number((signals / views).toFixed(2)) : null);
+
+  const sessionList = [...sessions.values()].map(({ scoreCounts, view, ...rest }) => ({
+    ...rest,
+    ...scoreFromCounts(scoreCounts, scoringConfig),
+  }));
+  const activeSince = now - activeMinutes * 60 * 1000;
+  const totalSignals = sessionList.reduce((sum, s) => sum + s.signalCount, 0);
+  const totalScore = sessionList.reduce((sum, s) => sum + s.score, 0);
+
+  return {
+    generatedAt: new Date(now).toISOString(),
+    kpis: {
+      totalSessions: sessionList.length,
+      activeSessions: sessionList.filter(s => s.lastSeenMs >= activeSince).length,
+      avgSignalsPerSession: sessionList.length ? totalSignals / sessionList.length : 0,
+      avgFrustrationScore: sessionList.length ? totalScore / sessionList.length : 0,
+      highRiskSessions: sessionList.filter(s => s.band === 'High').length,
+      errorRate: totalEvents ? totalErrors / totalEvents : 0,
+      totalEvents,
+    },
+    frustrationSeries: {
+      bucketMinutes,
+      labels: buckets.map((_, i) => new Date(windowStart + i * bucketMs).toISOString()),
+      counts: buckets,
+    },
+    flowTransitions: {
+      labels: FLOW_TRANSITION_LABELS,
+      counts: FLOW_TRANSITION_LABELS.map(label => flowTransitions[label]),
+    },
+    systemErrorsByRoute: Object.entries(systemErrorsByRoute)
+      .sort((a, b) => b[1] - a[1])
+      .map(([pageRoute, count]) => ({ pageRoute, count })),
+    performanceByRoute: [...perfByRoute]
+      .filter(([, p]) => Object.values(p.vitals).some(v => v.n > 0))
+      .sort((a, b) => b[1].pageViews - a[1].pageViews)
+      .map(([pageRoute, p]) => ({
+        pageRoute,
+        pageViews: p.pageViews,
+        avgMs: Object.fromEntries(LATENCY_VITALS.map(name => [name, average(p.vitals[name])])),
+        avgCls: average(p.vitals.CLS, 4),
+        longTasks: p.longTasks,
+        slowViews: p.slowViews,
+        signalsPerSlowView: perView(p.signalsOnSlowViews, p.slowViews),
+        signalsPerOtherView: perView(p.signalsOnOtherViews, p.pageViews - p.slowViews),
+      })),
+    signalCounts,
+    sessions: sessionList
+      .sort((a, b) => (b.lastSeenMs || 0) - (a.lastSeenMs || 0))
+      .slice(0, sessionLimit)
+      .map(({ firstSeenMs, lastSeenMs, ...rest }) => ({
+        ...rest,
+        firstSeen: Number.isNaN(firstSeenMs) ? null : new Date(firstSeenMs).toISOString(),
+        lastSeen: Number.isNaN(lastSeenMs) ? null : new Date(lastSeenMs).toISOString(),
+      })),
+  };
+}
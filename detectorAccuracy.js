@@ -0,0 +1,252 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * DETECTOR ACCURACY (Ground Truth vs. telemetry.js)
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Purpose: Joins the Playwright session manifest (what each simulated session
+ * actually did) with the server log (what telemetry.js reported) to measure
+ * every detector — the automated version of logs/SESSION_TEST_RESULT.md.
+ *
+ * Ground Truth:
+ *   The runner appends one manifest line per session (src/manifest.ts):
+ *   { sessionId, scenario, outcome, behaviors: { rageClick: 1, ... } }.
+ *   DETECTORS maps each telemetry.js metric to the behaviors that should
+ *   trigger it, so "expected" is per session: did it execute any of them?
+ *
+ * Scoring (per session, per detector):
+ *   expected && detected   → true positive
+ *   !expected && detected  → false positive (e.g. a normal click flagged dead)
+ *   expected && !detected  → false negative (the refocus/shake misses)
+ *   precision = TP / (TP + FP), recall = TP / (TP + FN); null when undefined
+ *
+ *   Sessions with no telemetry.js events at all (server down, page never
+ *   loaded) are reported as `missingSessions` and left out of the scores,
+ *   so an outage does not read as a detector regression.
+ *
+ * Data Flow:
+ *   logs/session_manifest.ndjson + storage (or --logs-dir) → evaluateDetectors()
+ *   → accuracyReport.js (tables, JSON, Markdown, --min-recall gate)
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+import { readEvents, readNdjsonFile } from './logReader.js';
+
+export const DEFAULT_MANIFEST_PATH = 'logs/session_manifest.ndjson';
+
+/**
+ * The ten telemetry.js metrics, in SESSION_TEST_RESULT.md order.
+ * `match` narrows an eventType to the detector (e.g. mouse_move → shake only).
+ */
+export const DETECTORS = [
+  { id: 'rage_click', label: 'Rage Clicks', eventType: 'rage_click', behaviors: ['rageClick'] },
+  { id: 'dead_click', label: 'Dead Click', eventType: 'dead_click', behaviors: ['performDeadClick'] },
+  {
+    id: 'mouse_shake',
+    label: 'Mouse Shake',
+    eventType: 'mouse_move',
+    match: event => event.metadata?.behavior === 'shake',
+    behaviors: ['simulateMouseShake'],
+  },
+  { id: 'u_turn', label: 'U-turn', eventType: 'u_turn', behaviors: ['uTurnNavigation'] },
+  {
+    id: 'erratic_scroll',
+    label: 'Erratic Scroll',
+    eventType: 'scroll',
+    match: event => event.metadata?.behavior === 'erratic',
+    behaviors: ['simulateErraticScroll'],
+  },
+  { id: 'scroll_depth', label: 'Scroll Depth', eventType: 'scroll_depth', behaviors: ['simulateScrollDepth'] },
+  { id: 'idle_time', label: 'Idle Time', eventType: 'idle_time', behaviors: ['idlePause'] },
+  {
+    id: 'refocus',
+    label: 'Refocus',
+    eventType: 'refocus',
+    behaviors: ['triggerRefocus', 'refocusClick', 'simulateRefocus'],
+  },
+  { id: 'form_abandonment', label: 'Form Abandonment', eventType: 'form_abandonment', behaviors: ['abandonForm'] },
+  { id: 'system_error', label: 'System Errors', eventType: 'system_error', behaviors: ['injectSystemError'] },
+];
+
+/** Node-side runner events (src/runner.ts) — they prove nothing about telemetry.js */
+const RUNNER_EVENT_TYPES = new Set([
+  'session_start', 'session_end', 'page_navigation', 'console_error', 'page_error', 'network_error',
+]);
+
+// ─────────────────────────────────────────────────────────────────────────────
+// MANIFEST
+// ─────────────────────────────────────────────────────────────────────────────
+/**
+ * Reads a session manifest. A sessionId that appears twice keeps its last line.
+ *
+ * @param {string} [file] - Manifest NDJSON (default: logs/session_manifest.ndjson)
+ * @returns {Promise<Map<string, Object>>} sessionId → manifest entry
+ */
+export async function readManifest(file = DEFAULT_MANIFEST_PATH) {
+  const sessions = new Map();
+  for await (const entry of readNdjsonFile(file)) {
+    if (entry.sessionId && entry.scenario) sessions.set(entry.sessionId, entry);
+  }
+  return sessions;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// EVALUATION
+// ─────────────────────────────────────────────────────────────────────────────
+function emptyCell() {
+  return { sessions: 0, expected: 0, detected: 0, tp: 0, fp: 0, fn: 0, events: 0 };
+}
+
+function ratio(numerator, denominator) {
+  return denominator > 0 ? numerator / denominator : null;
+}
+
+function finalizeCell(detector, cell) {
+  return {
+    detector: detector.id,
+    label: detector.label,
+    ...cell,
+    precision: ratio(cell.tp, cell.tp + cell.fp),
+    recall: ratio(cell.tp, cell.tp + cell.fn),
+  };
+}
+
+/**
+ * Scores every detector against the manifest.
+ *
+ * @param {Object} options
+ * @param {Map<string, Object>} options.manifest - Output of readManifest()
+ * @param {string} [options.logsDir] - Read NDJSON logs from here instead of the configured storage
+ * @param {Iterable<Object>} [options.events] - Pre-loaded events (skips reading storage)
+ * @returns {Promise<Object>} { sessions, missingSessions[], coverage[], overall[], byScenario{} }
+ */
+export async function evaluateDetectors({ manifest, logsDir, events } = {}) {
+  // sessionId → { total telemetry.js events, per-detector event counts }
+  const observed = new Map();
+  for (const sessionId of manifest.keys()) observed.set(sessionId, { events: 0, counts: {} });
+
+  const source = events ?? readEvents({ logsDir, filter: event => manifest.has(event.sessionId) });
+  for await (const event of source) {
+    const session = observed.get(event.sessionId);
+    if (!session || RUNNER_EVENT_TYPES.has(event.eventType)) continue;
+    session.events++;
+    for (const detector of DETECTORS) {
+      if (event.eventType !== detector.eventType) continue;
+      if (detector.match && !detector.match(event)) continue;
+      session.counts[detector.id] = (session.counts[detector.id] ?? 0) + 1;
+    }
+  }
+
+  const overall = Object.fromEntries(DETECTORS.map(d => [d.id, emptyCell()]));
+  const byScenario = {};
+  const missingSessions = [];
+
+  for (const [sessionId, entry] of manifest) {
+    const session = observed.get(sessionId);
+    if (session.events === 0) {
+      missingSessions.push({ sessionId, scenario: entry.scenario, outcome: entry.outcome ?? null });
+      continue;
+    }
+
+    byScenario[entry.scenario] ??= Object.fromEntries(DETECTORS.map(d => [d.id, emptyCell()]));
+    for (const detector of DETECTORS) {
+      const expected = detector.behaviors.some(name => (entry.behaviors?.[name] ?? 0) > 0);
+      const count = session.counts[detector.id] ?? 0;
+      const detected = count > 0;
+
+      for (const cell of [overall[detector.id], byScenario[entry.scenario][detector.id]]) {
+        cell.sessions++;
+        cell.events += count;
+        if (expected) cell.expected++;
+        if (detected) cell.detected++;
+        if (expected && detected) cell.tp++;
+        else if (detected) cell.fp++;
+        else if (expected) cell.fn++;
+      }
+    }
+  }
+
+  const scored = manifest.size - missingSessions.length;
+  return {
+    sessions: manifest.size,
+    scoredSessions: scored,
+    missingSessions,
+    coverage: DETECTORS.map(d => ({
+      detector: d.id,
+      label: d.label,
+      eventType: d.eventType,
+      covered: overall[d.id].detected > 0,
+      events: overall[d.id].events,
+      sessions: overall[d.id].detected,
+    })),
+    overall: DETECTORS.map(d => finalizeCell(d, overall[d.id])),
+    byScenario: Object.fromEntries(Object.entries(byScenario).map(([scenario, cells]) => [
+      scenario,
+      DETECTORS.map(d => finalizeCell(d, cells[d.id])),
+    ])),
+  };
+}
+
+/**
+ * Detectors whose recall fell below a threshold (only those with expected sessions).
+ *
+ * @param {Object} report - Output of evaluateDetectors()
+ * @param {number} minRecall - 0..1
+ * @returns {Object[]} Failing rows from report.overall
+ */
+export function findRecallRegressions(report, minRecall) {
+  return report.overall.filter(row => row.recall !== null && row.recall < minRecall);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// MARKDOWN
+// ─────────────────────────────────────────────────────────────────────────────
+/**
+ * Formats a precision/recall value ('–' when undefined).
+ *
+ * @param {number|null} value - 0..1 or null
+ * @returns {string}
+ */
+export function formatRate(value) {
+  return value === null ? '–' : `${(value * 100).toFixed(0)}%`;
+}
+
+/**
+ * Renders the report in the layout of logs/SESSION_TEST_RESULT.md.
+ *
+ * @param {Object} report - Output of evaluateDetectors()
+ * @param {Object} [options]
+ * @param {string} [options.source] - Manifest / log description for the header
+ * @returns {string} Markdown
+ */
+export function reportToMarkdown(report, { source } = {}) {
+  const lines = ['# Session Test Result: Detector Accuracy', ''];
+  if (source) lines.push(`**Source:** ${source}  `);
+  lines.push(`**Sessions:** ${report.scoredSessions} scored, ${report.missingSessions.length} without telemetry.js events`, '');
+
+  lines.push('## Metric coverage', '');
+  lines.push('| # | Metric | eventType | Covered | Count | Sessions |');
+  lines.push('|---|--------|-----------|---------|-------|----------|');
+  report.coverage.forEach((row, i) => {
+    lines.push(`| ${i + 1} | ${row.label} | ${row.eventType} | ${row.covered ? 'Yes' : 'No'} | ${row.events} | ${row.sessions} |`);
+  });
+  const missing = report.coverage.filter(row => !row.covered).map(row => row.label);
+  lines.push('', `**Result:** ${report.coverage.length - missing.length}/${report.coverage.length} metrics present.${missing.length ? ` Missing: ${missing.join(', ')}.` : ''}`, '');
+
+  const table = rows => {
+    lines.push('| Metric | Expected | Detected | TP | FP | FN | Precision | Recall |');
+    lines.push('|--------|----------|----------|----|----|----|-----------|--------|');
+    for (const row of rows) {
+      lines.push(`| ${row.label} | ${row.expected} | ${row.detected} | ${row.tp} | ${row.fp} | ${row.fn} | ${formatRate(row.precision)} | ${formatRate(row.recall)} |`);
+    }
+    lines.push('');
+  };
+
+  lines.push('## Detector accuracy (all scenarios)', '');
+  table(report.overall);
+  for (const [scenario, rows] of Object.entries(report.byScenario)) {
+    const sessions = rows[0]?.sessions ?? 0;
+    lines.push(`### ${scenario} (${sessions} session${sessions === 1 ? '' : 's'})`, '');
+    table(rows);
+  }
+  return lines.join('\n');
+}
@@ -0,0 +1,132 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * DETECTOR CONFIGURATION (remote SDK config)
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Purpose: Lets the behavioral detector thresholds in telemetry.js (rage
+ * click window, idle threshold, dead click delay...) be tuned per page
+ * without shipping a new SDK.
+ *
+ * Architecture:
+ *   - Thresholds live in config/detectors.json (TELEMETRY_DETECTOR_CONFIG overrides)
+ *   - resolveDetectorConfig() merges `defaults` with `routes[pageRoute]`
+ *   - server.js serves the result at GET /api/telemetry/config?pageRoute=
+ *   - telemetry.js fetches it during init(), caches it in sessionStorage and
+ *     stamps its version on every event as metadata.configVersion
+ *
+ * Precedence (lowest → highest):
+ *   SDK built-ins → config defaults → routes[pageRoute] → Telemetry.init options
+ *
+ * Design Rationale:
+ *   - Only the built-in detectors and their parameters are accepted, so a
+ *     typo in the file fails at startup instead of silently doing nothing in
+ *     browsers. Each also takes `enabled: false` to turn it off for a page
+ *   - The version is bumped by hand on every edit; together with pageRoute it
+ *     identifies the exact thresholds that produced a signal
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const DEFAULT_DETECTOR_CONFIG_PATH = path.join(__dirname, 'config', 'detectors.json');
+
+// Parameters each built-in detector plugin accepts besides `enabled` (all
+// numbers except scrollDepth.milestones)
+const DETECTOR_PARAMS = {
+  rageClick: ['threshold', 'windowMs'],
+  deadClick: ['delayMs', 'scrollTolerancePx'],
+  scrollDepth: ['milestones'],
+  erraticScroll: ['windowMs', 'minFlips', 'minSamples', 'cooldownMs'],
+  idle: ['thresholdMs'],
+  mouseShake: ['windowMs', 'throttleMs', 'minFlips', 'minSamples', 'cooldownMs'],
+  refocus: ['windowMs'],
+  formAbandonment: [],
+  uTurn: [],
+  navBacktrack: [],
+  errorCapture: [],
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// CONFIGURATION
+// ─────────────────────────────────────────────────────────────────────────────
+const configCache = new Map();
+
+/**
+ * Checks one block of detector settings (the defaults or one route's overrides).
+ *
+ * @param {Object} block - { detectorName: { param: value } }
+ * @param {string} where - Location for error messages ('defaults', 'routes.trade')
+ * @param {string} configPath - File being loaded
+ * @throws {Error} On an unknown detector/parameter, a negative number or a non-boolean `enabled`
+ */
+function validateBlock(block, where, configPath) {
+  for (const [detector, params] of Object.entries(block ?? {})) {
+    const known = DETECTOR_PARAMS[detector];
+    if (!known) {
+      throw new Error(`Invalid detector config ${configPath}: unknown detector "${where}.${detector}"`);
+    }
+    for (const [param, value] of Object.entries(params)) {
+      const field = `${where}.${detector}.${param}`;
+      if (param !== 'enabled' && !known.includes(param)) {
+        throw new Error(`Invalid detector config ${configPath}: unknown parameter "${field}"`);
+      }
+      let ok;
+      if (param === 'enabled') ok = typeof value === 'boolean';
+      else if (param === 'milestones') ok = Array.isArray(value) && value.length > 0 && value.every(m => typeof m === 'number' && m > 0 && m <= 1);
+      else ok = typeof value === 'number' && value >= 0;
+      if (!ok) {
+        throw new Error(`Invalid detector config ${configPath}: "${field}" has an invalid value`);
+      }
+    }
+  }
+}
+
+/**
+ * Loads and validates the detector config. Results are cached per path;
+ * restart the server after editing the file.
+ *
+ * @param {string} [configPath] - Defaults to TELEMETRY_DETECTOR_CONFIG or config/detectors.json
+ * @returns {Object} { version, defaults: { detector: {...} }, routes: { pageRoute: { detector: {...} } } }
+ * @throws {Error} If the version is missing or a block fails validation
+ */
+export function loadDetectorConfig(configPath = process.env.TELEMETRY_DETECTOR_CONFIG || DEFAULT_DETECTOR_CONFIG_PATH) {
+  if (configCache.has(configPath)) return configCache.get(configPath);
+
+  const raw = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  if (raw.version === undefined || raw.version === null || raw.version === '') {
+    throw new Error(`Invalid detector config ${configPath}: missing version`);
+  }
+  validateBlock(raw.defaults, 'defaults', configPath);
+  for (const [pageRoute, overrides] of Object.entries(raw.routes ?? {})) {
+    validateBlock(overrides, `routes.${pageRoute}`, configPath);
+  }
+
+  const config = { version: String(raw.version), defaults: raw.defaults ?? {}, routes: raw.routes ?? {} };
+  configCache.set(configPath, config);
+  return config;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// RESOLUTION
+// ─────────────────────────────────────────────────────────────────────────────
+/**
+ * Settings for one page: the defaults with that route's overrides applied
+ * parameter by parameter.
+ *
+ * @param {Object} config - Output of loadDetectorConfig()
+ * @param {string} [pageRoute] - Page identifier passed to Telemetry.init()
+ * @returns {Object} { version, pageRoute, detectors }
+ */
+export function resolveDetectorConfig(config, pageRoute) {
+  const overrides = (pageRoute && Object.hasOwn(config.routes, pageRoute)) ? config.routes[pageRoute] : {};
+  const detectors = {};
+  for (const detector of new Set([...Object.keys(config.defaults), ...Object.keys(overrides)])) {
+    detectors[detector] = { ...config.defaults[detector], ...overrides[detector] };
+  }
+  return { version: config.version, pageRoute: pageRoute ?? null, detectors };
+}
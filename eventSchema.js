@@ -0,0 +1,325 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * TELEMETRY EVENT SCHEMA REGISTRY
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Purpose: Single source of truth for the shape of a telemetry event, used by
+ * server.js to reject malformed events before they reach the NDJSON log.
+ *
+ * Architecture:
+ *   - ENVELOPE_SCHEMA: universal fields built by Telemetry._buildEvent()
+ *   - METADATA_SCHEMAS: per-eventType shapes for the `metadata` object
+ *   - COMMON_METADATA_SCHEMA: metadata keys any event may carry (redactions, configVersion)
+ *   - validateEvent(): pure function → { valid, errors[] } (no I/O)
+ *
+ * Design Rationale:
+ *   - Declarative field specs (plain objects) so the same definitions can be
+ *     served to clients (GET /api/telemetry/schema) and mirrored in
+ *     src/types.ts (Phase1EventLog, EventMetadataMap)
+ *   - Unknown eventTypes are accepted with envelope-only validation, so pages
+ *     can add custom events without a server deploy
+ *   - Unknown metadata keys are allowed; only declared keys are checked
+ *   - Legacy snake_case envelope keys (session_id, event_type, ts...) from the
+ *     old runner output are rejected explicitly with the camelCase replacement
+ *
+ * Field Spec Format:
+ *   { type: 'string'|'number'|'integer'|'boolean'|'object'|'array',
+ *     required?: boolean, nullable?: boolean, enum?: [...],
+ *     min?: number, max?: number, format?: 'iso8601' }
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+// ─────────────────────────────────────────────────────────────────────────────
+// ENVELOPE SCHEMA (mirrors Telemetry._buildEvent in public/telemetry.js)
+// ─────────────────────────────────────────────────────────────────────────────
+export const ENVELOPE_SCHEMA = {
+  sessionId: { type: 'string', required: true },
+  tabId: { type: 'string' },
+  userId: { type: 'string', required: true },
+  pageRoute: { type: 'string', required: true },
+  eventType: { type: 'string', required: true, pattern: /^[a-z][a-z0-9_]*$/ },
+  timestamp: { type: 'string', required: true, format: 'iso8601' },
+  url: { type: 'string', required: true },
+  elementId: { type: 'string' },
+  metadata: { type: 'object', required: true },
+};
+
+/**
+ * Pre-camelCase keys from the original runner output (full_results.json).
+ * Maps legacy key → current key so the rejection message tells the sender what to fix.
+ */
+export const LEGACY_KEYS = {
+  session_id: 'sessionId',
+  user_id: 'userId',
+  page_route: 'pageRoute',
+  event_type: 'eventType',
+  element_id: 'elementId',
+  ts: 'timestamp',
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// PER-EVENT METADATA SCHEMAS
+// ─────────────────────────────────────────────────────────────────────────────
+// Only events with a stable contract are listed. Keys reflect what telemetry.js
+// and the HTML pages actually emit today.
+// ─────────────────────────────────────────────────────────────────────────────
+export const METADATA_SCHEMAS = {
+  // ─── Behavioral detectors (telemetry.js) ─────────────────────────────────
+  rage_click: {
+    element: { type: 'string', required: true },
+    clickCount: { type: 'integer', required: true, min: 1 },
+    text: { type: 'string' },
+  },
+  dead_click: {
+    element: { type: 'string', required: true },
+    text: { type: 'string' },
+  },
+  scroll_depth: {
+    pct: { type: 'number', required: true, min: 0, max: 1 },
+    scrollY: { type: 'number', min: 0 },
+  },
+  scroll: {
+    behavior: { type: 'string', required: true },
+    directionChanges: { type: 'integer', min: 0 },
+  },
+  mouse_move: {
+    behavior: { type: 'string', required: true },
+    iterations: { type: 'integer', min: 0 },
+  },
+  idle_time: {
+    ms: { type: 'number', required: true, min: 0 },
+  },
+  refocus: {
+    field: { type: 'string', required: true },
+    msSinceBlur: { type: 'number', min: 0 },
+  },
+  u_turn: {
+    path: { type: 'array', required: true },
+  },
+  system_error: {
+    message: { type: 'string', required: true },
+    errorType: { type: 'string', required: true },
+  },
+  page_view_end: {
+    dwellMs: { type: 'number', required: true, min: 0 },
+  },
+  form_abandonment: {
+    dwellMs: { type: 'number', min: 0 },
+  },
+
+  // ─── Network instrumentation (Telemetry.instrumentNetwork, opt-in) ───────
+  api_call: {
+    urlTemplate: { type: 'string', required: true },
+    method: { type: 'string', required: true },
+    status: { type: 'integer', required: true, min: 0 },
+    durationMs: { type: 'number', required: true, min: 0 },
+    outcome: { type: 'string', required: true, enum: ['ok', 'http_error', 'network_error', 'timeout', 'abort'] },
+    attempt: { type: 'integer', min: 1 },
+  },
+
+  // ─── Page performance (Telemetry._attachPerformance) ─────────────────────
+  web_vital: {
+    name: { type: 'string', required: true, enum: ['LCP', 'CLS', 'INP', 'FCP', 'TTFB'] },
+    value: { type: 'number', required: true, min: 0 },
+    rating: { type: 'string', required: true, enum: ['good', 'needs-improvement', 'poor'] },
+    element: { type: 'string' },
+    interactions: { type: 'integer', min: 1 },
+  },
+  navigation_timing: {
+    navigationType: { type: 'string' },
+    ttfbMs: { type: 'number', required: true, min: 0 },
+    domContentLoadedMs: { type: 'number', min: 0 },
+    loadMs: { type: 'number', min: 0 },
+  },
+  long_task: {
+    durationMs: { type: 'number', required: true, min: 0 },
+    startMs: { type: 'number', min: 0 },
+  },
+
+  // ─── System events (Telemetry.emitTimeout / emitRetry) ───────────────────
+  timeout: {
+    operation: { type: 'string', required: true },
+  },
+  retry_attempt: {
+    action: { type: 'string', required: true },
+    attemptNumber: { type: 'integer', required: true, min: 1 },
+  },
+
+  // ─── Universal flow schema (see README "Universal Flow Schema") ──────────
+  flow_start: {
+    flowName: { type: 'string', required: true },
+  },
+  flow_step: {
+    flowName: { type: 'string', required: true },
+    stepIndex: { type: 'integer', required: true, min: 1 },
+    totalSteps: { type: 'integer', required: true, min: 1 },
+    stepName: { type: 'string' },
+  },
+  flow_complete: {
+    flowName: { type: 'string', required: true },
+    status: { type: 'string', enum: ['success', 'failure'] },
+    reason: { type: 'string' },
+  },
+  flow_abandon: {
+    flowName: { type: 'string', required: true },
+    reason: { type: 'string', required: true },
+    lastStep: { type: 'integer', min: 0 },
+  },
+  step_dwell: {
+    flowName: { type: 'string', required: true },
+    step: { type: 'integer', required: true, min: 1 },
+    stepName: { type: 'string' },
+    ms: { type: 'number', required: true, min: 0 },
+  },
+
+  // ─── Sessions: the Playwright runner's Node-side SessionLogger (scenario,
+  //     outcome) and the SDK's session manager (reason) ─────────────────────
+  session_start: {
+    scenario: { type: 'string' },
+    sessionIndex: { type: 'integer', min: 1 },
+    reason: { type: 'string' },
+    previousSessionId: { type: 'string' },
+  },
+  session_end: {
+    scenario: { type: 'string' },
+    durationMs: { type: 'number', required: true, min: 0 },
+    outcome: { type: 'string', enum: ['completed', 'error'] },
+    error: { type: 'string' },
+    reason: { type: 'string' },
+  },
+  page_navigation: {
+    fromUrl: { type: 'string', nullable: true },
+  },
+  console_error: {
+    message: { type: 'string', required: true },
+  },
+  page_error: {
+    message: { type: 'string', required: true },
+  },
+  network_error: {
+    requestUrl: { type: 'string', required: true },
+    method: { type: 'string' },
+    failure: { type: 'string', required: true },
+  },
+};
+
+/**
+ * Metadata keys the SDK may add to any event, checked whatever the eventType.
+ *   redactions: values removed or scrubbed by Telemetry.privacy (see redaction.js)
+ *   configVersion: detector thresholds in effect (see detectorConfig.js)
+ */
+export const COMMON_METADATA_SCHEMA = {
+  redactions: { type: 'integer', min: 0 },
+  configVersion: { type: 'string' },
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// VALIDATION
+// ─────────────────────────────────────────────────────────────────────────────
+const ISO_8601 = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/;
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * Checks one value against a field spec.
+ *
+ * @param {string} field - Dotted path used in error messages (e.g. 'metadata.pct')
+ * @param {*} value - Value to check
+ * @param {Object} spec - Field spec (see header)
+ * @returns {Object[]} Errors as { field, message }
+ */
+function checkField(field, value, spec) {
+  if (value === undefined) {
+    return spec.required ? [{ field, message: 'is required' }] : [];
+  }
+  if (value === null) {
+    return spec.nullable ? [] : [{ field, message: 'must not be null' }];
+  }
+
+  const actual = typeOf(value);
+  const typeOk = spec.type === 'integer'
+    ? Number.isInteger(value)
+    : spec.type === actual && !(actual === 'number' && !Number.isFinite(value));
+  if (!typeOk) {
+    return [{ field, message: `must be ${spec.type} (got ${actual})` }];
+  }
+
+  if (spec.enum && !spec.enum.includes(value)) {
+    return [{ field, message: `must be one of ${spec.enum.join(', ')}` }];
+  }
+  if (spec.min !== undefined && value < spec.min) {
+    return [{ field, message: `must be >= ${spec.min}` }];
+  }
+  if (spec.max !== undefined && value > spec.max) {
+    return [{ field, message: `must be <= ${spec.max}` }];
+  }
+  if (spec.pattern && !spec.pattern.test(value)) {
+    return [{ field, message: `must match ${spec.pattern}` }];
+  }
+  if (spec.format === 'iso8601' && (!ISO_8601.test(value) || Number.isNaN(Date.parse(value)))) {
+    return [{ field, message: 'must be an ISO 8601 timestamp' }];
+  }
+  return [];
+}
+
+/**
+ * Validates a telemetry event against the envelope and its eventType's metadata schema.
+ *
+ * @param {*} event - Parsed request body (single event)
+ * @returns {{ valid: boolean, errors: Array<{ field: string, message: string }> }}
+ */
+export function validateEvent(event) {
+  if (typeOf(event) !== 'object') {
+    return { valid: false, errors: [{ field: '(root)', message: 'event must be a JSON object' }] };
+  }
+
+  const errors = [];
+
+  for (const [legacyKey, currentKey] of Object.entries(LEGACY_KEYS)) {
+    if (legacyKey in event) {
+      errors.push({ field: legacyKey, message: `legacy snake_case key, use '${currentKey}'` });
+    }
+  }
+
+  for (const [field, spec] of Object.entries(ENVELOPE_SCHEMA)) {
+    errors.push(...checkField(field, event[field], spec));
+  }
+
+  const metadataSchema = { ...COMMON_METADATA_SCHEMA, ...METADATA_SCHEMAS[event.eventType] };
+  if (typeOf(event.metadata) === 'object') {
+    for (const [field, spec] of Object.entries(metadataSchema)) {
+      errors.push(...checkField(`metadata.${field}`, event.metadata[field], spec));
+    }
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Serializable view of the registry (RegExp → source string) for
+ * GET /api/telemetry/schema, so the SDK and tooling can check themselves
+ * against exactly what the server enforces.
+ *
+ * @returns {Object} { envelope, legacyKeys, commonMetadata, metadata }
+ */
+export function describeSchema() {
+  const serialize = (fields) => Object.fromEntries(
+    Object.entries(fields).map(([name, spec]) => [
+      name,
+      spec.pattern ? { ...spec, pattern: spec.pattern.source } : spec,
+    ])
+  );
+
+  return {
+    envelope: serialize(ENVELOPE_SCHEMA),
+    legacyKeys: LEGACY_KEYS,
+    commonMetadata: serialize(COMMON_METADATA_SCHEMA),
+    metadata: Object.fromEntries(
+      Object.entries(METADATA_SCHEMAS).map(([eventType, fields]) => [eventType, serialize(fields)])
+    ),
+  };
+}
@@ -0,0 +1,187 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * REAL-TIME EVENT STREAM (Server-Sent Events)
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Purpose: Fans every ingested event out to GET /api/stream subscribers
+ * (admin dashboard live feed, watching one Playwright session while it runs).
+ *
+ * Architecture:
+ *   - server.js calls publish() after an event batch is appended to the log
+ *   - Each subscriber holds its own filters and a bounded pending queue
+ *   - publish() is synchronous and never awaits a client
+ *
+ * Backpressure (slow consumers must not block ingestion):
+ *   - While a client's socket buffer is full (res.write() returned false),
+ *     events go to its pending queue instead of the socket
+ *   - The queue is capped at MAX_PENDING_EVENTS; the oldest are dropped and
+ *     counted, then reported to the client as an `event: dropped` message
+ *     once the socket drains
+ *
+ * Wire Format:
+ *   id: 42
+ *   event: telemetry
+ *   data: {"serverReceivedAt":"...","eventType":"rage_click",...}
+ *
+ *   `: ping` comments every HEARTBEAT_MS keep proxies from closing idle streams.
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+const MAX_PENDING_EVENTS = 500;
+const HEARTBEAT_MS = 15000;
+const RETRY_MS = 3000;
+
+const subscribers = new Set();
+let nextEventId = 1;
+let heartbeatTimer = null;
+
+// ─────────────────────────────────────────────────────────────────────────────
+// FILTERS
+// ─────────────────────────────────────────────────────────────────────────────
+/**
+ * Parses one filter query value. Accepts comma-separated alternatives and a
+ * trailing `*` for prefix matches (e.g. sessionId=S-pw3-*).
+ *
+ * @param {*} value - Raw query string value
+ * @returns {Array<{ value: string, prefix: boolean }>|null} null = no filter
+ */
+function parseFilterValue(value) {
+  if (typeof value !== 'string' || value.trim() === '') return null;
+  return value.split(',')
+    .map(v => v.trim())
+    .filter(Boolean)
+    .map(v => (v.endsWith('*') ? { value: v.slice(0, -1), prefix: true } : { value: v, prefix: false }));
+}
+
+/**
+ * Builds the filter set for a subscriber from the request query.
+ *
+ * @param {Object} query - req.query ({ sessionId?, eventType?, pageRoute? })
+ * @returns {Object} { sessionId, eventType, pageRoute } → parsed alternatives or null
+ */
+export function parseStreamFilters(query = {}) {
+  return {
+    sessionId: parseFilterValue(query.sessionId),
+    eventType: parseFilterValue(query.eventType),
+    pageRoute: parseFilterValue(query.pageRoute),
+  };
+}
+
+function matchesFilters(event, filters) {
+  for (const [field, alternatives] of Object.entries(filters)) {
+    if (!alternatives) continue;
+    const actual = event[field];
+    if (typeof actual !== 'string') return false;
+    const hit = alternatives.some(f => (f.prefix ? actual.startsWith(f.value) : actual === f.value));
+    if (!hit) return false;
+  }
+  return true;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// SUBSCRIBER WRITES
+// ─────────────────────────────────────────────────────────────────────────────
+function flushPending(subscriber) {
+  const { res } = subscriber;
+  if (subscriber.dropped > 0) {
+    res.write(`event: dropped\ndata: ${JSON.stringify({ count: subscriber.dropped })}\n\n`);
+    subscriber.dropped = 0;
+  }
+  while (subscriber.pending.length > 0) {
+    if (!res.write(subscriber.pending.shift())) {
+      subscriber.blocked = true;
+      return;
+    }
+  }
+  subscriber.blocked = false;
+}
+
+function deliver(subscriber, message) {
+  if (subscriber.blocked) {
+    subscriber.pending.push(message);
+    if (subscriber.pending.length > MAX_PENDING_EVENTS) {
+      subscriber.pending.shift();
+      subscriber.dropped++;
+    }
+    return;
+  }
+  if (!subscriber.res.write(message)) subscriber.blocked = true;
+}
+
+function ensureHeartbeat() {
+  if (heartbeatTimer || subscribers.size === 0) return;
+  heartbeatTimer = setInterval(() => {
+    for (const subscriber of subscribers) {
+      if (!subscriber.blocked) subscriber.res.write(': ping\n\n');
+    }
+  }, HEARTBEAT_MS);
+  heartbeatTimer.unref();
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// PUBLIC API
+// ─────────────────────────────────────────────────────────────────────────────
+/**
+ * Turns an Express response into an SSE stream and registers it until the
+ * client disconnects.
+ *
+ * @param {import('express').Request} req - Incoming GET /api/stream request
+ * @param {import('express').Response} res - Response to stream into
+ * @param {Object} filters - Output of parseStreamFilters()
+ * @returns {void}
+ */
+export function subscribe(req, res, filters) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.write(`retry: ${RETRY_MS}\n: connected\n\n`);
+
+  const subscriber = { res, filters, pending: [], dropped: 0, blocked: false };
+  subscribers.add(subscriber);
+  ensureHeartbeat();
+
+  res.on('drain', () => flushPending(subscriber));
+  req.on('close', () => {
+    subscribers.delete(subscriber);
+    if (subscribers.size === 0 && heartbeatTimer) {
+      clearInterval(heartbeatTimer);
+      heartbeatTimer = null;
+    }
+  });
+}
+
+/**
+ * Pushes stored events to every matching subscriber. Never throws and never
+ * waits on a client, so it is safe to call from the ingestion path.
+ *
+ * @param {Object[]} events - Events exactly as written to the log (with serverReceivedAt)
+ * @returns {void}
+ */
+export function publish(events) {
+  if (subscribers.size === 0) return;
+
+  for (const event of events) {
+    const id = nextEventId++;
+    let message = null;
+    for (const subscriber of subscribers) {
+      if (!matchesFilters(event, subscriber.filters)) continue;
+      message ??= `id: ${id}\nevent: telemetry\ndata: ${JSON.stringify(event)}\n\n`;
+      try {
+        deliver(subscriber, message);
+      } catch (err) {
+        console.error('❌ [Stream] Dropping subscriber after write error:', err.message);
+        subscribers.delete(subscriber);
+      }
+    }
+  }
+}
+
+/**
+ * @returns {number} Number of connected stream subscribers
+ */
+export function subscriberCount() {
+  return subscribers.size;
+}
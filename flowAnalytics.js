@@ -0,0 +1,352 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * FLOW ANALYTICS (Funnels & Drop-off)
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Purpose: Turns the Universal Flow Schema events (flow_start, flow_step,
+ * flow_complete, flow_abandon) into per-session flow attempts and per-flow
+ * funnels — the code version of the README's SQL sketch.
+ *
+ * Attempt Reconstruction (per session, per flowName):
+ *   - flow_start opens an attempt. trade.html emits its first flow_step just
+ *     before flow_start, so a step-opened attempt is adopted by the next start
+ *   - flow_step raises the attempt's furthest stepIndex
+ *   - flow_complete status=success closes it as 'completed'
+ *   - flow_complete status=failure records a failure and keeps it open (the
+ *     pages let the user retry in place); still open at the end → 'failed'
+ *   - flow_abandon closes it as 'abandoned' with the page-supplied reason
+ *   - Flows without flow_start (contact_support, statements_download) get an
+ *     attempt opened by their first flow_complete
+ *   - retry_attempt is attributed via RETRY_ACTION_TO_FLOW
+ *
+ * Implicit Abandons:
+ *   An attempt still open when the session loads another page (page_view)
+ *   was interrupted by page unload without flow_abandon → 'abandoned' with
+ *   reason 'implicit_unload'. page_view_end alone is not enough: telemetry.js
+ *   emits it before the page's own beforeunload flow_abandon.
+ *   Attempts open at the end of the data with no unload evidence are
+ *   'in_progress'.
+ *
+ * Data Flow:
+ *   logs/*.ndjson → reconstructAttempts() → buildFunnels() → GET /api/flows (JSON/CSV)
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+import { readEvents, eventTime } from './logReader.js';
+
+/**
+ * retry_attempt `action` → flowName. Actions not listed are matched to a flow
+ * of the same name.
+ */
+export const RETRY_ACTION_TO_FLOW = {
+  login: 'login',
+  trade_submit: 'trade',
+  create_account: 'onboarding',
+  contact_submit: 'contact_support',
+  statements_download: 'statements_download',
+};
+
+const FLOW_EVENTS = new Set(['flow_start', 'flow_step', 'flow_complete', 'flow_abandon']);
+
+// ─────────────────────────────────────────────────────────────────────────────
+// ATTEMPT RECONSTRUCTION
+// ─────────────────────────────────────────────────────────────────────────────
+function openAttempt(event, flowName, startedBy) {
+  const t = eventTime(event);
+  return {
+    sessionId: event.sessionId,
+    flowName,
+    pageRoute: event.pageRoute ?? null,
+    startedBy,
+    startedAtMs: t,
+    endedAtMs: t,
+    outcome: 'in_progress',
+    reason: null,
+    maxStepIndex: 0,
+    totalSteps: null,
+    stepNames: {},
+    failures: 0,
+    failureReasons: [],
+    retries: 0,
+  };
+}
+
+function finalizeAttempt(attempt, outcome, reason = null) {
+  attempt.outcome = outcome;
+  attempt.reason = reason;
+  const { startedAtMs, endedAtMs, ...rest } = attempt;
+  const toIso = ms => (Number.isNaN(ms) ? null : new Date(ms).toISOString());
+  return { ...rest, startedAt: toIso(startedAtMs), endedAt: toIso(endedAtMs) };
+}
+
+/**
+ * Closes whatever is still open for a session. `unloaded` means there is
+ * evidence the page was left (a later page_view), so open attempts become
+ * implicit abandons instead of in-progress ones.
+ */
+function closeOpenAttempts(open, unloaded, out) {
+  for (const attempt of open.values()) {
+    if (attempt.failures > 0) out.push(finalizeAttempt(attempt, 'failed', attempt.failureReasons.at(-1)));
+    else if (unloaded) out.push(finalizeAttempt(attempt, 'abandoned', 'implicit_unload'));
+    else out.push(finalizeAttempt(attempt, 'in_progress'));
+  }
+  open.clear();
+}
+
+/**
+ * Reconstructs every flow attempt in the logs.
+ *
+ * @param {Object} [options]
+ * @param {AsyncIterable<Object>} [options.events] - Event source (defaults to logReader.readEvents())
+ * @param {string} [options.logsDir] - Read NDJSON files from here instead of the configured store
+ * @returns {Promise<Object[]>} Attempts: { sessionId, flowName, pageRoute, startedBy, startedAt,
+ *   endedAt, outcome, reason, maxStepIndex, totalSteps, stepNames, failures, failureReasons, retries }
+ */
+export async function reconstructAttempts({ events, logsDir } = {}) {
+  const source = events ?? readEvents({ logsDir });
+  const openBySession = new Map();   // sessionId → Map(flowName → attempt)
+  const attempts = [];
+
+  for await (const event of source) {
+    if (!event.sessionId) continue;
+    let open = openBySession.get(event.sessionId);
+    if (!open) {
+      open = new Map();
+      openBySession.set(event.sessionId, open);
+    }
+
+    // ─── A new document means anything still open on the previous page was unloaded
+    if (event.eventType === 'page_view') {
+      closeOpenAttempts(open, true, attempts);
+      continue;
+    }
+
+    if (event.eventType === 'retry_attempt') {
+      const action = event.metadata?.action;
+      const flowName = RETRY_ACTION_TO_FLOW[action] ?? action;
+      const attempt = open.get(flowName);
+      if (attempt) attempt.retries++;
+      continue;
+    }
+
+    if (!FLOW_EVENTS.has(event.eventType)) continue;
+    const flowName = event.metadata?.flowName;
+    if (!flowName) continue;
+
+    const t = eventTime(event);
+    let attempt = open.get(flowName);
+
+    switch (event.eventType) {
+      case 'flow_start':
+        if (attempt && attempt.startedBy === 'flow_step' && attempt.failures === 0) {
+          attempt.startedBy = 'flow_start';     // adopt the step-opened attempt (trade.html)
+        } else {
+          if (attempt) {
+            // Restarted without a terminal event on the same page
+            open.delete(flowName);
+            attempts.push(finalizeAttempt(attempt, attempt.failures > 0 ? 'failed' : 'abandoned', 'restarted'));
+          }
+          attempt = openAttempt(event, flowName, 'flow_start');
+          open.set(flowName, attempt);
+        }
+        break;
+
+      case 'flow_step': {
+        if (!attempt) {
+          attempt = openAttempt(event, flowName, 'flow_step');
+          open.set(flowName, attempt);
+        }
+        const stepIndex = event.metadata?.stepIndex;
+        if (Number.isInteger(stepIndex)) {
+          attempt.maxStepIndex = Math.max(attempt.maxStepIndex, stepIndex);
+          if (event.metadata?.stepName) attempt.stepNames[stepIndex] = event.metadata.stepName;
+        }
+        if (Number.isInteger(event.metadata?.totalSteps)) attempt.totalSteps = event.metadata.totalSteps;
+        break;
+      }
+
+      case 'flow_complete':
+        if (!attempt) {
+          attempt = openAttempt(event, flowName, 'flow_complete');
+          open.set(flowName, attempt);
+        }
+        if (event.metadata?.status === 'failure') {
+          attempt.failures++;
+          attempt.failureReasons.push(event.metadata?.reason ?? 'unknown');
+        } else {
+          open.delete(flowName);
+          attempt.endedAtMs = t;
+          attempts.push(finalizeAttempt(attempt, 'completed'));
+          continue;
+        }
+        break;
+
+      case 'flow_abandon':
+        if (!attempt) {
+          attempt = openAttempt(event, flowName, 'flow_abandon');
+        }
+        open.delete(flowName);
+        attempt.endedAtMs = t;
+        if (Number.isInteger(event.metadata?.lastStep)) {
+          attempt.maxStepIndex = Math.max(attempt.maxStepIndex, event.metadata.lastStep);
+        }
+        attempts.push(finalizeAttempt(attempt, 'abandoned', event.metadata?.reason ?? 'unknown'));
+        continue;
+
+      default:
+        break;
+    }
+
+    if (attempt) attempt.endedAtMs = t;
+  }
+
+  for (const open of openBySession.values()) {
+    closeOpenAttempts(open, false, attempts);
+  }
+  return attempts;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// FUNNEL AGGREGATION
+// ─────────────────────────────────────────────────────────────────────────────
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Builds per-flow funnels from attempts plus step_dwell timings.
+ *
+ * @param {Object[]} attempts - Output of reconstructAttempts()
+ * @param {Object} [dwellByStep] - { flowName: { stepIndex: ms[] } } from step_dwell events
+ * @returns {Object[]} One funnel per flow: { flowName, attempts, completed, failed, abandoned,
+ *   inProgress, completionRate, steps[{ stepIndex, stepName, reached, conversionFromPrevious,
+ *   medianDwellMs }], abandonReasons, failureReasons, retries: { total, attemptsWithRetries } }
+ */
+export function buildFunnels(attempts, dwellByStep = {}) {
+  const byFlow = new Map();
+  for (const attempt of attempts) {
+    if (!byFlow.has(attempt.flowName)) byFlow.set(attempt.flowName, []);
+    byFlow.get(attempt.flowName).push(attempt);
+  }
+
+  return [...byFlow.entries()].map(([flowName, group]) => {
+    const count = outcome => group.filter(a => a.outcome === outcome).length;
+    const totalSteps = Math.max(0, ...group.map(a => a.totalSteps ?? a.maxStepIndex));
+    const stepNames = Object.assign({}, ...group.map(a => a.stepNames));
+
+    const steps = [];
+    let previousReached = group.length;
+    for (let stepIndex = 1; stepIndex <= totalSteps; stepIndex++) {
+      const reached = group.filter(a => a.maxStepIndex >= stepIndex || a.outcome === 'completed').length;
+      steps.push({
+        stepIndex,
+        stepName: stepNames[stepIndex] ?? null,
+        reached,
+        conversionFromPrevious: previousReached ? reached / previousReached : null,
+        medianDwellMs: median(dwellByStep[flowName]?.[stepIndex] ?? []),
+      });
+      previousReached = reached;
+    }
+
+    const tally = (values) => values.reduce((acc, v) => ({ ...acc, [v]: (acc[v] || 0) + 1 }), {});
+    const completed = count('completed');
+    return {
+      flowName,
+      attempts: group.length,
+      completed,
+      failed: count('failed'),
+      abandoned: count('abandoned'),
+      inProgress: count('in_progress'),
+      completionRate: group.length ? completed / group.length : 0,
+      steps,
+      abandonReasons: tally(group.filter(a => a.outcome === 'abandoned').map(a => a.reason)),
+      failureReasons: tally(group.flatMap(a => a.failureReasons)),
+      retries: {
+        total: group.reduce((sum, a) => sum + a.retries, 0),
+        attemptsWithRetries: group.filter(a => a.retries > 0).length,
+      },
+    };
+  });
+}
+
+/**
+ * One pass over the logs: attempts, step dwell samples and funnels.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.logsDir] - Read NDJSON files from here instead of the configured store
+ * @param {string} [options.flowName] - Restrict to one flow
+ * @returns {Promise<{ funnels: Object[], attempts: Object[] }>}
+ */
+export async function analyzeFlows({ logsDir, flowName } = {}) {
+  const dwellByStep = {};
+
+  // Tap step_dwell samples on the way through to reconstructAttempts()
+  async function* tap() {
+    for await (const event of readEvents({ logsDir })) {
+      if (event.eventType === 'step_dwell') {
+        const { flowName: flow, step, ms } = event.metadata ?? {};
+        if (flow && Number.isInteger(step) && typeof ms === 'number') {
+          ((dwellByStep[flow] ??= {})[step] ??= []).push(ms);
+        }
+      }
+      yield event;
+    }
+  }
+
+  let attempts = await reconstructAttempts({ events: tap() });
+  if (flowName) attempts = attempts.filter(a => a.flowName === flowName);
+  return { funnels: buildFunnels(attempts, dwellByStep), attempts };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// CSV EXPORT
+// ─────────────────────────────────────────────────────────────────────────────
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serializes rows to CSV using the given column order.
+ *
+ * @param {Object[]} rows - Flat objects
+ * @param {string[]} columns - Column names (header row)
+ * @returns {string} CSV text with trailing newline
+ */
+export function toCsv(rows, columns) {
+  const lines = [columns.join(',')];
+  for (const row of rows) lines.push(columns.map(c => csvCell(row[c])).join(','));
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Flattens funnels to one CSV row per flow step (step 0 = flow entry).
+ *
+ * @param {Object[]} funnels - Output of buildFunnels()
+ * @returns {string} CSV text
+ */
+export function funnelsToCsv(funnels) {
+  const rows = funnels.flatMap(f => [
+    { flowName: f.flowName, stepIndex: 0, stepName: 'entry', reached: f.attempts, conversionFromPrevious: null,
+      medianDwellMs: null, completionRate: f.completionRate, abandoned: f.abandoned, retries: f.retries.total },
+    ...f.steps.map(s => ({ flowName: f.flowName, ...s, completionRate: f.completionRate,
+      abandoned: f.abandoned, retries: f.retries.total })),
+  ]);
+  return toCsv(rows, ['flowName', 'stepIndex', 'stepName', 'reached', 'conversionFromPrevious',
+    'medianDwellMs', 'completionRate', 'abandoned', 'retries']);
+}
+
+/**
+ * Flattens attempts to one CSV row each.
+ *
+ * @param {Object[]} attempts - Output of reconstructAttempts()
+ * @returns {string} CSV text
+ */
+export function attemptsToCsv(attempts) {
+  return toCsv(attempts, ['sessionId', 'flowName', 'pageRoute', 'startedAt', 'endedAt', 'outcome', 'reason',
+    'maxStepIndex', 'totalSteps', 'failures', 'retries', 'startedBy']);
+}
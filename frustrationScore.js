@@ -0,0 +1,169 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * FRUSTRATION SCORE ENGINE
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Purpose: Turns a session's events into a 0–100 frustration score with a
+ * per-signal breakdown and a High/Med/Low risk band.
+ *
+ * Architecture:
+ *   - Weights, caps and band thresholds live in config/frustration.json
+ *   - countSignals() → { signalName: count } (streamable: countEvent() per event)
+ *   - scoreFromCounts() → { score, band, breakdown }
+ *   - Used by server.js (GET /api/sessions/:id/score), dashboardStats.js and
+ *     the offline CLI (score.js)
+ *
+ * Scoring Model (deliberately linear and explainable):
+ *   points(signal) = min(count × weight, maxPoints)
+ *   score          = min(100, Σ points)
+ *   band           = first band whose threshold ≤ score (High → Med), else Low
+ *
+ * Design Rationale:
+ *   - Per-signal caps stop one noisy detector (e.g. 40 dead clicks) from
+ *     saturating the score on its own
+ *   - Signals match on eventType plus optional metadata.behavior, so
+ *     `scroll`/`mouse_move` only count for their erratic/shake variants
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const DEFAULT_CONFIG_PATH = path.join(__dirname, 'config', 'frustration.json');
+
+// ─────────────────────────────────────────────────────────────────────────────
+// CONFIGURATION
+// ─────────────────────────────────────────────────────────────────────────────
+const configCache = new Map();
+
+/**
+ * Loads and sanity-checks a scoring config. Results are cached per path;
+ * restart the server after editing the file.
+ *
+ * @param {string} [configPath] - Path to a frustration.json-style file
+ * @returns {Object} { version, signals: { name: { eventType, behavior?, weight, maxPoints } }, bands }
+ * @throws {Error} If the file is missing a signal's eventType/weight or has no bands
+ */
+export function loadScoringConfig(configPath = DEFAULT_CONFIG_PATH) {
+  if (configCache.has(configPath)) return configCache.get(configPath);
+
+  const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+
+  for (const [name, signal] of Object.entries(config.signals || {})) {
+    if (typeof signal.eventType !== 'string' || typeof signal.weight !== 'number') {
+      throw new Error(`Invalid scoring config ${configPath}: signal "${name}" needs eventType and weight`);
+    }
+  }
+  if (!config.bands || Object.keys(config.bands).length === 0) {
+    throw new Error(`Invalid scoring config ${configPath}: no bands defined`);
+  }
+
+  configCache.set(configPath, config);
+  return config;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// SIGNAL COUNTING
+// ─────────────────────────────────────────────────────────────────────────────
+/**
+ * Returns the name of the configured signal an event counts towards, if any.
+ *
+ * @param {Object} event - Telemetry event
+ * @param {Object} config - Scoring config
+ * @returns {string|null} Signal name (e.g. 'mouse_shake') or null
+ */
+export function matchSignal(event, config) {
+  for (const [name, signal] of Object.entries(config.signals)) {
+    if (event.eventType !== signal.eventType) continue;
+    if (signal.behavior && event.metadata?.behavior !== signal.behavior) continue;
+    return name;
+  }
+  return null;
+}
+
+/**
+ * Adds one event to a running per-signal count (for streaming callers).
+ *
+ * @param {Object} counts - Mutable { signalName: count }
+ * @param {Object} event - Telemetry event
+ * @param {Object} config - Scoring config
+ * @returns {Object} The same counts object
+ */
+export function countEvent(counts, event, config) {
+  const name = matchSignal(event, config);
+  if (name) counts[name] = (counts[name] || 0) + 1;
+  return counts;
+}
+
+/**
+ * Counts configured signals across a list of events.
+ *
+ * @param {Object[]} events - One session's events
+ * @param {Object} [config] - Scoring config (defaults to config/frustration.json)
+ * @returns {Object} { signalName: count }
+ */
+export function countSignals(events, config = loadScoringConfig()) {
+  const counts = {};
+  for (const event of events) countEvent(counts, event, config);
+  return counts;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// SCORING
+// ─────────────────────────────────────────────────────────────────────────────
+/**
+ * Maps a score to its risk band (highest threshold first).
+ *
+ * @param {number} score - 0–100
+ * @param {Object} bands - { bandName: minScore }
+ * @returns {string} Band name, or 'Low' if below every threshold
+ */
+export function bandFor(score, bands) {
+  const ordered = Object.entries(bands).sort((a, b) => b[1] - a[1]);
+  for (const [band, threshold] of ordered) {
+    if (score >= threshold) return band;
+  }
+  return 'Low';
+}
+
+/**
+ * Scores a session from its per-signal counts.
+ *
+ * @param {Object} counts - { signalName: count }
+ * @param {Object} [config] - Scoring config (defaults to config/frustration.json)
+ * @returns {{ score: number, band: string, breakdown: Object }}
+ *   breakdown: { signalName: { count, points } } for every configured signal
+ */
+export function scoreFromCounts(counts, config = loadScoringConfig()) {
+  const breakdown = {};
+  let total = 0;
+
+  for (const [name, signal] of Object.entries(config.signals)) {
+    const count = counts[name] || 0;
+    const cap = signal.maxPoints ?? Infinity;
+    const points = Math.min(count * signal.weight, cap);
+    breakdown[name] = { count, points };
+    total += points;
+  }
+
+  const score = Math.round(Math.min(100, Math.max(0, total)));
+  return { score, band: bandFor(score, config.bands), breakdown };
+}
+
+/**
+ * Scores one session's events.
+ *
+ * @param {Object[]} events - One session's events
+ * @param {Object} [config] - Scoring config (defaults to config/frustration.json)
+ * @returns {{ score: number, band: string, breakdown: Object, configVersion: * }}
+ */
+export function scoreSession(events, config = loadScoringConfig()) {
+  return {
+    ...scoreFromCounts(countSignals(events, config), config),
+    configVersion: config.version ?? null,
+  };
+}
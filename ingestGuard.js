@@ -0,0 +1,282 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * INGESTION GUARD (auth keys, CORS, rate limits, payload limits)
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Purpose: Keeps a buggy page loop or a hostile client from filling the disk
+ * through the write endpoints (POST /api/telemetry, /batch, /api/replay/:id).
+ *
+ * Architecture:
+ *   - Settings live in config/ingest.json (TELEMETRY_INGEST_CONFIG overrides)
+ *   - createIngestGuard(config) holds the token buckets and the counters
+ *   - server.js applies the checks in this order, cheapest first:
+ *       body size (express.json limit) → ingest key + origin → batch size
+ *       → per-IP / per-session token buckets → metadata size → schema
+ *
+ * Token Buckets:
+ *   - One bucket per client IP and one per sessionId; each event costs a token
+ *   - A request is only admitted if every bucket it touches has enough tokens,
+ *     so a refused batch consumes nothing
+ *   - Refusals answer 429 with Retry-After; the telemetry.js queue keeps the
+ *     batch and retries no sooner than that
+ *
+ * Counters (GET /api/ingest/stats):
+ *   acceptedEvents, droppedEvents by reason, rejectedRequests by reason
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const DEFAULT_INGEST_CONFIG_PATH = path.join(__dirname, 'config', 'ingest.json');
+
+const DEFAULTS = {
+  auth: { required: false, sites: [] },
+  cors: { origins: '*' },
+  rateLimit: {
+    enabled: false,
+    perIp: { capacity: 2000, refillPerSecond: 200 },
+    perSession: { capacity: 300, refillPerSecond: 20 },
+  },
+  limits: { maxBodyBytes: 262144, maxBatchEvents: 100, maxMetadataBytes: 8192 },
+};
+
+// Buckets are pruned (full ones dropped) once a map grows past this
+const MAX_TRACKED_BUCKETS = 10000;
+
+// ─────────────────────────────────────────────────────────────────────────────
+// CONFIGURATION
+// ─────────────────────────────────────────────────────────────────────────────
+/**
+ * Reads the ingest config, filling unset sections with permissive defaults
+ * (no file = no auth, no rate limits, but payload limits still apply).
+ *
+ * @param {string} [configPath] - Defaults to TELEMETRY_INGEST_CONFIG or config/ingest.json
+ * @returns {Object} { auth, cors, rateLimit, limits }
+ * @throws {Error} If auth is required but no site has a key, or a bucket is misconfigured
+ */
+export function loadIngestConfig(configPath = process.env.TELEMETRY_INGEST_CONFIG || DEFAULT_INGEST_CONFIG_PATH) {
+  const raw = fs.existsSync(configPath) ? JSON.parse(fs.readFileSync(configPath, 'utf8')) : {};
+  const config = {
+    auth: { ...DEFAULTS.auth, ...raw.auth },
+    cors: { ...DEFAULTS.cors, ...raw.cors },
+    rateLimit: {
+      ...DEFAULTS.rateLimit,
+      ...raw.rateLimit,
+      perIp: { ...DEFAULTS.rateLimit.perIp, ...raw.rateLimit?.perIp },
+      perSession: { ...DEFAULTS.rateLimit.perSession, ...raw.rateLimit?.perSession },
+    },
+    limits: { ...DEFAULTS.limits, ...raw.limits },
+  };
+
+  if (config.auth.required && !config.auth.sites.some(site => typeof site.key === 'string' && site.key)) {
+    throw new Error(`Invalid ingest config ${configPath}: auth.required but no site has a key`);
+  }
+  for (const scope of ['perIp', 'perSession']) {
+    const { capacity, refillPerSecond } = config.rateLimit[scope];
+    if (!(capacity > 0) || !(refillPerSecond > 0)) {
+      throw new Error(`Invalid ingest config ${configPath}: rateLimit.${scope} needs positive capacity and refillPerSecond`);
+    }
+  }
+  return config;
+}
+
+/**
+ * Options for the cors() middleware.
+ *
+ * @param {Object} config - Output of loadIngestConfig()
+ * @returns {Object} { origin, allowedHeaders }
+ */
+export function corsOptions(config) {
+  const { origins } = config.cors;
+  return {
+    origin: origins === '*' || (Array.isArray(origins) && origins.includes('*')) ? '*' : origins,
+    allowedHeaders: ['Content-Type', 'X-Telemetry-Key'],
+  };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// TOKEN BUCKET
+// ─────────────────────────────────────────────────────────────────────────────
+/**
+ * Keyed token buckets that refill continuously.
+ *
+ * @param {Object} options
+ * @param {number} options.capacity - Max tokens (burst size)
+ * @param {number} options.refillPerSecond - Tokens added per second
+ * @returns {Object} { waitMs(key, cost, now), take(key, cost, now), size() }
+ */
+export function createTokenBucket({ capacity, refillPerSecond }) {
+  const buckets = new Map();
+
+  function level(key, now) {
+    const bucket = buckets.get(key);
+    if (!bucket) return capacity;
+    return Math.min(capacity, bucket.tokens + ((now - bucket.updatedAt) / 1000) * refillPerSecond);
+  }
+
+  function prune(now) {
+    for (const key of buckets.keys()) {
+      if (level(key, now) >= capacity) buckets.delete(key);
+    }
+  }
+
+  return {
+    /** Milliseconds until `cost` tokens are available for `key` (0 = now). */
+    waitMs(key, cost, now = Date.now()) {
+      const missing = Math.min(cost, capacity) - level(key, now);
+      return missing <= 0 ? 0 : Math.ceil((missing / refillPerSecond) * 1000);
+    },
+    take(key, cost, now = Date.now()) {
+      buckets.set(key, { tokens: level(key, now) - Math.min(cost, capacity), updatedAt: now });
+      if (buckets.size > MAX_TRACKED_BUCKETS) prune(now);
+    },
+    size() {
+      return buckets.size;
+    },
+  };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// GUARD
+// ─────────────────────────────────────────────────────────────────────────────
+/**
+ * Creates the guard used by server.js.
+ *
+ * @param {Object} config - Output of loadIngestConfig()
+ * @returns {Object} Guard (see methods below)
+ */
+export function createIngestGuard(config) {
+  const sitesByKey = new Map(config.auth.sites.map(site => [site.key, site]));
+  const ipBuckets = createTokenBucket(config.rateLimit.perIp);
+  const sessionBuckets = createTokenBucket(config.rateLimit.perSession);
+  const counters = {
+    since: new Date().toISOString(),
+    acceptedEvents: 0,
+    droppedEvents: {},
+    rejectedRequests: {},
+  };
+
+  const bump = (map, reason, n = 1) => {
+    map[reason] = (map[reason] || 0) + n;
+  };
+
+  return {
+    config,
+
+    /**
+     * Express middleware: 401 without a known ingest key, 403 when the key's
+     * site restricts origins and the browser's Origin is not among them.
+     * The key comes from the X-Telemetry-Key header or ?key= (sendBeacon
+     * cannot set headers). Sets req.ingestSite.
+     */
+    authenticate: (req, res, next) => {
+      if (!config.auth.required) return next();
+
+      const key = req.get('X-Telemetry-Key') || req.query.key;
+      const site = typeof key === 'string' ? sitesByKey.get(key) : undefined;
+      if (!site) {
+        bump(counters.rejectedRequests, 'invalid_ingest_key');
+        return res.status(401).json({ status: 'error', reason: 'invalid_ingest_key' });
+      }
+
+      const origin = req.get('Origin');
+      if (origin && site.origins?.length && !site.origins.includes(origin)) {
+        bump(counters.rejectedRequests, 'origin_not_allowed');
+        return res.status(403).json({ status: 'error', reason: 'origin_not_allowed' });
+      }
+
+      req.ingestSite = site.siteId;
+      next();
+    },
+
+    /**
+     * @param {number} count - Events in the request
+     * @returns {boolean} True if the batch exceeds limits.maxBatchEvents (counted)
+     */
+    batchTooLarge(count) {
+      if (count <= config.limits.maxBatchEvents) return false;
+      bump(counters.rejectedRequests, 'batch_too_large');
+      bump(counters.droppedEvents, 'batch_too_large', count);
+      return true;
+    },
+
+    /**
+     * Admits a request against the IP bucket and each sessionId's bucket, or
+     * refuses it without consuming anything.
+     *
+     * @param {string} ip - Client address (req.ip)
+     * @param {Object[]} events - Events in the request (sessionId read when it is a string)
+     * @returns {{ scope: 'ip'|'session', retryAfterMs: number } | null} null = admitted
+     */
+    admit(ip, events) {
+      if (!config.rateLimit.enabled) return null;
+      const now = Date.now();
+
+      const perSession = new Map();
+      for (const event of events) {
+        const sid = typeof event?.sessionId === 'string' ? event.sessionId : '(none)';
+        perSession.set(sid, (perSession.get(sid) || 0) + 1);
+      }
+
+      let refusal = null;
+      const ipWait = ipBuckets.waitMs(ip, events.length, now);
+      if (ipWait > 0) refusal = { scope: 'ip', retryAfterMs: ipWait };
+      for (const [sid, cost] of perSession) {
+        const wait = sessionBuckets.waitMs(sid, cost, now);
+        if (wait > (refusal?.retryAfterMs ?? 0)) refusal = { scope: 'session', retryAfterMs: wait };
+      }
+
+      if (refusal) {
+        bump(counters.rejectedRequests, `rate_limited_${refusal.scope}`);
+        bump(counters.droppedEvents, 'rate_limited', events.length);
+        return refusal;
+      }
+
+      ipBuckets.take(ip, events.length, now);
+      for (const [sid, cost] of perSession) sessionBuckets.take(sid, cost, now);
+      return null;
+    },
+
+    /**
+     * @param {Object} event - Single event
+     * @returns {Object|null} Validation-style error when metadata exceeds limits.maxMetadataBytes
+     */
+    metadataError(event) {
+      if (!event || typeof event.metadata !== 'object' || event.metadata === null) return null;
+      const bytes = Buffer.byteLength(JSON.stringify(event.metadata));
+      if (bytes <= config.limits.maxMetadataBytes) return null;
+      return { field: 'metadata', message: `is ${bytes} bytes, limit is ${config.limits.maxMetadataBytes}` };
+    },
+
+    countAccepted(n) {
+      counters.acceptedEvents += n;
+    },
+
+    countDropped(reason, n = 1) {
+      if (n > 0) bump(counters.droppedEvents, reason, n);
+    },
+
+    countRejectedRequest(reason) {
+      bump(counters.rejectedRequests, reason);
+    },
+
+    /** Counter snapshot plus the number of live buckets. */
+    stats() {
+      return {
+        ...counters,
+        droppedEvents: { ...counters.droppedEvents },
+        rejectedRequests: { ...counters.rejectedRequests },
+        rateLimit: {
+          enabled: config.rateLimit.enabled,
+          trackedIps: ipBuckets.size(),
+          trackedSessions: sessionBuckets.size(),
+        },
+      };
+    },
+  };
+}
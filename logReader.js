@@ -0,0 +1,177 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * NDJSON LOG READER (Query Layer)
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Purpose: Read-side counterpart to server.js ingestion. Streams telemetry
+ * events out of the storage layer for the query API and the admin dashboard.
+ *
+ * Architecture:
+ *   - readEvents() delegates to the configured backend (storage/index.js):
+ *     NDJSON segments parsed line-by-line, or paged SQLite rows
+ *   - Structured filters go down as a `where` clause so SQLite can use its
+ *     sessionId/eventType/timestamp indexes
+ *   - Aggregations keep one small record per session, not per event
+ *
+ * Design Rationale:
+ *   - Malformed lines are skipped (a partial trailing line during an append
+ *     must not break a query)
+ *   - Events come back oldest-first (closed segments by timestamp, then the
+ *     active file; SQLite by row id) so order approximates arrival order
+ *
+ * Data Flow:
+ *   storage backend → readEvents() → filter → summarizeSessions() / queryEvents()
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+import path from 'path';
+import { getStorage } from './storage/index.js';
+import { DEFAULT_BASE_NAME, listSegments, readNdjsonFile } from './storage/segments.js';
+import { eventTime, combineFilters } from './storage/query.js';
+
+export { readNdjsonFile, eventTime };
+
+// ─────────────────────────────────────────────────────────────────────────────
+// FILE DISCOVERY
+// ─────────────────────────────────────────────────────────────────────────────
+/**
+ * Lists NDJSON log files oldest-first: closed segments sorted by their
+ * timestamp (.ndjson or .ndjson.gz), followed by the active log if present.
+ *
+ * @param {string} logsDir - Directory holding the NDJSON logs
+ * @returns {Promise<string[]>} Absolute file paths
+ */
+export async function listLogFiles(logsDir) {
+  const files = (await listSegments(logsDir, DEFAULT_BASE_NAME)).map(segment => segment.path);
+  files.push(path.join(logsDir, `${DEFAULT_BASE_NAME}.ndjson`));
+  return files;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// EVENT SOURCE
+// ─────────────────────────────────────────────────────────────────────────────
+/**
+ * Async generator over every stored event, one parsed object at a time.
+ * Reads from the configured storage backend, or straight from NDJSON files
+ * when `logsDir` is given (offline tooling, copied log directories).
+ *
+ * @param {Object} options
+ * @param {string} [options.logsDir] - Read NDJSON files from this directory instead of the store
+ * @param {Object} [options.where] - { sessionId?, eventType?, pageRoute?, from?, to? } (indexed in SQLite)
+ * @param {(event: Object) => boolean} [options.filter] - Keep only matching events
+ * @yields {Object} Parsed telemetry event
+ */
+export async function* readEvents({ logsDir, where, filter } = {}) {
+  if (!logsDir) {
+    yield* getStorage().readEvents({ where, filter });
+    return;
+  }
+
+  const predicate = combineFilters(where, filter);
+  for (const file of await listLogFiles(logsDir)) {
+    yield* readNdjsonFile(file, predicate);
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// QUERIES
+// ─────────────────────────────────────────────────────────────────────────────
+/**
+ * Aggregates the logs into one summary per session.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.logsDir] - Read NDJSON files from here instead of the configured store
+ * @returns {Promise<Object[]>} Sessions sorted by lastSeen (most recent first):
+ *   { sessionId, userId, eventCount, firstSeen, lastSeen, pagesVisited[] }
+ */
+export async function summarizeSessions({ logsDir } = {}) {
+  const sessions = new Map();
+
+  for await (const event of readEvents({ logsDir })) {
+    if (!event.sessionId) continue;
+    const t = eventTime(event);
+
+    let summary = sessions.get(event.sessionId);
+    if (!summary) {
+      summary = {
+        sessionId: event.sessionId,
+        userId: event.userId ?? null,
+        eventCount: 0,
+        firstSeenMs: t,
+        lastSeenMs: t,
+        pagesVisited: [],
+      };
+      sessions.set(event.sessionId, summary);
+    }
+
+    summary.eventCount++;
+    if (!summary.userId && event.userId) summary.userId = event.userId;
+    if (t < summary.firstSeenMs || Number.isNaN(summary.firstSeenMs)) summary.firstSeenMs = t;
+    if (t > summary.lastSeenMs || Number.isNaN(summary.lastSeenMs)) summary.lastSeenMs = t;
+    if (event.pageRoute && !summary.pagesVisited.includes(event.pageRoute)) {
+      summary.pagesVisited.push(event.pageRoute);
+    }
+  }
+
+  const toIso = ms => (Number.isNaN(ms) ? null : new Date(ms).toISOString());
+  return [...sessions.values()]
+    .sort((a, b) => (b.lastSeenMs || 0) - (a.lastSeenMs || 0))
+    .map(({ firstSeenMs, lastSeenMs, ...rest }) => ({
+      ...rest,
+      firstSeen: toIso(firstSeenMs),
+      lastSeen: toIso(lastSeenMs),
+    }));
+}
+
+/**
+ * Returns one session's events as an ordered timeline.
+ *
+ * @param {string} sessionId - Session to fetch
+ * @param {Object} [options]
+ * @param {string} [options.logsDir] - Read NDJSON files from here instead of the configured store
+ * @returns {Promise<Object[]>} Events sorted by eventTime (stable for ties)
+ */
+export async function getSessionEvents(sessionId, { logsDir } = {}) {
+  const events = [];
+  for await (const event of readEvents({ logsDir, where: { sessionId } })) {
+    events.push(event);
+  }
+  return events.sort((a, b) => eventTime(a) - eventTime(b));
+}
+
+/**
+ * Filtered, paginated event query. Only the requested page is held in memory;
+ * the rest of the stream is counted and discarded.
+ *
+ * @param {Object} [query]
+ * @param {string} [query.eventType] - Exact eventType match
+ * @param {string} [query.pageRoute] - Exact pageRoute match
+ * @param {string} [query.sessionId] - Exact sessionId match
+ * @param {number} [query.from] - Inclusive lower bound (epoch ms)
+ * @param {number} [query.to] - Exclusive upper bound (epoch ms)
+ * @param {number} [query.limit=100] - Page size
+ * @param {number} [query.offset=0] - Number of matches to skip
+ * @param {string} [query.logsDir] - Read NDJSON files from here instead of the configured store
+ * @returns {Promise<{ total: number, limit: number, offset: number, events: Object[] }>}
+ */
+export async function queryEvents({
+  eventType,
+  pageRoute,
+  sessionId,
+  from,
+  to,
+  limit = 100,
+  offset = 0,
+  logsDir,
+} = {}) {
+  const where = { eventType, pageRoute, sessionId, from, to };
+
+  const events = [];
+  let total = 0;
+  for await (const event of readEvents({ logsDir, where })) {
+    if (total >= offset && events.length < limit) events.push(event);
+    total++;
+  }
+
+  return { total, limit, offset, events };
+}
@@ -0,0 +1,159 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * SERVER METRICS (Prometheus text format)
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Purpose: Lets a local Prometheus (or curl) scrape GET /metrics to see what
+ * the ingestion server is doing without reading the logs.
+ *
+ * Architecture:
+ *   - Counters owned here are updated from the write path in server.js:
+ *     recordIngested() per stored batch, recordWrite() around store.append()
+ *   - Everything else is a gauge read at scrape time and passed to
+ *     renderMetrics() (ingest guard counters, S3 sync status, SSE subscribers,
+ *     active segment size), so this module holds no references to other modules
+ *
+ * Exposition (text/plain; version=0.0.4):
+ *   # HELP telemetry_events_ingested_total Events written to the store, by eventType.
+ *   # TYPE telemetry_events_ingested_total counter
+ *   telemetry_events_ingested_total{event_type="click"} 42
+ *
+ * Counters reset when the server restarts; Prometheus handles that natively.
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+export const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Write latency buckets in seconds (appendFile / SQLite insert of one batch)
+const WRITE_BUCKETS = [0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1];
+
+const ingestedByType = new Map();
+const writeLatency = {
+  buckets: WRITE_BUCKETS.map(() => 0),
+  sum: 0,
+  count: 0,
+};
+let writeFailures = 0;
+
+// ─────────────────────────────────────────────────────────────────────────────
+// RECORDING (write path)
+// ─────────────────────────────────────────────────────────────────────────────
+/**
+ * Counts stored events by eventType. eventType is schema-validated, so the
+ * label set stays bounded.
+ *
+ * @param {Object[]} events - Events as stored
+ */
+export function recordIngested(events) {
+  for (const { eventType } of events) {
+    ingestedByType.set(eventType, (ingestedByType.get(eventType) || 0) + 1);
+  }
+}
+
+/**
+ * Observes one store write.
+ *
+ * @param {number} durationMs - Time spent in store.append()
+ * @param {boolean} ok - False if the write threw
+ */
+export function recordWrite(durationMs, ok) {
+  const seconds = durationMs / 1000;
+  WRITE_BUCKETS.forEach((le, i) => {
+    if (seconds <= le) writeLatency.buckets[i]++;
+  });
+  writeLatency.sum += seconds;
+  writeLatency.count++;
+  if (!ok) writeFailures++;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// EXPOSITION
+// ─────────────────────────────────────────────────────────────────────────────
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+/**
+ * Appends one metric family.
+ *
+ * @param {string[]} lines - Output buffer
+ * @param {string} name - Metric name
+ * @param {'counter'|'gauge'|'histogram'} type
+ * @param {string} help - HELP text
+ * @param {Array<[Object, number]>} samples - [labels, value] pairs (name suffixes go in labels.__suffix)
+ */
+function family(lines, name, type, help, samples) {
+  lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+  for (const [{ __suffix = '', ...labels }, value] of samples) {
+    lines.push(`${name}${__suffix}${formatLabels(labels)} ${Number.isFinite(value) ? value : 0}`);
+  }
+}
+
+const epochSeconds = (iso) => (iso ? Date.parse(iso) / 1000 : 0);
+
+/**
+ * Renders every metric in Prometheus text format.
+ *
+ * @param {Object} gauges - Values read at scrape time
+ * @param {Object} gauges.ingest - ingestGuard stats() ({ acceptedEvents, droppedEvents, rejectedRequests })
+ * @param {Object} gauges.s3 - s3Uploader getSyncStatus()
+ * @param {number} gauges.subscribers - Connected GET /api/stream clients
+ * @param {number} gauges.activeSegmentBytes - Size of the segment being written
+ * @param {string} gauges.storageBackend - 'ndjson' | 'sqlite'
+ * @returns {string} Exposition text (ends with a newline)
+ */
+export function renderMetrics({ ingest, s3, subscribers, activeSegmentBytes, storageBackend }) {
+  const lines = [];
+
+  family(lines, 'telemetry_events_ingested_total', 'counter',
+    'Events written to the store, by eventType.',
+    [...ingestedByType].sort(([a], [b]) => a.localeCompare(b)).map(([eventType, n]) => [{ event_type: eventType }, n]));
+
+  // recordWrite() counts an observation in every bucket it fits, so buckets are already cumulative
+  family(lines, 'telemetry_store_write_duration_seconds', 'histogram',
+    'Time to append one batch to the store.',
+    [
+      ...WRITE_BUCKETS.map((le, i) => [{ __suffix: '_bucket', le: String(le) }, writeLatency.buckets[i]]),
+      [{ __suffix: '_bucket', le: '+Inf' }, writeLatency.count],
+      [{ __suffix: '_sum' }, writeLatency.sum],
+      [{ __suffix: '_count' }, writeLatency.count],
+    ]);
+  family(lines, 'telemetry_store_write_failures_total', 'counter',
+    'Store appends that threw (the request answered 500).', [[{}, writeFailures]]);
+  family(lines, 'telemetry_store_active_segment_bytes', 'gauge',
+    'Size of the active log segment (NDJSON) or database file (SQLite).',
+    [[{ backend: storageBackend }, activeSegmentBytes]]);
+
+  family(lines, 'telemetry_ingest_accepted_events_total', 'counter',
+    'Events accepted by the ingest guard and schema validation.', [[{}, ingest.acceptedEvents]]);
+  family(lines, 'telemetry_ingest_dropped_events_total', 'counter',
+    'Events not written, by reason.',
+    Object.entries(ingest.droppedEvents).map(([reason, n]) => [{ reason }, n]));
+  family(lines, 'telemetry_ingest_rejected_requests_total', 'counter',
+    'Requests refused as a whole by the ingest guard, by reason.',
+    Object.entries(ingest.rejectedRequests).map(([reason, n]) => [{ reason }, n]));
+
+  family(lines, 'telemetry_s3_sync_info', 'gauge',
+    'S3 sync mode (enabled, dry-run, disabled).', [[{ mode: s3.mode }, 1]]);
+  family(lines, 'telemetry_s3_last_success_timestamp_seconds', 'gauge',
+    'Unix time of the last successful segment upload (0 = none since start).',
+    [[{}, epochSeconds(s3.lastSuccessAt)]]);
+  family(lines, 'telemetry_s3_last_failure_timestamp_seconds', 'gauge',
+    'Unix time of the last failed segment upload (0 = none since start).',
+    [[{}, epochSeconds(s3.lastFailureAt)]]);
+  family(lines, 'telemetry_s3_uploaded_segments_total', 'counter',
+    'Segments uploaded since start.', [[{}, s3.uploadedSegments]]);
+  family(lines, 'telemetry_s3_failed_segments_total', 'counter',
+    'Segment upload attempts that failed since start.', [[{}, s3.failedSegments]]);
+
+  family(lines, 'telemetry_stream_subscribers', 'gauge',
+    'Connected GET /api/stream (SSE) clients.', [[{}, subscribers]]);
+
+  return lines.join('\n') + '\n';
+}
@@ -17,142 +17,1476 @@
  * Architecture Pattern:
  *   - Singleton design pattern for global state management
  *   - Event-driven architecture using native DOM listeners
- *   - Fire-and-forget transmission (does not block UI thread)
+ *   - Batched, retrying transport queue (does not block UI thread)
  * 
  * Integration:
  *   - Initialize once per page: Telemetry.init('pageRoute', {...contextOptions})
- *   - Emits events to server via POST /api/telemetry
- *   - Uses sendBeacon() for critical events during page unload
+ *   - Queues events and ships them in batches via POST /api/telemetry/batch
+ *   - Flushes the queue with sendBeacon() on visibilitychange/pagehide
+ *   - Unsent events persist in sessionStorage and survive page navigation
+ *   - Sampled sessions also record a masked DOM replay → POST /api/replay/:sessionId
+ *   - Consent gates what is emitted: Telemetry.setConsent('none'|'essential'|'full')
+ *   - Metadata is redacted before send (Telemetry.privacy; the server redacts again)
+ *   - Page performance: Web Vitals, navigation timing and long tasks (Telemetry.perf)
+ *   - Opt-in: fetch/XMLHttpRequest calls as api_call events (Telemetry.network)
+ *   - Detector thresholds come from GET /api/telemetry/config at init
+ *     (Telemetry.detectors); events carry the version as metadata.configVersion
+ *   - Detectors are plugins: Telemetry.use(plugin) adds one, and
+ *     detectors.<name>.enabled = false turns one off for a page
+ *   - Single-page apps: Telemetry.setRoute(name) starts a virtual page;
+ *     Telemetry.spa.trackHistory follows pushState/replaceState/popstate
+ *   - One session across tabs (localStorage + BroadcastChannel) with
+ *     inactivity/max-age timeouts and session_start/session_end events;
+ *     every event carries the tab's tabId
  * ═══════════════════════════════════════════════════════════════════════════
  */
 const Telemetry = {
   pageRoute: null,
   baseContext: {},
   _behavioralAttached: false,
-  _formInteracted: false,
-  _formSubmitted: false,
+  _plugins: new Map(),
+  _activePlugins: new Map(),
   _pageStartTime: null,
+  _queue: null,
+  _inFlight: 0,
+  _flushTimer: null,
+  _retryCount: 0,
+  _transportAttached: false,
+  _replay: null,
+  _perfAttached: false,
+  _networkAttached: false,
+  _networkHistory: null,
+  _builtinDetectors: null,
+  _localDetectors: null,
+  _remoteConfig: null,
+  _historyAttached: false,
+  _pageUrl: null,
+  _tabIdValue: null,
+  _sessionChannel: null,
+  _currentSessionId: null,
+  _endingSession: null,
+  _memorySession: null,
 
   /**
-   * Initialize or retrieve session ID (guarantees non-null return).
+   * Transport tuning for the batching queue.
+   *   - maxBatchSize: flush as soon as this many events are queued
+   *   - flushIntervalMs: otherwise flush this long after the first queued event
+   *   - maxRetries / retryBaseMs: exponential backoff for failed batches
+   *   - maxQueueSize: oldest events are dropped beyond this (protects sessionStorage quota)
+   *   - ingestKey: site key checked by the server (config/ingest.json); sent as
+   *     X-Telemetry-Key, or ?key= where headers are impossible (sendBeacon)
+   */
+  transport: {
+    endpoint: '/api/telemetry/batch',
+    ingestKey: 'pk_local_mock_site',
+    storageKey: 'telemetry_queue',
+    maxBatchSize: 20,
+    flushIntervalMs: 2000,
+    maxRetries: 5,
+    retryBaseMs: 1000,
+    maxQueueSize: 500,
+  },
+
+  /**
+   * Session replay recording (see the SESSION REPLAY RECORDER section).
+   *   - sampleRate: fraction of sessions recorded, decided once per session;
+   *     ?replay=1 / ?replay=0 on any page forces it for the session
+   *   - maskAllText: mask every text node, not only [data-telemetry-mask] subtrees
+   *   - chunkBytes / flushIntervalMs: ship a chunk at this size, or this long
+   *     after its first event
+   *   - maxSessionBytes: stop recording once the session has shipped this much
+   */
+  replay: {
+    endpoint: '/api/replay',
+    sampleRate: 0.1,
+    maskAllText: false,
+    chunkBytes: 48 * 1024,
+    flushIntervalMs: 5000,
+    maxSessionBytes: 2 * 1024 * 1024,
+    pointerThrottleMs: 50,
+    scrollThrottleMs: 100,
+  },
+
+  /**
+   * Privacy controls (see the PRIVACY section). Defaults mirror
+   * config/privacy.json, which the server applies again before writing.
+   *   - defaultConsent: level used until setConsent() is called
+   *   - essentialEvents: emitted under 'essential'; everything else needs 'full'
+   *   - denyFields: metadata/context keys dropped before send
+   *   - allowFields: keys whose values skip the scrubbers
+   *   - scrubbers: [pattern, replacement] applied in order to every other string
+   */
+  privacy: {
+    consentKey: 'telemetry_consent',
+    defaultConsent: 'full',
+    essentialEvents: [
+      'page_view', 'page_view_end', 'system_error', 'timeout', 'retry_attempt',
+      'flow_start', 'flow_step', 'flow_complete', 'flow_abandon', 'step_dwell',
+      'session_start', 'session_end',
+    ],
+    denyFields: ['password', 'email', 'ssn', 'accountNumber', 'cardNumber', 'routingNumber', 'phone', 'dob', 'address', 'fullName'],
+    allowFields: ['element', 'field', 'flowName', 'stepName', 'errorType', 'operation', 'behavior', 'scenario', 'configVersion'],
+    scrubbers: [
+      [/[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi, '[email]'],
+      [/\b\d{3}-\d{2}-\d{4}\b/g, '[ssn]'],
+      [/\b(?:\d[ -]?){12,18}\d\b/g, '[card]'],
+      [/\b\d{8,12}\b/g, '[account]'],
+    ],
+  },
+
+  /**
+   * Page performance capture (see the PAGE PERFORMANCE section).
+   *   - webVitals: LCP, CLS, INP, FCP and TTFB as web_vital events, once per page
+   *   - navigationTiming: one navigation_timing event with the load breakdown
+   *   - longTaskMs / maxLongTasks: main-thread tasks at least this long become
+   *     long_task events, at most maxLongTasks per page
+   */
+  perf: {
+    webVitals: true,
+    navigationTiming: true,
+    longTaskMs: 50,
+    maxLongTasks: 20,
+  },
+
+  /**
+   * Network instrumentation, opt-in (see the NETWORK INSTRUMENTATION section).
+   *   - enabled: wrap fetch and XMLHttpRequest during init(); instrumentNetwork()
+   *     does the same on demand
+   *   - ignoreUrls: extra URL prefixes (strings) or RegExps never reported; the
+   *     SDK's own /api/telemetry and /api/replay traffic is always excluded
+   *   - retryWindowMs: a call to the same method + URL template within this
+   *     long after a failed one is counted as a retry
+   */
+  network: {
+    enabled: false,
+    ignoreUrls: [],
+    retryWindowMs: 10000,
+  },
+
+  /**
+   * Client-side routing, opt-in (see the SINGLE-PAGE APPS section).
+   *   - trackHistory: during init(), patch history.pushState/replaceState and
+   *     listen to popstate, calling setRoute() whenever the route name
+   *     changes; instrumentHistory() does the same on demand
+   *   - routeName: (location) => route name; by default the path without
+   *     slashes and .html ('/trade/confirm' → 'trade/confirm', '/' → 'index')
+   */
+  spa: {
+    trackHistory: false,
+    routeName: null,
+  },
+
+  /**
+   * Session lifetime (see the SESSIONS section).
+   *   - inactivityTimeoutMs: a session with no event in any tab for this
+   *     long ends with reason 'timeout'
+   *   - maxDurationMs: a session ends with reason 'max_age' at this age,
+   *     however active it is
+   *   - logoutEvents: emitting one of these ends the session ('logout')
+   *   - storageKey (localStorage) / channelName (BroadcastChannel) are
+   *     shared by every tab of the origin; tabIdKey is per tab (sessionStorage)
+   */
+  session: {
+    inactivityTimeoutMs: 30 * 60 * 1000,
+    maxDurationMs: 12 * 60 * 60 * 1000,
+    logoutEvents: ['logout_click'],
+    storageKey: 'telemetry_session',
+    channelName: 'telemetry_session',
+    tabIdKey: 'telemetry_tab_id',
+  },
+
+  /**
+   * Behavioral detector thresholds (see attachBehavioralCapture). These are
+   * the built-ins; init() layers the server's config for the page and then
+   * init(page, { detectors }) on top (see DETECTOR CONFIGURATION). Detectors
+   * read them on every check, so a config that arrives after init applies
+   * from the next event on.
+   */
+  detectors: {
+    rageClick: { threshold: 3, windowMs: 800 },
+    deadClick: { delayMs: 350, scrollTolerancePx: 5 },
+    scrollDepth: { milestones: [0.25, 0.5, 0.75, 1] },
+    erraticScroll: { windowMs: 2000, minFlips: 3, minSamples: 4, cooldownMs: 3000 },
+    idle: { thresholdMs: 30000 },
+    mouseShake: { windowMs: 500, throttleMs: 50, minFlips: 3, minSamples: 5, cooldownMs: 2000 },
+    refocus: { windowMs: 5000 },
+  },
+
+  /**
+   * Remote SDK config (GET endpoint?pageRoute= → { version, detectors }).
+   *   - storageKey: the last response per page is kept in sessionStorage and
+   *     applied synchronously on the next load, before the refetch answers
+   *   - timeoutMs: give up and keep the current thresholds after this long
+   */
+  remoteConfig: {
+    enabled: true,
+    endpoint: '/api/telemetry/config',
+    storageKey: 'telemetry_config',
+    timeoutMs: 3000,
+  },
+
+  /**
+   * Version of the thresholds in use, stamped on every event as
+   * metadata.configVersion: the server config's version, 'builtin' before
+   * one has been received, with '+local' appended when init() overrides it.
+   */
+  configVersion: 'builtin',
+
+  /**
+   * ─────────────────────────────────────────────────────────────────────
+   * SESSIONS (shared across tabs)
+   * ─────────────────────────────────────────────────────────────────────
+   * 
+   * One session spans every tab of the site. Its record lives in
+   * localStorage (session.storageKey):
+   *   { id, startedAt, lastActivityAt, endedAt?, endReason? }   (epoch ms)
+   * and every emitted event counts as activity.
+   * 
+   * A session ends, with session_end { reason, durationMs }, when:
+   *   - 'timeout':  no event in any tab for session.inactivityTimeoutMs
+   *   - 'max_age':  it is older than session.maxDurationMs
+   *   - 'logout':   a session.logoutEvents event (logout_click) is emitted,
+   *                 or the page calls Telemetry.endSession()
+   * Expiry is noticed by the next event in any tab, so a timed-out
+   * session_end is stamped when the user returns; its durationMs runs from
+   * the first to the last activity. The event that noticed it opens the next
+   * session: session_start { reason: 'new' | <why the last one ended>,
+   * previousSessionId? }, then the event itself.
+   * 
+   * Tabs:
+   *   - tabId (sessionStorage, so it survives reloads) is on every event
+   *   - A BroadcastChannel tells the other tabs about a new session right
+   *     away (their replay recorder restarts under it), and gives a
+   *     duplicated tab, which inherits sessionStorage, a tabId of its own
+   * 
+   * Simulations: the Playwright runner injects sessionStorage.sessionId
+   * together with simSeed. That ID is used as is, without timeouts or
+   * sharing, so events join the run's session manifest.
+   */
+
+  /**
+   * Set up the tab and make sure a session is open (called by init()).
    * @returns {string} Session ID
    */
   _initSession() {
-    let sid = sessionStorage.getItem('sessionId');
-    if (!sid) {
-      sid = `S${Date.now()}-${Math.floor(Math.random() * 10000)}`;
-      sessionStorage.setItem('sessionId', sid);
+    this._tabId();
+    this._attachSessionChannel();
+    return this._sessionId();
+  },
+
+  /**
+   * Current session ID. Ends an expired session and opens the next one first.
+   * @param {boolean} [activity=true] - Counts as activity (events do, replay uploads don't)
+   * @returns {string} Session ID
+   */
+  _sessionId(activity = true) {
+    const pinned = this._pinnedSessionId();
+    if (pinned) return pinned;
+    // session_end is built while its session is being closed
+    if (this._endingSession) return this._endingSession.id;
+
+    const now = Date.now();
+    let record = this._readSession();
+    const expired = record && !record.endedAt && this._sessionExpiry(record, now);
+    if (expired) record = this._endSession(expired, record, now);
+
+    if (!record || record.endedAt) {
+      record = this._startSession(record, now);
+    } else if (activity) {
+      this._writeSession({ ...record, lastActivityAt: now });
+    }
+    this._noticeSession(record.id);
+    return record.id;
+  },
+
+  /** @returns {string|null} Session ID injected by the Playwright runner */
+  _pinnedSessionId() {
+    return sessionStorage.getItem('simSeed') !== null ? sessionStorage.getItem('sessionId') : null;
+  },
+
+  /** @returns {'timeout'|'max_age'|null} Why the session is over, if it is */
+  _sessionExpiry(record, now) {
+    if (now - record.lastActivityAt >= this.session.inactivityTimeoutMs) return 'timeout';
+    if (now - record.startedAt >= this.session.maxDurationMs) return 'max_age';
+    return null;
+  },
+
+  _readSession() {
+    try {
+      return JSON.parse(localStorage.getItem(this.session.storageKey));
+    } catch (_) {
+      return this._memorySession;   // storage blocked: this tab keeps its own session
+    }
+  },
+
+  _writeSession(record) {
+    this._memorySession = record;
+    try {
+      localStorage.setItem(this.session.storageKey, JSON.stringify(record));
+    } catch (_) {}
+  },
+
+  _startSession(previous, now) {
+    const record = {
+      id: `S${now}-${Math.floor(Math.random() * 10000)}`,
+      startedAt: now,
+      lastActivityAt: now,
+    };
+    this._writeSession(record);
+    this._noticeSession(record.id);
+    this._sessionChannel?.postMessage({ type: 'session', id: record.id });
+    this.emit('session_start', {
+      reason: previous?.endReason ?? 'new',
+      ...(previous && { previousSessionId: previous.id }),
+    });
+    return record;
+  },
+
+  /** Emits session_end under the closing session and marks the record ended. */
+  _endSession(reason, record, now) {
+    this._endingSession = record;
+    try {
+      this.emit('session_end', { reason, durationMs: record.lastActivityAt - record.startedAt });
+    } finally {
+      this._endingSession = null;
+    }
+    const ended = { ...record, endedAt: now, endReason: reason };
+    this._writeSession(ended);
+    return ended;
+  },
+
+  /**
+   * End the current session now, e.g. from the app's own logout handler.
+   * The next event opens a new session. Emitting logout_click does the same.
+   * @param {string} [reason='logout']
+   */
+  endSession(reason = 'logout') {
+    if (this._pinnedSessionId()) return;
+    const record = this._readSession();
+    if (record && !record.endedAt) this._endSession(reason, record, Date.now());
+  },
+
+  /**
+   * Tracks the session this tab is in. On a change the replay buffer is
+   * shipped under the old session and recording restarts under the new one.
+   */
+  _noticeSession(id) {
+    if (id === this._currentSessionId) return;
+    const changed = this._currentSessionId !== null;
+    if (changed) this._replayFlush();
+    this._currentSessionId = id;
+    if (changed && this.pageRoute) {
+      this._replayStop('session');
+      ['telemetry_replay', 'telemetry_replay_seq', 'telemetry_replay_bytes'].forEach((key) => sessionStorage.removeItem(key));
+      this._attachReplay();
     }
-    return sid;
+  },
+
+  /** @returns {string} This tab's ID, created on first use */
+  _tabId() {
+    if (!this._tabIdValue) {
+      let id = sessionStorage.getItem(this.session.tabIdKey);
+      if (!id) {
+        id = `T${Date.now()}-${Math.floor(Math.random() * 10000)}`;
+        sessionStorage.setItem(this.session.tabIdKey, id);
+      }
+      this._tabIdValue = id;
+    }
+    return this._tabIdValue;
+  },
+
+  /**
+   * Joins the tabs' BroadcastChannel. Messages:
+   *   { type: 'session', id }       another tab opened a session
+   *   { type: 'hello', tabId }      a tab loaded; answered with 'tab_taken'
+   *                                 if this tab already uses that tabId
+   *   { type: 'tab_taken', tabId }  this tab is a duplicate: pick a new tabId
+   */
+  _attachSessionChannel() {
+    if (this._sessionChannel || typeof BroadcastChannel !== 'function') return;
+    const channel = new BroadcastChannel(this.session.channelName);
+    channel.onmessage = ({ data }) => {
+      if (data?.type === 'session' && !this._pinnedSessionId()) {
+        this._noticeSession(data.id);
+      } else if (data?.type === 'hello' && data.tabId === this._tabId()) {
+        channel.postMessage({ type: 'tab_taken', tabId: data.tabId });
+      } else if (data?.type === 'tab_taken' && data.tabId === this._tabId()) {
+        sessionStorage.removeItem(this.session.tabIdKey);
+        this._tabIdValue = null;
+        this._tabId();
+      }
+    };
+    this._sessionChannel = channel;
+    channel.postMessage({ type: 'hello', tabId: this._tabId() });
+  },
+
+  /**
+   * Simulation seed injected by the Playwright runner (--seed), or null for
+   * real users. Stamped on every event as metadata.seed so a session can be
+   * replayed with `node run.js --replay-seed <seed>`.
+   * @returns {number|null}
+   */
+  _simSeed() {
+    const seed = sessionStorage.getItem('simSeed');
+    return seed === null ? null : Number(seed);
+  },
+
+  /**
+   * Random number in [0, 1) for the mock pages' simulated failures.
+   *
+   * In a seeded simulation this is a mulberry32 generator whose state lives in
+   * sessionStorage, so the sequence carries across page loads and a replayed
+   * session rolls the same dice in the same order. Without a seed it is
+   * Math.random().
+   * @returns {number}
+   */
+  random() {
+    const seed = this._simSeed();
+    if (seed === null) return Math.random();
+
+    const stateKey = 'simSeedState';
+    let state = Number(sessionStorage.getItem(stateKey) ?? seed) >>> 0;
+    state = (state + 0x6D2B79F5) >>> 0;
+    sessionStorage.setItem(stateKey, String(state));
+
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
   },
 
   /**
    * Initialize telemetry for a page.
    * @param {string} pageName - Route identifier (e.g., 'trade', 'login')
-   * @param {object} options - Additional context to attach to all events
+   * @param {object} options - Additional context to attach to all events;
+   *   options.detectors is not context but threshold overrides
+   *   (e.g. { rageClick: { threshold: 4 } })
    */
   init(pageName, options = {}) {
+    const { detectors, ...context } = options;
     this.pageRoute = pageName;
-    this.baseContext = options;
+    this.baseContext = context;
+    this._localDetectors = detectors || null;
     this._pageStartTime = performance.now();
+    this._pageUrl = window.location.href;
 
+    this._applyDetectorConfig(this._cachedRemoteConfig());
     this._initSession();
+    this._loadRemoteConfig();
     if (!sessionStorage.getItem('userId')) {
       sessionStorage.setItem('userId', 'U-guest');
     }
 
-    // U-turn detection (AI metric #7): route history A -> B -> A
-    const routeHistoryKey = 'telemetry_route_history';
-    let routeHistory = [];
+    this._attachTransport();
+    this.attachBehavioralCapture();
+    this._attachReplay();
+    this._attachPerformance();
+    if (this.network.enabled) this.instrumentNetwork();
+    if (this.spa.trackHistory) this.instrumentHistory();
+    this.emit('page_view', {
+      pageRoute: this.pageRoute,
+      referrer: document.referrer || null
+    });
+  },
+
+  /**
+   * Data Normalization Engine
+   * 
+   * Why we enforce this schema:
+   *   - Promotes `id` to top-level `elementId` for ML feature engineering
+   *   - Ensures consistent camelCase naming (critical for JSON parsing in Python/R)
+   *   - Isolates business-specific metadata from universal context fields
+   * 
+   * Schema Contract:
+   *   {
+   *     sessionId, tabId, userId, pageRoute, eventType, timestamp, url,
+   *     elementId? (extracted from metadata.id),
+   *     ...baseContext (page-level attrs),
+   *     metadata: {...} (event-specific data)
+   *   }
+   * 
+   * Session ID Guarantee:
+   *   - Always the open session (see SESSIONS), starting one if needed
+   *   - Prevents null sessionId in early page_view events (race condition fix)
+   */
+  _buildEvent(eventType, metadata = {}) {
+    const { id, ...rawMetadata } = metadata;
+    const sid = this._sessionId();
+    const redactions = { count: 0 };
+    const restMetadata = this._redact(rawMetadata, null, redactions);
+    const context = this._redact(this.baseContext, null, redactions);
+    const url = this._redact(window.location.href, 'url', redactions);
+    const seed = this._simSeed();
+    if (seed !== null) restMetadata.seed = seed;
+    if (redactions.count > 0) restMetadata.redactions = redactions.count;
+    restMetadata.configVersion = this.configVersion;
+    return {
+      sessionId: sid,
+      tabId: this._tabId(),
+      userId: sessionStorage.getItem('userId') || 'U-guest',
+      pageRoute: this.pageRoute,
+      eventType,
+      timestamp: new Date().toISOString(),
+      url,
+      ...(id && { elementId: id }),
+      ...context,
+      metadata: restMetadata,
+    };
+  },
+
+  /**
+   * Emit a telemetry event.
+   * @param {string} eventType - Event name
+   * @param {object} metadata - Event-specific data
+   * 
+   * Running detector plugins see every emitted event (onEmit); e.g. the
+   * formAbandonment detector treats flow_complete as a submission.
+   */
+  emit(eventType, metadata = {}) {
+    if (!this.consentAllows(eventType)) return;
+    const evt = this._buildEvent(eventType, metadata);
+    console.log('📊 Telemetry:', eventType, metadata);
+
+    this._notifyPlugins(eventType, metadata);
+    this._enqueue(evt);
+    if (this.session.logoutEvents.includes(eventType)) this.endSession('logout');
+  },
+
+  /**
+   * Emit an event that must survive page unload (flow_abandon, page_view_end).
+   * The event joins the queue so ordering is preserved, then everything that
+   * is not already in flight is shipped immediately via navigator.sendBeacon.
+   */
+  sendBeacon(eventType, metadata = {}) {
+    if (!this.consentAllows(eventType)) return;
+    const evt = this._buildEvent(eventType, metadata);
+    this._notifyPlugins(eventType, metadata);
+    this._enqueue(evt, { immediate: false });
+    if (this.session.logoutEvents.includes(eventType)) this.endSession('logout');
+    this._flushWithBeacon();
+  },
+
+  /**
+   * ─────────────────────────────────────────────────────────────────────
+   * PRIVACY: Consent & Redaction
+   * ─────────────────────────────────────────────────────────────────────
+   * 
+   * Consent levels (persisted in localStorage, so they outlive the session):
+   *   - 'none':      nothing is emitted; queued events are discarded
+   *   - 'essential': only privacy.essentialEvents (page views, errors, flows)
+   *   - 'full':      everything, including behavioral signals and replay
+   * 
+   * Redaction (every event, in _buildEvent, before it is queued):
+   *   - denyFields are dropped wherever they appear (matched ignoring case, _ and -)
+   *   - allowFields pass through untouched
+   *   - every other string (metadata, page context, url) goes through the
+   *     scrubbers: emails, SSNs, card numbers, account numbers
+   *   - metadata.redactions counts what was removed, so analysts know
+   */
+  getConsent() {
+    const stored = localStorage.getItem(this.privacy.consentKey);
+    return ['none', 'essential', 'full'].includes(stored) ? stored : this.privacy.defaultConsent;
+  },
+
+  /**
+   * @param {'none'|'essential'|'full'} level
+   */
+  setConsent(level) {
+    if (!['none', 'essential', 'full'].includes(level)) {
+      console.warn(`📊 Telemetry: unknown consent level "${level}" (use none, essential or full)`);
+      return;
+    }
+    localStorage.setItem(this.privacy.consentKey, level);
+
+    // Withdrawn consent also covers what is still waiting to be sent
+    const queue = this._loadQueue();
+    const kept = queue.filter((evt, i) => i < this._inFlight || this.consentAllows(evt.eventType));
+    queue.splice(0, queue.length, ...kept);
+    this._persistQueue();
+    if (level !== 'full') this._replayStop('consent');
+  },
+
+  /**
+   * @param {string} eventType
+   * @returns {boolean} Whether the current consent level permits this event
+   */
+  consentAllows(eventType) {
+    const consent = this.getConsent();
+    if (consent === 'full') return true;
+    return consent === 'essential' && this.privacy.essentialEvents.includes(eventType);
+  },
+
+  _normalizeField(name) {
+    return String(name).toLowerCase().replace(/[_-]/g, '');
+  },
+
+  /**
+   * Apply privacy.scrubbers to one string (also used for replay text and
+   * attribute values).
+   * @param {string} text
+   * @param {{ count: number }} [counter] - Incremented per replacement
+   * @returns {string}
+   */
+  _scrub(text, counter = { count: 0 }) {
+    let out = text;
+    for (const [pattern, replacement] of this.privacy.scrubbers) {
+      out = out.replace(pattern, () => {
+        counter.count++;
+        return replacement;
+      });
+    }
+    return out;
+  },
+
+  /**
+   * Redacted copy of a value (see PRIVACY above).
+   * @param {*} value
+   * @param {string|null} key - Owning field name (null for the root / array items)
+   * @param {{ count: number }} counter - Incremented per removal/replacement
+   * @returns {*} undefined when the field must be dropped
+   */
+  _redact(value, key, counter) {
+    if (key !== null) {
+      const normalized = this._normalizeField(key);
+      if (this.privacy.denyFields.some(f => this._normalizeField(f) === normalized)) {
+        counter.count++;
+        return undefined;
+      }
+      if (this.privacy.allowFields.some(f => this._normalizeField(f) === normalized)) return value;
+    }
+
+    if (typeof value === 'string') return this._scrub(value, counter);
+    if (Array.isArray(value)) return value.map(item => this._redact(item, null, counter));
+    if (value && typeof value === 'object') {
+      const out = {};
+      for (const [childKey, child] of Object.entries(value)) {
+        const redacted = this._redact(child, childKey, counter);
+        if (redacted !== undefined) out[childKey] = redacted;
+      }
+      return out;
+    }
+    return value;
+  },
+
+  /**
+   * ─────────────────────────────────────────────────────────────────────
+   * TRANSPORT QUEUE: Batching, Retry & Persistence
+   * ─────────────────────────────────────────────────────────────────────
+   * 
+   * Why a queue?
+   *   - One fetch per event meant hundreds of tiny requests per frustrated
+   *     session (mouse shake, scroll) and silent data loss on network blips.
+   * 
+   * Lifecycle:
+   *   1. _enqueue(): append to the in-memory queue, mirror it to sessionStorage
+   *   2. flush(): POST the oldest maxBatchSize events as a JSON array
+   *      - 2xx: drop the batch from the queue
+   *      - network error / 429 / 5xx: retry with exponential backoff + jitter
+   *        (a 429's Retry-After is honored when it is longer than the backoff)
+   *      - other 4xx: drop the batch (retrying a rejected payload never helps)
+   *   3. visibilitychange(hidden) / pagehide: _flushWithBeacon() ships the rest
+   *   4. Next page load: _loadQueue() restores anything still unsent
+   * 
+   * Events are only removed from the queue after the server acknowledges them,
+   * so a crash mid-flight means at-least-once (not at-most-once) delivery.
+   */
+  _loadQueue() {
+    if (this._queue) return this._queue;
+    this._queue = [];
     try {
-      const stored = sessionStorage.getItem(routeHistoryKey);
-      if (stored) routeHistory = JSON.parse(stored);
+      const stored = sessionStorage.getItem(this.transport.storageKey);
+      if (stored) this._queue = JSON.parse(stored);
     } catch (_) {}
-    routeHistory.push(pageName);
-    if (routeHistory.length > 5) routeHistory = routeHistory.slice(-5);
-    if (routeHistory.length >= 3 && routeHistory[routeHistory.length - 1] === routeHistory[routeHistory.length - 3]) {
-      this.emit('u_turn', { path: routeHistory.slice(-3) });
-    }
+    return this._queue;
+  },
+
+  _persistQueue() {
     try {
-      sessionStorage.setItem(routeHistoryKey, JSON.stringify(routeHistory));
+      sessionStorage.setItem(this.transport.storageKey, JSON.stringify(this._queue));
     } catch (_) {}
+  },
 
-    this.attachBehavioralCapture();
-    this.emit('page_view', {
+  _enqueue(evt, { immediate = true } = {}) {
+    const queue = this._loadQueue();
+    queue.push(evt);
+    // Drop oldest events that are not in flight once the cap is exceeded
+    const overflow = queue.length - this.transport.maxQueueSize;
+    if (overflow > 0) queue.splice(this._inFlight, overflow);
+    this._persistQueue();
+    if (!immediate) return;
+
+    if (queue.length - this._inFlight >= this.transport.maxBatchSize) {
+      this.flush();
+    } else {
+      this._scheduleFlush(this.transport.flushIntervalMs);
+    }
+  },
+
+  _scheduleFlush(delayMs) {
+    if (this._flushTimer) return;
+    this._flushTimer = setTimeout(() => {
+      this._flushTimer = null;
+      this.flush();
+    }, delayMs);
+  },
+
+  /**
+   * Send the next batch. Only one batch is in flight at a time so the server
+   * sees events in the order they were emitted.
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    const queue = this._loadQueue();
+    if (this._inFlight > 0 || queue.length === 0) return;
+
+    const batch = queue.slice(0, this.transport.maxBatchSize);
+    this._inFlight = batch.length;
+
+    let retryable = false;
+    let retryAfterMs = 0;
+    try {
+      const res = await fetch(this.transport.endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-Telemetry-Key': this.transport.ingestKey },
+        body: JSON.stringify(batch),
+        keepalive: true,
+      });
+      retryable = !res.ok && (res.status === 429 || res.status >= 500);
+      if (res.status === 429) retryAfterMs = (Number(res.headers.get('Retry-After')) || 0) * 1000;
+
+      // Surface schema rejections (see eventSchema.js) so page authors notice
+      if (res.ok || res.status === 400) {
+        const body = await res.json().catch(() => ({}));
+        if (body.rejected?.length) {
+          console.warn('📊 Telemetry: server rejected events', body.rejected);
+        }
+      }
+    } catch (_) {
+      retryable = true;
+    }
+
+    this._inFlight = 0;
+    if (retryable) {
+      this._retryCount++;
+      if (this._retryCount > this.transport.maxRetries) {
+        // Give up for this page; the persisted queue is retried on next load
+        console.warn('📊 Telemetry: batch delivery failed, will retry on next page load');
+        return;
+      }
+      const backoff = this.transport.retryBaseMs * 2 ** (this._retryCount - 1);
+      const delay = backoff + Math.floor(Math.random() * backoff * 0.2);
+      this._scheduleFlush(Math.max(delay, retryAfterMs));
+      return;
+    }
+
+    this._retryCount = 0;
+    queue.splice(0, batch.length);
+    this._persistQueue();
+    if (queue.length > 0) this._scheduleFlush(0);
+  },
+
+  /**
+   * Ship everything not already in flight via navigator.sendBeacon.
+   * Used when the page is being hidden or unloaded and fetch may be cancelled.
+   */
+  _flushWithBeacon() {
+    const queue = this._loadQueue();
+    const pending = queue.slice(this._inFlight);
+    if (pending.length === 0) return;
+
+    if (!navigator.sendBeacon) {
+      this.flush();
+      return;
+    }
+
+    let sent = 0;
+    for (let i = 0; i < pending.length; i += this.transport.maxBatchSize) {
+      const batch = pending.slice(i, i + this.transport.maxBatchSize);
+      const blob = new Blob([JSON.stringify(batch)], { type: 'application/json' });
+      if (!navigator.sendBeacon(this._withIngestKey(this.transport.endpoint), blob)) break;
+      sent += batch.length;
+    }
+    // Beacons that the browser refused stay persisted for the next page
+    queue.splice(this._inFlight, sent);
+    this._persistQueue();
+  },
+
+  /**
+   * Append the ingest key as ?key= for requests that cannot carry headers
+   * (sendBeacon) or should stay CORS-simple (replay chunks).
+   * @param {string} url
+   * @returns {string}
+   */
+  _withIngestKey(url) {
+    if (!this.transport.ingestKey) return url;
+    const sep = url.includes('?') ? '&' : '?';
+    return `${url}${sep}key=${encodeURIComponent(this.transport.ingestKey)}`;
+  },
+
+  _attachTransport() {
+    if (this._transportAttached) return;
+    this._transportAttached = true;
+
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') this._flushWithBeacon();
+    });
+    window.addEventListener('pagehide', () => this._flushWithBeacon());
+
+    // Deliver anything left over from the previous page
+    if (this._loadQueue().length > 0) this._scheduleFlush(0);
+  },
+
+  /**
+   * ─────────────────────────────────────────────────────────────────────
+   * SESSION REPLAY RECORDER
+   * ─────────────────────────────────────────────────────────────────────
+   * 
+   * Why?
+   *   - A rage_click on #confirmBtn says where the user struggled, not what
+   *     they were looking at. public/replay.html rebuilds the page from this
+   *     recording and overlays the session's telemetry events on its timeline.
+   * 
+   * Recording (per page load):
+   *   1. meta + snapshot: the serialized DOM, every node tagged with an id
+   *   2. mutation: MutationObserver batches as removes / adds / attrs / texts
+   *   3. input, scroll (trailing-throttled), pointer (move/click), viewport
+   * 
+   * Privacy:
+   *   - Input values are always masked ('*' per character, max 32) unless the
+   *     field or an ancestor has data-telemetry-unmask; passwords never are
+   *   - Text under [data-telemetry-mask] (or all text with maskAllText) is masked
+   *   - Other text and attribute values go through privacy.scrubbers, like
+   *     event metadata (emails → [email], ...); stylesheets are left alone
+   *   - <script>/<noscript>, comments and on* handler attributes are dropped
+   * 
+   * Volume:
+   *   - Only sampled sessions record (replay.sampleRate)
+   *   - Chunks go to POST /api/replay/:sessionId as text/plain; best effort,
+   *     no retry queue. Recording stops at maxSessionBytes or when the server
+   *     answers 413 (its own per-session cap, see replayStore.js)
+   */
+  _replaySampled() {
+    const key = 'telemetry_replay';
+    const forced = new URLSearchParams(window.location.search).get('replay');
+    if (forced === '1' || forced === '0') {
+      sessionStorage.setItem(key, forced === '1' ? 'on' : 'off');
+    }
+
+    let decision = sessionStorage.getItem(key);
+    if (!decision) {
+      // Math.random(), not this.random(): sampling must not shift a seeded simulation's dice
+      decision = Math.random() < this.replay.sampleRate ? 'on' : 'off';
+      sessionStorage.setItem(key, decision);
+    }
+    return decision === 'on';
+  },
+
+  _attachReplay() {
+    if (this._replay || typeof MutationObserver === 'undefined' || this.getConsent() !== 'full') return;
+    if (!this._replaySampled()) return;
+
+    const rec = {
+      ids: new WeakMap(),
+      nextId: 1,
+      buffer: [],
+      bufferBytes: 0,
+      timer: null,
+      sentBytes: Number(sessionStorage.getItem('telemetry_replay_bytes') || 0),
+      observer: null,
+    };
+    this._replay = rec;
+    const active = () => this._replay === rec;
+
+    this._replayRecord('meta', {
+      url: window.location.href,
       pageRoute: this.pageRoute,
-      referrer: document.referrer || null
+      width: window.innerWidth,
+      height: window.innerHeight,
+    });
+    this._replayRecord('snapshot', {
+      node: this._replaySerialize(document.documentElement),
+      scrollX: Math.round(window.scrollX),
+      scrollY: Math.round(window.scrollY),
+    });
+
+    rec.observer = new MutationObserver((records) => {
+      if (active()) this._replayMutations(records);
+    });
+    rec.observer.observe(document.documentElement, {
+      childList: true,
+      subtree: true,
+      attributes: true,
+      characterData: true,
+    });
+
+    const onInput = (e) => {
+      const id = active() && rec.ids.get(e.target);
+      if (!id) return;
+      const el = e.target;
+      if (el.type === 'checkbox' || el.type === 'radio') {
+        this._replayRecord('input', { id, checked: el.checked });
+      } else {
+        this._replayRecord('input', { id, value: this._replayInputValue(el, el.value) });
+      }
+    };
+    document.addEventListener('input', onInput, true);
+    document.addEventListener('change', onInput, true);
+
+    // Trailing throttle: the last position in each window is the one recorded
+    const pendingScroll = new Map();
+    document.addEventListener('scroll', (e) => {
+      const target = e.target === document ? null : e.target;
+      if (!active() || pendingScroll.has(target)) return;
+      pendingScroll.set(target, setTimeout(() => {
+        pendingScroll.delete(target);
+        if (!target) {
+          this._replayRecord('scroll', { id: null, x: Math.round(window.scrollX), y: Math.round(window.scrollY) });
+        } else if (rec.ids.has(target)) {
+          this._replayRecord('scroll', { id: rec.ids.get(target), x: Math.round(target.scrollLeft), y: Math.round(target.scrollTop) });
+        }
+      }, this.replay.scrollThrottleMs));
+    }, { capture: true, passive: true });
+
+    let lastPointerTs = 0;
+    document.addEventListener('mousemove', (e) => {
+      const now = Date.now();
+      if (!active() || now - lastPointerTs < this.replay.pointerThrottleMs) return;
+      lastPointerTs = now;
+      this._replayRecord('pointer', { kind: 'move', x: e.clientX, y: e.clientY });
+    }, { passive: true });
+    document.addEventListener('click', (e) => {
+      if (active()) this._replayRecord('pointer', { kind: 'click', x: e.clientX, y: e.clientY });
+    }, true);
+
+    let resizeTimer = null;
+    window.addEventListener('resize', () => {
+      if (!active() || resizeTimer) return;
+      resizeTimer = setTimeout(() => {
+        resizeTimer = null;
+        this._replayRecord('viewport', { width: window.innerWidth, height: window.innerHeight });
+      }, this.replay.scrollThrottleMs);
+    });
+
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') this._replayFlush({ beacon: true });
+    });
+    window.addEventListener('pagehide', () => this._replayFlush({ beacon: true }));
+  },
+
+  _replayMaskText(text) {
+    return text.replace(/\S/g, '*');
+  },
+
+  /**
+   * Masked form value: '*' per character (max 32) unless the field opted out
+   * with data-telemetry-unmask. Password fields are always masked.
+   */
+  _replayInputValue(el, value) {
+    const text = String(value ?? '');
+    if (el.type !== 'password' && el.closest?.('[data-telemetry-unmask]')) return text;
+    return '*'.repeat(Math.min(text.length, 32));
+  },
+
+  _replayAttrValue(el, name, value) {
+    if (value === null) return null;
+    const tag = el.tagName;
+    if (name === 'value' && (tag === 'INPUT' || tag === 'TEXTAREA')) {
+      return this._replayInputValue(el, value);
+    }
+    return this._scrub(value);
+  },
+
+  _replayTextMasked(node) {
+    const parent = node.parentElement;
+    if (!parent || parent.tagName === 'STYLE') return false;
+    return this.replay.maskAllText || parent.tagName === 'TEXTAREA' || !!parent.closest('[data-telemetry-mask]');
+  },
+
+  /**
+   * Recorded text of a text node: masked (see _replayTextMasked), or with
+   * privacy.scrubbers applied like event metadata. Stylesheets are kept as is.
+   */
+  _replayText(node) {
+    const text = node.textContent;
+    if (this._replayTextMasked(node)) return this._replayMaskText(text);
+    return node.parentElement?.tagName === 'STYLE' ? text : this._scrub(text);
+  },
+
+  /**
+   * Serialize a node and its subtree, assigning fresh ids.
+   * @param {Node} node
+   * @param {Set<Node>} [fresh] - Collects every node serialized (mutation batches)
+   * @returns {object|null} { id, tag, attrs, children, value?, checked?, ns? } or
+   *   { id, text }; null for nodes that are not recorded
+   */
+  _replaySerialize(node, fresh) {
+    const rec = this._replay;
+
+    if (node.nodeType === Node.TEXT_NODE) {
+      const id = rec.nextId++;
+      rec.ids.set(node, id);
+      fresh?.add(node);
+      return { id, text: this._replayText(node) };
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE) return null;
+
+    const tag = node.tagName.toLowerCase();
+    if (tag === 'script' || tag === 'noscript') return null;
+
+    const id = rec.nextId++;
+    rec.ids.set(node, id);
+    fresh?.add(node);
+
+    const attrs = {};
+    for (const attr of node.attributes) {
+      if (attr.name.startsWith('on')) continue;
+      attrs[attr.name] = this._replayAttrValue(node, attr.name, attr.value);
+    }
+    const out = { id, tag, attrs, children: [] };
+    if (node.namespaceURI && node.namespaceURI !== 'http://www.w3.org/1999/xhtml') {
+      out.ns = node.namespaceURI;
+    }
+    if (tag === 'input' || tag === 'textarea' || tag === 'select') {
+      if (node.type === 'checkbox' || node.type === 'radio') out.checked = node.checked;
+      else out.value = this._replayInputValue(node, node.value);
+    }
+
+    for (const child of node.childNodes) {
+      const serialized = this._replaySerialize(child, fresh);
+      if (serialized) out.children.push(serialized);
+    }
+    return out;
+  },
+
+  /**
+   * Turn one MutationObserver batch into a single 'mutation' event.
+   *
+   * Removals are collected first (by their existing ids), then additions are
+   * serialized in document order against the DOM as it is now. A node's
+   * position is "before the next sibling that already has an id" (nextId null
+   * = append), which stays correct when several siblings are added at once
+   * because each later one is inserted before the same reference.
+   */
+  _replayMutations(records) {
+    const rec = this._replay;
+    const removes = new Set();
+    const added = new Set();
+    const attrs = new Map();
+    const texts = new Map();
+
+    for (const r of records) {
+      if (r.type !== 'childList') continue;
+      for (const node of r.removedNodes) {
+        const id = rec.ids.get(node);
+        if (id) removes.add(id);
+      }
+      for (const node of r.addedNodes) added.add(node);
+    }
+
+    // Re-added (moved) nodes get new ids, so stale ones are never used as references
+    for (const node of added) rec.ids.delete(node);
+
+    const fresh = new Set();
+    const adds = [];
+    const ordered = [...added].filter(n => n.isConnected).sort((a, b) =>
+      (a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1));
+    for (const node of ordered) {
+      if (fresh.has(node)) continue;
+      const parentId = rec.ids.get(node.parentNode);
+      if (!parentId) continue;
+      const serialized = this._replaySerialize(node, fresh);
+      if (!serialized) continue;
+
+      let next = node.nextSibling;
+      while (next && (!rec.ids.has(next) || fresh.has(next))) next = next.nextSibling;
+      adds.push({ parentId, nextId: next ? rec.ids.get(next) : null, node: serialized });
+    }
+
+    for (const r of records) {
+      const id = rec.ids.get(r.target);
+      if (!id || fresh.has(r.target)) continue;
+      if (r.type === 'attributes' && !r.attributeName.startsWith('on')) {
+        const value = this._replayAttrValue(r.target, r.attributeName, r.target.getAttribute(r.attributeName));
+        attrs.set(`${id}:${r.attributeName}`, { id, name: r.attributeName, value });
+      } else if (r.type === 'characterData') {
+        texts.set(id, { id, text: this._replayText(r.target) });
+      }
+    }
+
+    if (removes.size + adds.length + attrs.size + texts.size === 0) return;
+    this._replayRecord('mutation', {
+      removes: [...removes],
+      adds,
+      attrs: [...attrs.values()],
+      texts: [...texts.values()],
+    });
+  },
+
+  _replayRecord(type, data) {
+    const rec = this._replay;
+    if (!rec) return;
+    const event = { type, ts: Date.now(), ...data };
+    rec.buffer.push(event);
+    rec.bufferBytes += JSON.stringify(event).length;
+
+    if (rec.bufferBytes >= this.replay.chunkBytes) {
+      this._replayFlush();
+    } else if (!rec.timer) {
+      rec.timer = setTimeout(() => this._replayFlush(), this.replay.flushIntervalMs);
+    }
+  },
+
+  /**
+   * Ship the buffered recording as one chunk. seq is kept in sessionStorage
+   * so chunks from every page of the session sort into order on the server.
+   */
+  _replayFlush({ beacon = false } = {}) {
+    const rec = this._replay;
+    if (!rec) return;
+    clearTimeout(rec.timer);
+    rec.timer = null;
+    if (rec.buffer.length === 0) return;
+
+    const seq = Number(sessionStorage.getItem('telemetry_replay_seq') || 0);
+    sessionStorage.setItem('telemetry_replay_seq', String(seq + 1));
+    const body = JSON.stringify({ seq, pageRoute: this.pageRoute, events: rec.buffer });
+    rec.buffer = [];
+    rec.bufferBytes = 0;
+    rec.sentBytes += body.length;
+    sessionStorage.setItem('telemetry_replay_bytes', String(rec.sentBytes));
+
+    const sid = this._currentSessionId || this._sessionId(false);
+    const url = this._withIngestKey(`${this.replay.endpoint}/${encodeURIComponent(sid)}`);
+    if (beacon && navigator.sendBeacon) {
+      navigator.sendBeacon(url, new Blob([body], { type: 'text/plain' }));
+    } else {
+      fetch(url, { method: 'POST', headers: { 'Content-Type': 'text/plain' }, body })
+        .then((res) => {
+          if (res.status === 413) this._replayStop('quota');
+        })
+        .catch(() => {});
+    }
+
+    if (rec.sentBytes >= this.replay.maxSessionBytes) this._replayStop('quota');
+  },
+
+  /**
+   * Stop recording. 'quota' (size limit reached) ends it for the rest of the
+   * session; 'consent' drops the unsent buffer and lets a later page resume
+   * if consent is given again; 'session' is a new session taking over.
+   * @param {'quota'|'consent'|'session'} reason
+   */
+  _replayStop(reason) {
+    const rec = this._replay;
+    if (!rec) return;
+    rec.observer?.disconnect();
+    clearTimeout(rec.timer);
+    this._replay = null;
+    if (reason === 'quota') {
+      sessionStorage.setItem('telemetry_replay', 'full');
+      console.warn('📊 Telemetry: replay recording stopped, session size limit reached');
+    }
+  },
+
+  /**
+   * ─────────────────────────────────────────────────────────────────────
+   * PAGE PERFORMANCE (Web Vitals, navigation timing, long tasks)
+   * ─────────────────────────────────────────────────────────────────────
+   * 
+   * Why?
+   *   - A rage_click on a page whose LCP was 6 s is a slow page, not a
+   *     confusing one. These events carry the same sessionId/pageRoute as
+   *     the behavioral ones, so dashboardStats.js can compare frustration on
+   *     slow vs. fast page views.
+   * 
+   * Events (all via PerformanceObserver; unsupported entry types are skipped):
+   *   - web_vital { name, value, rating, ... }, once per metric per page:
+   *       FCP, TTFB        → as soon as they are known
+   *       LCP              → at the first keydown/pointerdown, or when hidden
+   *       CLS, INP         → when the page is first hidden (sendBeacon)
+   *   - navigation_timing  → after the load event (DNS, connect, TLS, request,
+   *                          response, DOM and load milestones in ms)
+   *   - long_task { durationMs, startMs } → tasks ≥ perf.longTaskMs
+   * 
+   * Ratings use the published Web Vitals thresholds (good / needs-improvement / poor).
+   */
+  _attachPerformance() {
+    if (this._perfAttached || typeof PerformanceObserver === 'undefined') return;
+    this._perfAttached = true;
+
+    // [good up to, poor above]
+    const THRESHOLDS = { LCP: [2500, 4000], CLS: [0.1, 0.25], INP: [200, 500], FCP: [1800, 3000], TTFB: [800, 1800] };
+    const supported = PerformanceObserver.supportedEntryTypes || [];
+    const observe = (type, callback, options = {}) => {
+      if (!supported.includes(type)) return null;
+      try {
+        const observer = new PerformanceObserver((list) => callback(list.getEntries()));
+        observer.observe({ type, buffered: true, ...options });
+        return observer;
+      } catch (_) {
+        return null;
+      }
+    };
+
+    const reported = new Set();
+    const reportVital = (name, value, extra = {}, { beacon = false } = {}) => {
+      if (!this.perf.webVitals || reported.has(name) || !(value >= 0)) return;
+      reported.add(name);
+      const [good, poor] = THRESHOLDS[name];
+      const rating = value <= good ? 'good' : value <= poor ? 'needs-improvement' : 'poor';
+      const metadata = { name, value: name === 'CLS' ? Math.round(value * 10000) / 10000 : Math.round(value), rating, ...extra };
+      if (beacon) this.sendBeacon('web_vital', metadata);
+      else this.emit('web_vital', metadata);
+    };
+
+    // ─── FCP ─────────────────────────────────────────────────────────────
+    observe('paint', (entries) => {
+      const fcp = entries.find(e => e.name === 'first-contentful-paint');
+      if (fcp) reportVital('FCP', fcp.startTime);
+    });
+
+    // ─── TTFB + navigation timing (after load, when every field is set) ──
+    const onLoaded = () => setTimeout(() => {
+      const nav = performance.getEntriesByType?.('navigation')?.[0];
+      if (!nav) return;
+      reportVital('TTFB', nav.responseStart);
+      if (!this.perf.navigationTiming) return;
+      const ms = (v) => Math.max(0, Math.round(v));
+      this.emit('navigation_timing', {
+        navigationType: nav.type,
+        dnsMs: ms(nav.domainLookupEnd - nav.domainLookupStart),
+        connectMs: ms(nav.connectEnd - nav.connectStart),
+        tlsMs: nav.secureConnectionStart > 0 ? ms(nav.connectEnd - nav.secureConnectionStart) : 0,
+        requestMs: ms(nav.responseStart - nav.requestStart),
+        responseMs: ms(nav.responseEnd - nav.responseStart),
+        ttfbMs: ms(nav.responseStart),
+        domInteractiveMs: ms(nav.domInteractive),
+        domContentLoadedMs: ms(nav.domContentLoadedEventEnd),
+        loadMs: ms(nav.loadEventEnd),
+        transferSize: nav.transferSize ?? 0,
+      });
+    }, 0);
+    if (document.readyState === 'complete') onLoaded();
+    else window.addEventListener('load', onLoaded, { once: true });
+
+    // ─── LCP (the last candidate before the user interacts) ──────────────
+    let lcp = null;
+    const lcpObserver = observe('largest-contentful-paint', (entries) => {
+      lcp = entries[entries.length - 1] ?? lcp;
+    });
+    const finalizeLcp = (opts) => {
+      if (!lcp) return;
+      lcpObserver?.disconnect();
+      reportVital('LCP', lcp.startTime, lcp.element ? { element: this._getElementKey(lcp.element) } : {}, opts);
+    };
+    ['keydown', 'pointerdown'].forEach((type) => {
+      document.addEventListener(type, () => finalizeLcp(), { once: true, capture: true });
+    });
+
+    // ─── CLS (largest session window: gaps < 1 s, windows ≤ 5 s) ─────────
+    let cls = 0;
+    let windowValue = 0;
+    let windowFirst = 0;
+    let windowLast = 0;
+    const onLayoutShifts = (entries) => {
+      for (const e of entries) {
+        if (e.hadRecentInput) continue;
+        if (windowValue && e.startTime - windowLast < 1000 && e.startTime - windowFirst < 5000) {
+          windowValue += e.value;
+        } else {
+          windowValue = e.value;
+          windowFirst = e.startTime;
+        }
+        windowLast = e.startTime;
+        cls = Math.max(cls, windowValue);
+      }
+    };
+    const clsObserver = observe('layout-shift', onLayoutShifts);
+
+    // ─── INP (worst interaction, skipping one outlier per 50) ────────────
+    const interactions = new Map();   // interactionId → { duration, target }
+    const recordInteraction = (entries) => {
+      for (const e of entries) {
+        if (!e.interactionId) continue;
+        const prev = interactions.get(e.interactionId);
+        if (!prev || e.duration > prev.duration) {
+          interactions.set(e.interactionId, { duration: e.duration, target: e.target });
+        }
+      }
+    };
+    observe('event', recordInteraction, { durationThreshold: 40 });
+    observe('first-input', recordInteraction);
+
+    // ─── Long tasks ───────────────────────────────────────────────────────
+    let longTasks = 0;
+    observe('longtask', (entries) => {
+      for (const e of entries) {
+        if (e.duration < this.perf.longTaskMs || longTasks >= this.perf.maxLongTasks) continue;
+        longTasks++;
+        this.emit('long_task', { durationMs: Math.round(e.duration), startMs: Math.round(e.startTime) });
+      }
+    });
+
+    // ─── Final values when the page is hidden ────────────────────────────
+    const finalize = () => {
+      finalizeLcp({ beacon: true });
+      if (clsObserver) {
+        onLayoutShifts(clsObserver.takeRecords?.() ?? []);
+        reportVital('CLS', cls, {}, { beacon: true });
+      }
+      if (interactions.size > 0) {
+        const worst = [...interactions.values()].sort((a, b) => b.duration - a.duration);
+        const inp = worst[Math.min(worst.length - 1, Math.floor(interactions.size / 50))];
+        reportVital('INP', inp.duration, {
+          interactions: interactions.size,
+          ...(inp.target ? { element: this._getElementKey(inp.target) } : {}),
+        }, { beacon: true });
+      }
+    };
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') finalize();
     });
+    window.addEventListener('pagehide', finalize);
   },
 
   /**
-   * Data Normalization Engine
+   * ─────────────────────────────────────────────────────────────────────
+   * NETWORK INSTRUMENTATION (fetch / XMLHttpRequest → api_call)
+   * ─────────────────────────────────────────────────────────────────────
    * 
-   * Why we enforce this schema:
-   *   - Promotes `id` to top-level `elementId` for ML feature engineering
-   *   - Ensures consistent camelCase naming (critical for JSON parsing in Python/R)
-   *   - Isolates business-specific metadata from universal context fields
+   * Why?
+   *   - emitTimeout()/emitRetry() only cover the calls a page author
+   *     remembered to instrument; window.onerror never sees a failed request.
    * 
-   * Schema Contract:
-   *   {
-   *     sessionId, userId, pageRoute, eventType, timestamp, url,
-   *     elementId? (extracted from metadata.id),
-   *     ...baseContext (page-level attrs),
-   *     metadata: {...} (event-specific data)
-   *   }
+   * Each call becomes one api_call event when it settles:
+   *   { urlTemplate, method, status, durationMs, outcome, attempt }
+   *   - urlTemplate: path without query string; numeric / UUID / hash-like
+   *     segments become :id / :uuid / :hash (bounded cardinality, no IDs);
+   *     cross-origin calls keep their host
+   *   - status: HTTP status, 0 when no response arrived
+   *   - outcome: ok | http_error (4xx/5xx) | network_error | timeout | abort
+   *   - attempt: 1, or n when the same method + urlTemplate failed within
+   *     network.retryWindowMs before this call started (automatic retry detection)
    * 
-   * Session ID Guarantee:
-   *   - Always retrieves from sessionStorage OR generates new session
-   *   - Prevents null sessionId in early page_view events (race condition fix)
+   * Loop safety: the SDK's own endpoints are excluded before anything is
+   * recorded, so sending api_call events never produces more of them.
    */
-  _buildEvent(eventType, metadata = {}) {
-    const { id, ...restMetadata } = metadata;
-    const sid = sessionStorage.getItem('sessionId') || this._initSession();
-    return {
-      sessionId: sid,
-      userId: sessionStorage.getItem('userId') || 'U-guest',
-      pageRoute: this.pageRoute,
-      eventType,
-      timestamp: new Date().toISOString(),
-      url: window.location.href,
-      ...(id && { elementId: id }),
-      ...this.baseContext,
-      metadata: restMetadata,
-    };
+  instrumentNetwork() {
+    if (this._networkAttached || typeof window === 'undefined') return;
+    this._networkAttached = true;
+    this._networkHistory = new Map();
+    const self = this;
+
+    const originalFetch = window.fetch;
+    if (typeof originalFetch === 'function') {
+      window.fetch = function (input, init) {
+        const url = typeof input === 'string' ? input : input?.href ?? input?.url;
+        const method = String(init?.method || (typeof input === 'object' && input?.method) || 'GET').toUpperCase();
+        if (self._networkIgnored(url)) return originalFetch.apply(this, arguments);
+
+        const call = self._apiCallStart(url, method);
+        return originalFetch.apply(this, arguments).then((res) => {
+          self._apiCallEnd(call, res.status, res.ok ? 'ok' : 'http_error');
+          return res;
+        }, (err) => {
+          const outcome = err?.name === 'TimeoutError' ? 'timeout' : err?.name === 'AbortError' ? 'abort' : 'network_error';
+          self._apiCallEnd(call, 0, outcome);
+          throw err;
+        });
+      };
+    }
+
+    const XHR = window.XMLHttpRequest;
+    if (typeof XHR === 'function') {
+      const requests = new WeakMap();   // xhr → { url, method }
+      const open = XHR.prototype.open;
+      const send = XHR.prototype.send;
+      XHR.prototype.open = function (method, url) {
+        requests.set(this, { method: String(method || 'GET').toUpperCase(), url: String(url) });
+        return open.apply(this, arguments);
+      };
+      XHR.prototype.send = function () {
+        const req = requests.get(this);
+        if (req && !self._networkIgnored(req.url)) {
+          const call = self._apiCallStart(req.url, req.method);
+          let failure = null;
+          this.addEventListener('timeout', () => { failure = 'timeout'; });
+          this.addEventListener('abort', () => { failure = 'abort'; });
+          this.addEventListener('error', () => { failure = 'network_error'; });
+          this.addEventListener('loadend', () => {
+            const status = failure ? 0 : this.status;
+            self._apiCallEnd(call, status, failure ?? (status >= 200 && status < 400 ? 'ok' : 'http_error'));
+          });
+        }
+        return send.apply(this, arguments);
+      };
+    }
   },
 
   /**
-   * Emit a telemetry event.
-   * @param {string} eventType - Event name
-   * @param {object} metadata - Event-specific data
-   * 
-   * Flow Completion Handling:
-   *   - When flow_complete is emitted, marks form as "submitted" to prevent
-   *     false form_abandonment events for flows that complete with failure status
+   * @param {string} url - Request URL as passed to fetch/open
+   * @returns {boolean} True for the SDK's own traffic and network.ignoreUrls
    */
-  emit(eventType, metadata = {}) {
-    const evt = this._buildEvent(eventType, metadata);
-    console.log('📊 Telemetry:', eventType, metadata);
+  _networkIgnored(url) {
+    if (!url) return true;
+    let path;
+    try {
+      const parsed = new URL(url, location.href);
+      path = parsed.origin === location.origin ? parsed.pathname : parsed.href;
+    } catch (_) {
+      return true;
+    }
+    const own = ['/api/telemetry', this.transport.endpoint, this.replay.endpoint];
+    if (own.some(prefix => path.startsWith(prefix))) return true;
+    return this.network.ignoreUrls.some(rule => (rule instanceof RegExp ? rule.test(url) : path.startsWith(rule) || url.startsWith(rule)));
+  },
 
-    // Mark form as submitted when any flow completes (success or failure)
-    if (eventType === 'flow_complete') {
-      this._formSubmitted = true;
+  /**
+   * @param {string} url
+   * @returns {string} URL template (see the section header)
+   */
+  _urlTemplate(url) {
+    let parsed;
+    try {
+      parsed = new URL(url, location.href);
+    } catch (_) {
+      return 'invalid';
     }
+    const path = parsed.pathname
+      .split('/')
+      .map((segment) => {
+        if (/^\d+$/.test(segment)) return ':id';
+        if (/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(segment)) return ':uuid';
+        if (/^[0-9a-f]{16,}$/i.test(segment)) return ':hash';
+        if (/\d{6,}/.test(segment)) return ':id';
+        return segment;
+      })
+      .join('/');
+    return parsed.origin === location.origin ? path : `${parsed.host}${path}`;
+  },
 
-    fetch('/api/telemetry', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(evt),
-    }).catch(() => {});
+  _apiCallStart(url, method) {
+    const urlTemplate = this._urlTemplate(url);
+    const key = `${method} ${urlTemplate}`;
+    const startedAt = performance.now();
+    const prev = this._networkHistory.get(key);
+    const attempt = prev && prev.failed && startedAt - prev.endedAt <= this.network.retryWindowMs
+      ? prev.attempt + 1
+      : 1;
+    return { key, urlTemplate, method, startedAt, attempt };
   },
 
-  sendBeacon(eventType, metadata = {}) {
-    const evt = this._buildEvent(eventType, metadata);
-    const blob = new Blob([JSON.stringify(evt)], { type: 'application/json' });
-    if (navigator.sendBeacon) {
-      navigator.sendBeacon('/api/telemetry', blob);
-    } else {
-      this.emit(eventType, metadata);
-    }
+  _apiCallEnd(call, status, outcome) {
+    const endedAt = performance.now();
+    this._networkHistory.set(call.key, { attempt: call.attempt, failed: outcome !== 'ok', endedAt });
+    this.emit('api_call', {
+      urlTemplate: call.urlTemplate,
+      method: call.method,
+      status,
+      durationMs: Math.round(endedAt - call.startedAt),
+      outcome,
+      attempt: call.attempt,
+    });
   },
 
   emitTimeout(operation, metadata = {}) {
@@ -206,290 +1540,784 @@ const Telemetry = {
   },
 
   /**
-   * Attach global behavioral capture for SDD-required metrics.
-   * Captures: rage clicks, scroll depth, idle time, refocus, errors, form abandonment.
+   * ─────────────────────────────────────────────────────────────────────
+   * DETECTOR CONFIGURATION
+   * ─────────────────────────────────────────────────────────────────────
+   * 
+   * Precedence (lowest → highest), merged per parameter:
+   *   0. `defaults` of plugins registered with Telemetry.use()
+   *   1. Telemetry.detectors as defined above (or as edited before init)
+   *   2. Server config for the page: config/detectors.json defaults plus
+   *      routes[pageRoute], via GET /api/telemetry/config?pageRoute=
+   *   3. Telemetry.init(page, { detectors: {...} })
+   * 
+   * Timing:
+   *   - init() applies the cached server config for the page synchronously,
+   *     then refetches; the response replaces it and is cached for next time
+   *   - On a first visit, events emitted before the response carry
+   *     configVersion 'builtin'
+   *   - A failed or slow fetch keeps whatever is in place
+   */
+
+  /**
+   * Rebuilds Telemetry.detectors from the layers, sets configVersion and
+   * starts or stops plugins whose `enabled` flag changed.
+   * @param {object|null} remote - Server config ({ version, detectors }) or null
+   */
+  _applyDetectorConfig(remote) {
+    if (!this._builtinDetectors) this._builtinDetectors = JSON.parse(JSON.stringify(this.detectors));
+    this._remoteConfig = remote;
+
+    const pluginDefaults = {};
+    for (const plugin of this._plugins.values()) {
+      if (plugin.defaults) pluginDefaults[plugin.name] = plugin.defaults;
+    }
+
+    const merged = {};
+    for (const layer of [pluginDefaults, this._builtinDetectors, remote?.detectors, this._localDetectors]) {
+      for (const [name, params] of Object.entries(layer || {})) {
+        merged[name] = { ...merged[name], ...params };
+      }
+    }
+    this.detectors = merged;
+
+    const version = remote?.version ?? 'builtin';
+    this.configVersion = this._localDetectors ? `${version}+local` : String(version);
+    if (this._behavioralAttached) this._syncPlugins();
+  },
+
+  /** @returns {object|null} Server config cached for the current page */
+  _cachedRemoteConfig() {
+    try {
+      return JSON.parse(sessionStorage.getItem(`${this.remoteConfig.storageKey}:${this.pageRoute}`));
+    } catch (_) {
+      return null;
+    }
+  },
+
+  /** Fetches the server config for the current page and applies it (best effort). */
+  _loadRemoteConfig() {
+    if (!this.remoteConfig.enabled || typeof fetch !== 'function') return;
+
+    const pageRoute = this.pageRoute;
+    const url = `${this.remoteConfig.endpoint}?pageRoute=${encodeURIComponent(pageRoute)}`;
+    const controller = typeof AbortController === 'function' ? new AbortController() : null;
+    const timer = controller && setTimeout(() => controller.abort(), this.remoteConfig.timeoutMs);
+
+    fetch(url, { signal: controller?.signal })
+      .then((res) => (res.ok ? res.json() : null))
+      .then((config) => {
+        if (!config?.detectors || this.pageRoute !== pageRoute) return;
+        this._applyDetectorConfig(config);
+        try {
+          sessionStorage.setItem(`${this.remoteConfig.storageKey}:${pageRoute}`, JSON.stringify(config));
+        } catch (_) {}
+      })
+      .catch(() => {})   // offline or timed out: keep the current thresholds
+      .finally(() => clearTimeout(timer));
+  },
+
+  /**
+   * ─────────────────────────────────────────────────────────────────────
+   * DETECTOR PLUGINS
+   * ─────────────────────────────────────────────────────────────────────
+   *
+   * Every behavioral signal (rage click, dead click, scroll depth, erratic
+   * scroll, idle, mouse shake, refocus, form abandonment, u-turn, nav
+   * backtrack, error capture) is a plugin registered with Telemetry.use().
+   * The built-ins are defined in BUILT-IN DETECTORS below this object.
+   *
+   * Plugin shape:
+   *   {
+   *     name:        'rageClick'           key in Telemetry.detectors
+   *     defaults?:   { ...thresholds }      lowest config layer for this plugin
+   *     createCore?: (config) => core       pure detection state machine; config()
+   *                                         returns the live thresholds. No DOM,
+   *                                         so Node tests can drive it directly
+   *     setup(ctx):                         wire DOM listeners to ctx.core
+   *     teardown?(ctx):                     extra cleanup (listeners and timers
+   *                                         made through ctx are removed anyway)
+   *     onEmit?(ctx, eventType, metadata):  sees every event this page emits
+   *     onPageEnd?(ctx, { unloading }):     the page is being left, after
+   *                                         page_view_end; unloading is false
+   *                                         for a setRoute() virtual page, where
+   *                                         ctx.emit is safe to use
+   *   }
+   *
+   * Context (one per running plugin):
+   *   telemetry, config(), core, state, emit(), sendBeacon(), elementKey(el),
+   *   listen(target, type, handler, options), setTimeout(fn, ms), clearTimeout(id)
+   *
+   * Enable / disable:
+   *   A plugin runs unless its config says { enabled: false }, from any layer
+   *   (server config for the page, or init(page, { detectors: { mouseShake:
+   *   { enabled: false } } })). A config change starts or stops plugins
+   *   immediately.
+   *
+   * Virtual pages:
+   *   setRoute() stops every running plugin and starts it again for the new
+   *   route, so cores and ctx.state always describe the current page.
+   */
+
+  /**
+   * Register a detector plugin. Replaces a plugin of the same name; starts it
+   * right away if behavioral capture is already attached.
+   * @param {object} plugin - See DETECTOR PLUGINS
+   * @returns {object} Telemetry (chainable)
+   */
+  use(plugin) {
+    if (!plugin || typeof plugin.name !== 'string' || typeof plugin.setup !== 'function') {
+      throw new TypeError('Telemetry.use(plugin): plugin needs a name and a setup(ctx) function');
+    }
+    if (this._activePlugins.has(plugin.name)) this._stopPlugin(plugin.name);
+    this._plugins.set(plugin.name, plugin);
+    if (plugin.defaults && this._builtinDetectors) {
+      this._applyDetectorConfig(this._remoteConfig);   // picks up the defaults, then syncs
+    } else if (this._behavioralAttached) {
+      this._syncPlugins();
+    }
+    return this;
+  },
+
+  /**
+   * Names of the registered detectors and whether each is running.
+   * @returns {Array<{ name: string, active: boolean }>}
+   */
+  plugins() {
+    return Array.from(this._plugins.keys(), (name) => ({ name, active: this._activePlugins.has(name) }));
+  },
+
+  /** Starts enabled plugins that are not running and stops disabled ones. */
+  _syncPlugins() {
+    for (const [name, plugin] of this._plugins) {
+      const enabled = this.detectors[name]?.enabled !== false;
+      const active = this._activePlugins.has(name);
+      if (enabled && !active) this._startPlugin(plugin);
+      if (!enabled && active) this._stopPlugin(name);
+    }
+  },
+
+  _startPlugin(plugin) {
+    const ctx = this._pluginContext(plugin);
+    try {
+      ctx.core = plugin.createCore ? plugin.createCore(ctx.config) : null;
+      plugin.setup(ctx);
+      this._activePlugins.set(plugin.name, ctx);
+    } catch (err) {
+      console.warn(`[Telemetry] Detector "${plugin.name}" failed to start:`, err);
+      ctx._dispose();
+    }
+  },
+
+  _stopPlugin(name) {
+    const ctx = this._activePlugins.get(name);
+    if (!ctx) return;
+    this._activePlugins.delete(name);
+    try {
+      ctx.plugin.teardown?.(ctx);
+    } catch (err) {
+      console.warn(`[Telemetry] Detector "${name}" teardown failed:`, err);
+    }
+    ctx._dispose();
+  },
+
+  /** Calls onEmit on running plugins (from emit() and sendBeacon()). */
+  _notifyPlugins(eventType, metadata) {
+    for (const ctx of this._activePlugins.values()) {
+      if (ctx.plugin.onEmit) ctx.plugin.onEmit(ctx, eventType, metadata);
+    }
+  },
+
+  /**
+   * Builds the context handed to a plugin. Listeners and timers created
+   * through it are tracked so stopping the plugin removes them.
+   */
+  _pluginContext(plugin) {
+    const listeners = [];
+    const timers = new Set();
+    return {
+      plugin,
+      telemetry: this,
+      core: null,
+      state: {},
+      config: () => this.detectors[plugin.name] || {},
+      emit: (eventType, metadata) => this.emit(eventType, metadata),
+      sendBeacon: (eventType, metadata) => this.sendBeacon(eventType, metadata),
+      elementKey: (element) => this._getElementKey(element),
+      listen(target, type, handler, options) {
+        target.addEventListener(type, handler, options);
+        listeners.push([target, type, handler, options]);
+      },
+      setTimeout(fn, ms) {
+        const id = setTimeout(() => {
+          timers.delete(id);
+          fn();
+        }, ms);
+        timers.add(id);
+        return id;
+      },
+      clearTimeout(id) {
+        clearTimeout(id);
+        timers.delete(id);
+      },
+      _dispose() {
+        listeners.forEach(([target, type, handler, options]) => target.removeEventListener(type, handler, options));
+        timers.forEach((id) => clearTimeout(id));
+        listeners.length = 0;
+        timers.clear();
+      },
+    };
+  },
+
+  /**
+   * Attach global behavioral capture: the page_view_end beacon plus every
+   * enabled detector plugin.
    */
   attachBehavioralCapture() {
     if (this._behavioralAttached) return;
     this._behavioralAttached = true;
 
+    window.addEventListener('beforeunload', () => this._endPage({ unloading: true }));
+
+    this._syncPlugins();
+  },
+
+  /** @returns {number} Milliseconds since init() or the last setRoute() */
+  _dwellMs() {
+    return Math.round(performance.now() - this._pageStartTime);
+  },
+
+  /**
+   * Closes the current page: page_view_end with its dwell time, then each
+   * running plugin's onPageEnd (form abandonment). On unload everything goes
+   * out via sendBeacon.
+   */
+  _endPage({ unloading }) {
+    const metadata = { dwellMs: this._dwellMs() };
+    if (unloading) this.sendBeacon('page_view_end', metadata);
+    else this.emit('page_view_end', metadata);
+
+    for (const ctx of [...this._activePlugins.values()]) {
+      try {
+        ctx.plugin.onPageEnd?.(ctx, { unloading });
+      } catch (err) {
+        console.warn(`[Telemetry] Detector "${ctx.plugin.name}" onPageEnd failed:`, err);
+      }
+    }
+  },
+
+  /**
+   * ─────────────────────────────────────────────────────────────────────
+   * SINGLE-PAGE APPS (virtual pages)
+   * ─────────────────────────────────────────────────────────────────────
+   * 
+   * init() assumes one document per route. For client-side routing,
+   * setRoute(name) makes the route change look like a page load:
+   *   1. page_view_end (dwell since the last page_view) and onPageEnd, so
+   *      an unsubmitted form on the old route is reported as abandoned
+   *   2. every detector plugin is restarted: rage click history, scroll
+   *      milestones, refocus, idle timer and form state start fresh, and the
+   *      uTurn detector records the new route
+   *   3. the detector config for the new route is applied (cached, then
+   *      refetched), then page_view with the previous URL as referrer
+   * 
+   * Replay, transport and performance capture keep running; Web Vitals and
+   * navigation timing still describe the document, not the virtual page.
+   */
+
+  /**
+   * Switch to a new virtual page. Calls init() if it has not run yet; the
+   * same route again is a no-op.
+   * @param {string} pageName - Route identifier (e.g., 'trade/confirm')
+   */
+  setRoute(pageName) {
+    if (!this.pageRoute) return this.init(pageName);
+    if (pageName === this.pageRoute) return;
+
+    this._endPage({ unloading: false });
+    for (const name of [...this._activePlugins.keys()]) this._stopPlugin(name);
+
+    const referrer = this._pageUrl;
+    this.pageRoute = pageName;
+    this._pageStartTime = performance.now();
+    this._pageUrl = window.location.href;
+
+    // Starts the plugins again with the new route's thresholds
+    this._applyDetectorConfig(this._cachedRemoteConfig());
+    this._loadRemoteConfig();
+    this.emit('page_view', { pageRoute: this.pageRoute, referrer, virtual: true });
+  },
+
+  /**
+   * Follow client-side navigation: history.pushState/replaceState and
+   * popstate call setRoute() when the route name (spa.routeName) changes.
+   * replaceState within the same route (query string updates) is ignored.
+   */
+  instrumentHistory() {
+    if (this._historyAttached || typeof window === 'undefined' || !window.history) return;
+    this._historyAttached = true;
+    const self = this;
+
+    const follow = () => {
+      try {
+        const route = self._routeName();
+        if (route && route !== self.pageRoute) self.setRoute(route);
+      } catch (err) {
+        console.warn('[Telemetry] Route change not recorded:', err);
+      }
+    };
+
+    ['pushState', 'replaceState'].forEach((method) => {
+      const original = window.history[method];
+      window.history[method] = function () {
+        const result = original.apply(this, arguments);
+        follow();
+        return result;
+      };
+    });
+    // Deferred so popstate listeners (navBacktrack) still see the page being left
+    window.addEventListener('popstate', () => setTimeout(follow, 0));
+  },
+
+  /** @returns {string} Route name for the current location */
+  _routeName() {
+    if (typeof this.spa.routeName === 'function') return this.spa.routeName(window.location);
+    const path = window.location.pathname.replace(/\.html$/, '').replace(/^\/+|\/+$/g, '');
+    return path || 'index';
+  },
+
+  _getElementKey(element) {
+    if (element.id) return `#${element.id}`;
+    if (element.name) return `[name="${element.name}"]`;
+    const tag = element.tagName?.toLowerCase() || 'unknown';
+    const classList = Array.from(element.classList || []).slice(0, 2).join('.');
+    return classList ? `${tag}.${classList}` : tag;
+  },
+};
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * BUILT-IN DETECTORS
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Each detector is a plugin (see DETECTOR PLUGINS above) whose thresholds
+ * live in Telemetry.detectors[name]. The cores are pure: they take plain
+ * values (timestamps, element keys, coordinates) and return what to emit,
+ * or null. setup() only translates DOM events into core calls.
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+const TelemetryDetectors = (() => {
+  const FORM_FIELD_TAGS = ['INPUT', 'SELECT', 'TEXTAREA'];
+  const isFormField = (element) => FORM_FIELD_TAGS.includes(element.tagName?.toUpperCase());
+  const elementText = (element) => (element.textContent || '').trim().slice(0, 50);
+  const pageScrollTop = () => document.documentElement.scrollTop || document.body.scrollTop;
+  const focusId = (element) => element.id || element.name || element.getAttribute?.('aria-label') || '';
+
+  return {
     /**
      * ───────────────────────────────────────────────────────────────────────
      * RAGE CLICK DETECTION: Sliding Window Algorithm
      * ───────────────────────────────────────────────────────────────────────
-     * 
+     *
      * Business Context:
      *   Rapid clicks on the same element indicate user frustration (broken button,
      *   unresponsive UI, or confusing affordance).
-     * 
+     *
      * Algorithm:
      *   - Maintains a per-element timestamp history in a Map
-     *   - Filters clicks within 800ms window (psychometric research shows <1s = frustration)
-     *   - Triggers 'rage_click' event when ≥3 clicks occur in this window
+     *   - Filters clicks within detectors.rageClick.windowMs (default 800ms;
+     *     psychometric research shows <1s = frustration)
+     *   - Triggers 'rage_click' event when ≥ threshold (default 3) clicks occur in this window
      *   - Resets history after detection to avoid duplicate events
-     * 
-     * Why 800ms?
+     *
+     * Why 800ms by default?
      *   Studies show intentional double-clicks occur at 200-400ms intervals.
      *   Frustration manifests as 3+ clicks spaced 100-300ms apart (avg ~200ms).
      *   800ms window captures this pattern while excluding normal UX behaviors.
      */
-    const clickHistory = new Map();
-    const RAGE_CLICK_THRESHOLD = 3;
-    const RAGE_CLICK_WINDOW_MS = 800;
-
-    document.addEventListener(
-      'click',
-      (e) => {
-        const target = e.target;
-        const tagName = target.tagName?.toLowerCase();
-
-        // NOISE FILTER: Ignore clicks on form inputs (tracked via field_change instead)
-        if (tagName === 'input' || tagName === 'select' || tagName === 'textarea') {
-          return;
-        }
+    rageClick: {
+      name: 'rageClick',
+      createCore(config) {
+        const clickHistory = new Map();
+        return {
+          /** @returns {number|null} Clicks in the window once they reach the threshold */
+          click(elementKey, now) {
+            const { threshold, windowMs } = config();
+            const recentClicks = (clickHistory.get(elementKey) || []).filter(t => now - t < windowMs);
+            recentClicks.push(now);
+            if (recentClicks.length < threshold) {
+              clickHistory.set(elementKey, recentClicks);
+              return null;
+            }
+            clickHistory.set(elementKey, []);
+            return recentClicks.length;
+          },
+        };
+      },
+      setup(ctx) {
+        ctx.listen(document, 'click', (e) => {
+          const target = e.target;
+          // NOISE FILTER: Ignore clicks on form inputs (tracked via field_change instead)
+          if (isFormField(target)) return;
 
-        const elementKey = this._getElementKey(target);
-        const now = performance.now();
+          const elementKey = ctx.elementKey(target);
+          const clickCount = ctx.core.click(elementKey, performance.now());
+          if (clickCount !== null) {
+            ctx.emit('rage_click', {
+              element: elementKey,
+              clickCount,
+              id: target.id || undefined,
+              text: elementText(target),
+            });
+          }
+        }, true);
+      },
+    },
 
-        if (!clickHistory.has(elementKey)) {
-          clickHistory.set(elementKey, []);
-        }
-        const timestamps = clickHistory.get(elementKey);
-        const recentClicks = timestamps.filter(t => now - t < RAGE_CLICK_WINDOW_MS);
-        recentClicks.push(now);
-        clickHistory.set(elementKey, recentClicks);
-
-        if (recentClicks.length >= RAGE_CLICK_THRESHOLD) {
-          this.emit('rage_click', {
-            element: elementKey,
-            clickCount: recentClicks.length,
-            id: target.id || undefined,
-            text: (target.textContent || '').trim().slice(0, 50),
-          });
-          clickHistory.set(elementKey, []);
-        }
+    // Dead click: emit after a short delay if URL and scroll did not change (AI metric #2)
+    deadClick: {
+      name: 'deadClick',
+      createCore(config) {
+        return {
+          /**
+           * @param {{ url: string, scrollTop: number }} before - At the click
+           * @param {{ url: string, scrollTop: number }} after - deadClick.delayMs later
+           * @returns {boolean} True if the click visibly did nothing
+           */
+          isDead(before, after) {
+            return before.url === after.url && Math.abs(before.scrollTop - after.scrollTop) < config().scrollTolerancePx;
+          },
+        };
+      },
+      setup(ctx) {
+        ctx.listen(document, 'click', (e) => {
+          const target = e.target;
+          if (isFormField(target)) return;
 
-        // Dead click: emit after short delay if URL and scroll did not change (AI metric #2)
-        const deadClickCheck = () => {
-          const urlBefore = window.location.href;
-          const scrollBefore = document.documentElement.scrollTop || document.body.scrollTop;
-          setTimeout(() => {
-            const urlAfter = window.location.href;
-            const scrollAfter = document.documentElement.scrollTop || document.body.scrollTop;
-            if (urlBefore === urlAfter && Math.abs(scrollBefore - scrollAfter) < 5) {
-              this.emit('dead_click', {
-                element: elementKey,
+          const before = { url: window.location.href, scrollTop: pageScrollTop() };
+          ctx.setTimeout(() => {
+            if (ctx.core.isDead(before, { url: window.location.href, scrollTop: pageScrollTop() })) {
+              ctx.emit('dead_click', {
+                element: ctx.elementKey(target),
                 id: target.id || undefined,
-                text: (target.textContent || '').trim().slice(0, 50),
+                text: elementText(target),
               });
             }
-          }, 350);
-        };
-        deadClickCheck();
+          }, ctx.config().delayMs);
+        }, true);
       },
-      true
-    );
-
-    window.addEventListener('error', (event) => {
-      this.emit('system_error', {
-        message: event.message,
-        filename: event.filename,
-        lineno: event.lineno,
-        colno: event.colno,
-        errorType: 'js_error',
-      });
-    });
-
-    window.addEventListener('unhandledrejection', (event) => {
-      this.emit('system_error', {
-        message: event.reason?.message || String(event.reason),
-        errorType: 'unhandled_promise_rejection',
-      });
-    });
+    },
 
-    const SCROLL_MILESTONES = [0.25, 0.5, 0.75, 1];
-    const reachedMilestones = new Set();
-    const onScroll = () => {
-      const doc = document.documentElement;
-      const scrollTop = doc.scrollTop || document.body.scrollTop;
-      const scrollHeight = doc.scrollHeight - doc.clientHeight;
-      if (scrollHeight <= 0) return;
-      const pct = Math.min(1, scrollTop / scrollHeight);
-      for (const m of SCROLL_MILESTONES) {
-        if (pct >= m && !reachedMilestones.has(m)) {
-          reachedMilestones.add(m);
-          this.emit('scroll_depth', { pct: m, scrollY: Math.round(scrollTop) });
-        }
-      }
-    };
-    window.addEventListener('scroll', onScroll, { passive: true });
+    scrollDepth: {
+      name: 'scrollDepth',
+      createCore(config) {
+        const reachedMilestones = new Set();
+        return {
+          /**
+           * @param {number} scrollTop - Pixels scrolled
+           * @param {number} scrollRange - Scrollable height (scrollHeight - clientHeight)
+           * @returns {number[]} Milestones reached for the first time
+           */
+          scroll(scrollTop, scrollRange) {
+            if (scrollRange <= 0) return [];
+            const pct = Math.min(1, scrollTop / scrollRange);
+            const reached = config().milestones.filter(m => pct >= m && !reachedMilestones.has(m));
+            reached.forEach(m => reachedMilestones.add(m));
+            return reached;
+          },
+        };
+      },
+      setup(ctx) {
+        ctx.listen(window, 'scroll', () => {
+          const doc = document.documentElement;
+          const scrollTop = pageScrollTop();
+          for (const pct of ctx.core.scroll(scrollTop, doc.scrollHeight - doc.clientHeight)) {
+            ctx.emit('scroll_depth', { pct, scrollY: Math.round(scrollTop) });
+          }
+        }, { passive: true });
+      },
+    },
 
     // Erratic scroll: direction flips in short window (AI metric #8)
-    const scrollHistory = [];
-    const ERRATIC_WINDOW_MS = 2000;
-    const ERRATIC_MIN_FLIPS = 3;
-    let lastErraticEmit = 0;
-    const onScrollErratic = () => {
-      const t = Date.now();
-      const scrollTop = document.documentElement.scrollTop || document.body.scrollTop;
-      scrollHistory.push({ t, scrollTop });
-      while (scrollHistory.length > 0 && t - scrollHistory[0].t > ERRATIC_WINDOW_MS) {
-        scrollHistory.shift();
-      }
-      if (scrollHistory.length < 4) return;
-      let flips = 0;
-      for (let i = 1; i < scrollHistory.length - 1; i++) {
-        const prev = scrollHistory[i].scrollTop - scrollHistory[i - 1].scrollTop;
-        const next = scrollHistory[i + 1].scrollTop - scrollHistory[i].scrollTop;
-        if ((prev > 0 && next < 0) || (prev < 0 && next > 0)) flips++;
-      }
-      if (flips >= ERRATIC_MIN_FLIPS && t - lastErraticEmit > 3000) {
-        lastErraticEmit = t;
-        this.emit('scroll', { behavior: 'erratic', directionChanges: flips });
-      }
-    };
-    window.addEventListener('scroll', onScrollErratic, { passive: true });
-
-    const IDLE_THRESHOLD_MS = 30000;
-    let idleTimer = null;
-    let lastActivityTs = performance.now();
-
-    const resetIdleTimer = () => {
-      lastActivityTs = performance.now();
-      if (idleTimer) clearTimeout(idleTimer);
-      idleTimer = setTimeout(() => {
-        const idleMs = Math.round(performance.now() - lastActivityTs);
-        this.emit('idle_time', { ms: idleMs });
-      }, IDLE_THRESHOLD_MS);
-    };
+    erraticScroll: {
+      name: 'erraticScroll',
+      createCore(config) {
+        const scrollHistory = [];
+        let lastEmit = -Infinity;
+        return {
+          /** @returns {number|null} Direction changes in the window when erratic */
+          scroll(t, scrollTop) {
+            const { windowMs, minFlips, minSamples, cooldownMs } = config();
+            scrollHistory.push({ t, scrollTop });
+            while (scrollHistory.length > 0 && t - scrollHistory[0].t > windowMs) {
+              scrollHistory.shift();
+            }
+            if (scrollHistory.length < minSamples) return null;
+            let flips = 0;
+            for (let i = 1; i < scrollHistory.length - 1; i++) {
+              const prev = scrollHistory[i].scrollTop - scrollHistory[i - 1].scrollTop;
+              const next = scrollHistory[i + 1].scrollTop - scrollHistory[i].scrollTop;
+              if ((prev > 0 && next < 0) || (prev < 0 && next > 0)) flips++;
+            }
+            if (flips < minFlips || t - lastEmit <= cooldownMs) return null;
+            lastEmit = t;
+            return flips;
+          },
+        };
+      },
+      setup(ctx) {
+        ctx.listen(window, 'scroll', () => {
+          const directionChanges = ctx.core.scroll(Date.now(), pageScrollTop());
+          if (directionChanges !== null) ctx.emit('scroll', { behavior: 'erratic', directionChanges });
+        }, { passive: true });
+      },
+    },
 
-    ['click', 'keydown', 'mousemove'].forEach((ev) => {
-      document.addEventListener(ev, resetIdleTimer, { passive: true });
-    });
-    window.addEventListener('scroll', resetIdleTimer, { passive: true });
-    resetIdleTimer();
+    idle: {
+      name: 'idle',
+      createCore(config) {
+        let lastActivityTs = 0;
+        let reported = false;
+        return {
+          /** @returns {number} Milliseconds until the user counts as idle */
+          activity(now) {
+            lastActivityTs = now;
+            reported = false;
+            return config().thresholdMs;
+          },
+          /** @returns {number|null} Idle duration, once per quiet period */
+          idle(now) {
+            if (reported) return null;
+            reported = true;
+            return Math.round(now - lastActivityTs);
+          },
+        };
+      },
+      setup(ctx) {
+        let idleTimer = null;
+        const resetIdleTimer = () => {
+          const delay = ctx.core.activity(performance.now());
+          if (idleTimer) ctx.clearTimeout(idleTimer);
+          idleTimer = ctx.setTimeout(() => {
+            const ms = ctx.core.idle(performance.now());
+            if (ms !== null) ctx.emit('idle_time', { ms });
+          }, delay);
+        };
+        ['click', 'keydown', 'mousemove'].forEach((ev) => {
+          ctx.listen(document, ev, resetIdleTimer, { passive: true });
+        });
+        ctx.listen(window, 'scroll', resetIdleTimer, { passive: true });
+        resetIdleTimer();
+      },
+    },
 
     // Mouse shake / cursor velocity (AI metric #3): rapid direction changes
-    const mouseBuffer = [];
-    const MOUSE_WINDOW_MS = 500;
-    const MOUSE_THROTTLE_MS = 50;
-    let lastMouseEmit = 0;
-    let lastMouseTs = 0;
-    document.addEventListener(
-      'mousemove',
-      (e) => {
-        const now = Date.now();
-        if (now - lastMouseTs < MOUSE_THROTTLE_MS) return;
-        lastMouseTs = now;
-        mouseBuffer.push({ t: now, x: e.clientX, y: e.clientY });
-        while (mouseBuffer.length > 0 && now - mouseBuffer[0].t > MOUSE_WINDOW_MS) {
-          mouseBuffer.shift();
-        }
-        if (mouseBuffer.length < 5) return;
-        let flips = 0;
-        for (let i = 2; i < mouseBuffer.length; i++) {
-          const dx1 = mouseBuffer[i - 1].x - mouseBuffer[i - 2].x;
-          const dx2 = mouseBuffer[i].x - mouseBuffer[i - 1].x;
-          const dy1 = mouseBuffer[i - 1].y - mouseBuffer[i - 2].y;
-          const dy2 = mouseBuffer[i].y - mouseBuffer[i - 1].y;
-          if ((dx1 !== 0 && dx2 !== 0 && (dx1 > 0) !== (dx2 > 0)) || (dy1 !== 0 && dy2 !== 0 && (dy1 > 0) !== (dy2 > 0))) {
-            flips++;
-          }
-        }
-        if (flips >= 3 && now - lastMouseEmit > 2000) {
-          lastMouseEmit = now;
-          this.emit('mouse_move', { behavior: 'shake', iterations: flips });
-        }
-      },
-      { passive: true }
-    );
-
-    let lastFocusedId = null;
-    let lastBlurTs = 0;
-    const REFOCUS_WINDOW_MS = 5000;
-
-    document.addEventListener(
-      'focusin',
-      (e) => {
-        const id = e.target.id || e.target.name || e.target.getAttribute?.('aria-label') || '';
-        if (!id) return;
-        const now = performance.now();
-        if (lastFocusedId === id && now - lastBlurTs < REFOCUS_WINDOW_MS) {
-          this.emit('refocus', { field: id, msSinceBlur: Math.round(now - lastBlurTs) });
-        }
-        lastFocusedId = id;
+    mouseShake: {
+      name: 'mouseShake',
+      createCore(config) {
+        const mouseBuffer = [];
+        let lastEmit = -Infinity;
+        let lastSampleTs = 0;
+        return {
+          /** @returns {number|null} Direction changes in the window when shaking */
+          move(now, x, y) {
+            const { windowMs, throttleMs, minFlips, minSamples, cooldownMs } = config();
+            if (now - lastSampleTs < throttleMs) return null;
+            lastSampleTs = now;
+            mouseBuffer.push({ t: now, x, y });
+            while (mouseBuffer.length > 0 && now - mouseBuffer[0].t > windowMs) {
+              mouseBuffer.shift();
+            }
+            if (mouseBuffer.length < minSamples) return null;
+            let flips = 0;
+            for (let i = 2; i < mouseBuffer.length; i++) {
+              const dx1 = mouseBuffer[i - 1].x - mouseBuffer[i - 2].x;
+              const dx2 = mouseBuffer[i].x - mouseBuffer[i - 1].x;
+              const dy1 = mouseBuffer[i - 1].y - mouseBuffer[i - 2].y;
+              const dy2 = mouseBuffer[i].y - mouseBuffer[i - 1].y;
+              if ((dx1 !== 0 && dx2 !== 0 && (dx1 > 0) !== (dx2 > 0)) || (dy1 !== 0 && dy2 !== 0 && (dy1 > 0) !== (dy2 > 0))) {
+                flips++;
+              }
+            }
+            if (flips < minFlips || now - lastEmit <= cooldownMs) return null;
+            lastEmit = now;
+            return flips;
+          },
+        };
       },
-      true
-    );
-
-    document.addEventListener(
-      'focusout',
-      (e) => {
-        const id = e.target.id || e.target.name || e.target.getAttribute?.('aria-label') || '';
-        if (id) {
-          lastBlurTs = performance.now();
-        }
+      setup(ctx) {
+        ctx.listen(document, 'mousemove', (e) => {
+          const iterations = ctx.core.move(Date.now(), e.clientX, e.clientY);
+          if (iterations !== null) ctx.emit('mouse_move', { behavior: 'shake', iterations });
+        }, { passive: true });
       },
-      true
-    );
+    },
 
-    window.addEventListener('popstate', () => {
-      this.emit('nav_backtrack', { direction: 'back' });
-    });
+    refocus: {
+      name: 'refocus',
+      createCore(config) {
+        let lastFocusedId = null;
+        let lastBlurTs = 0;
+        return {
+          /** @returns {number|null} ms since the field was left, when it is the same field within the window */
+          focus(id, now) {
+            const refocused = lastFocusedId === id && now - lastBlurTs < config().windowMs;
+            lastFocusedId = id;
+            return refocused ? Math.round(now - lastBlurTs) : null;
+          },
+          blur(now) {
+            lastBlurTs = now;
+          },
+        };
+      },
+      setup(ctx) {
+        ctx.listen(document, 'focusin', (e) => {
+          const id = focusId(e.target);
+          if (!id) return;
+          const msSinceBlur = ctx.core.focus(id, performance.now());
+          if (msSinceBlur !== null) ctx.emit('refocus', { field: id, msSinceBlur });
+        }, true);
+        ctx.listen(document, 'focusout', (e) => {
+          if (focusId(e.target)) ctx.core.blur(performance.now());
+        }, true);
+      },
+    },
 
     /**
      * ───────────────────────────────────────────────────────────────────────
      * FORM ABANDONMENT DETECTION
      * ───────────────────────────────────────────────────────────────────────
-     * 
+     *
      * Business Context:
      *   Users who start filling a form but leave without submitting represent
      *   high-value drop-off points in conversion funnels (login, trade, onboarding).
-     * 
+     *
      * Detection Logic (Boolean State Machine):
-     *   1. _formInteracted: Set to TRUE when user focuses any form field
-     *   2. _formSubmitted: Set to TRUE when form submission occurs
-     *   3. beforeunload: If (_formInteracted AND NOT _formSubmitted) → ABANDONED
-     * 
+     *   1. interacted: Set to TRUE when user focuses any form field
+     *   2. submitted: Set to TRUE on form submission, or when any flow_complete
+     *      is emitted (success or failure), so failed flows are not "abandoned"
+     *   3. Page end (beforeunload, or setRoute() for a virtual page):
+     *      If (interacted AND NOT submitted) → ABANDONED
+     *
      * Why use beforeunload?
      *   - Captures ALL exit methods (close tab, navigate away, back button)
      *   - Uses sendBeacon() to ensure event fires even during page termination
      *   - Cannot rely on click handlers alone (users may refresh, or browser crash)
-     * 
+     *
      * Limitations:
      *   - Does not distinguish between accidental vs. intentional abandonment
-     *   - Autofill/password managers may trigger false positives (mitigated by 
+     *   - Autofill/password managers may trigger false positives (mitigated by
      *     requiring actual focus events, not just input changes)
      */
-    document.addEventListener('focusin', (e) => {
-      if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA' || e.target.tagName === 'SELECT') {
-        this._formInteracted = true;
-      }
-    }, true);
-
-    document.addEventListener('submit', () => {
-      this._formSubmitted = true;
-    }, true);
+    formAbandonment: {
+      name: 'formAbandonment',
+      createCore() {
+        let interacted = false;
+        let submitted = false;
+        return {
+          interact() {
+            interacted = true;
+          },
+          submit() {
+            submitted = true;
+          },
+          /** @returns {boolean} True if leaving now abandons a form */
+          abandoned() {
+            return interacted && !submitted;
+          },
+        };
+      },
+      setup(ctx) {
+        ctx.listen(document, 'focusin', (e) => {
+          if (isFormField(e.target)) ctx.core.interact();
+        }, true);
+        ctx.listen(document, 'submit', () => ctx.core.submit(), true);
+      },
+      onPageEnd(ctx, { unloading }) {
+        if (!ctx.core.abandoned()) return;
+        const send = unloading ? ctx.sendBeacon : ctx.emit;
+        send('form_abandonment', {
+          pageRoute: ctx.telemetry.pageRoute,
+          dwellMs: ctx.telemetry._dwellMs(),
+        });
+      },
+      onEmit(ctx, eventType) {
+        if (eventType === 'flow_complete') ctx.core.submit();
+      },
+    },
 
-    window.addEventListener('beforeunload', () => {
-      const dwellMs = Math.round(performance.now() - this._pageStartTime);
-      
-      this.sendBeacon('page_view_end', { dwellMs });
+    // U-turn detection (AI metric #7): route history A -> B -> A, kept across
+    // page loads; setRoute() restarts the plugin, so virtual pages count too
+    uTurn: {
+      name: 'uTurn',
+      storageKey: 'telemetry_route_history',
+      createCore() {
+        return {
+          /**
+           * @param {string[]} history - Previous routes, oldest first
+           * @param {string} route - Route being entered
+           * @returns {{ history: string[], path: string[]|null }} Updated history
+           *   (last 5) and the A → B → A path when this visit completes a u-turn
+           */
+          visit(history, route) {
+            const next = [...history, route].slice(-5);
+            const isUTurn = next.length >= 3 && next[next.length - 1] === next[next.length - 3];
+            return { history: next, path: isUTurn ? next.slice(-3) : null };
+          },
+        };
+      },
+      setup(ctx) {
+        let history = [];
+        try {
+          const stored = sessionStorage.getItem(this.storageKey);
+          if (stored) history = JSON.parse(stored);
+        } catch (_) {}
+        const visit = ctx.core.visit(history, ctx.telemetry.pageRoute);
+        if (visit.path) ctx.emit('u_turn', { path: visit.path });
+        try {
+          sessionStorage.setItem(this.storageKey, JSON.stringify(visit.history));
+        } catch (_) {}
+      },
+    },
 
-      if (this._formInteracted && !this._formSubmitted) {
-        this.sendBeacon('form_abandonment', {
-          pageRoute: this.pageRoute,
-          dwellMs,
+    navBacktrack: {
+      name: 'navBacktrack',
+      setup(ctx) {
+        ctx.listen(window, 'popstate', () => {
+          ctx.emit('nav_backtrack', { direction: 'back' });
         });
-      }
-    });
-  },
+      },
+    },
 
-  _getElementKey(element) {
-    if (element.id) return `#${element.id}`;
-    if (element.name) return `[name="${element.name}"]`;
-    const tag = element.tagName?.toLowerCase() || 'unknown';
-    const classList = Array.from(element.classList || []).slice(0, 2).join('.');
-    return classList ? `${tag}.${classList}` : tag;
-  },
-};
+    errorCapture: {
+      name: 'errorCapture',
+      createCore() {
+        return {
+          /** @returns {object} system_error metadata for a window 'error' event */
+          fromError(event) {
+            return {
+              message: event.message,
+              filename: event.filename,
+              lineno: event.lineno,
+              colno: event.colno,
+              errorType: 'js_error',
+            };
+          },
+          /** @returns {object} system_error metadata for an unhandled rejection reason */
+          fromRejection(reason) {
+            return {
+              message: reason?.message || String(reason),
+              errorType: 'unhandled_promise_rejection',
+            };
+          },
+        };
+      },
+      setup(ctx) {
+        ctx.listen(window, 'error', (event) => ctx.emit('system_error', ctx.core.fromError(event)));
+        ctx.listen(window, 'unhandledrejection', (event) => ctx.emit('system_error', ctx.core.fromRejection(event.reason)));
+      },
+    },
+  };
+})();
+
+Object.values(TelemetryDetectors).forEach((plugin) => Telemetry.use(plugin));
@@ -0,0 +1,244 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * PII REDACTION (server-side second pass)
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Purpose: Removes personal data that slipped past the SDK before an event is
+ * written to the log. telemetry.js already redacts before send (Telemetry.privacy);
+ * this pass covers old SDK versions, custom senders and the Playwright runner.
+ *
+ * Architecture:
+ *   - Rules live in config/privacy.json (denyFields, allowFields, scrubbers)
+ *   - redactEvent() → { event, count }: a redacted copy plus how many values
+ *     were removed or scrubbed; the input is never mutated
+ *   - server.js runs it after schema validation, on accepted events and on
+ *     dead-letter entries
+ *   - redactReplayEvents() → { events, count }: the same scrubbers over a
+ *     session replay chunk (POST /api/replay/:sessionId) before replayStore.js
+ *     writes it
+ *
+ * What is redacted:
+ *   - metadata, recursively (nested objects and arrays)
+ *   - Page context spread onto the envelope by Telemetry.init(page, {...}) and
+ *     the url; core envelope fields (sessionId, eventType, ...) are left alone
+ *
+ * What is redacted in replay chunks (the recorder's event types):
+ *   - page text and attribute values in snapshot / mutation node trees,
+ *     mutation attrs[].value and texts[].text, input values and meta.url
+ *   - stylesheet text, ids, tag and attribute names and coordinates are kept;
+ *     unknown event types are redacted like metadata
+ *
+ * Accounting:
+ *   metadata.redactions = (client-side count) + (server-side count), so an
+ *   analyst can tell an event lost data without seeing what it was.
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const DEFAULT_PRIVACY_CONFIG_PATH = path.join(__dirname, 'config', 'privacy.json');
+
+// Envelope fields that identify the event rather than describe the user
+const ENVELOPE_FIELDS = new Set([
+  'sessionId', 'tabId', 'userId', 'pageRoute', 'eventType', 'timestamp', 'elementId', 'metadata', 'serverReceivedAt',
+]);
+
+// ─────────────────────────────────────────────────────────────────────────────
+// CONFIGURATION
+// ─────────────────────────────────────────────────────────────────────────────
+const configCache = new Map();
+
+/** Field names match case-insensitively, ignoring _ and - (accountNumber ≡ account_number). */
+export function normalizeFieldName(name) {
+  return String(name).toLowerCase().replace(/[_-]/g, '');
+}
+
+/**
+ * Loads and compiles a privacy config. Results are cached per path;
+ * restart the server after editing the file.
+ *
+ * @param {string} [configPath] - Path to a privacy.json-style file
+ * @returns {Object} { version, deny: Set, allow: Set, scrubbers: [{ name, regex, replacement }] }
+ * @throws {Error} If a scrubber has no pattern or an invalid regular expression
+ */
+export function loadPrivacyConfig(configPath = DEFAULT_PRIVACY_CONFIG_PATH) {
+  if (configCache.has(configPath)) return configCache.get(configPath);
+
+  const raw = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  const scrubbers = (raw.scrubbers || []).map((scrubber, i) => {
+    if (typeof scrubber.pattern !== 'string') {
+      throw new Error(`Invalid privacy config ${configPath}: scrubbers[${i}] needs a pattern`);
+    }
+    const flags = scrubber.flags?.includes('g') ? scrubber.flags : `${scrubber.flags || ''}g`;
+    return {
+      name: scrubber.name || `scrubber_${i}`,
+      regex: new RegExp(scrubber.pattern, flags),
+      replacement: scrubber.replacement ?? '[redacted]',
+    };
+  });
+
+  const config = {
+    version: raw.version,
+    deny: new Set((raw.denyFields || []).map(normalizeFieldName)),
+    allow: new Set((raw.allowFields || []).map(normalizeFieldName)),
+    scrubbers,
+  };
+  configCache.set(configPath, config);
+  return config;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// REDACTION
+// ─────────────────────────────────────────────────────────────────────────────
+/**
+ * Runs every scrubber over a string.
+ *
+ * @param {string} text
+ * @param {Object} config - Compiled privacy config
+ * @returns {{ text: string, count: number }} Scrubbed text and number of matches replaced
+ */
+export function scrubString(text, config) {
+  let count = 0;
+  let result = text;
+  for (const { regex, replacement } of config.scrubbers) {
+    result = result.replace(regex, () => {
+      count++;
+      return replacement;
+    });
+  }
+  return { text: result, count };
+}
+
+/**
+ * Redacts a value under a given key: denied keys are dropped (undefined),
+ * allowed keys pass through, strings are scrubbed and containers recursed.
+ *
+ * @param {*} value
+ * @param {string|null} key - Owning field name (null for array items)
+ * @param {Object} config - Compiled privacy config
+ * @param {{ count: number }} counter - Incremented per removal/replacement
+ * @returns {*} Redacted copy (undefined = drop the field)
+ */
+function redactValue(value, key, config, counter) {
+  const normalized = key === null ? null : normalizeFieldName(key);
+  if (normalized !== null && config.deny.has(normalized)) {
+    counter.count++;
+    return undefined;
+  }
+  if (normalized !== null && config.allow.has(normalized)) return value;
+
+  if (typeof value === 'string') {
+    const { text, count } = scrubString(value, config);
+    counter.count += count;
+    return text;
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redactValue(item, null, config, counter));
+  }
+  if (value && typeof value === 'object') {
+    const out = {};
+    for (const [childKey, child] of Object.entries(value)) {
+      const redacted = redactValue(child, childKey, config, counter);
+      if (redacted !== undefined) out[childKey] = redacted;
+    }
+    return out;
+  }
+  return value;
+}
+
+/**
+ * Redacts one event (see the header for what is covered).
+ *
+ * @param {Object} event - Validated telemetry event
+ * @param {Object} [config] - Compiled privacy config (defaults to config/privacy.json)
+ * @returns {{ event: Object, count: number }} Redacted copy and server-side redaction count
+ */
+export function redactEvent(event, config = loadPrivacyConfig()) {
+  const counter = { count: 0 };
+  const out = {};
+
+  for (const [key, value] of Object.entries(event)) {
+    if (ENVELOPE_FIELDS.has(key)) {
+      out[key] = value;
+      continue;
+    }
+    const redacted = redactValue(value, key, config, counter);
+    if (redacted !== undefined) out[key] = redacted;
+  }
+
+  if (event.metadata && typeof event.metadata === 'object' && !Array.isArray(event.metadata)) {
+    const { redactions, ...metadata } = event.metadata;
+    out.metadata = redactValue(metadata, null, config, counter);
+    if (counter.count === 0) {
+      // Nothing to add: keep the client's value as sent (dead-letter entries show it verbatim)
+      if (redactions !== undefined) out.metadata.redactions = redactions;
+    } else {
+      out.metadata.redactions = (Number.isInteger(redactions) && redactions > 0 ? redactions : 0) + counter.count;
+    }
+  }
+
+  return { event: out, count: counter.count };
+}
+
+/**
+ * Redacts the events of one replay chunk (see the header for what is covered).
+ * Recorded DOM has no field names to deny, so only the scrubbers apply.
+ *
+ * @param {Object[]} events - Validated chunk events ({ type, ts, ... })
+ * @param {Object} [config] - Compiled privacy config (defaults to config/privacy.json)
+ * @returns {{ events: Object[], count: number }} Redacted copies and number of matches replaced
+ */
+export function redactReplayEvents(events, config = loadPrivacyConfig()) {
+  const counter = { count: 0 };
+  const scrub = (value) => {
+    if (typeof value !== 'string') return value;
+    const { text, count } = scrubString(value, config);
+    counter.count += count;
+    return text;
+  };
+  const scrubNode = (node, inStyle = false) => {
+    if (!node || typeof node !== 'object') return node;
+    if ('text' in node) return { ...node, text: inStyle ? node.text : scrub(node.text) };
+
+    const out = { ...node };
+    if (node.attrs && typeof node.attrs === 'object') {
+      out.attrs = Object.fromEntries(Object.entries(node.attrs).map(([name, value]) => [name, scrub(value)]));
+    }
+    if ('value' in node) out.value = scrub(node.value);
+    if (Array.isArray(node.children)) {
+      out.children = node.children.map(child => scrubNode(child, node.tag === 'style'));
+    }
+    return out;
+  };
+
+  const redacted = events.map((event) => {
+    switch (event.type) {
+      case 'meta':
+        return { ...event, url: scrub(event.url) };
+      case 'snapshot':
+        return { ...event, node: scrubNode(event.node) };
+      case 'mutation':
+        return {
+          ...event,
+          adds: Array.isArray(event.adds) ? event.adds.map(add => ({ ...add, node: scrubNode(add?.node) })) : event.adds,
+          attrs: Array.isArray(event.attrs) ? event.attrs.map(attr => ({ ...attr, value: scrub(attr?.value) })) : event.attrs,
+          texts: Array.isArray(event.texts) ? event.texts.map(text => ({ ...text, text: scrub(text?.text) })) : event.texts,
+        };
+      case 'input':
+        return { ...event, value: scrub(event.value) };
+      case 'scroll':
+      case 'pointer':
+      case 'viewport':
+        return event;
+      default:
+        return redactValue(event, null, config, counter);
+    }
+  });
+
+  return { events: redacted, count: counter.count };
+}
@@ -0,0 +1,174 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * SESSION REPLAY STORE
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Purpose: Persists the DOM recordings shipped by the telemetry.js replay
+ * recorder and serves them back to public/replay.html.
+ *
+ * Architecture:
+ *   - One file per session: logs/replay/<sessionId>.ndjson (the logs dir
+ *     follows TELEMETRY_LOGS_DIR; every function also takes { dir })
+ *   - One line per chunk: { receivedAt, seq, pageRoute, events: [...] }
+ *   - Kept apart from telemetry_logs*.ndjson, so recordings never reach the
+ *     query API, the dashboards, rotation or the S3 uploader
+ *
+ * Volume Controls (recording is sampled client-side, see Telemetry.replay):
+ *   - MAX_CHUNK_BYTES caps a single POST body
+ *   - MAX_SESSION_BYTES caps a session's file; further chunks are refused
+ *     with replay_quota_exceeded and the recorder stops for that session
+ *
+ * Data Flow:
+ *   telemetry.js → POST /api/replay/:sessionId → validateChunk() → appendChunk()
+ *   replay.html  → GET /api/replay/:sessionId  → readReplay() (chunks ordered by seq)
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+import fsPromises from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { readNdjsonFile } from './storage/segments.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const REPLAY_DIR = path.join(
+  process.env.TELEMETRY_LOGS_DIR ? path.resolve(process.env.TELEMETRY_LOGS_DIR) : path.join(__dirname, 'logs'),
+  'replay',
+);
+export const MAX_CHUNK_BYTES = 512 * 1024;
+export const MAX_SESSION_BYTES = 5 * 1024 * 1024;
+
+// Session IDs become file names, so only allow the SDK's / runner's shapes
+const SESSION_ID_PATTERN = /^[A-Za-z0-9][\w.-]{0,127}$/;
+
+// ─────────────────────────────────────────────────────────────────────────────
+// VALIDATION
+// ─────────────────────────────────────────────────────────────────────────────
+/**
+ * @param {*} sessionId - Route parameter
+ * @returns {boolean} True if the ID is safe to use as a file name
+ */
+export function isValidSessionId(sessionId) {
+  return typeof sessionId === 'string' && SESSION_ID_PATTERN.test(sessionId);
+}
+
+/**
+ * Checks the shape of a recorder chunk. Individual recording events are only
+ * checked for { type, ts }; the player ignores types it does not know.
+ *
+ * @param {*} chunk - Parsed request body
+ * @returns {string|null} Reason the chunk is invalid, or null
+ */
+export function validateChunk(chunk) {
+  if (!chunk || typeof chunk !== 'object' || Array.isArray(chunk)) return 'chunk must be an object';
+  if (!Number.isInteger(chunk.seq) || chunk.seq < 0) return 'seq must be a non-negative integer';
+  if (!Array.isArray(chunk.events) || chunk.events.length === 0) return 'events must be a non-empty array';
+  const bad = chunk.events.findIndex(e => !e || typeof e.type !== 'string' || typeof e.ts !== 'number');
+  if (bad !== -1) return `events[${bad}] needs a string type and a numeric ts`;
+  return null;
+}
+
+function replayPath(sessionId, dir) {
+  return path.join(dir, `${sessionId}.ndjson`);
+}
+
+async function fileSize(file) {
+  try {
+    return (await fsPromises.stat(file)).size;
+  } catch (err) {
+    if (err.code === 'ENOENT') return 0;
+    throw err;
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// WRITE SIDE
+// ─────────────────────────────────────────────────────────────────────────────
+/**
+ * Appends one chunk to the session's recording unless that would take the
+ * file past MAX_SESSION_BYTES.
+ *
+ * @param {string} sessionId - Validated session ID
+ * @param {Object} chunk - Validated chunk ({ seq, pageRoute?, events })
+ * @param {Object} [options]
+ * @param {string} [options.dir=REPLAY_DIR] - Directory holding the recordings
+ * @returns {Promise<{ stored: boolean, bytes: number, reason?: string }>} bytes = file size afterwards
+ */
+export async function appendChunk(sessionId, chunk, { dir = REPLAY_DIR } = {}) {
+  const file = replayPath(sessionId, dir);
+  const line = JSON.stringify({
+    receivedAt: new Date().toISOString(),
+    seq: chunk.seq,
+    pageRoute: typeof chunk.pageRoute === 'string' ? chunk.pageRoute : null,
+    events: chunk.events,
+  }) + '\n';
+
+  const size = await fileSize(file);
+  const lineBytes = Buffer.byteLength(line);
+  if (size + lineBytes > MAX_SESSION_BYTES) {
+    return { stored: false, bytes: size, reason: 'replay_quota_exceeded' };
+  }
+
+  await fsPromises.mkdir(dir, { recursive: true });
+  await fsPromises.appendFile(file, line);
+  return { stored: true, bytes: size + lineBytes };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// READ SIDE
+// ─────────────────────────────────────────────────────────────────────────────
+/**
+ * Loads a session's recording. Chunks are ordered by seq (beacons can arrive
+ * out of order) and their events concatenated.
+ *
+ * @param {string} sessionId - Validated session ID
+ * @param {Object} [options]
+ * @param {string} [options.dir=REPLAY_DIR] - Directory holding the recordings
+ * @returns {Promise<Object|null>} { sessionId, chunks, bytes, events[] }, or null if none was recorded
+ */
+export async function readReplay(sessionId, { dir = REPLAY_DIR } = {}) {
+  const file = replayPath(sessionId, dir);
+  const bytes = await fileSize(file);
+  if (bytes === 0) return null;
+
+  const chunks = [];
+  for await (const chunk of readNdjsonFile(file)) chunks.push(chunk);
+  chunks.sort((a, b) => a.seq - b.seq);
+
+  return {
+    sessionId,
+    chunks: chunks.length,
+    bytes,
+    events: chunks.flatMap(chunk => chunk.events),
+  };
+}
+
+/**
+ * Lists recorded sessions, most recently updated first.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.dir=REPLAY_DIR] - Directory holding the recordings
+ * @returns {Promise<Array<{ sessionId: string, bytes: number, updatedAt: string }>>}
+ */
+export async function listReplays({ dir = REPLAY_DIR } = {}) {
+  let names;
+  try {
+    names = await fsPromises.readdir(dir);
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+
+  const replays = [];
+  for (const name of names) {
+    if (!name.endsWith('.ndjson')) continue;
+    const stat = await fsPromises.stat(path.join(dir, name));
+    replays.push({
+      sessionId: name.slice(0, -'.ndjson'.length),
+      bytes: stat.size,
+      updatedAt: stat.mtime.toISOString(),
+    });
+  }
+  return replays.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
@@ -1,7 +1,23 @@
 #!/usr/bin/env node
 
+import path from 'path';
+import { fileURLToPath } from 'url';
 import { runSessions } from './dist/runner.js';
 
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Parse a 32-bit unsigned seed
+ */
+function parseSeed(value, flag) {
+  const seed = Number(value);
+  if (!Number.isInteger(seed) || seed < 0 || seed > 0xFFFFFFFF) {
+    console.error(`${flag} must be an integer between 0 and ${0xFFFFFFFF}`);
+    process.exit(1);
+  }
+  return seed;
+}
+
 /**
  * Parse command line arguments
  */
@@ -17,7 +33,13 @@ function parseArgs() {
       lost: 0.2,
       error: 0.1
     },
+    scenarioDir: path.join(__dirname, 'scenarios'),
+    seed: undefined,
+    replaySeed: undefined,
+    fast: false,
     outputFile: undefined,
+    manifestFile: 'logs/session_manifest.ndjson',
+    ingestKey: process.env.TELEMETRY_INGEST_KEY || 'pk_local_mock_site',
     telemetryJsOnly: false
   };
 
@@ -34,33 +56,40 @@ function parseArgs() {
       config.sessions = parseInt(args[i + 1], 10);
       i++;
     } else if (arg === '--scenarioMix' && i + 1 < args.length) {
-      const mixStr = args[i + 1];
-      const parts = mixStr.split(',');
-      const mix = { normal: 0, frustrated: 0, lost: 0, error: 0 };
-      
-      parts.forEach(part => {
+      // name:weight pairs; names are checked (and weights normalized) against
+      // the loaded scenario files by the runner
+      const mix = {};
+      args[i + 1].split(',').forEach(part => {
         const [scenario, prob] = part.split(':');
-        const probability = parseFloat(prob);
-        if (scenario === 'normal') mix.normal = probability;
-        else if (scenario === 'frustrated') mix.frustrated = probability;
-        else if (scenario === 'lost') mix.lost = probability;
-        else if (scenario === 'error') mix.error = probability;
+        if (scenario) mix[scenario.trim()] = parseFloat(prob);
       });
-      
-      // Normalize to sum to 1.0
-      const sum = mix.normal + mix.frustrated + mix.lost + mix.error;
-      if (sum > 0) {
-        mix.normal /= sum;
-        mix.frustrated /= sum;
-        mix.lost /= sum;
-        mix.error /= sum;
-      }
-      
+
       config.scenarioMix = mix;
       i++;
+    } else if (arg === '--scenarios' && i + 1 < args.length) {
+      config.scenarioDir = args[i + 1];
+      i++;
+    } else if (arg === '--seed' && i + 1 < args.length) {
+      config.seed = parseSeed(args[i + 1], '--seed');
+      i++;
+    } else if (arg === '--replay-seed' && i + 1 < args.length) {
+      // Replays one session: the seed comes from any of its events (metadata.seed)
+      config.replaySeed = parseSeed(args[i + 1], '--replay-seed');
+      config.sessions = 1;
+      i++;
     } else if (arg === '--output' && i + 1 < args.length) {
       config.outputFile = args[i + 1];
       i++;
+    } else if (arg === '--manifest' && i + 1 < args.length) {
+      config.manifestFile = args[i + 1];
+      i++;
+    } else if (arg === '--no-manifest') {
+      config.manifestFile = undefined;
+    } else if (arg === '--ingest-key' && i + 1 < args.length) {
+      config.ingestKey = args[i + 1];
+      i++;
+    } else if (arg === '--fast') {
+      config.fast = true;
     } else if (arg === '--telemetry-js-only') {
       config.telemetryJsOnly = true;
     } else if (arg === '--help' || arg === '-h') {
@@ -71,8 +100,16 @@ Options:
   --baseUrl <url>         Base URL of the website (default: http://localhost:8000)
   --sessions <number>     Number of sessions to run (default: 50)
   --concurrency <number>  Max parallel browser sessions (default: 4)
-  --scenarioMix <mix>     Scenario mix in format: normal:0.4,frustrated:0.3,lost:0.2,error:0.1
-  --output <file>         Output file for logs (default: sessions_<timestamp>.jsonl)
+  --scenarioMix <mix>     Scenario mix as name:weight pairs, e.g. normal:0.4,frustrated:0.3,lost:0.2,error:0.1
+                          (any loaded scenario name; 'lost' is short for 'lost_user')
+  --scenarios <dir>       Directory of scenario definitions, *.json / *.yaml (default: scenarios/)
+  --seed <n>              Seed the run so it can be reproduced exactly (default: random, printed at start)
+  --replay-seed <n>       Replay one session from its seed (metadata.seed on its events); use the same --scenarioMix
+  --output <file>         Also append Node-side events (session_start, page_navigation, errors, session_end) to this NDJSON file
+  --manifest <file>       Append sessionId → scenario + executed behaviors (default: logs/session_manifest.ndjson)
+  --no-manifest           Do not write the session manifest
+  --fast                  Time-compressed mode: advance the page's fake clock instead of waiting
+  --ingest-key <key>      Ingest key sent with Node-side events (default: $TELEMETRY_INGEST_KEY or pk_local_mock_site)
   --telemetry-js-only     Use only page telemetry.js to capture events (no Node-side logging; same as teammate's method)
   --help, -h              Show this help message
 
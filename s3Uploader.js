@@ -2,206 +2,476 @@
  * ═══════════════════════════════════════════════════════════════════════════
  * AWS S3 LOG SYNCHRONIZATION MODULE
  * ═══════════════════════════════════════════════════════════════════════════
- * 
+ *
  * Purpose: Automated upload of telemetry logs to AWS S3 data lake (raw tier)
- * 
+ *
  * Architecture:
  *   - Uses AWS SDK v3 (@aws-sdk/client-s3) with Default Credential Provider Chain
- *   - Implements file rotation strategy to ensure zero data loss during uploads
- *   - Follows Tiered Storage Strategy: raw/YYYY-MM-DD/telemetry_logs_TIMESTAMP.ndjson
- * 
+ *   - Uploads closed segments produced by the storage layer (storage/index.js);
+ *     it never touches the live file, rotation belongs to the store
+ *   - Bucket, prefix, region, endpoint, interval and partition scheme come from
+ *     config/s3.json with env overrides (see loadS3Config)
+ *   - A persistent manifest (logs/s3_manifest.json) records every attempt, so
+ *     failed segments are retried next cycle and a segment that uploaded but
+ *     could not be deleted is never uploaded twice
+ *
  * Credential Resolution Order (AWS SDK Default Chain):
  *   1. Environment variables (AWS_ACCESS_KEY_ID, AWS_SECRET_ACCESS_KEY)
  *   2. Shared credentials file (~/.aws/credentials)
  *   3. IAM role for EC2 (if running on AWS)
  *   4. IAM role from ECS task (if running in container)
- * 
+ *
+ * Modes:
+ *   enabled   → upload to S3 (or the configured endpoint, e.g. MinIO/localstack)
+ *   dry-run   → log what would be uploaded; no AWS calls, nothing deleted
+ *   disabled  → no scheduler, no shutdown upload
+ *
  * Design Rationale:
- *   - File Rotation: Prevents race conditions between write (server.js) and read (upload)
+ *   - Closed Segments Only: no race between writes (server.js) and reads (upload)
+ *   - gzip before upload; segments above multipartThresholdBytes go multipart
  *   - Async/Non-blocking: Uses fs.promises to avoid blocking Express server
  *   - Error Isolation: Upload failures don't crash telemetry ingestion
- * 
+ *
  * Data Flow:
- *   logs/telemetry_logs.ndjson → Rename to temp file → Upload to S3 → Delete temp file
- * 
+ *   store.listClosedSegments() → manifest check → gzip → Put/Multipart → manifest → store.removeSegment()
+ *   Shutdown: store.rotate() (close the active segment) → upload
+ *
  * S3 Key Structure:
- *   raw/2026-02-23/telemetry_logs_1708704300.ndjson
- *   └─┬─┘ └────┬────┘ └───────────┬──────────┘
- *     │        │                    └─ Unix timestamp for uniqueness
- *     │        └─ Date-based partitioning (enables Athena/Glue queries by date)
- *     └─ Raw tier (unprocessed data from source system)
+ *   raw/2026-02-23/telemetry_logs_1708704300.ndjson.gz        (partition: date)
+ *   raw/2026-02-23/14/telemetry_logs_1708704300.ndjson.gz     (partition: date/hour)
+ *   └┬┘ └────┬───┘ └─────────────┬──────────────────┘
+ *    │       │                   └─ Unix timestamp for uniqueness
+ *    │       └─ Date (or date/hour) partitioning (enables Athena/Glue queries by date)
+ *    └─ Prefix, default raw tier (unprocessed data from source system)
  * ═══════════════════════════════════════════════════════════════════════════
  */
 
-import { S3Client, PutObjectCommand } from '@aws-sdk/client-s3';
+import {
+  S3Client,
+  PutObjectCommand,
+  CreateMultipartUploadCommand,
+  UploadPartCommand,
+  CompleteMultipartUploadCommand,
+  AbortMultipartUploadCommand,
+} from '@aws-sdk/client-s3';
 import fs from 'fs/promises';
 import fsSync from 'fs';
 import path from 'path';
+import zlib from 'zlib';
+import { promisify } from 'util';
 import { fileURLToPath } from 'url';
+import { getStorage } from './storage/index.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+const gzip = promisify(zlib.gzip);
+
+export const DEFAULT_S3_CONFIG_PATH = path.join(__dirname, 'config', 's3.json');
+const MODES = ['enabled', 'dry-run', 'disabled'];
+const PARTITIONS = ['date', 'date/hour'];
+const MIN_PART_SIZE = 5 * 1024 * 1024;   // S3 minimum for every part but the last
+
+// ─────────────────────────────────────────────────────────────────────────────
+// CONFIGURATION
+// ─────────────────────────────────────────────────────────────────────────────
+/**
+ * Loads the sync config: config/s3.json, then environment variables, then
+ * server CLI flags (--dry-run, --no-s3-sync).
+ *
+ * Env overrides:
+ *   S3_SYNC_CONFIG, S3_SYNC_MODE, S3_BUCKET, S3_PREFIX, S3_REGION (or AWS_REGION),
+ *   S3_ENDPOINT, S3_FORCE_PATH_STYLE, S3_SYNC_INTERVAL_MINUTES, S3_PARTITION, S3_GZIP
+ *
+ * @param {Object} [options]
+ * @param {string} [options.configPath] - Alternate config file
+ * @param {Object} [options.env=process.env] - Environment to read overrides from
+ * @param {string[]} [options.argv=process.argv] - Command line to read flags from
+ * @returns {Object} Resolved config
+ * @throws {Error} On an unknown mode/partition, a non-positive interval or a missing bucket
+ */
+export function loadS3Config({ configPath, env = process.env, argv = process.argv } = {}) {
+  const file = configPath || env.S3_SYNC_CONFIG || DEFAULT_S3_CONFIG_PATH;
+  const fromFile = fsSync.existsSync(file) ? JSON.parse(fsSync.readFileSync(file, 'utf8')) : {};
+
+  const bool = value => (value === undefined ? undefined : ['1', 'true', 'yes'].includes(String(value).toLowerCase()));
+  const fromEnv = {
+    mode: env.S3_SYNC_MODE,
+    bucket: env.S3_BUCKET,
+    prefix: env.S3_PREFIX,
+    region: env.S3_REGION || env.AWS_REGION,
+    endpoint: env.S3_ENDPOINT,
+    forcePathStyle: bool(env.S3_FORCE_PATH_STYLE),
+    intervalMinutes: env.S3_SYNC_INTERVAL_MINUTES === undefined ? undefined : Number(env.S3_SYNC_INTERVAL_MINUTES),
+    partition: env.S3_PARTITION,
+    gzip: bool(env.S3_GZIP),
+  };
+
+  const config = {
+    mode: 'enabled',
+    prefix: 'raw',
+    region: 'us-east-1',
+    endpoint: null,
+    forcePathStyle: false,
+    intervalMinutes: 5,
+    partition: 'date',
+    gzip: true,
+    multipartThresholdBytes: 16 * 1024 * 1024,
+    partSizeBytes: 8 * 1024 * 1024,
+    manifestPath: 'logs/s3_manifest.json',
+    ...fromFile,
+  };
+  for (const [key, value] of Object.entries(fromEnv)) {
+    if (value !== undefined && value !== '') config[key] = value;
+  }
+  if (argv.includes('--dry-run')) config.mode = 'dry-run';
+  if (argv.includes('--no-s3-sync')) config.mode = 'disabled';
+
+  // A custom endpoint (MinIO, localstack) almost always needs path-style addressing
+  if (config.endpoint && fromFile.forcePathStyle === undefined && fromEnv.forcePathStyle === undefined) {
+    config.forcePathStyle = true;
+  }
+  if (!path.isAbsolute(config.manifestPath)) {
+    config.manifestPath = path.join(__dirname, config.manifestPath);
+  }
+
+  if (!MODES.includes(config.mode)) {
+    throw new Error(`Invalid S3 sync mode "${config.mode}" (expected one of: ${MODES.join(', ')})`);
+  }
+  if (!PARTITIONS.includes(config.partition)) {
+    throw new Error(`Invalid S3 partition scheme "${config.partition}" (expected one of: ${PARTITIONS.join(', ')})`);
+  }
+  if (!(config.intervalMinutes > 0)) {
+    throw new Error(`Invalid S3 sync interval "${config.intervalMinutes}" (minutes, must be > 0)`);
+  }
+  if (config.mode === 'enabled' && !config.bucket) {
+    throw new Error('S3 sync is enabled but no bucket is configured (S3_BUCKET or config/s3.json)');
+  }
+  return config;
+}
+
 // ─────────────────────────────────────────────────────────────────────────────
 // S3 CLIENT CONFIGURATION
 // ─────────────────────────────────────────────────────────────────────────────
-const s3Client = new S3Client({
-  region: 'us-east-1',
-  // Credentials automatically loaded from AWS CLI profile or environment variables
-  // No hardcoded keys - follows AWS security best practices
-});
+/**
+ * Creates an S3 client for the config. Credentials are automatically loaded
+ * from the AWS CLI profile or environment variables; no hardcoded keys.
+ *
+ * @param {Object} config - Output of loadS3Config()
+ * @returns {S3Client}
+ */
+export function createS3Client(config) {
+  return new S3Client({
+    region: config.region,
+    ...(config.endpoint ? { endpoint: config.endpoint } : {}),
+    forcePathStyle: Boolean(config.forcePathStyle),
+  });
+}
+
+let defaultConfig = null;
+const clients = new WeakMap();   // config → S3Client
+
+function getDefaultConfig() {
+  if (!defaultConfig) defaultConfig = loadS3Config();
+  return defaultConfig;
+}
 
-const S3_BUCKET = 'sagemaker-us-east-1-197337164107';
-const LOG_FILE_NAME = 'telemetry_logs.ndjson';
-const LOGS_DIR = path.join(__dirname, 'logs');
+function getClient(config) {
+  if (!clients.has(config)) clients.set(config, createS3Client(config));
+  return clients.get(config);
+}
+
+// Outcome of uploads since the process started (GET /healthz, GET /metrics)
+const syncStatus = {
+  lastCycleAt: null,
+  lastSuccessAt: null,
+  lastSuccessKey: null,
+  lastFailureAt: null,
+  lastError: null,
+  uploadedSegments: 0,
+  failedSegments: 0,
+};
+
+/**
+ * Upload outcomes since the process started. Dry-run cycles update
+ * lastCycleAt only.
+ *
+ * @param {Object} [config] - Output of loadS3Config() (defaults to config/s3.json + env)
+ * @returns {Object} { mode, lastCycleAt, lastSuccessAt, lastSuccessKey, lastFailureAt, lastError,
+ *                     uploadedSegments, failedSegments } (timestamps ISO 8601 or null)
+ */
+export function getSyncStatus(config = getDefaultConfig()) {
+  return { mode: config.mode, ...syncStatus };
+}
 
 // ─────────────────────────────────────────────────────────────────────────────
 // HELPER: Generate S3 Key with Tiered Storage Pathing
 // ─────────────────────────────────────────────────────────────────────────────
 /**
  * Generates S3 object key following data lake conventions
- * Format: raw/YYYY-MM-DD/telemetry_logs_TIMESTAMP.ndjson
- * 
- * @param {number} timestamp - Unix timestamp (seconds since epoch)
+ * Format: <prefix>/YYYY-MM-DD[/HH]/telemetry_logs_TIMESTAMP.ndjson[.gz]
+ *
+ * @param {Object} segment - Closed segment from the store ({ name, timestamp })
+ * @param {Object} config - Output of loadS3Config() (prefix, partition)
+ * @param {string} [objectName=segment.name] - File name to use in the key
  * @returns {string} S3 object key
  */
-function generateS3Key(timestamp) {
-  const date = new Date(timestamp * 1000);
+export function generateS3Key(segment, config, objectName = segment.name) {
+  const date = new Date(segment.timestamp * 1000);
   const year = date.getFullYear();
   const month = String(date.getMonth() + 1).padStart(2, '0');
   const day = String(date.getDate()).padStart(2, '0');
-  
-  return `raw/${year}-${month}-${day}/telemetry_logs_${timestamp}.ndjson`;
+
+  const parts = [`${year}-${month}-${day}`];
+  if (config.partition === 'date/hour') {
+    parts.push(String(date.getHours()).padStart(2, '0'));
+  }
+  const prefix = String(config.prefix ?? '').replace(/^\/+|\/+$/g, '');
+  return [prefix, ...parts, objectName].filter(Boolean).join('/');
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// UPLOAD MANIFEST
+// ─────────────────────────────────────────────────────────────────────────────
+/**
+ * Reads the manifest ({ segments: { name: entry } }); missing or corrupt → empty.
+ */
+async function loadManifest(manifestPath) {
+  try {
+    const manifest = JSON.parse(await fs.readFile(manifestPath, 'utf8'));
+    return manifest && typeof manifest.segments === 'object' ? manifest : { segments: {} };
+  } catch (_) {
+    return { segments: {} };
+  }
+}
+
+/**
+ * Writes the manifest atomically (temp file + rename).
+ */
+async function saveManifest(manifestPath, manifest) {
+  await fs.mkdir(path.dirname(manifestPath), { recursive: true });
+  const tmp = `${manifestPath}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(manifest, null, 2));
+  await fs.rename(tmp, manifestPath);
 }
 
 // ─────────────────────────────────────────────────────────────────────────────
 // CORE FUNCTION: Upload Logs to S3
 // ─────────────────────────────────────────────────────────────────────────────
 /**
- * Uploads current log file to S3 with file rotation for concurrency safety
- * 
- * Process:
- *   1. Check if log file exists and has content
- *   2. Rename active log to timestamped temp file (atomic operation)
- *   3. Upload temp file to S3 (server can continue writing to new log)
- *   4. Delete temp file on success
- * 
- * @returns {Promise<Object>} Upload result { success: boolean, key?: string, error?: Error }
+ * Sends one object, switching to a multipart upload above the threshold.
+ * A failed multipart upload is aborted so no orphaned parts are billed.
+ *
+ * @returns {Promise<{ etag?: string, multipart: boolean }>}
  */
-export async function uploadLogsToS3() {
-  const logFilePath = path.join(LOGS_DIR, LOG_FILE_NAME);
-  
+async function putObject(client, config, { key, body, contentEncoding, metadata }) {
+  const common = {
+    Bucket: config.bucket,
+    Key: key,
+    ContentType: 'application/x-ndjson',
+    ...(contentEncoding ? { ContentEncoding: contentEncoding } : {}),
+    Metadata: metadata,
+  };
+
+  if (body.length < config.multipartThresholdBytes) {
+    const result = await client.send(new PutObjectCommand({ ...common, Body: body }));
+    return { etag: result.ETag, multipart: false };
+  }
+
+  const partSize = Math.max(config.partSizeBytes, MIN_PART_SIZE);
+  const { UploadId } = await client.send(new CreateMultipartUploadCommand(common));
   try {
-    // ─── Step 1: Check if log file exists ───────────────────────────────────
-    const fileExists = fsSync.existsSync(logFilePath);
-    if (!fileExists) {
-      console.log('[S3 Sync] No log file found. Skipping upload.');
-      return { success: false, reason: 'no_file' };
+    const parts = [];
+    for (let offset = 0, partNumber = 1; offset < body.length; offset += partSize, partNumber++) {
+      const { ETag } = await client.send(new UploadPartCommand({
+        Bucket: config.bucket,
+        Key: key,
+        UploadId,
+        PartNumber: partNumber,
+        Body: body.subarray(offset, offset + partSize),
+      }));
+      parts.push({ ETag, PartNumber: partNumber });
     }
-    
-    // ─── Step 2: Check if file has content ─────────────────────────────────
-    const stats = await fs.stat(logFilePath);
-    if (stats.size === 0) {
-      console.log('[S3 Sync] Log file is empty. Skipping upload.');
-      return { success: false, reason: 'empty_file' };
+    const result = await client.send(new CompleteMultipartUploadCommand({
+      Bucket: config.bucket,
+      Key: key,
+      UploadId,
+      MultipartUpload: { Parts: parts },
+    }));
+    return { etag: result.ETag, multipart: true };
+  } catch (error) {
+    await client.send(new AbortMultipartUploadCommand({ Bucket: config.bucket, Key: key, UploadId })).catch(() => {});
+    throw error;
+  }
+}
+
+/**
+ * Uploads one closed segment and removes it from the store on success.
+ * The manifest entry is updated in place; the caller persists it.
+ *
+ * @param {Object} ctx - { store, config, client, manifest }
+ * @param {Object} segment - { path, name, timestamp, gzip, size }
+ * @returns {Promise<Object>} { success: boolean, key: string, size?: number, error?: string }
+ */
+async function uploadSegment({ store, config, client, manifest }, segment) {
+  const compress = config.gzip && !segment.gzip;
+  const objectName = compress ? `${segment.name}.gz` : segment.name;
+  const s3Key = generateS3Key(segment, config, objectName);
+  const entry = manifest.segments[segment.name] ??= { key: s3Key, status: 'pending', attempts: 0 };
+
+  // ─── Already uploaded on an earlier cycle, only the local delete failed ───
+  if (entry.status === 'uploaded') {
+    try {
+      await store.removeSegment(segment.path);
+      delete manifest.segments[segment.name];
+    } catch (error) {
+      console.error(`❌ [S3 Sync] Could not delete uploaded segment ${segment.name}:`, error.message);
     }
-    
-    // ─── Step 3: File Rotation (Concurrency Safety) ────────────────────────
-    const timestamp = Math.floor(Date.now() / 1000); // Unix timestamp in seconds
-    const tempFileName = `telemetry_logs_${timestamp}.ndjson`;
-    const tempFilePath = path.join(LOGS_DIR, tempFileName);
-    
-    // Rename active log to temp file (atomic operation on most filesystems)
-    // This allows server.js to immediately create a new log file for incoming events
-    await fs.rename(logFilePath, tempFilePath);
-    console.log(`[S3 Sync] Rotated log file: ${LOG_FILE_NAME} → ${tempFileName}`);
-    
-    // ─── Step 4: Read file content ─────────────────────────────────────────
-    const fileContent = await fs.readFile(tempFilePath);
-    
-    // ─── Step 5: Generate S3 key with date partitioning ────────────────────
-    const s3Key = generateS3Key(timestamp);
-    
-    // ─── Step 6: Upload to S3 ──────────────────────────────────────────────
-    const command = new PutObjectCommand({
-      Bucket: S3_BUCKET,
-      Key: s3Key,
-      Body: fileContent,
-      ContentType: 'application/x-ndjson',
-      Metadata: {
+    return { success: true, key: entry.key, skipped: true };
+  }
+
+  if (config.mode === 'dry-run') {
+    const multipart = segment.size >= config.multipartThresholdBytes ? ', multipart' : '';
+    console.log(`[S3 Sync] (dry-run) Would upload ${segment.name} → s3://${config.bucket}/${s3Key} (${(segment.size / 1024).toFixed(2)} KB${compress ? ', gzip' : ''}${multipart})`);
+    return { success: true, key: s3Key, dryRun: true };
+  }
+
+  entry.key = s3Key;
+  entry.attempts++;
+  entry.lastAttemptAt = new Date().toISOString();
+
+  try {
+    const raw = await fs.readFile(segment.path);
+    const body = compress ? await gzip(raw) : raw;
+
+    const { etag, multipart } = await putObject(client, config, {
+      key: s3Key,
+      body,
+      contentEncoding: compress || segment.gzip ? 'gzip' : undefined,
+      metadata: {
         'upload-timestamp': new Date().toISOString(),
-        'original-filename': tempFileName,
+        'original-filename': segment.name,
         'source': 'vanguard-client-telemetry'
-      }
+      },
     });
-    
-    await s3Client.send(command);
-    console.log(`✓ [S3 Sync] Successfully uploaded to s3://${S3_BUCKET}/${s3Key}`);
-    console.log(`  File size: ${(stats.size / 1024).toFixed(2)} KB`);
-    
-    // ─── Step 7: Clean up temp file ────────────────────────────────────────
-    await fs.unlink(tempFilePath);
-    console.log(`✓ [S3 Sync] Deleted local temp file: ${tempFileName}`);
-    
-    return { 
-      success: true, 
-      key: s3Key,
-      size: stats.size,
-      timestamp: timestamp
-    };
-    
+    Object.assign(entry, { status: 'uploaded', uploadedAt: new Date().toISOString(), etag, bytes: body.length });
+    delete entry.lastError;
+    Object.assign(syncStatus, { lastSuccessAt: entry.uploadedAt, lastSuccessKey: s3Key });
+    syncStatus.uploadedSegments++;
+    console.log(`✓ [S3 Sync] Successfully uploaded to s3://${config.bucket}/${s3Key}${multipart ? ' (multipart)' : ''}`);
+    console.log(`  File size: ${(segment.size / 1024).toFixed(2)} KB${compress ? ` → ${(body.length / 1024).toFixed(2)} KB gzipped` : ''}`);
   } catch (error) {
-    console.error('❌ [S3 Sync] Upload failed:', error.message);
-    
-    // If error occurred after file rotation, try to restore original filename
-    const timestamp = Math.floor(Date.now() / 1000);
-    const tempFilePath = path.join(LOGS_DIR, `telemetry_logs_${timestamp}.ndjson`);
-    if (fsSync.existsSync(tempFilePath)) {
-      try {
-        await fs.rename(tempFilePath, logFilePath);
-        console.log('[S3 Sync] Restored original log file after error');
-      } catch (renameError) {
-        console.error('[S3 Sync] Failed to restore log file:', renameError.message);
-      }
-    }
-    
-    return { 
-      success: false, 
-      error: error.message,
-      errorCode: error.name
-    };
+    // Segment stays in place and is retried on the next cycle
+    Object.assign(entry, { status: 'failed', lastError: `${error.name}: ${error.message}` });
+    Object.assign(syncStatus, { lastFailureAt: new Date().toISOString(), lastError: entry.lastError });
+    syncStatus.failedSegments++;
+    console.error(`❌ [S3 Sync] Upload failed for ${segment.name} (attempt ${entry.attempts}):`, error.message);
+    return { success: false, key: s3Key, error: error.message, errorCode: error.name };
+  }
+
+  try {
+    await store.removeSegment(segment.path);
+    delete manifest.segments[segment.name];
+    console.log(`✓ [S3 Sync] Deleted local segment: ${segment.name}`);
+  } catch (error) {
+    console.error(`❌ [S3 Sync] Uploaded ${segment.name} but could not delete it:`, error.message);
   }
+  return { success: true, key: s3Key, size: segment.size };
+}
+
+/**
+ * Uploads every closed segment the storage layer has ready
+ *
+ * Process:
+ *   1. Ask the store for closed segments (oldest first)
+ *   2. Skip the upload for segments the manifest already marks as uploaded
+ *   3. gzip and upload the rest to their partition (multipart when large)
+ *   4. Remove each from the store on success; record failures for the next cycle
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.store] - Storage backend (defaults to the process-wide store)
+ * @param {Object} [options.config] - Output of loadS3Config() (defaults to config/s3.json + env)
+ * @param {S3Client} [options.client] - S3 client (defaults to one built from config)
+ * @returns {Promise<Object>} { success: boolean, uploaded: number, failed: number, results: Object[] }
+ */
+export async function uploadLogsToS3({ store = getStorage(), config = getDefaultConfig(), client } = {}) {
+  if (config.mode === 'disabled') {
+    return { success: false, reason: 'disabled', uploaded: 0, failed: 0, results: [] };
+  }
+  syncStatus.lastCycleAt = new Date().toISOString();
+
+  const segments = (await store.listClosedSegments()).filter(segment => segment.size > 0);
+  if (segments.length === 0) {
+    console.log('[S3 Sync] No closed segments to upload.');
+    return { success: false, reason: 'no_segments', uploaded: 0, failed: 0, results: [] };
+  }
+
+  const manifest = await loadManifest(config.manifestPath);
+  const ctx = {
+    store,
+    config,
+    client: config.mode === 'enabled' ? (client ?? getClient(config)) : null,
+    manifest,
+  };
+
+  const results = [];
+  for (const segment of segments) {
+    results.push(await uploadSegment(ctx, segment));
+    if (config.mode === 'enabled') await saveManifest(config.manifestPath, manifest);
+  }
+
+  const uploaded = results.filter(r => r.success).length;
+  return { success: uploaded === results.length, uploaded, failed: results.length - uploaded, results };
 }
 
 // ─────────────────────────────────────────────────────────────────────────────
 // SCHEDULER: Start Automated Sync Process
 // ─────────────────────────────────────────────────────────────────────────────
+let syncInProgress = null;
+
+/**
+ * Runs one sync cycle unless one is already running (a large multipart upload
+ * can outlast the interval).
+ */
+function runSyncCycle(label, options) {
+  if (syncInProgress) {
+    console.log(`[S3 Sync] Previous cycle still running; skipping ${label} upload`);
+    return syncInProgress;
+  }
+  syncInProgress = uploadLogsToS3(options)
+    .catch(err => {
+      Object.assign(syncStatus, { lastFailureAt: new Date().toISOString(), lastError: `${err.name}: ${err.message}` });
+      console.error(`[S3 Sync] ${label} upload error:`, err);
+    })
+    .finally(() => { syncInProgress = null; });
+  return syncInProgress;
+}
+
 /**
- * Starts automated log synchronization on a fixed interval
- * 
- * @param {number} intervalMinutes - Upload interval in minutes (default: 5)
- * @returns {NodeJS.Timeout} Interval timer (can be cleared with clearInterval)
+ * Starts automated log synchronization on the configured interval
+ *
+ * @param {Object} [config] - Output of loadS3Config() (defaults to config/s3.json + env)
+ * @returns {NodeJS.Timeout|null} Interval timer (can be cleared with clearInterval); null when disabled
  */
-export function startAutomatedSync(intervalMinutes = 5) {
-  const intervalMs = intervalMinutes * 60 * 1000;
-  
-  console.log(`✓ [S3 Sync] Automated sync enabled (every ${intervalMinutes} minutes)`);
-  console.log(`  Target bucket: s3://${S3_BUCKET}/raw/YYYY-MM-DD/`);
-  
+export function startAutomatedSync(config = getDefaultConfig()) {
+  if (config.mode === 'disabled') {
+    console.log('[S3 Sync] Disabled (S3_SYNC_MODE=disabled or --no-s3-sync)');
+    return null;
+  }
+
+  const intervalMs = config.intervalMinutes * 60 * 1000;
+  const partitionHint = config.partition === 'date/hour' ? 'YYYY-MM-DD/HH' : 'YYYY-MM-DD';
+  const target = `s3://${config.bucket}/${config.prefix ? `${config.prefix}/` : ''}${partitionHint}/`;
+
+  console.log(`✓ [S3 Sync] Automated sync ${config.mode === 'dry-run' ? 'in DRY-RUN mode' : 'enabled'} (every ${config.intervalMinutes} minutes)`);
+  console.log(`  Target bucket: ${target}${config.endpoint ? ` via ${config.endpoint}` : ''}`);
+
   // Run initial upload after 1 minute (gives time for logs to accumulate)
-  setTimeout(() => {
-    uploadLogsToS3().catch(err => {
-      console.error('[S3 Sync] Initial upload error:', err);
-    });
-  }, 60 * 1000);
-  
+  setTimeout(() => runSyncCycle('Initial', { config }), 60 * 1000).unref();
+
   // Schedule recurring uploads
-  const intervalId = setInterval(() => {
-    uploadLogsToS3().catch(err => {
-      console.error('[S3 Sync] Scheduled upload error:', err);
-    });
-  }, intervalMs);
-  
+  const intervalId = setInterval(() => runSyncCycle('Scheduled', { config }), intervalMs);
+
   return intervalId;
 }
 
@@ -209,10 +479,26 @@ export function startAutomatedSync(intervalMinutes = 5) {
 // GRACEFUL SHUTDOWN HANDLER
 // ─────────────────────────────────────────────────────────────────────────────
 /**
- * Performs final upload before process exit
+ * Closes the active segment and performs a final upload before process exit
  * Call this in your server's shutdown handler
+ *
+ * In dry-run mode the active segment is left open: dry-run never removes
+ * segments, so closing one on every restart would only pile them up in logs/.
+ *
+ * @param {Object} [store] - Storage backend (defaults to the process-wide store)
+ * @param {Object} [config] - Output of loadS3Config()
  */
-export async function uploadOnShutdown() {
+export async function uploadOnShutdown(store = getStorage(), config = getDefaultConfig()) {
+  if (config.mode === 'disabled') return;
+
   console.log('[S3 Sync] Performing final upload before shutdown...');
-  await uploadLogsToS3();
+  if (syncInProgress) await syncInProgress;
+  if (config.mode !== 'dry-run') {
+    try {
+      await store.rotate('shutdown');
+    } catch (error) {
+      console.error('❌ [S3 Sync] Could not close the active segment:', error.message);
+    }
+  }
+  await uploadLogsToS3({ store, config });
 }
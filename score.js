@@ -0,0 +1,184 @@
+#!/usr/bin/env node
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * OFFLINE FRUSTRATION SCORING CLI
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Scores every session in an NDJSON file with frustrationScore.js and, when
+ * sessions carry a scenario label (top-level `scenario` or metadata.scenario,
+ * as written by the Playwright runner), compares score distributions per
+ * scenario (normal_user vs frustrated_user, ...).
+ *
+ * Usage:
+ *   node score.js logs/telemetry_logs.ndjson
+ *   node score.js full_results.json --config config/frustration.json --json
+ *
+ * Legacy snake_case events (session_id, event_type, ...) are normalized to
+ * camelCase before scoring, so old runner output can be compared as well.
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+import fs from 'fs';
+import { readNdjsonFile } from './logReader.js';
+import { LEGACY_KEYS } from './eventSchema.js';
+import { loadScoringConfig, countEvent, scoreFromCounts, DEFAULT_CONFIG_PATH } from './frustrationScore.js';
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const options = {
+    file: undefined,
+    configPath: DEFAULT_CONFIG_PATH,
+    json: false,
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    if (arg === '--config' && i + 1 < args.length) {
+      options.configPath = args[i + 1];
+      i++;
+    } else if (arg === '--json') {
+      options.json = true;
+    } else if (arg === '--help' || arg === '-h') {
+      console.log(`
+Usage: node score.js <file.ndjson> [options]
+
+Options:
+  --config <file>   Scoring config (default: config/frustration.json)
+  --json            Print machine-readable JSON instead of tables
+  --help, -h        Show this help message
+
+Examples:
+  node score.js logs/telemetry_logs.ndjson
+  node score.js full_results.json --json > scores.json
+      `);
+      process.exit(0);
+    } else if (!options.file) {
+      options.file = arg;
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Renames legacy snake_case envelope keys to their camelCase equivalents.
+ */
+function normalizeEvent(event) {
+  const normalized = { ...event };
+  for (const [legacyKey, currentKey] of Object.entries(LEGACY_KEYS)) {
+    if (legacyKey in normalized && !(currentKey in normalized)) {
+      normalized[currentKey] = normalized[legacyKey];
+      delete normalized[legacyKey];
+    }
+  }
+  return normalized;
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Score every session in the file and group the results by scenario.
+ */
+async function scoreFile(file, config) {
+  const sessions = new Map();
+
+  for await (const raw of readNdjsonFile(file)) {
+    const event = normalizeEvent(raw);
+    if (!event.sessionId) continue;
+
+    let session = sessions.get(event.sessionId);
+    if (!session) {
+      session = { sessionId: event.sessionId, scenario: null, eventCount: 0, counts: {} };
+      sessions.set(event.sessionId, session);
+    }
+    session.eventCount++;
+    session.scenario = session.scenario ?? event.scenario ?? event.metadata?.scenario ?? null;
+    countEvent(session.counts, event, config);
+  }
+
+  const results = [...sessions.values()].map(({ counts, ...rest }) => ({
+    ...rest,
+    ...scoreFromCounts(counts, config),
+  }));
+
+  const byScenario = {};
+  for (const result of results) {
+    const key = result.scenario ?? 'unlabeled';
+    (byScenario[key] ??= []).push(result);
+  }
+
+  const scenarios = Object.entries(byScenario).map(([scenario, group]) => {
+    const scores = group.map(r => r.score);
+    const bands = {};
+    for (const r of group) bands[r.band] = (bands[r.band] || 0) + 1;
+    return {
+      scenario,
+      sessions: group.length,
+      mean: scores.reduce((a, b) => a + b, 0) / scores.length,
+      median: median(scores),
+      min: Math.min(...scores),
+      max: Math.max(...scores),
+      bands,
+    };
+  });
+
+  return { sessions: results, scenarios };
+}
+
+/**
+ * Main entry point
+ */
+async function main() {
+  const options = parseArgs();
+  if (!options.file) {
+    console.error('Error: missing input file. Run `node score.js --help` for usage.');
+    process.exit(1);
+  }
+  if (!fs.existsSync(options.file)) {
+    console.error(`Error: file not found: ${options.file}`);
+    process.exit(1);
+  }
+
+  try {
+    const config = loadScoringConfig(options.configPath);
+    const { sessions, scenarios } = await scoreFile(options.file, config);
+
+    if (options.json) {
+      console.log(JSON.stringify({ configVersion: config.version ?? null, sessions, scenarios }, null, 2));
+      return;
+    }
+
+    console.log(`Scored ${sessions.length} sessions from ${options.file} (config v${config.version ?? '?'})\n`);
+    console.table(sessions
+      .sort((a, b) => b.score - a.score)
+      .map(({ sessionId, scenario, eventCount, score, band }) => ({ sessionId, scenario, eventCount, score, band })));
+
+    console.log('\nBy scenario:');
+    console.table(scenarios.map(s => ({
+      scenario: s.scenario,
+      sessions: s.sessions,
+      mean: s.mean.toFixed(1),
+      median: s.median,
+      min: s.min,
+      max: s.max,
+      High: s.bands.High || 0,
+      Med: s.bands.Med || 0,
+      Low: s.bands.Low || 0,
+    })));
+  } catch (error) {
+    console.error('Error scoring file:', error);
+    process.exit(1);
+  }
+}
+
+main();
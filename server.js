@@ -7,7 +7,8 @@
  * 
  * Architecture:
  *   - Receives JSON payloads from the client-side SDK (telemetry.js)
- *   - Appends events as NDJSON (newline-delimited JSON) for efficient streaming
+ *   - Appends events through the storage layer (storage/index.js): NDJSON
+ *     segments by default, SQLite when configured in config/storage.json
  *   - Persists to logs/telemetry_logs.ndjson for downstream ML/analytics pipelines
  * 
  * Design Rationale:
@@ -16,7 +17,20 @@
  *   - Serverless-ready architecture (can be ported to Lambda/Cloud Functions)
  * 
  * Data Flow:
- *   Client Event → POST /api/telemetry → Append to NDJSON → 200 Response
+ *   Client Event → POST /api/telemetry → Validate → Redact → store.append() → 200 Response
+ *   SDK Queue    → POST /api/telemetry/batch → Validate → Redact → Single append for all events → 200 Response
+ *   Invalid Event → 400 Response + logs/telemetry_rejects.ndjson (dead-letter, with reason, redacted)
+ *   Query API    → GET /api/sessions, /api/sessions/:id/events, /api/events (logReader.js)
+ *   Dashboard    → GET /api/dashboard/summary (dashboardStats.js) → public/admin.html
+ *   Funnels      → GET /api/flows, /api/flows/attempts (flowAnalytics.js, JSON or ?format=csv)
+ *   Live feed    → appended events → GET /api/stream (Server-Sent Events, eventStream.js)
+ *   Replay       → POST/GET /api/replay/:sessionId (replayStore.js) → public/replay.html
+ *   Ingest guard → key, rate limits, payload limits on every write (ingestGuard.js,
+ *                  config/ingest.json) → counters at GET /api/ingest/stats
+ *   Operations   → GET /healthz (liveness, logs writable, S3 sync) and GET /metrics
+ *                  (Prometheus text, metrics.js)
+ *   SDK config   → GET /api/telemetry/config?pageRoute= (detector thresholds,
+ *                  detectorConfig.js, config/detectors.json)
  * 
  * File Structure:
  *   logs/telemetry_logs.ndjson - One JSON object per line, no commas or brackets
@@ -25,7 +39,7 @@
  *     {"serverReceivedAt":"2026-02-08T20:00:01.456Z","eventType":"scroll_depth",...}
  * 
  * For new developers:
- *   1. Start server: node server.js
+ *   1. Start server: node server.js (or npm run start:local for S3 dry-run mode)
  *   2. Open http://localhost:3000 in browser
  *   3. Interact with pages → events auto-append to logs/telemetry_logs.ndjson
  *   4. Read logs: cat logs/telemetry_logs.ndjson | jq '.' (requires jq tool)
@@ -38,7 +52,26 @@ import fs from 'fs';
 import fsPromises from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { startAutomatedSync, uploadOnShutdown } from './s3Uploader.js';
+import { startAutomatedSync, uploadOnShutdown, getSyncStatus } from './s3Uploader.js';
+import { validateEvent, describeSchema } from './eventSchema.js';
+import { summarizeSessions, getSessionEvents, queryEvents } from './logReader.js';
+import { buildDashboardSummary } from './dashboardStats.js';
+import { scoreSession } from './frustrationScore.js';
+import { analyzeFlows, funnelsToCsv, attemptsToCsv } from './flowAnalytics.js';
+import { parseStreamFilters, subscribe, publish, subscriberCount } from './eventStream.js';
+import { getStorage } from './storage/index.js';
+import { redactEvent, redactReplayEvents } from './redaction.js';
+import { loadIngestConfig, corsOptions, createIngestGuard } from './ingestGuard.js';
+import { METRICS_CONTENT_TYPE, recordIngested, recordWrite, renderMetrics } from './metrics.js';
+import { loadDetectorConfig, resolveDetectorConfig } from './detectorConfig.js';
+import {
+  MAX_CHUNK_BYTES,
+  isValidSessionId,
+  validateChunk,
+  appendChunk,
+  readReplay,
+  listReplays,
+} from './replayStore.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -49,7 +82,11 @@ const PORT = 3000;
 // ─────────────────────────────────────────────────────────────────────────────
 // INITIALIZATION: Ensure logs directory exists
 // ─────────────────────────────────────────────────────────────────────────────
-const logsDir = path.join(__dirname, 'logs');
+// TELEMETRY_LOGS_DIR moves the dead-letter file, replay recordings and the
+// /healthz write check (tests point it at a temp dir; event storage follows
+// config/storage.json)
+const logsDir = process.env.TELEMETRY_LOGS_DIR ? path.resolve(process.env.TELEMETRY_LOGS_DIR) : path.join(__dirname, 'logs');
+const replayDir = path.join(logsDir, 'replay');
 if (!fs.existsSync(logsDir)) {
   fs.mkdirSync(logsDir, { recursive: true });
   console.log('✓ Created logs directory.');
@@ -58,10 +95,107 @@ if (!fs.existsSync(logsDir)) {
 // ─────────────────────────────────────────────────────────────────────────────
 // MIDDLEWARE STACK
 // ─────────────────────────────────────────────────────────────────────────────
-app.use(cors());                              // Allow cross-origin requests (dev only)
-app.use(express.json());                      // Parse JSON request bodies
+const ingest = createIngestGuard(loadIngestConfig());
+const { maxBodyBytes } = ingest.config.limits;
+
+app.use(cors(corsOptions(ingest.config)));   // Origins from config/ingest.json
+app.use(express.json({ limit: maxBodyBytes }));  // Parse JSON request bodies
+app.use(express.text({ type: 'application/x-ndjson', limit: maxBodyBytes }));  // Raw NDJSON batch bodies
 app.use(express.static(path.join(__dirname, 'public')));  // Serve HTML/CSS/JS files
 
+// ─────────────────────────────────────────────────────────────────────────────
+// HELPER: Append Events to the Configured Store
+// ─────────────────────────────────────────────────────────────────────────────
+const store = getStorage();
+const REJECTS_PATH = path.join(logsDir, 'telemetry_rejects.ndjson');
+
+/**
+ * Redacts each event (redaction.js, config/privacy.json), stamps it with
+ * serverReceivedAt and appends all of them in a single store write, so a batch
+ * lands contiguously (one syscall / one transaction).
+ * 
+ * @param {Object[]} events - Validated telemetry events
+ * @returns {Promise<Object[]>} The events as stored (redacted, with serverReceivedAt)
+ */
+async function appendEvents(events) {
+  // Add server-side timestamp (for clock skew detection and latency analysis)
+  const serverReceivedAt = new Date().toISOString();
+  
+  // Second privacy pass: the SDK already redacted, but not every sender is the SDK
+  const stored = events.map(eventData => ({ serverReceivedAt, ...redactEvent(eventData).event }));
+
+  // Backend handles serialization and rotation (see storage/ndjsonStore.js)
+  const started = performance.now();
+  try {
+    await store.append(stored);
+  } catch (err) {
+    recordWrite(performance.now() - started, false);
+    throw err;
+  }
+  recordWrite(performance.now() - started, true);
+  recordIngested(stored);
+  return stored;
+}
+
+/**
+ * Writes schema-rejected events to the dead-letter log with the reason, so they
+ * never pollute telemetry_logs.ndjson but can still be inspected or replayed.
+ * 
+ * @param {Array<{ event: *, errors: Object[] }>} rejects - Events with their validation errors
+ * @returns {Promise<void>}
+ */
+async function appendRejects(rejects) {
+  const rejectedAt = new Date().toISOString();
+  const logString = rejects
+    .map(({ event, errors }) => JSON.stringify({
+      rejectedAt,
+      reason: 'schema_validation',
+      errors,
+      event: event && typeof event === 'object' && !Array.isArray(event) ? redactEvent(event).event : event,
+    }) + '\n')
+    .join('');
+
+  try {
+    await fsPromises.appendFile(REJECTS_PATH, logString);
+  } catch (err) {
+    // Dead-letter failures must not turn a 400 into a 500
+    console.error('❌ Error writing to dead-letter file:', err);
+  }
+}
+
+/**
+ * Answers 429 for a request refused by ingest.admit(). Retry-After is in whole
+ * seconds (the header's unit); the body carries the exact delay.
+ * 
+ * @param {Object} res - Express response
+ * @param {{ scope: string, retryAfterMs: number }} refusal - From ingest.admit()
+ */
+function sendRateLimited(res, refusal) {
+  res.set('Retry-After', String(Math.max(1, Math.ceil(refusal.retryAfterMs / 1000))));
+  res.status(429).json({ status: 'error', reason: 'rate_limited', ...refusal });
+}
+
+/**
+ * Normalizes a batch request body into an array of events.
+ * Accepts either a JSON array (application/json) or NDJSON text (application/x-ndjson).
+ * 
+ * @param {*} body - req.body as parsed by the middleware stack
+ * @returns {Object[]|null} Events, or null if the body is not a valid batch
+ */
+function parseBatchBody(body) {
+  if (Array.isArray(body)) return body;
+  if (typeof body !== 'string') return null;
+
+  try {
+    return body
+      .split('\n')
+      .filter(line => line.trim() !== '')
+      .map(line => JSON.parse(line));
+  } catch (_) {
+    return null;
+  }
+}
+
 // ─────────────────────────────────────────────────────────────────────────────
 // TELEMETRY INGESTION ENDPOINT
 // ─────────────────────────────────────────────────────────────────────────────
@@ -79,24 +213,35 @@ app.use(express.static(path.join(__dirname, 'public')));  // Serve HTML/CSS/JS f
 //     metadata: object     // Event-specific data
 //   }
 // 
+// Validation: see eventSchema.js (envelope + per-eventType metadata)
+// 
 // Response: { status: 'success' } or { status: 'error' }
+//   400 → { status: 'error', reason: 'schema_validation', errors: [{ field, message }] }
+//   401/403/413/429 → ingest guard (see INGEST GUARD below)
 // ─────────────────────────────────────────────────────────────────────────────
-app.post('/api/telemetry', async (req, res) => {
+app.post('/api/telemetry', ingest.authenticate, async (req, res) => {
   const eventData = req.body;
-  
-  // Add server-side timestamp (for clock skew detection and latency analysis)
-  const logEntry = {
-    serverReceivedAt: new Date().toISOString(),
-    ...eventData
-  };
-  
-  // Convert to NDJSON format (single line with \n terminator)
-  const logString = JSON.stringify(logEntry) + '\n';
-  const logPath = path.join(__dirname, 'logs', 'telemetry_logs.ndjson');
+
+  const refusal = ingest.admit(req.ip, [eventData]);
+  if (refusal) return sendRateLimited(res, refusal);
+
+  const oversized = ingest.metadataError(eventData);
+  if (oversized) {
+    ingest.countDropped('metadata_too_large');
+    return res.status(413).json({ status: 'error', reason: 'metadata_too_large', errors: [oversized] });
+  }
+
+  const { valid, errors } = validateEvent(eventData);
+  if (!valid) {
+    ingest.countDropped('schema_validation');
+    await appendRejects([{ event: eventData, errors }]);
+    console.warn(`[Telemetry] Rejected ${eventData?.eventType ?? '(unknown)'}: ${errors[0].field} ${errors[0].message}`);
+    return res.status(400).json({ status: 'error', reason: 'schema_validation', errors });
+  }
 
   try {
-    // Append to file (async, non-blocking with fs.promises)
-    await fsPromises.appendFile(logPath, logString);
+    publish(await appendEvents([eventData]));
+    ingest.countAccepted(1);
     
     // Console log for real-time monitoring during development
     console.log(`[Telemetry] ${eventData.eventType} | ${eventData.pageRoute}`);
@@ -109,31 +254,534 @@ app.post('/api/telemetry', async (req, res) => {
 });
 
 // ─────────────────────────────────────────────────────────────────────────────
-// START SERVER
+// BATCH INGESTION ENDPOINT
 // ─────────────────────────────────────────────────────────────────────────────
-app.listen(PORT, () => {
-  console.log(`✓ Server running at http://localhost:${PORT}`);
-  console.log(`✓ Telemetry endpoint: POST http://localhost:${PORT}/api/telemetry`);
-  console.log(`✓ Log file: ${path.join(__dirname, 'logs', 'telemetry_logs.ndjson')}`);
-  
-  // Start automated S3 synchronization (uploads every 5 minutes)
-  startAutomatedSync(5);
+// POST /api/telemetry/batch
+// 
+// Used by the telemetry.js transport queue (fetch and sendBeacon).
+// 
+// Request Body (either form):
+//   application/json      → [ {event}, {event}, ... ]
+//   application/x-ndjson  → {event}\n{event}\n...
+// 
+// Validation is per event: valid events are written, invalid ones go to the
+// dead-letter file and are reported by their index in the batch. Events whose
+// metadata exceeds limits.maxMetadataBytes are reported the same way but not
+// dead-lettered (that would just move the oversized payload to another file).
+// 
+// Response: { status: 'success', count: n, rejected: [{ index, errors }] } or { status: 'error' }
+//   400 → body is not an array / not valid NDJSON, or every event was rejected
+//         (SDK drops the batch)
+//   413 → more than limits.maxBatchEvents events ({ reason: 'batch_too_large' })
+//   429 → rate limited; Retry-After header (SDK keeps the batch and waits)
+//   500 → write failed (SDK retries with backoff)
+// ─────────────────────────────────────────────────────────────────────────────
+app.post('/api/telemetry/batch', ingest.authenticate, async (req, res) => {
+  const events = parseBatchBody(req.body);
+  if (!events) {
+    return res.status(400).json({ status: 'error', reason: 'invalid_batch' });
+  }
+  if (events.length === 0) {
+    return res.json({ status: 'success', count: 0, rejected: [] });
+  }
+  if (ingest.batchTooLarge(events.length)) {
+    return res.status(413).json({
+      status: 'error',
+      reason: 'batch_too_large',
+      maxBatchEvents: ingest.config.limits.maxBatchEvents,
+    });
+  }
+
+  const refusal = ingest.admit(req.ip, events);
+  if (refusal) return sendRateLimited(res, refusal);
+
+  const accepted = [];
+  const rejected = [];
+  const oversized = [];
+  events.forEach((event, index) => {
+    const tooLarge = ingest.metadataError(event);
+    if (tooLarge) return oversized.push({ index, errors: [tooLarge] });
+    const { valid, errors } = validateEvent(event);
+    if (valid) accepted.push(event);
+    else rejected.push({ index, event, errors });
+  });
+
+  ingest.countDropped('metadata_too_large', oversized.length);
+  ingest.countDropped('schema_validation', rejected.length);
+  if (rejected.length > 0) {
+    await appendRejects(rejected);
+  }
+  if (rejected.length + oversized.length > 0) {
+    console.warn(`[Telemetry] Rejected ${rejected.length + oversized.length}/${events.length} events in batch`);
+  }
+  const rejectedSummary = [...rejected, ...oversized]
+    .map(({ index, errors }) => ({ index, errors }))
+    .sort((a, b) => a.index - b.index);
+
+  if (accepted.length === 0) {
+    return res.status(400).json({ status: 'error', reason: 'schema_validation', rejected: rejectedSummary });
+  }
+
+  try {
+    publish(await appendEvents(accepted));
+    ingest.countAccepted(accepted.length);
+    
+    for (const eventData of accepted) {
+      console.log(`[Telemetry] ${eventData.eventType} | ${eventData.pageRoute}`);
+    }
+    res.json({ status: 'success', count: accepted.length, rejected: rejectedSummary });
+  } catch (err) {
+    console.error('❌ Error writing batch to file:', err);
+    res.status(500).json({ status: 'error' });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// LIVE EVENT STREAM (SSE)
+// ─────────────────────────────────────────────────────────────────────────────
+// GET /api/stream?sessionId=&eventType=&pageRoute=
+// 
+// Pushes every event accepted by the ingestion endpoints after it is written.
+// Filters take comma-separated values; a trailing * is a prefix match:
+//   curl -N "http://localhost:3000/api/stream?sessionId=S-pw3-*&eventType=rage_click,dead_click"
+// ─────────────────────────────────────────────────────────────────────────────
+app.get('/api/stream', (req, res) => {
+  subscribe(req, res, parseStreamFilters(req.query));
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// SCHEMA ENDPOINT
+// ─────────────────────────────────────────────────────────────────────────────
+// GET /api/telemetry/schema
+// 
+// Returns the registry from eventSchema.js so the SDK and tooling can be
+// checked against exactly what ingestion enforces.
+// ─────────────────────────────────────────────────────────────────────────────
+app.get('/api/telemetry/schema', (req, res) => {
+  res.json(describeSchema());
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// SDK CONFIG ENDPOINT
+// ─────────────────────────────────────────────────────────────────────────────
+// GET /api/telemetry/config?pageRoute=trade
+// 
+// Detector thresholds for one page (config/detectors.json defaults plus that
+// route's overrides), fetched by telemetry.js during init(). Loaded once at
+// startup so a broken file stops the server instead of every page.
+// Response: { version, pageRoute, detectors: { rageClick: {...}, ... } }
+// ─────────────────────────────────────────────────────────────────────────────
+const detectorConfig = loadDetectorConfig();
+
+app.get('/api/telemetry/config', (req, res) => {
+  const pageRoute = typeof req.query.pageRoute === 'string' ? req.query.pageRoute : undefined;
+  res.set('Cache-Control', 'public, max-age=60');
+  res.json(resolveDetectorConfig(detectorConfig, pageRoute));
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// QUERY API (read side, backed by logReader.js)
+// ─────────────────────────────────────────────────────────────────────────────
+// All reads stream the active log plus rotated telemetry_logs_<ts>.ndjson
+// segments line-by-line; nothing is cached between requests.
+// ─────────────────────────────────────────────────────────────────────────────
+const MAX_PAGE_SIZE = 1000;
+
+/**
+ * Parses limit/offset query params, clamping limit to MAX_PAGE_SIZE.
+ * 
+ * @param {Object} query - req.query
+ * @returns {{ limit: number, offset: number } | { error: string }}
+ */
+function parsePagination(query) {
+  const limit = query.limit === undefined ? 100 : Number(query.limit);
+  const offset = query.offset === undefined ? 0 : Number(query.offset);
+  if (!Number.isInteger(limit) || limit < 1) return { error: 'limit must be a positive integer' };
+  if (!Number.isInteger(offset) || offset < 0) return { error: 'offset must be a non-negative integer' };
+  return { limit: Math.min(limit, MAX_PAGE_SIZE), offset };
+}
+
+/**
+ * Parses an optional ISO 8601 (or epoch ms) time bound.
+ * 
+ * @param {string|string[]|undefined} value - Raw query value
+ * @returns {number|undefined|null} Epoch ms, undefined if absent, null if invalid (or repeated)
+ */
+function parseTimeParam(value) {
+  if (value === undefined || value === '') return undefined;
+  if (typeof value !== 'string') return null;
+  const ms = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  return Number.isNaN(ms) ? null : ms;
+}
+
+/**
+ * Reads optional exact-match filters. A repeated parameter
+ * (?eventType=a&eventType=b) arrives as an array and is refused rather than
+ * matching nothing.
+ * 
+ * @param {Object} query - req.query
+ * @param {string[]} names - Parameters to read
+ * @returns {{ filters: Object } | { error: string }}
+ */
+function parseStringFilters(query, names) {
+  const filters = {};
+  for (const name of names) {
+    const value = query[name];
+    if (value === undefined || value === '') continue;
+    if (typeof value !== 'string') return { error: `${name} must be a single value` };
+    filters[name] = value;
+  }
+  return { filters };
+}
+
+// GET /api/sessions?limit=&offset=
+// Response: { total, limit, offset, sessions: [{ sessionId, userId, eventCount,
+//             firstSeen, lastSeen, pagesVisited[] }] }  (most recent first)
+app.get('/api/sessions', async (req, res) => {
+  const page = parsePagination(req.query);
+  if (page.error) return res.status(400).json({ status: 'error', reason: page.error });
+
+  try {
+    const sessions = await summarizeSessions();
+    res.json({
+      total: sessions.length,
+      limit: page.limit,
+      offset: page.offset,
+      sessions: sessions.slice(page.offset, page.offset + page.limit),
+    });
+  } catch (err) {
+    console.error('❌ Error reading sessions:', err);
+    res.status(500).json({ status: 'error' });
+  }
+});
+
+// GET /api/sessions/:id/events
+// Response: { sessionId, count, events[] } ordered by timestamp; 404 if unknown
+app.get('/api/sessions/:id/events', async (req, res) => {
+  try {
+    const events = await getSessionEvents(req.params.id);
+    if (events.length === 0) {
+      return res.status(404).json({ status: 'error', reason: 'session_not_found' });
+    }
+    res.json({ sessionId: req.params.id, count: events.length, events });
+  } catch (err) {
+    console.error('❌ Error reading session events:', err);
+    res.status(500).json({ status: 'error' });
+  }
 });
 
+// GET /api/sessions/:id/score
+// Response: { sessionId, score (0-100), band (High/Med/Low), breakdown: { signal: { count, points } },
+//             configVersion }  — weights in config/frustration.json
+app.get('/api/sessions/:id/score', async (req, res) => {
+  try {
+    const events = await getSessionEvents(req.params.id);
+    if (events.length === 0) {
+      return res.status(404).json({ status: 'error', reason: 'session_not_found' });
+    }
+    res.json({ sessionId: req.params.id, ...scoreSession(events) });
+  } catch (err) {
+    console.error('❌ Error scoring session:', err);
+    res.status(500).json({ status: 'error' });
+  }
+});
+
+// GET /api/events?eventType=&pageRoute=&sessionId=&from=&to=&limit=&offset=
+//   from/to: ISO 8601 or epoch ms, applied to the client timestamp ([from, to))
+//   Each filter takes one value; a repeated parameter is a 400
+// Response: { total, limit, offset, events[] } in log order
+app.get('/api/events', async (req, res) => {
+  const page = parsePagination(req.query);
+  if (page.error) return res.status(400).json({ status: 'error', reason: page.error });
+  const { filters, error } = parseStringFilters(req.query, ['eventType', 'pageRoute', 'sessionId']);
+  if (error) return res.status(400).json({ status: 'error', reason: error });
+
+  const from = parseTimeParam(req.query.from);
+  const to = parseTimeParam(req.query.to);
+  if (from === null || to === null) {
+    return res.status(400).json({ status: 'error', reason: 'from/to must be ISO 8601 or epoch ms' });
+  }
+
+  try {
+    const result = await queryEvents({
+      ...filters,
+      from,
+      to,
+      ...page,
+    });
+    res.json(result);
+  } catch (err) {
+    console.error('❌ Error querying events:', err);
+    res.status(500).json({ status: 'error' });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// ADMIN DASHBOARD ENDPOINT
 // ─────────────────────────────────────────────────────────────────────────────
-// GRACEFUL SHUTDOWN HANDLERS
+// GET /api/dashboard/summary?windowMinutes=60&bucketMinutes=5
+// 
+// Everything public/admin.html renders, computed in one pass over the logs.
+// The dashboard polls this endpoint; session timelines come from
+// GET /api/sessions/:id/events.
 // ─────────────────────────────────────────────────────────────────────────────
-// Ensures final log upload before process termination
-process.on('SIGINT', async () => {
-  console.log('\n[Shutdown] Received SIGINT (Ctrl+C). Uploading remaining logs...');
-  await uploadOnShutdown();
-  console.log('[Shutdown] Graceful shutdown complete.');
-  process.exit(0);
+app.get('/api/dashboard/summary', async (req, res) => {
+  const windowMinutes = req.query.windowMinutes === undefined ? 60 : Number(req.query.windowMinutes);
+  const bucketMinutes = req.query.bucketMinutes === undefined ? 5 : Number(req.query.bucketMinutes);
+  if (!(windowMinutes > 0) || !(bucketMinutes > 0) || bucketMinutes > windowMinutes) {
+    return res.status(400).json({ status: 'error', reason: 'windowMinutes/bucketMinutes must be positive and bucket <= window' });
+  }
+
+  try {
+    res.json(await buildDashboardSummary({ windowMinutes, bucketMinutes }));
+  } catch (err) {
+    console.error('❌ Error building dashboard summary:', err);
+    res.status(500).json({ status: 'error' });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// GET /api/flows?flowName=trade&format=json|csv
+// GET /api/flows/attempts?flowName=trade&format=json|csv
+// 
+// Funnels (per-step reach/conversion, median step dwell, abandon reasons,
+// retries) and the reconstructed attempts behind them. format=csv returns a
+// download for spreadsheets/pandas.
+// ─────────────────────────────────────────────────────────────────────────────
+function sendFlowResult(req, res, filename, csv, json) {
+  const format = req.query.format ?? 'json';
+  if (format === 'csv') {
+    res.type('text/csv').attachment(filename).send(csv());
+  } else if (format === 'json') {
+    res.json(json());
+  } else {
+    res.status(400).json({ status: 'error', reason: 'format must be json or csv' });
+  }
+}
+
+app.get('/api/flows', async (req, res) => {
+  try {
+    const { funnels } = await analyzeFlows({ flowName: req.query.flowName });
+    sendFlowResult(req, res, 'flow_funnels.csv', () => funnelsToCsv(funnels), () => ({ funnels }));
+  } catch (err) {
+    console.error('❌ Error building flow funnels:', err);
+    res.status(500).json({ status: 'error' });
+  }
 });
 
-process.on('SIGTERM', async () => {
-  console.log('\n[Shutdown] Received SIGTERM. Uploading remaining logs...');
-  await uploadOnShutdown();
-  console.log('[Shutdown] Graceful shutdown complete.');
-  process.exit(0);
+app.get('/api/flows/attempts', async (req, res) => {
+  try {
+    const { attempts } = await analyzeFlows({ flowName: req.query.flowName });
+    sendFlowResult(req, res, 'flow_attempts.csv', () => attemptsToCsv(attempts),
+      () => ({ total: attempts.length, attempts }));
+  } catch (err) {
+    console.error('❌ Error reconstructing flow attempts:', err);
+    res.status(500).json({ status: 'error' });
+  }
 });
+
+// ─────────────────────────────────────────────────────────────────────────────
+// SESSION REPLAY (backed by replayStore.js)
+// ─────────────────────────────────────────────────────────────────────────────
+// POST /api/replay/:sessionId
+// 
+// Receives DOM recording chunks from the telemetry.js replay recorder (sampled
+// sessions only). Bodies are JSON sent as text/plain so sendBeacon() needs no
+// CORS preflight and the global JSON body limit does not apply:
+//   { seq: n, pageRoute: string, events: [{ type, ts, ... }] }
+// Other senders may post application/json (within limits.maxBodyBytes).
+// Page text, attribute and input values are scrubbed again before the chunk
+// is written (redactReplayEvents, config/privacy.json), as events are.
+// 
+// Response: { status: 'success', bytes } (recording size so far)
+//   400 → invalid session ID or chunk
+//   415 → body neither text/plain nor application/json
+//   413 → chunk > MAX_CHUNK_BYTES, or session over MAX_SESSION_BYTES
+//         ({ reason: 'replay_quota_exceeded' }; the recorder stops)
+//   401/403/429 → ingest guard; a chunk costs one token from the IP and session buckets
+// 
+// GET /api/replay                → { replays: [{ sessionId, bytes, updatedAt }] }
+// GET /api/replay/:sessionId     → { sessionId, chunks, bytes, events[] }; 404 if not recorded
+// ─────────────────────────────────────────────────────────────────────────────
+const replayBody = express.text({ type: 'text/plain', limit: MAX_CHUNK_BYTES });
+
+app.post('/api/replay/:sessionId', ingest.authenticate, replayBody, async (req, res) => {
+  const { sessionId } = req.params;
+  if (!isValidSessionId(sessionId)) {
+    return res.status(400).json({ status: 'error', reason: 'invalid_session_id' });
+  }
+
+  const refusal = ingest.admit(req.ip, [{ sessionId }]);
+  if (refusal) return sendRateLimited(res, refusal);
+
+  let chunk = req.body;
+  if (typeof chunk === 'string') {
+    try {
+      chunk = JSON.parse(chunk);
+    } catch (_) {
+      return res.status(400).json({ status: 'error', reason: 'invalid_chunk' });
+    }
+  } else if (chunk === undefined) {
+    // Neither replayBody nor the global express.json() recognised the content type
+    return res.status(415).json({ status: 'error', reason: 'unsupported_content_type', expected: ['text/plain', 'application/json'] });
+  }
+  const problem = validateChunk(chunk);
+  if (problem) return res.status(400).json({ status: 'error', reason: problem });
+
+  try {
+    // Second privacy pass, as for events: not every sender is the SDK
+    const { events, count } = redactReplayEvents(chunk.events);
+    const result = await appendChunk(sessionId, { ...chunk, events }, { dir: replayDir });
+    if (!result.stored) {
+      console.warn(`[Replay] ${sessionId} over quota (${result.bytes} bytes), chunk ${chunk.seq} refused`);
+      return res.status(413).json({ status: 'error', reason: result.reason });
+    }
+    console.log(`[Replay] ${sessionId} chunk ${chunk.seq} | ${events.length} events${count ? ` | ${count} redacted` : ''}`);
+    res.json({ status: 'success', bytes: result.bytes });
+  } catch (err) {
+    console.error('❌ Error writing replay chunk:', err);
+    res.status(500).json({ status: 'error' });
+  }
+});
+
+app.get('/api/replay', async (req, res) => {
+  try {
+    res.json({ replays: await listReplays({ dir: replayDir }) });
+  } catch (err) {
+    console.error('❌ Error listing replays:', err);
+    res.status(500).json({ status: 'error' });
+  }
+});
+
+app.get('/api/replay/:sessionId', async (req, res) => {
+  const { sessionId } = req.params;
+  if (!isValidSessionId(sessionId)) {
+    return res.status(400).json({ status: 'error', reason: 'invalid_session_id' });
+  }
+
+  try {
+    const replay = await readReplay(sessionId, { dir: replayDir });
+    if (!replay) return res.status(404).json({ status: 'error', reason: 'replay_not_found' });
+    res.json(replay);
+  } catch (err) {
+    console.error('❌ Error reading replay:', err);
+    res.status(500).json({ status: 'error' });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// INGEST GUARD (backed by ingestGuard.js, config/ingest.json)
+// ─────────────────────────────────────────────────────────────────────────────
+// Every write endpoint above requires an ingest key (X-Telemetry-Key header,
+// or ?key= for sendBeacon) and is rate limited per IP and per sessionId:
+//   401 → { reason: 'invalid_ingest_key' }
+//   403 → { reason: 'origin_not_allowed' } (site restricted to other origins)
+//   413 → { reason: 'body_too_large' } (over limits.maxBodyBytes)
+//   429 → { reason: 'rate_limited', scope: 'ip'|'session', retryAfterMs } + Retry-After
+// 
+// GET /api/ingest/stats
+// Response: { since, acceptedEvents, droppedEvents: { reason: n },
+//             rejectedRequests: { reason: n }, rateLimit: { enabled, trackedIps, trackedSessions } }
+// ─────────────────────────────────────────────────────────────────────────────
+app.get('/api/ingest/stats', (req, res) => {
+  res.json(ingest.stats());
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// HEALTH & METRICS
+// ─────────────────────────────────────────────────────────────────────────────
+// GET /healthz
+// Response: { status: 'ok'|'degraded'|'error', uptimeSeconds, storage,
+//             checks: { logsWritable: { ok, error? }, s3Sync: { ok, mode, lastSuccessAt, lastFailureAt, ... } } }
+//   200 → ok, or degraded (the most recent S3 upload failed; ingestion is unaffected)
+//   503 → logs directory not writable (events cannot be stored)
+// 
+// GET /metrics → Prometheus text format (see metrics.js for the metric names)
+//   curl http://localhost:3000/metrics
+// ─────────────────────────────────────────────────────────────────────────────
+const startedAt = Date.now();
+
+app.get('/healthz', async (req, res) => {
+  let logsWritable;
+  try {
+    await fsPromises.access(logsDir, fs.constants.W_OK);
+    logsWritable = { ok: true };
+  } catch (err) {
+    logsWritable = { ok: false, error: err.code ?? err.message };
+  }
+
+  const sync = getSyncStatus();
+  const s3Failing = sync.lastFailureAt !== null && (sync.lastSuccessAt === null || sync.lastFailureAt > sync.lastSuccessAt);
+  const status = !logsWritable.ok ? 'error' : s3Failing ? 'degraded' : 'ok';
+
+  res.status(logsWritable.ok ? 200 : 503).json({
+    status,
+    uptimeSeconds: Math.round((Date.now() - startedAt) / 1000),
+    storage: store.name,
+    checks: {
+      logsWritable,
+      s3Sync: { ok: !s3Failing, ...sync },
+    },
+  });
+});
+
+app.get('/metrics', (req, res) => {
+  res.set('Content-Type', METRICS_CONTENT_TYPE).send(renderMetrics({
+    ingest: ingest.stats(),
+    s3: getSyncStatus(),
+    subscribers: subscriberCount(),
+    activeSegmentBytes: store.activeSegmentBytes(),
+    storageBackend: store.name,
+  }));
+});
+
+// Body parser errors (oversized or malformed bodies) as JSON instead of Express's HTML page
+app.use((err, req, res, next) => {
+  if (err.type === 'entity.too.large') {
+    ingest.countRejectedRequest('body_too_large');
+    return res.status(413).json({ status: 'error', reason: 'body_too_large', limit: err.limit });
+  }
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({ status: 'error', reason: 'invalid_json' });
+  }
+  next(err);
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// START SERVER
+// ─────────────────────────────────────────────────────────────────────────────
+// Only when run as `node server.js`; tests import `app` and bind their own port
+// without the S3 scheduler or signal handlers.
+export { app };
+
+const isMain = process.argv[1] && path.resolve(process.argv[1]) === __filename;
+
+if (isMain) {
+  app.listen(PORT, () => {
+    console.log(`✓ Server running at http://localhost:${PORT}`);
+    console.log(`✓ Telemetry endpoint: POST http://localhost:${PORT}/api/telemetry`);
+    console.log(`✓ Batch endpoint:     POST http://localhost:${PORT}/api/telemetry/batch`);
+    console.log(`✓ Health / metrics:   GET http://localhost:${PORT}/healthz, /metrics`);
+    console.log(`✓ Storage: ${store.describe()}`);
+    console.log(`✓ Ingest: ${ingest.config.auth.required ? 'key required' : 'open'}, rate limits ${ingest.config.rateLimit.enabled ? 'on' : 'off'}`);
+    console.log(`✓ Detector config: version ${detectorConfig.version}, ${Object.keys(detectorConfig.routes).length} route override(s)`);
+
+    // Start automated S3 synchronization (config/s3.json + env; --dry-run / --no-s3-sync)
+    startAutomatedSync();
+  });
+
+  // Graceful shutdown: final log upload before process termination
+  process.on('SIGINT', async () => {
+    console.log('\n[Shutdown] Received SIGINT (Ctrl+C). Uploading remaining logs...');
+    await uploadOnShutdown();
+    console.log('[Shutdown] Graceful shutdown complete.');
+    process.exit(0);
+  });
+
+  process.on('SIGTERM', async () => {
+    console.log('\n[Shutdown] Received SIGTERM. Uploading remaining logs...');
+    await uploadOnShutdown();
+    console.log('[Shutdown] Graceful shutdown complete.');
+    process.exit(0);
+  });
+}
@@ -1,6 +1,7 @@
 import { Page } from 'playwright';
 import { ElementInfo } from './types.js';
 import { randomDelay } from './helpers.js';
+import { recordBehavior } from './manifest.js';
 
 /**
  * Rage click: rapid clicks on the same element.
@@ -21,6 +22,7 @@ export async function rageClick(
       break;
     }
   }
+  recordBehavior(page, 'rageClick');
 }
 
 /**
@@ -36,6 +38,7 @@ export async function performDeadClick(
   } catch (_e) {
     // Element might not be clickable — telemetry.js still captures the attempt
   }
+  recordBehavior(page, 'performDeadClick');
 }
 
 /**
@@ -64,7 +67,7 @@ export async function performClick(
  * Event sequence:
  *   locator.click()          → focusin  on element (lastFocusedId set)
  *   keyboard.press('Tab')    → focusout on element (lastBlurTs set)
- *   randomDelay(500–1500)    → within REFOCUS_WINDOW_MS (5000 ms)
+ *   randomDelay(500–1500)    → within detectors.refocus.windowMs (5000 ms)
  *   locator.click()          → focusin  on same element → emit 'refocus'
  */
 export async function refocusClick(
@@ -87,12 +90,13 @@ export async function refocusClick(
     if (el) el.blur();
   }, element.selector);
 
-  // Stay away within the 5000 ms REFOCUS_WINDOW_MS
+  // Stay away within the 5000 ms detectors.refocus.windowMs
   await randomDelay(500, 1500);
 
   // Click back — focusin on the same element → telemetry.js emits 'refocus'
   try {
     await locator.click({ timeout: 2000 });
+    recordBehavior(page, 'refocusClick');
   } catch (_e) {
     // Element may no longer be available
   }
@@ -120,7 +124,7 @@ export async function refocusClick(
  *   keyboard.type('test')  → simulated edit
  *   element.blur()         → focusout on target   (lastBlurTs set)
  *                          → focusin  on body     (id='', handler returns early — lastFocusedId unchanged)
- *   wait 1000 ms           → away-window; well within REFOCUS_WINDOW_MS (5000 ms)
+ *   wait 1000 ms           → away-window; well within detectors.refocus.windowMs (5000 ms)
  *   page.focus(selector)   → focusin  on target   → lastFocusedId === targetId ✓ → emits 'refocus'
  *
  * @param page           - Playwright page
@@ -146,12 +150,13 @@ export async function triggerRefocus(
     if (el) el.blur();
   }, targetSelector);
 
-  // Stay away within REFOCUS_WINDOW_MS (5000 ms)
+  // Stay away within detectors.refocus.windowMs (5000 ms)
   await randomDelay(1000, 1000);
 
   // focusin fires on the same element → telemetry.js emits 'refocus'
   await page.focus(targetSelector).catch(() => {});
   await page.keyboard.type('a');
+  recordBehavior(page, 'triggerRefocus');
 }
 
 /**
@@ -173,4 +178,5 @@ export async function simulateRefocus(
   }, selector);
   await randomDelay(400, 700);
   await page.focus(selector).catch(() => {});
+  recordBehavior(page, 'simulateRefocus');
 }
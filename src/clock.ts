@@ -0,0 +1,68 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import { BrowserContext } from 'playwright';
+
+/**
+ * Simulated time for a session.
+ *
+ * Real mode: waits are real, timestamps are wall-clock time.
+ *
+ * Fast mode (--fast): Playwright's fake clock is installed in the browser
+ * context before the first navigation, and every wait becomes
+ * clock.runFor(ms). The page's Date, performance.now() and timers jump ahead
+ * by the simulated delay and due timers fire on the way, so telemetry.js's
+ * windows (idle 30 s, rage-click 500 ms, refocus 5 s, erratic-scroll 2 s)
+ * see human pacing while the runner barely waits. The fake clock keeps
+ * running at real speed between waits, so page time ≈ real time + skipped
+ * time, which is exactly what now() reports for Node-side events.
+ *
+ * Like random.ts, the active clock is held in AsyncLocalStorage so helpers'
+ * randomDelay() follows the session it was called from.
+ */
+export interface SessionClock {
+  readonly fast: boolean;
+  /** Simulated wall-clock time (epoch ms) */
+  now(): number;
+  /** Let `ms` of simulated time pass */
+  sleep(ms: number): Promise<void>;
+}
+
+export const realClock: SessionClock = {
+  fast: false,
+  now: () => Date.now(),
+  sleep: (ms: number) => new Promise<void>(resolve => setTimeout(resolve, ms)),
+};
+
+/**
+ * Install Playwright's fake clock on the context (before any page navigates)
+ * and return a session clock that advances it instead of sleeping.
+ */
+export async function createFastClock(context: BrowserContext): Promise<SessionClock> {
+  await context.clock.install({ time: Date.now() });
+  let skippedMs = 0;
+
+  return {
+    fast: true,
+    now: () => Date.now() + skippedMs,
+    async sleep(ms: number) {
+      const ticks = Math.max(0, Math.round(ms));
+      skippedMs += ticks;
+      await context.clock.runFor(ticks);
+    },
+  };
+}
+
+const current = new AsyncLocalStorage<SessionClock>();
+
+/**
+ * Run `fn` with `clock` as the session clock across all of its awaits.
+ */
+export function withClock<T>(clock: SessionClock, fn: () => Promise<T>): Promise<T> {
+  return current.run(clock, fn);
+}
+
+/**
+ * The active session's clock (the real clock outside a session).
+ */
+export function sessionClock(): SessionClock {
+  return current.getStore() ?? realClock;
+}
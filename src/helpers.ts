@@ -1,5 +1,8 @@
 import { Page, Locator } from 'playwright';
 import { ElementInfo } from './types.js';
+import { recordBehavior } from './manifest.js';
+import { random } from './random.js';
+import { sessionClock } from './clock.js';
 
 /**
  * Find clickable elements on the page
@@ -66,22 +69,23 @@ export async function findClickableElements(page: Page): Promise<ElementInfo[]>
  */
 export function randomChoice<T>(array: T[]): T | undefined {
   if (array.length === 0) return undefined;
-  return array[Math.floor(Math.random() * array.length)];
+  return array[Math.floor(random() * array.length)];
 }
 
 /**
  * Random delay between min and max milliseconds
  */
 export function randomDelay(min: number, max: number): Promise<void> {
-  const delay = min + Math.random() * (max - min);
-  return new Promise(resolve => setTimeout(resolve, delay));
+  const delay = min + random() * (max - min);
+  // Real sleep, or advance the page's fake clock in --fast mode (clock.ts)
+  return sessionClock().sleep(delay);
 }
 
 /**
  * Random integer between min and max (inclusive)
  */
 export function randomInt(min: number, max: number): number {
-  return Math.floor(Math.random() * (max - min + 1)) + min;
+  return Math.floor(random() * (max - min + 1)) + min;
 }
 
 /**
@@ -122,6 +126,7 @@ export async function simulateMouseShake(
     await page.mouse.move(x, y, { steps: 2 });
     await randomDelay(25, 45);
   }
+  recordBehavior(page, 'simulateMouseShake');
 }
 
 /**
@@ -138,6 +143,7 @@ export async function simulateErraticScroll(page: Page): Promise<void> {
     }, { a: amount, d: dir });
     await randomDelay(80, 180);
   }
+  recordBehavior(page, 'simulateErraticScroll');
 }
 
 /**
@@ -153,6 +159,7 @@ export async function simulateScrollDepth(page: Page): Promise<void> {
     }, pct);
     await randomDelay(150, 350);
   }
+  recordBehavior(page, 'simulateScrollDepth');
 }
 
 /**
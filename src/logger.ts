@@ -1,4 +1,4 @@
-import { EventLogInput, Phase1EventLog } from './types.js';
+import { EventLogInput, ITelemetryLogger, Phase1EventLog } from './types.js';
 import { createWriteStream, WriteStream } from 'fs';
 
 /**
@@ -19,16 +19,35 @@ function getPageRoute(url: string): string {
 export interface SessionLoggerOptions {
   sessionId: string;
   outputFile?: string;
+  /**
+   * Already-open NDJSON stream shared by every session of a run (takes precedence
+   * over outputFile). The logger writes to it but never ends it — the owner does.
+   */
+  stream?: WriteStream;
   userId?: string;
   /** When set, events are POSTed to Phase 1 server (same as telemetry.js) for automated data collection. */
   baseUrl?: string;
+  /** Sent as X-Telemetry-Key with every POST (the server's config/ingest.json lists valid keys). */
+  ingestKey?: string;
+  /** Simulation seed, stamped on every event as metadata.seed (like telemetry.js does). */
+  seed?: number;
+  /** Time source for event timestamps (the session clock in --fast mode). Defaults to Date.now. */
+  now?: () => number;
 }
 
-export class SessionLogger {
+/** Attempts per event when the server answers 429 (each waits for its Retry-After). */
+const MAX_RATE_LIMIT_ATTEMPTS = 3;
+
+export class SessionLogger implements ITelemetryLogger {
   private stream: WriteStream | null = null;
+  private ownsStream = false;
   private sessionId: string;
   private userId: string;
   private baseUrl: string | null = null;
+  private ingestKey: string | null = null;
+  private seed: number | null = null;
+  private now: () => number = Date.now;
+  private pending = new Set<Promise<void>>();
 
   constructor(
     sessionIdOrOptions: string | SessionLoggerOptions,
@@ -39,20 +58,27 @@ export class SessionLogger {
       this.sessionId = sessionIdOrOptions.sessionId;
       this.userId = sessionIdOrOptions.userId ?? 'U-playwright';
       this.baseUrl = sessionIdOrOptions.baseUrl ?? null;
-      if (sessionIdOrOptions.outputFile) {
+      this.ingestKey = sessionIdOrOptions.ingestKey ?? null;
+      this.seed = sessionIdOrOptions.seed ?? null;
+      this.now = sessionIdOrOptions.now ?? Date.now;
+      if (sessionIdOrOptions.stream) {
+        this.stream = sessionIdOrOptions.stream;
+      } else if (sessionIdOrOptions.outputFile) {
         this.stream = createWriteStream(sessionIdOrOptions.outputFile, { flags: 'a' });
+        this.ownsStream = true;
       }
     } else {
       this.sessionId = sessionIdOrOptions;
       this.userId = userId ?? 'U-playwright';
       if (outputFile) {
         this.stream = createWriteStream(outputFile, { flags: 'a' });
+        this.ownsStream = true;
       }
     }
   }
 
   log(event: EventLogInput): void {
-    const now = new Date().toISOString();
+    const now = new Date(this.now()).toISOString();
     const logEntry: Phase1EventLog = {
       serverReceivedAt: now,
       sessionId: this.sessionId,
@@ -61,7 +87,12 @@ export class SessionLogger {
       eventType: event.event_type,
       timestamp: now,
       url: event.url,
-      metadata: event.metadata ?? {},
+      // Scenario goes in metadata so the server envelope stays unchanged (score.js reads either)
+      metadata: {
+        ...(event.metadata ?? {}),
+        scenario: event.scenario,
+        ...(this.seed !== null ? { seed: this.seed } : {}),
+      },
     };
     if (event.selector != null) {
       logEntry.elementId = event.selector;
@@ -76,22 +107,48 @@ export class SessionLogger {
     }
 
     if (this.baseUrl) {
-      const telemetryUrl = this.baseUrl.replace(/\/$/, '') + '/api/telemetry';
-      const body = { ...logEntry };
-      fetch(telemetryUrl, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(body),
-      }).catch((err) => {
+      const request: Promise<void> = this.post(logEntry).catch((err) => {
         console.error('[SessionLogger] POST failed:', err.message);
+      }).finally(() => {
+        this.pending.delete(request);
       });
+      this.pending.add(request);
     }
   }
 
-  close(): void {
-    if (this.stream) {
-      this.stream.end();
+  /**
+   * POST one event to the server, waiting out rate limits (429 + Retry-After).
+   * Retry waits are real time: the server's token buckets do not see --fast.
+   */
+  private async post(logEntry: Phase1EventLog): Promise<void> {
+    const telemetryUrl = this.baseUrl!.replace(/\/$/, '') + '/api/telemetry';
+    const headers: Record<string, string> = { 'Content-Type': 'application/json' };
+    if (this.ingestKey) headers['X-Telemetry-Key'] = this.ingestKey;
+
+    for (let attempt = 1; ; attempt++) {
+      const res = await fetch(telemetryUrl, { method: 'POST', headers, body: JSON.stringify(logEntry) });
+      if (res.status === 429 && attempt < MAX_RATE_LIMIT_ATTEMPTS) {
+        const waitMs = (Number(res.headers.get('Retry-After')) || 1) * 1000;
+        await new Promise<void>(resolve => setTimeout(resolve, waitMs));
+        continue;
+      }
+      if (!res.ok) {
+        console.error(`[SessionLogger] POST ${logEntry.eventType} rejected: HTTP ${res.status}`);
+      }
+      return;
+    }
+  }
+
+  /**
+   * Waits for in-flight POSTs, then ends the output stream if this logger opened it.
+   */
+  async close(): Promise<void> {
+    await Promise.all(this.pending);
+    if (this.stream && this.ownsStream) {
+      const stream = this.stream;
+      await new Promise<void>((resolve) => stream.end(resolve));
     }
+    this.stream = null;
   }
 }
 
@@ -99,7 +156,7 @@ export class SessionLogger {
  * No-op logger for --telemetry-js-only mode: Playwright only drives the browser,
  * all events are captured and sent by the page's telemetry.js (same as teammate's method).
  */
-export class NoOpLogger {
+export class NoOpLogger implements ITelemetryLogger {
   log(_event: EventLogInput): void {}
-  close(): void {}
+  async close(): Promise<void> {}
 }
@@ -0,0 +1,51 @@
+import { Page } from 'playwright';
+import { createWriteStream, mkdirSync, WriteStream } from 'fs';
+import { dirname } from 'path';
+import { BehaviorName, SessionManifestEntry } from './types.js';
+
+/**
+ * Ground-truth recording for simulated sessions.
+ *
+ * Behaviors are counted per Page so that helpers and behaviors can record what
+ * they actually did without every scenario threading a recorder through its
+ * call chain. The runner starts a trace when it opens the page and writes the
+ * counts to the session manifest when the session ends.
+ */
+const traces = new WeakMap<Page, Partial<Record<BehaviorName, number>>>();
+
+/**
+ * Start recording behaviors for a page. Returns the live counts object.
+ */
+export function traceBehaviors(page: Page): Partial<Record<BehaviorName, number>> {
+  const counts: Partial<Record<BehaviorName, number>> = {};
+  traces.set(page, counts);
+  return counts;
+}
+
+/**
+ * Record that a behavior was executed on this page (no-op if the page is not traced).
+ */
+export function recordBehavior(page: Page, behavior: BehaviorName): void {
+  const counts = traces.get(page);
+  if (counts) counts[behavior] = (counts[behavior] ?? 0) + 1;
+}
+
+/**
+ * Append-only NDJSON writer shared by every session of a run.
+ */
+export class SessionManifest {
+  private stream: WriteStream;
+
+  constructor(readonly file: string) {
+    mkdirSync(dirname(file), { recursive: true });
+    this.stream = createWriteStream(file, { flags: 'a' });
+  }
+
+  write(entry: SessionManifestEntry): void {
+    this.stream.write(JSON.stringify(entry) + '\n');
+  }
+
+  close(): Promise<void> {
+    return new Promise<void>(resolve => this.stream.end(resolve));
+  }
+}
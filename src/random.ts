@@ -0,0 +1,62 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+/**
+ * Seeded randomness for reproducible runs.
+ *
+ * Every session gets its own generator (seeded from the run seed and the
+ * session index) and runs inside it via AsyncLocalStorage, so concurrent
+ * sessions never share one stream: what session 7 does depends only on its
+ * seed, not on which worker picked it up or how the others interleaved.
+ * helpers.ts draws from random(), which falls back to Math.random() outside
+ * a seeded session.
+ *
+ * Same mulberry32 generator as Telemetry.random() in public/telemetry.js.
+ */
+
+export type Rng = () => number;
+
+const current = new AsyncLocalStorage<Rng>();
+
+/**
+ * mulberry32: tiny, fast 32-bit PRNG with good enough statistics for simulation.
+ */
+export function createRng(seed: number): Rng {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Derive the seed for one session from the run seed (independent of concurrency).
+ */
+export function deriveSeed(runSeed: number, sessionIndex: number): number {
+  let h = (runSeed ^ Math.imul(sessionIndex, 0x9E3779B1)) >>> 0;
+  h = Math.imul(h ^ (h >>> 16), 0x85EBCA6B);
+  h = Math.imul(h ^ (h >>> 13), 0xC2B2AE35);
+  return (h ^ (h >>> 16)) >>> 0;
+}
+
+/** A fresh random 32-bit seed for runs started without --seed. */
+export function randomSeed(): number {
+  return Math.floor(Math.random() * 0x100000000);
+}
+
+/**
+ * Run `fn` with `rng` as the source for random() across all of its awaits.
+ */
+export function withRng<T>(rng: Rng, fn: () => Promise<T>): Promise<T> {
+  return current.run(rng, fn);
+}
+
+/**
+ * Random number in [0, 1) from the active session's generator.
+ */
+export function random(): number {
+  const rng = current.getStore();
+  return rng ? rng() : Math.random();
+}
@@ -1,16 +1,25 @@
 import { chromium, Browser, BrowserContext, Page } from 'playwright';
-import { RunConfig, ScenarioType, ScenarioMix } from './types.js';
+import { createWriteStream, WriteStream } from 'fs';
+import { RunConfig, ScenarioType, ScenarioMix, ScenarioDefinition, ITelemetryLogger } from './types.js';
 import { runScenario } from './scenarios.js';
+import { loadScenarios, resolveScenarioMix } from './scenarioLoader.js';
+import { Rng, createRng, deriveSeed, randomSeed, withRng } from './random.js';
+import { SessionClock, createFastClock, realClock, withClock } from './clock.js';
+import { SessionLogger, NoOpLogger } from './logger.js';
+import { SessionManifest, traceBehaviors } from './manifest.js';
 
 // ─── helpers ─────────────────────────────────────────────────────────────────
 
-function selectScenario(mix: ScenarioMix): ScenarioType {
-  const rand = Math.random();
+/** Pick a scenario name from a resolved (normalized) mix. */
+function selectScenario(mix: ScenarioMix, rng: Rng): ScenarioType {
+  const entries = Object.entries(mix);
+  const rand = rng();
   let cumulative = 0;
-  if (rand < (cumulative += mix.normal))    return 'normal_user';
-  if (rand < (cumulative += mix.frustrated)) return 'frustrated_user';
-  if (rand < (cumulative += mix.lost))       return 'lost_user';
-  return 'error_user';
+  for (const [name, weight] of entries) {
+    if (rand < (cumulative += weight)) return name;
+  }
+  // Floating-point rounding can leave the sum a hair under 1
+  return entries[entries.length - 1][0];
 }
 
 /**
@@ -43,6 +52,86 @@ function renderProgress(
   process.stdout.write(line);
 }
 
+// ─── node-side capture ────────────────────────────────────────────────────────
+
+/**
+ * One logger per session. --telemetry-js-only leaves all capture to the page's
+ * telemetry.js; otherwise events go to the shared --output stream (if any) and
+ * are POSTed to the server at baseUrl.
+ */
+function createSessionLogger(
+  config:    RunConfig,
+  sessionId: string,
+  userId:    string,
+  seed:      number,
+  clock:     SessionClock,
+  output:    WriteStream | null
+): ITelemetryLogger {
+  if (config.telemetryJsOnly) return new NoOpLogger();
+  return new SessionLogger({
+    sessionId,
+    userId,
+    seed,
+    now:     clock.now,
+    baseUrl: config.baseUrl,
+    ingestKey: config.ingestKey,
+    stream:  output ?? undefined,
+  });
+}
+
+/**
+ * Hook the Playwright page events that telemetry.js cannot see from inside the
+ * page: main-frame navigations, console errors, uncaught exceptions and failed
+ * requests. Every event is tagged with the session's scenario.
+ */
+function attachPageCapture(page: Page, logger: ITelemetryLogger, scenario: ScenarioType): void {
+  let lastUrl: string | null = null;
+
+  page.on('framenavigated', (frame) => {
+    if (frame !== page.mainFrame()) return;
+    const url = frame.url();
+    logger.log({ event_type: 'page_navigation', scenario, url, metadata: { fromUrl: lastUrl } });
+    lastUrl = url;
+  });
+
+  page.on('console', (msg) => {
+    if (msg.type() !== 'error') return;
+    const { url, lineNumber } = msg.location();
+    logger.log({
+      event_type: 'console_error',
+      scenario,
+      url: page.url(),
+      metadata: { message: msg.text(), source: url || undefined, line: lineNumber },
+    });
+  });
+
+  page.on('pageerror', (err) => {
+    logger.log({
+      event_type: 'page_error',
+      scenario,
+      url: page.url(),
+      metadata: { message: err.message, name: err.name },
+    });
+  });
+
+  page.on('requestfailed', (request) => {
+    const failure = request.failure()?.errorText ?? 'unknown';
+    // Requests cancelled by the next page.goto() (e.g. beacons in flight) are not failures
+    if (failure === 'net::ERR_ABORTED') return;
+    logger.log({
+      event_type: 'network_error',
+      scenario,
+      url: page.url(),
+      metadata: {
+        requestUrl:   request.url(),
+        method:       request.method(),
+        resourceType: request.resourceType(),
+        failure,
+      },
+    });
+  });
+}
+
 // ─── single session ───────────────────────────────────────────────────────────
 
 /**
@@ -55,12 +144,28 @@ function renderProgress(
  * Playwright-assigned sessionId and userId into sessionStorage so that when
  * telemetry.js calls _initSession() it finds the pre-seeded values and never
  * generates its own S<timestamp>-... / U-guest identities.
+ *
+ * The Node-side logger uses the same IDs, so session_start / session_end and
+ * the page-event hooks land in the same session as the telemetry.js events.
+ * The manifest line (scenario + behaviors executed) is keyed by the same ID,
+ * which is what lets accuracyReport.js join ground truth with the server log.
+ *
+ * The same init script seeds the page (sessionStorage.simSeed) so the mock
+ * pages' simulated failures come from Telemetry.random() and replay with the
+ * session. The caller runs this function inside withRng() for the Node side.
+ *
+ * In --fast mode the context gets Playwright's fake clock before the first
+ * page exists; waits advance it and all timestamps (page and Node-side) follow
+ * simulated time.
  */
 async function runSingleSession(
   browser:      Browser,
   config:       RunConfig,
-  scenario:     ScenarioType,
-  sessionIndex: number
+  definition:   ScenarioDefinition,
+  sessionIndex: number,
+  seed:         number,
+  output:       WriteStream | null,
+  manifest:     SessionManifest | null
 ): Promise<void> {
   const context: BrowserContext = await browser.newContext({
     viewport:  { width: 1920, height: 1080 },
@@ -69,24 +174,69 @@ async function runSingleSession(
       `(KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36 Session${sessionIndex}`
   });
 
+  const scenario  = definition.name;
   const sessionId = generateSessionId(sessionIndex);
   const userId    = `U-playwright-${sessionIndex}`;
+  const clock     = config.fast ? await createFastClock(context) : realClock;
+  const logger    = createSessionLogger(config, sessionId, userId, seed, clock, output);
 
   await context.addInitScript(
-    ({ sid, uid }: { sid: string; uid: string }) => {
+    ({ sid, uid, seed }: { sid: string; uid: string; seed: number }) => {
       sessionStorage.setItem('sessionId', sid);
       sessionStorage.setItem('userId',    uid);
+      sessionStorage.setItem('simSeed',   String(seed));
     },
-    { sid: sessionId, uid: userId }
+    { sid: sessionId, uid: userId, seed }
   );
 
   const page: Page = await context.newPage();
+  attachPageCapture(page, logger, scenario);
+  const behaviors = traceBehaviors(page);
+
+  const startedAt = clock.now();
+  let failure: Error | null = null;
+  logger.log({
+    event_type: 'session_start',
+    scenario,
+    url: config.baseUrl,
+    metadata: { scenario, sessionIndex },
+  });
 
   try {
-    await runScenario(scenario, page, config.baseUrl);
+    await withClock(clock, () => runScenario(definition, page, config.baseUrl));
+  } catch (err) {
+    failure = err as Error;
+    throw err;
   } finally {
+    logger.log({
+      event_type: 'session_end',
+      scenario,
+      url: page.url(),
+      metadata: {
+        scenario,
+        durationMs: clock.now() - startedAt,
+        outcome:    failure ? 'error' : 'completed',
+        ...(failure ? { error: failure.message } : {}),
+      },
+    });
+    manifest?.write({
+      sessionId,
+      userId,
+      scenario,
+      sessionIndex,
+      startedAt: new Date(startedAt).toISOString(),
+      endedAt:   new Date(clock.now()).toISOString(),
+      outcome:   failure ? 'error' : 'completed',
+      ...(failure ? { error: failure.message } : {}),
+      seed,
+      behaviors,
+    });
+    // Ship whatever telemetry.js still has queued; closing the context does not
+    // fire pagehide, and in --fast mode the batch timer may not have come due
+    await page.evaluate("typeof Telemetry !== 'undefined' && Telemetry._flushWithBeacon()").catch(() => {});
     // Always close the context so browser resources are freed.
     await context.close();
+    await logger.close();
   }
 }
 
@@ -103,11 +253,36 @@ export async function runSessions(config: RunConfig): Promise<void> {
   const concurrency = Math.max(1, config.concurrency ?? 4);
   const total       = config.sessions;
 
+  // Load and validate everything before launching a browser
+  const scenarioDir = config.scenarioDir ?? 'scenarios';
+  const scenarios   = loadScenarios(scenarioDir);
+  const mix         = resolveScenarioMix(config.scenarioMix, scenarios);
+  const runSeed     = config.seed ?? randomSeed();
+
   console.log(`Starting ${total} sessions  |  concurrency: ${concurrency}  |  stagger: 500 ms/worker`);
   console.log(`Base URL:       ${config.baseUrl}`);
-  console.log(`Scenario mix:   normal=${config.scenarioMix.normal}  frustrated=${config.scenarioMix.frustrated}  lost=${config.scenarioMix.lost}  error=${config.scenarioMix.error}`);
+  console.log(`Scenarios:      ${[...scenarios.keys()].join(', ')}  (${scenarioDir})`);
+  if (config.fast) {
+    console.log('Mode:           fast (Playwright fake clock; timestamps follow simulated time)');
+  }
+  console.log(config.replaySeed !== undefined
+    ? `Replay seed:    ${config.replaySeed}`
+    : `Seed:           ${runSeed}  (reproduce with --seed ${runSeed})`);
+  console.log(`Scenario mix:   ${Object.entries(mix).map(([name, weight]) => `${name}=${Number(weight.toFixed(3))}`).join('  ')}`);
+  if (config.manifestFile) {
+    console.log(`Manifest:       ${config.manifestFile}`);
+  }
+  console.log(`Node capture:   ${config.telemetryJsOnly ? 'off (--telemetry-js-only)' : `POST ${config.baseUrl}/api/telemetry${config.outputFile ? ` + ${config.outputFile}` : ''}`}`);
   console.log('');
 
+  // One append stream for the whole run; concurrent sessions interleave whole lines
+  const output: WriteStream | null =
+    config.outputFile && !config.telemetryJsOnly
+      ? createWriteStream(config.outputFile, { flags: 'a' })
+      : null;
+
+  const manifest = config.manifestFile ? new SessionManifest(config.manifestFile) : null;
+
   const browser: Browser = await chromium.launch({ headless: true });
 
   // Shared mutable state – safe in JS single-threaded event loop because every
@@ -131,11 +306,14 @@ export async function runSessions(config: RunConfig): Promise<void> {
       if (sessionIndex > total) break;         // guard in case of over-run
 
       active++;
-      const scenario = selectScenario(config.scenarioMix);
+      // Scenario choice and everything the session does draw from its own seed
+      const seed       = config.replaySeed ?? deriveSeed(runSeed, sessionIndex);
+      const rng        = createRng(seed);
+      const definition = scenarios.get(selectScenario(mix, rng))!;
       renderProgress(completed, total, active, errors);
 
       try {
-        await runSingleSession(browser, config, scenario, sessionIndex);
+        await withRng(rng, () => runSingleSession(browser, config, definition, sessionIndex, seed, output, manifest));
       } catch (err) {
         errors++;
         // Print the error on its own line so it scrolls above the progress bar.
@@ -153,6 +331,10 @@ export async function runSessions(config: RunConfig): Promise<void> {
     await Promise.all(workers);
   } finally {
     await browser.close();
+    if (output) {
+      await new Promise<void>(resolve => output.end(resolve));
+    }
+    await manifest?.close();
   }
 
   // Move the cursor past the progress bar before printing the summary.
@@ -0,0 +1,214 @@
+import { readdirSync, readFileSync, existsSync } from 'fs';
+import { join, extname, basename } from 'path';
+import { createRequire } from 'module';
+import { ScenarioDefinition, ScenarioMix, ScenarioStep, StepAction } from './types.js';
+
+const require = createRequire(import.meta.url);
+
+/**
+ * Loads declarative scenarios (scenarios/*.json, *.yaml, *.yml) and validates
+ * every step up front, so a typo fails the run before any browser launches.
+ *
+ * YAML needs the optional `yaml` package; JSON files have no dependencies.
+ */
+
+// ─── step specs ──────────────────────────────────────────────────────────────
+
+type FieldKind = 'string' | 'number' | 'probability' | 'range' | 'steps' | 'strings' | 'target';
+
+interface StepSpec {
+  required?: Record<string, FieldKind>;
+  optional?: Record<string, FieldKind>;
+}
+
+const TARGET_FIELDS: Record<string, FieldKind> = { selector: 'string', text: 'string', target: 'target' };
+
+const STEP_SPECS: Record<StepAction, StepSpec> = {
+  goto:          { optional: { path: 'string', paths: 'strings', timeout: 'number' } },
+  wait:          { required: { ms: 'range' } },
+  idle:          { required: { ms: 'range' } },
+  click:         { optional: TARGET_FIELDS },
+  deadClick:     { optional: TARGET_FIELDS },
+  rageClick:     { optional: { ...TARGET_FIELDS, clicks: 'range' } },
+  refocusClick:  { optional: TARGET_FIELDS },
+  focus:         { required: { selector: 'string' } },
+  fill:          { required: { selector: 'string', value: 'string' } },
+  type:          { required: { text: 'string' } },
+  press:         { required: { key: 'string' } },
+  scroll:        { required: { by: 'range' } },
+  scrollDepth:   {},
+  erraticScroll: {},
+  shake:         { optional: { iterations: 'range' } },
+  refocus:       { required: { selector: 'string' } },
+  throwError:    { optional: { message: 'string' } },
+  repeat:        { required: { times: 'range', steps: 'steps' } },
+  branch:        { required: { probability: 'probability', steps: 'steps' }, optional: { else: 'steps' } },
+  ifVisible:     { required: { selector: 'string', steps: 'steps' }, optional: { else: 'steps' } },
+};
+
+const COMMON_FIELDS = new Set(['action', 'record', 'optional']);
+
+function checkField(kind: FieldKind, value: unknown): string | null {
+  switch (kind) {
+    case 'string':
+      return typeof value === 'string' ? null : 'must be a string';
+    case 'number':
+      return typeof value === 'number' && value >= 0 ? null : 'must be a non-negative number';
+    case 'probability':
+      return typeof value === 'number' && value >= 0 && value <= 1 ? null : 'must be a number between 0 and 1';
+    case 'range':
+      if (typeof value === 'number' && value >= 0) return null;
+      if (Array.isArray(value) && value.length === 2 && value.every(n => typeof n === 'number' && n >= 0) && value[0] <= value[1]) {
+        return null;
+      }
+      return 'must be a number or a [min, max] pair';
+    case 'strings':
+      return Array.isArray(value) && value.length > 0 && value.every(v => typeof v === 'string') ? null : 'must be a non-empty array of strings';
+    case 'target':
+      return value === 'random' || value === 'last' ? null : "must be 'random' or 'last'";
+    case 'steps':
+      return Array.isArray(value) ? null : 'must be an array of steps';
+  }
+}
+
+function validateSteps(steps: unknown, path: string, errors: string[]): void {
+  if (!Array.isArray(steps)) {
+    errors.push(`${path} must be an array of steps`);
+    return;
+  }
+  steps.forEach((step, i) => {
+    const at = `${path}[${i}]`;
+    if (!step || typeof step !== 'object') {
+      errors.push(`${at} must be an object`);
+      return;
+    }
+    const raw = step as Record<string, unknown>;
+    const spec = STEP_SPECS[raw.action as StepAction];
+    if (!spec) {
+      errors.push(`${at}.action must be one of: ${Object.keys(STEP_SPECS).join(', ')} (got ${JSON.stringify(raw.action)})`);
+      return;
+    }
+
+    for (const [field, kind] of Object.entries(spec.required ?? {})) {
+      if (raw[field] === undefined) errors.push(`${at}.${field} is required for ${raw.action}`);
+    }
+    const known = { ...spec.required, ...spec.optional };
+    for (const [field, value] of Object.entries(raw)) {
+      if (COMMON_FIELDS.has(field)) continue;
+      const kind = known[field];
+      if (!kind) {
+        errors.push(`${at}.${field} is not a ${raw.action} field`);
+        continue;
+      }
+      const problem = checkField(kind, value);
+      if (problem) errors.push(`${at}.${field} ${problem}`);
+      else if (kind === 'steps') validateSteps(value, `${at}.${field}`, errors);
+    }
+
+    if (raw.record !== undefined && typeof raw.record !== 'string') errors.push(`${at}.record must be a string`);
+    if (raw.optional !== undefined && typeof raw.optional !== 'boolean') errors.push(`${at}.optional must be a boolean`);
+    if (raw.action === 'goto' && raw.path === undefined && raw.paths === undefined) {
+      errors.push(`${at} needs path or paths`);
+    }
+  });
+}
+
+// ─── loading ─────────────────────────────────────────────────────────────────
+
+const EXTENSIONS = new Set(['.json', '.yaml', '.yml']);
+
+function parseFile(file: string): unknown {
+  const text = readFileSync(file, 'utf8');
+  if (extname(file) === '.json') return JSON.parse(text);
+
+  let yaml: { parse(text: string): unknown };
+  try {
+    yaml = require('yaml');
+  } catch (err) {
+    throw new Error(`${file}: YAML scenarios need the yaml package (npm install yaml): ${(err as Error).message}`);
+  }
+  return yaml.parse(text);
+}
+
+/**
+ * Load and validate one scenario file.
+ */
+export function loadScenarioFile(file: string): ScenarioDefinition {
+  const raw = parseFile(file) as Record<string, unknown> | null;
+  if (!raw || typeof raw !== 'object') {
+    throw new Error(`${file}: expected an object with "steps"`);
+  }
+
+  const errors: string[] = [];
+  const name = raw.name ?? basename(file, extname(file));
+  if (typeof name !== 'string' || !/^[a-z][a-z0-9_]*$/.test(name)) {
+    errors.push(`name must be snake_case (got ${JSON.stringify(name)})`);
+  }
+  if (raw.description !== undefined && typeof raw.description !== 'string') {
+    errors.push('description must be a string');
+  }
+  validateSteps(raw.steps, 'steps', errors);
+  if (errors.length > 0) {
+    throw new Error(`Invalid scenario ${file}:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  return {
+    name: name as string,
+    description: raw.description as string | undefined,
+    steps: raw.steps as ScenarioStep[],
+    source: file,
+  };
+}
+
+/**
+ * Load every scenario in a directory, keyed by name.
+ */
+export function loadScenarios(dir: string): Map<string, ScenarioDefinition> {
+  if (!existsSync(dir)) {
+    throw new Error(`Scenario directory not found: ${dir}`);
+  }
+
+  const scenarios = new Map<string, ScenarioDefinition>();
+  for (const entry of readdirSync(dir).sort()) {
+    if (!EXTENSIONS.has(extname(entry))) continue;
+    const definition = loadScenarioFile(join(dir, entry));
+    const existing = scenarios.get(definition.name);
+    if (existing) {
+      throw new Error(`Duplicate scenario "${definition.name}" in ${existing.source} and ${definition.source}`);
+    }
+    scenarios.set(definition.name, definition);
+  }
+
+  if (scenarios.size === 0) {
+    throw new Error(`No scenarios (*.json, *.yaml) found in ${dir}`);
+  }
+  return scenarios;
+}
+
+/**
+ * Map mix keys to loaded scenario names and normalize the weights to sum to 1.
+ * A key matches a scenario by exact name or as a short alias ('lost' → 'lost_user').
+ */
+export function resolveScenarioMix(
+  mix: ScenarioMix,
+  scenarios: Map<string, ScenarioDefinition>
+): ScenarioMix {
+  const resolved: ScenarioMix = {};
+  for (const [key, weight] of Object.entries(mix)) {
+    const name = scenarios.has(key) ? key : scenarios.has(`${key}_user`) ? `${key}_user` : null;
+    if (!name) {
+      throw new Error(`Unknown scenario "${key}" in --scenarioMix (loaded: ${[...scenarios.keys()].join(', ')})`);
+    }
+    if (!(weight >= 0)) {
+      throw new Error(`Scenario weight for "${key}" must be a non-negative number`);
+    }
+    resolved[name] = (resolved[name] ?? 0) + weight;
+  }
+
+  const sum = Object.values(resolved).reduce((a, b) => a + b, 0);
+  if (sum <= 0) {
+    throw new Error('--scenarioMix weights must add up to more than 0');
+  }
+  for (const name of Object.keys(resolved)) resolved[name] /= sum;
+  return resolved;
+}
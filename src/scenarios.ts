@@ -1,5 +1,5 @@
 import { Page } from 'playwright';
-import { ScenarioType } from './types.js';
+import { ElementInfo, NumberOrRange, ScenarioDefinition, ScenarioStep, StepTarget } from './types.js';
 import {
   findClickableElements,
   randomChoice,
@@ -13,337 +13,168 @@ import {
   performClick,
   rageClick,
   performDeadClick,
+  refocusClick,
   triggerRefocus
 } from './behaviors.js';
+import { recordBehavior } from './manifest.js';
+import { random } from './random.js';
 
 /**
- * Normal user scenario: typical browsing behaviour.
- * Visits home then one content page so telemetry.js sees multiple pageRoutes.
+ * Interpreter for declarative scenarios (scenarios/*.json|yaml, see
+ * scenarioLoader.ts). Each step maps onto an existing behaviors.ts / helpers.ts
+ * primitive, so telemetry.js sees exactly the same DOM activity as the old
+ * hardcoded scenario functions produced.
  */
-export async function normalUserScenario(
-  page: Page,
-  baseUrl: string
-): Promise<void> {
-  await page.goto(`${baseUrl}/index.html`, { waitUntil: 'domcontentloaded' });
-  await randomDelay(500, 1200);
-
-  const contentPages = ['trade.html', 'holdings.html', 'account-home-page.html'];
-  const mainPage = contentPages[Math.floor(Math.random() * contentPages.length)];
-  await page.goto(`${baseUrl}/${mainPage}`, { waitUntil: 'domcontentloaded' });
-
-  // Initial hesitancy — long enough for telemetry.js idle_time detection
-  const hesitancy = randomInt(2000, 5000);
-  await randomDelay(hesitancy, hesitancy);
-
-  const elements = await findClickableElements(page);
-  const numActions = randomInt(3, 5);
-
-  for (let i = 0; i < numActions; i++) {
-    const element = randomChoice(elements);
-    if (!element) break;
 
-    await randomDelay(randomInt(1000, 3000), randomInt(1000, 3000));
-
-    if (i === 0) {
-      await performDeadClick(page, element);
-    } else {
-      await performClick(page, element);
-    }
+interface StepContext {
+  page: Page;
+  baseUrl: string;
+  /** Element picked by the most recent click-style step (for target: 'last'). */
+  lastElement: ElementInfo | null;
+}
 
-    // Occasional scroll so telemetry.js fires scroll_depth milestones
-    if (Math.random() > 0.6) {
-      await page.evaluate((amount: number) => {
-        window.scrollBy(0, amount);
-      }, randomInt(200, 500));
-    }
-  }
+function pick(value: NumberOrRange): number {
+  return Array.isArray(value) ? randomInt(value[0], value[1]) : value;
+}
 
-  // End-of-session idle
-  await randomDelay(randomInt(2000, 4000), randomInt(2000, 4000));
+function wait(value: NumberOrRange): Promise<void> {
+  return Array.isArray(value) ? randomDelay(value[0], value[1]) : randomDelay(value, value);
 }
 
 /**
- * Frustrated user: rage clicks, erratic scrolling, mouse shake.
- * telemetry.js detects all friction signals from native DOM events.
+ * Resolve a step's target to an element; null when nothing matches (the step
+ * is then skipped, as the original scenarios did with `if (element)`).
  */
-export async function frustratedUserScenario(
-  page: Page,
-  baseUrl: string
-): Promise<void> {
-  await page.goto(`${baseUrl}/trade.html`, { waitUntil: 'domcontentloaded' });
-  await randomDelay(400, 900);
-
-  await page.goto(`${baseUrl}/help.html`, { waitUntil: 'domcontentloaded' });
-  await randomDelay(300, 700);
-
-  // Scroll to depth milestones then erratic scroll — fires scroll + erratic_scroll in telemetry.js
-  await simulateScrollDepth(page);
-  for (let i = 0; i < 3; i++) {
-    await simulateErraticScroll(page);
-    await randomDelay(100, 250);
+async function resolveTarget(ctx: StepContext, target: StepTarget): Promise<ElementInfo | null> {
+  let element: ElementInfo | null | undefined = null;
+
+  if (target.selector) {
+    element = { selector: target.selector, tagName: '' };
+  } else if (target.target === 'last') {
+    element = ctx.lastElement;
+  } else if (target.text) {
+    const needle = target.text.toLowerCase();
+    const elements = await findClickableElements(ctx.page);
+    element = elements.find(e => e.text?.toLowerCase().includes(needle) || e.selector.includes(needle));
+  } else {
+    element = randomChoice(await findClickableElements(ctx.page));
   }
 
-  // Mouse shake: ≥3 direction flips in 500 ms → telemetry.js emits erratic_mouse
-  await simulateMouseShake(page, randomInt(5, 8));
-
-  await page.goto(`${baseUrl}/trade.html`, { waitUntil: 'domcontentloaded' });
-  await randomDelay(500, 1500);
-
-  await simulateMouseShake(page, randomInt(3, 7));
-
-  const elements = await findClickableElements(page);
-  const targetElement = randomChoice(elements);
-  if (targetElement) {
-    await rageClick(page, targetElement, randomInt(4, 8));
-  }
-
-  // Rapid successive clicks on different targets
-  for (let i = 0; i < randomInt(3, 5); i++) {
-    const element = randomChoice(elements);
-    if (element) {
-      await performClick(page, element);
-      await randomDelay(100, 300);
-    }
-  }
+  if (element) ctx.lastElement = element;
+  return element ?? null;
 }
 
-/**
- * Lost user: hesitancy, page-level u-turns, organic refocus during form filling.
- * telemetry.js detects u_turn from the route history and idle_time from the 35 s pause.
- *
- * Refocus is no longer a separate hardcoded action at the end. Instead it emerges
- * naturally from the Trade form interaction: after filling the symbol field the user
- * has a 30% chance of "checking back" on it (triggerRefocus), mirroring real-world
- * second-guessing before navigating away.
- */
-export async function lostUserScenario(
-  page: Page,
-  baseUrl: string
-): Promise<void> {
-  // U-turn (A → B → A) so telemetry.js emits u_turn on the return visit
-  const useHoldings = Math.random() > 0.5;
-
-  await page.goto(`${baseUrl}/index.html`, { waitUntil: 'domcontentloaded' });
-  await randomDelay(800, 1500);
+async function runStep(ctx: StepContext, step: ScenarioStep): Promise<void> {
+  const { page } = ctx;
 
-  await page.goto(`${baseUrl}/trade.html`, { waitUntil: 'domcontentloaded' });
-  await randomDelay(600, 1200);
-
-  // Trade form interaction — fill the symbol field then optionally check back on it
-  const symbolLocator = page.locator('#symbol').first();
-  if (await symbolLocator.isVisible().catch(() => false)) {
-    await symbolLocator.focus().catch(() => {});
-    await randomDelay(200, 500);
-    await page.keyboard.type('MSFT');
-    await randomDelay(300, 700);
-
-    if (Math.random() < 0.3) {
-      // 30% chance: user second-guesses the ticker and checks back → refocus
-      await triggerRefocus(page, '#symbol');
-      await randomDelay(300, 600);
-    } else {
-      // Tab to next field and move on
-      await page.keyboard.press('Tab');
+  switch (step.action) {
+    case 'goto': {
+      const path = step.paths ? randomChoice(step.paths)! : step.path!;
+      const url = /^https?:\/\//.test(path) ? path : `${ctx.baseUrl}/${path.replace(/^\//, '')}`;
+      await page.goto(url, { waitUntil: 'domcontentloaded', ...(step.timeout ? { timeout: step.timeout } : {}) });
+      break;
     }
-  }
-
-  if (useHoldings) {
-    await page.goto(`${baseUrl}/holdings.html`, { waitUntil: 'domcontentloaded' });
-    await randomDelay(500, 1000);
-  }
-
-  // Return to index — triggers u_turn detection in telemetry.js
-  await page.goto(`${baseUrl}/index.html`, { waitUntil: 'domcontentloaded' });
-
-  // Long hesitancy
-  const longHesitancy = randomInt(2000, 5000);
-  await randomDelay(longHesitancy, longHesitancy);
-
-  const elements = await findClickableElements(page);
-  if (elements.length >= 2) {
-    const elementA = randomChoice(elements);
-    const elementB = randomChoice(elements.filter(e => e !== elementA));
-    if (elementA && elementB) {
-      await performClick(page, elementA);
-      await randomDelay(1000, 2000);
-      await performClick(page, elementB);
-      await randomDelay(500, 1500);
-
-      const backElement = elements.find(e =>
-        e.text?.toLowerCase().includes('back') ||
-        e.selector.includes('back') ||
-        e === elementA
-      );
-      if (backElement) {
-        await performClick(page, backElement);
-      }
+    case 'wait':
+      await wait(step.ms);
+      break;
+    case 'idle':
+      // Long silence for telemetry.js idle_time (threshold 30 s)
+      await wait(step.ms);
+      recordBehavior(page, 'idlePause');
+      break;
+    case 'click': {
+      const element = await resolveTarget(ctx, step);
+      if (element) await performClick(page, element);
+      break;
     }
-  }
-
-  await randomDelay(randomInt(3000, 7000), randomInt(3000, 7000));
-
-  // 35 s silence → telemetry.js idle_time threshold (30 s) fires
-  await randomDelay(35000, 36000);
-}
-
-/**
- * Error user: form abandonment, 404, validation errors, system error injection.
- * telemetry.js captures all friction from native DOM/window events.
- *
- * Refocus is no longer hardcoded to #username on the login page. Instead it
- * emerges organically during Create Account and Trade form filling: after each
- * field is filled there is a 30% chance the user "checks back" on a previously
- * completed field via triggerRefocus. This produces the same telemetry signal
- * while varying which field is refocused across sessions.
- */
-export async function errorUserScenario(
-  page: Page,
-  baseUrl: string
-): Promise<void> {
-  // ── Create Account form ─────────────────────────────────────────────────────
-  // Fill multiple fields; with 30% probability after each field, check back on
-  // one already filled (triggerRefocus). Then navigate away → form_abandonment.
-  await page.goto(`${baseUrl}/create-account.html`, { waitUntil: 'domcontentloaded' });
-  await randomDelay(400, 800);
-
-  const accountFields: Array<{ selector: string; value: string }> = [
-    { selector: '#fullname',  value: 'Test User'        },
-    { selector: '#email',     value: 'test@example.com' },
-    { selector: '#password',  value: 'TestPass123!'     },
-  ];
-
-  for (const { selector, value } of accountFields) {
-    const locator = page.locator(selector).first();
-    if (!await locator.isVisible().catch(() => false)) continue;
-
-    await locator.focus().catch(() => {});
-    await randomDelay(150, 350);
-    await locator.fill(value).catch(() => {});
-    await randomDelay(300, 700);
-    await page.keyboard.press('Tab');
-  }
-
-  // 30% chance: check back on the high-value #fullname field → triggers refocus
-  if (Math.random() < 0.3) {
-    await triggerRefocus(page, '#fullname');
-    await randomDelay(200, 500);
-  }
-
-  // Navigate away without submitting → form_abandonment
-  await randomDelay(300, 600);
-  await page.goto(`${baseUrl}/index.html`, { waitUntil: 'domcontentloaded' });
-  await randomDelay(500, 1000);
-
-  // ── 404 navigation ──────────────────────────────────────────────────────────
-  try {
-    await page.goto(`${baseUrl}/nonexistent-page-404.html`, {
-      waitUntil: 'domcontentloaded',
-      timeout: 5000
-    });
-  } catch (_e) {
-    // Expected — server returns 404; telemetry.js on that page (if any) captures it
-  }
-
-  // ── Trade form ──────────────────────────────────────────────────────────────
-  // Fill the symbol field (with 30% chance refocus), then clear it and submit
-  // empty to trigger validation errors downstream.
-  await page.goto(`${baseUrl}/trade.html`, { waitUntil: 'domcontentloaded' });
-  await randomDelay(400, 800);
-
-  const tradeSymbolLocator = page.locator('#symbol').first();
-  if (await tradeSymbolLocator.isVisible().catch(() => false)) {
-    await tradeSymbolLocator.focus().catch(() => {});
-    await randomDelay(150, 400);
-    await page.keyboard.type('AAPL');
-    await randomDelay(300, 600);
-
-    if (Math.random() < 0.3) {
-      // 30% chance: user double-checks the ticker before submitting
-      await triggerRefocus(page, '#symbol');
-      await randomDelay(200, 500);
-    } else {
-      await page.keyboard.press('Tab');
+    case 'deadClick': {
+      const element = await resolveTarget(ctx, step);
+      if (element) await performDeadClick(page, element);
+      break;
     }
-
-    // Clear the field so the subsequent submit hits an empty-form validation path
-    await tradeSymbolLocator.fill('').catch(() => {});
-    await randomDelay(200, 400);
-
-    const nextBtn = page.locator('#nextBtn').first();
-    if (await nextBtn.isVisible().catch(() => false)) {
-      await nextBtn.click();
-      await randomDelay(500, 1000);
+    case 'rageClick': {
+      const element = await resolveTarget(ctx, step);
+      if (element) await rageClick(page, element, step.clicks !== undefined ? pick(step.clicks) : undefined);
+      break;
     }
-  }
-  await randomDelay(400, 800);
-
-  // ── Login page ──────────────────────────────────────────────────────────────
-  await page.goto(`${baseUrl}/create-account.html`, { waitUntil: 'domcontentloaded' });
-  await randomDelay(500, 1000);
-
-  await page.goto(`${baseUrl}/login.html`, { waitUntil: 'domcontentloaded' });
-  await randomDelay(300, 600);
-
-  // 30% chance: refocus on #username — natural, not guaranteed every run
-  if (Math.random() < 0.3) {
-    await triggerRefocus(page, '#username');
-  }
-
-  const elements = await findClickableElements(page);
-
-  // Mix of valid and deliberately failing clicks
-  for (let i = 0; i < randomInt(2, 4); i++) {
-    const element = randomChoice(elements);
-    if (element) {
-      if (Math.random() > 0.7) {
-        await page.click('non-existent-selector-12345').catch(() => {});
-      } else {
-        await performClick(page, element);
-      }
-      await randomDelay(500, 1500);
+    case 'refocusClick': {
+      const element = await resolveTarget(ctx, step);
+      if (element) await refocusClick(page, element);
+      break;
+    }
+    case 'focus':
+      await page.locator(step.selector).first().focus().catch(() => {});
+      break;
+    case 'fill':
+      await page.locator(step.selector).first().fill(step.value).catch(() => {});
+      break;
+    case 'type':
+      await page.keyboard.type(step.text);
+      break;
+    case 'press':
+      await page.keyboard.press(step.key);
+      break;
+    case 'scroll':
+      await page.evaluate((amount: number) => {
+        window.scrollBy(0, amount);
+      }, pick(step.by));
+      break;
+    case 'scrollDepth':
+      await simulateScrollDepth(page);
+      break;
+    case 'erraticScroll':
+      await simulateErraticScroll(page);
+      break;
+    case 'shake':
+      await simulateMouseShake(page, step.iterations !== undefined ? pick(step.iterations) : undefined);
+      break;
+    case 'refocus':
+      await triggerRefocus(page, step.selector);
+      break;
+    case 'throwError':
+      // Thrown async inside the page so window.onerror fires → telemetry.js emits system_error
+      await page.evaluate((message: string) => {
+        setTimeout(() => {
+          throw new Error(message);
+        }, 100);
+      }, step.message ?? 'telemetry_test_system_error');
+      recordBehavior(page, 'injectSystemError');
+      break;
+    case 'repeat': {
+      const times = pick(step.times);
+      for (let i = 0; i < times; i++) await runSteps(ctx, step.steps);
+      break;
+    }
+    case 'branch':
+      await runSteps(ctx, random() < step.probability ? step.steps : step.else ?? []);
+      break;
+    case 'ifVisible': {
+      const visible = await page.locator(step.selector).first().isVisible().catch(() => false);
+      await runSteps(ctx, visible ? step.steps : step.else ?? []);
+      break;
     }
   }
+}
 
-  // Retry burst — telemetry.js detects repeated rapid clicks
-  const retryElement = randomChoice(elements);
-  if (retryElement) {
-    for (let i = 0; i < 3; i++) {
-      await performClick(page, retryElement);
-      await randomDelay(1000, 2000);
+async function runSteps(ctx: StepContext, steps: ScenarioStep[]): Promise<void> {
+  for (const step of steps) {
+    try {
+      await runStep(ctx, step);
+    } catch (err) {
+      if (!step.optional) throw err;
+      continue;
     }
+    if (step.record) recordBehavior(ctx.page, step.record);
   }
-
-  // Inject a runtime error — window.onerror fires → telemetry.js emits system_error
-  await page.evaluate(() => {
-    setTimeout(() => {
-      throw new Error('telemetry_test_system_error');
-    }, 100);
-  });
-  await randomDelay(400, 600);
 }
 
 /**
- * Dispatch a scenario by type.
+ * Run a loaded scenario definition on a page.
  */
 export async function runScenario(
-  scenario: ScenarioType,
+  scenario: ScenarioDefinition,
   page: Page,
   baseUrl: string
 ): Promise<void> {
-  switch (scenario) {
-    case 'normal_user':
-      await normalUserScenario(page, baseUrl);
-      break;
-    case 'frustrated_user':
-      await frustratedUserScenario(page, baseUrl);
-      break;
-    case 'lost_user':
-      await lostUserScenario(page, baseUrl);
-      break;
-    case 'error_user':
-      await errorUserScenario(page, baseUrl);
-      break;
-    default:
-      throw new Error(`Unknown scenario: ${scenario}`);
-  }
+  await runSteps({ page, baseUrl: baseUrl.replace(/\/$/, ''), lastElement: null }, scenario.steps);
 }
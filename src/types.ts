@@ -1,4 +1,8 @@
-export type ScenarioType = 'normal_user' | 'frustrated_user' | 'lost_user' | 'error_user';
+/**
+ * Name of a scenario loaded from the scenarios directory (scenarios/*.json|yaml),
+ * e.g. 'normal_user'. No longer a closed union: adding a persona is adding a file.
+ */
+export type ScenarioType = string;
 
 export type EventType = 
   | 'page_navigation'
@@ -19,7 +23,8 @@ export type EventType =
 /** Logger interface for scenarios (SessionLogger or NoOpLogger) */
 export interface ITelemetryLogger {
   log(event: EventLogInput): void;
-  close(): void;
+  /** Resolves once buffered writes and in-flight POSTs have settled. */
+  close(): Promise<void>;
 }
 
 /** Internal shape passed to SessionLogger.log() */
@@ -31,10 +36,16 @@ export interface EventLogInput {
   metadata: Record<string, any>;
 }
 
-/** Phase 1–compatible NDJSON output (camelCase, same as server.js / telemetry.js) */
+/**
+ * Phase 1–compatible NDJSON output (camelCase, same as server.js / telemetry.js).
+ * Mirrors ENVELOPE_SCHEMA in eventSchema.js — keep the two in sync, the server
+ * rejects anything that does not match.
+ */
 export interface Phase1EventLog {
   serverReceivedAt: string;
   sessionId: string;
+  /** Browser tab that sent the event (telemetry.js); absent on runner events */
+  tabId?: string;
   userId: string;
   pageRoute: string;
   eventType: string;
@@ -44,11 +55,182 @@ export interface Phase1EventLog {
   metadata: Record<string, any>;
 }
 
-export interface ScenarioMix {
-  normal: number;
-  frustrated: number;
-  lost: number;
-  error: number;
+/** Metadata any event may carry, mirroring COMMON_METADATA_SCHEMA in eventSchema.js. */
+export interface CommonMetadata {
+  /** Values removed or scrubbed by the privacy pass (telemetry.js + redaction.js) */
+  redactions?: number;
+  /** Detector config version in effect when the SDK built the event (detectorConfig.js) */
+  configVersion?: string;
+}
+
+/**
+ * Metadata shapes per eventType, mirroring METADATA_SCHEMAS in eventSchema.js.
+ * Event types not listed here are only checked against the envelope.
+ */
+export interface EventMetadataMap {
+  rage_click: { element: string; clickCount: number; text?: string };
+  dead_click: { element: string; text?: string };
+  scroll_depth: { pct: number; scrollY?: number };
+  scroll: { behavior: string; directionChanges?: number };
+  mouse_move: { behavior: string; iterations?: number };
+  idle_time: { ms: number };
+  refocus: { field: string; msSinceBlur?: number };
+  u_turn: { path: string[] };
+  system_error: { message: string; errorType: string };
+  page_view_end: { dwellMs: number };
+  form_abandonment: { dwellMs?: number };
+  api_call: {
+    urlTemplate: string;
+    method: string;
+    status: number;
+    durationMs: number;
+    outcome: 'ok' | 'http_error' | 'network_error' | 'timeout' | 'abort';
+    attempt?: number;
+  };
+  web_vital: {
+    name: 'LCP' | 'CLS' | 'INP' | 'FCP' | 'TTFB';
+    value: number;
+    rating: 'good' | 'needs-improvement' | 'poor';
+    element?: string;
+    interactions?: number;
+  };
+  navigation_timing: {
+    navigationType?: string;
+    dnsMs?: number;
+    connectMs?: number;
+    tlsMs?: number;
+    requestMs?: number;
+    responseMs?: number;
+    ttfbMs: number;
+    domInteractiveMs?: number;
+    domContentLoadedMs?: number;
+    loadMs?: number;
+    transferSize?: number;
+  };
+  long_task: { durationMs: number; startMs?: number };
+  timeout: { operation: string };
+  retry_attempt: { action: string; attemptNumber: number };
+  flow_start: { flowName: string };
+  flow_step: { flowName: string; stepIndex: number; totalSteps: number; stepName?: string };
+  flow_complete: { flowName: string; status?: 'success' | 'failure'; reason?: string };
+  flow_abandon: { flowName: string; reason: string; lastStep?: number };
+  step_dwell: { flowName: string; step: number; stepName?: string; ms: number };
+  session_start: {
+    scenario?: string;
+    sessionIndex?: number;
+    /** 'new', or why the previous session ended (telemetry.js) */
+    reason?: string;
+    previousSessionId?: string;
+  };
+  session_end: {
+    scenario?: string;
+    durationMs: number;
+    outcome?: 'completed' | 'error';
+    error?: string;
+    /** 'timeout' | 'max_age' | 'logout' | Telemetry.endSession(reason) (telemetry.js) */
+    reason?: string;
+  };
+  page_navigation: { fromUrl?: string | null };
+  console_error: { message: string };
+  page_error: { message: string };
+  network_error: { requestUrl: string; method?: string; failure: string };
+}
+
+/** Scenario name (or short alias, e.g. 'frustrated' for 'frustrated_user') → weight */
+export type ScenarioMix = Record<string, number>;
+
+// ─── declarative scenarios ───────────────────────────────────────────────────
+
+/** A fixed number, or an inclusive [min, max] range drawn fresh on every run. */
+export type NumberOrRange = number | [number, number];
+
+/**
+ * Which element a click-style step acts on: an explicit `selector`, the first
+ * clickable element whose text contains `text`, a `random` clickable element,
+ * or the `last` element a previous step picked.
+ */
+export interface StepTarget {
+  selector?: string;
+  text?: string;
+  target?: 'random' | 'last';
+}
+
+/** Fields every step accepts. */
+export interface StepCommon {
+  /** Ground-truth behavior to record once the step has run (see manifest.ts). */
+  record?: BehaviorName;
+  /** Swallow errors from this step (e.g. a goto that is expected to 404). */
+  optional?: boolean;
+}
+
+export type ScenarioStep = StepCommon & (
+  | { action: 'goto'; path?: string; paths?: string[]; timeout?: number }
+  | { action: 'wait'; ms: NumberOrRange }
+  | { action: 'idle'; ms: NumberOrRange }
+  | ({ action: 'click' } & StepTarget)
+  | ({ action: 'deadClick' } & StepTarget)
+  | ({ action: 'rageClick'; clicks?: NumberOrRange } & StepTarget)
+  | ({ action: 'refocusClick' } & StepTarget)
+  | { action: 'focus'; selector: string }
+  | { action: 'fill'; selector: string; value: string }
+  | { action: 'type'; text: string }
+  | { action: 'press'; key: string }
+  | { action: 'scroll'; by: NumberOrRange }
+  | { action: 'scrollDepth' }
+  | { action: 'erraticScroll' }
+  | { action: 'shake'; iterations?: NumberOrRange }
+  | { action: 'refocus'; selector: string }
+  | { action: 'throwError'; message?: string }
+  | { action: 'repeat'; times: NumberOrRange; steps: ScenarioStep[] }
+  | { action: 'branch'; probability: number; steps: ScenarioStep[]; else?: ScenarioStep[] }
+  | { action: 'ifVisible'; selector: string; steps: ScenarioStep[]; else?: ScenarioStep[] }
+);
+
+export type StepAction = ScenarioStep['action'];
+
+/** One scenario file. `name` defaults to the file name without extension. */
+export interface ScenarioDefinition {
+  name: string;
+  description?: string;
+  steps: ScenarioStep[];
+  /** File the definition was loaded from (set by the loader). */
+  source?: string;
+}
+
+/**
+ * Behaviors a scenario actually executed, recorded as ground truth for the
+ * detector-accuracy report (detectorAccuracy.js maps each one to the
+ * telemetry.js detector it should trigger). Function names where the behavior
+ * is a helper, descriptive names for scenario-level sequences.
+ */
+export type BehaviorName =
+  | 'rageClick'
+  | 'performDeadClick'
+  | 'simulateMouseShake'
+  | 'simulateErraticScroll'
+  | 'simulateScrollDepth'
+  | 'triggerRefocus'
+  | 'refocusClick'
+  | 'simulateRefocus'
+  | 'uTurnNavigation'
+  | 'idlePause'
+  | 'abandonForm'
+  | 'injectSystemError';
+
+/** One line of the session manifest (NDJSON) written by the runner. */
+export interface SessionManifestEntry {
+  sessionId: string;
+  userId: string;
+  scenario: ScenarioType;
+  sessionIndex: number;
+  startedAt: string;
+  endedAt: string;
+  outcome: 'completed' | 'error';
+  error?: string;
+  /** Session seed: `node run.js --replay-seed <seed>` replays this session */
+  seed: number;
+  /** Behavior → number of times it was executed */
+  behaviors: Partial<Record<BehaviorName, number>>;
 }
 
 export interface RunConfig {
@@ -56,7 +238,19 @@ export interface RunConfig {
   sessions: number;
   concurrency?: number;
   scenarioMix: ScenarioMix;
+  /** Directory of scenario definitions (default: scenarios/). */
+  scenarioDir?: string;
+  /** Run seed; each session's seed is derived from it and its index. Random when omitted. */
+  seed?: number;
+  /** Use this exact session seed (from an event's metadata.seed) for every session. */
+  replaySeed?: number;
+  /** Time-compressed mode: advance Playwright's fake page clock instead of waiting (see clock.ts). */
+  fast?: boolean;
+  /** Ingest key sent with Node-side events (config/ingest.json on the server). */
+  ingestKey?: string;
   outputFile?: string;
+  /** Session manifest (NDJSON, appended): sessionId → scenario + executed behaviors. */
+  manifestFile?: string;
   /** When true, do not send events from Node; only the page's telemetry.js will capture and POST (same as teammate's method). */
   telemetryJsOnly?: boolean;
 }
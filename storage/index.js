@@ -0,0 +1,100 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * EVENT STORAGE LAYER
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Purpose: One interface between ingestion (server.js), the read side
+ * (logReader.js) and the S3 uploader, with the backend picked by config.
+ *
+ * Backends:
+ *   - ndjson  → storage/ndjsonStore.js (default; size + hourly rotation, optional gzip)
+ *   - sqlite  → storage/sqliteStore.js (indexed sessionId/eventType/timestamp)
+ *
+ * Backend Interface:
+ *   name                           'ndjson' | 'sqlite'
+ *   describe()                     → one-line summary for startup logs
+ *   append(events)                 → Promise; events already carry serverReceivedAt
+ *   readEvents({ where, filter })  → async iterable of events, oldest first
+ *   rotate(reason)                 → Promise<path|null>; close the current segment now
+ *   listClosedSegments()           → Promise<[{ path, name, timestamp, gzip, size }]>
+ *   removeSegment(path)            → Promise; called by the uploader after upload
+ *   activeSegmentBytes()           → bytes in the segment being written (SQLite: database file)
+ *   close()                        → Promise; stop timers, flush pending writes
+ *
+ * Configuration (config/storage.json, env overrides):
+ *   TELEMETRY_STORAGE_CONFIG   alternate config file
+ *   TELEMETRY_STORAGE_BACKEND  ndjson | sqlite
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createNdjsonStore } from './ndjsonStore.js';
+import { createSqliteStore } from './sqliteStore.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const ROOT_DIR = path.dirname(path.dirname(__filename));
+
+export const DEFAULT_STORAGE_CONFIG_PATH = path.join(ROOT_DIR, 'config', 'storage.json');
+
+const BACKENDS = {
+  ndjson: (options) => createNdjsonStore({ ...options, dir: resolvePath(options.dir ?? 'logs') }),
+  sqlite: (options) => createSqliteStore({
+    ...options,
+    path: resolvePath(options.path ?? 'logs/telemetry.db'),
+    segmentDir: resolvePath(options.segmentDir ?? 'logs/sqlite_segments'),
+  }),
+};
+
+function resolvePath(p) {
+  return path.isAbsolute(p) ? p : path.join(ROOT_DIR, p);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// CONFIGURATION
+// ─────────────────────────────────────────────────────────────────────────────
+/**
+ * Reads the storage config and applies environment overrides.
+ *
+ * @param {string} [configPath] - Defaults to TELEMETRY_STORAGE_CONFIG or config/storage.json
+ * @returns {Object} { backend, ndjson: {...}, sqlite: {...} }
+ * @throws {Error} If the selected backend is unknown
+ */
+export function loadStorageConfig(configPath = process.env.TELEMETRY_STORAGE_CONFIG || DEFAULT_STORAGE_CONFIG_PATH) {
+  const config = fs.existsSync(configPath)
+    ? JSON.parse(fs.readFileSync(configPath, 'utf8'))
+    : { backend: 'ndjson' };
+
+  const backend = process.env.TELEMETRY_STORAGE_BACKEND || config.backend || 'ndjson';
+  if (!BACKENDS[backend]) {
+    throw new Error(`Unknown storage backend "${backend}" (expected one of: ${Object.keys(BACKENDS).join(', ')})`);
+  }
+  return { ...config, backend };
+}
+
+/**
+ * Creates the backend selected by a config object.
+ *
+ * @param {Object} config - Output of loadStorageConfig()
+ * @returns {Object} Storage backend
+ */
+export function createStore(config) {
+  return BACKENDS[config.backend](config[config.backend] ?? {});
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// PROCESS-WIDE STORE
+// ─────────────────────────────────────────────────────────────────────────────
+let defaultStore = null;
+
+/**
+ * Returns the store shared by ingestion, queries and the uploader, creating
+ * it from config on first use.
+ *
+ * @returns {Object} Storage backend
+ */
+export function getStorage() {
+  if (!defaultStore) defaultStore = createStore(loadStorageConfig());
+  return defaultStore;
+}
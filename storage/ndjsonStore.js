@@ -0,0 +1,192 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * NDJSON FILE STORAGE BACKEND
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Purpose: The original storage model — append-only NDJSON — with rotation
+ * owned by the storage layer instead of the S3 uploader.
+ *
+ * Architecture:
+ *   - Writes go to <dir>/<baseName>.ndjson (the active segment)
+ *   - The active segment is closed (renamed to <baseName>_<unixTs>.ndjson)
+ *     when the next append would push it past maxSegmentBytes, or when the
+ *     clock hour changes (rotateHourly; checked on append and once a minute)
+ *   - Closed segments are optionally gzipped and are what the S3 uploader
+ *     consumes (listClosedSegments / removeSegment)
+ *   - Appends, rotations, segment listing and removal run through one
+ *     promise chain, so a rotation can never interleave with a half-finished
+ *     append, and nobody lists a segment that is still being gzipped (the
+ *     plain file and the finished .gz briefly exist side by side); readers
+ *     open the active file in the same step as they list the segments
+ *
+ * Data Flow:
+ *   append() → <baseName>.ndjson → rotate → <baseName>_<ts>.ndjson[.gz] → S3 uploader
+ *   readEvents() → closed segments (oldest first) → active segment
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+import fs from 'fs';
+import fsPromises from 'fs/promises';
+import path from 'path';
+import { DEFAULT_BASE_NAME, listSegments, nextSegmentPath, gzipSegment, openNdjsonFile, readNdjsonFile } from './segments.js';
+import { combineFilters } from './query.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const ROTATION_CHECK_MS = 60 * 1000;
+
+const hourOf = ms => Math.floor(ms / HOUR_MS);
+
+/**
+ * Creates an NDJSON file store.
+ *
+ * @param {Object} options
+ * @param {string} options.dir - Directory for the active file and closed segments
+ * @param {string} [options.baseName='telemetry_logs'] - File name prefix
+ * @param {number} [options.maxSegmentBytes=0] - Rotate before exceeding this size (0 = no limit)
+ * @param {boolean} [options.rotateHourly=true] - Close the segment when the clock hour changes
+ * @param {boolean} [options.gzipClosedSegments=false] - gzip segments after closing them
+ * @returns {Object} Storage backend (see storage/index.js for the interface)
+ */
+export function createNdjsonStore({
+  dir,
+  baseName = DEFAULT_BASE_NAME,
+  maxSegmentBytes = 0,
+  rotateHourly = true,
+  gzipClosedSegments = false,
+}) {
+  fs.mkdirSync(dir, { recursive: true });
+  const activePath = path.join(dir, `${baseName}.ndjson`);
+
+  // Resume an existing active file: its size and the hour it was last written in
+  let activeSize = 0;
+  let activeHour = null;
+  if (fs.existsSync(activePath)) {
+    const stats = fs.statSync(activePath);
+    activeSize = stats.size;
+    activeHour = stats.size > 0 ? hourOf(stats.mtimeMs) : null;
+  }
+
+  let chain = Promise.resolve();
+  function serialize(task) {
+    const run = chain.then(task);
+    chain = run.catch(() => {});
+    return run;
+  }
+
+  function hourExpired() {
+    return rotateHourly && activeHour !== null && hourOf(Date.now()) !== activeHour;
+  }
+
+  // ─── Rotation (always called inside serialize()) ─────────────────────────
+  async function closeActiveSegment(reason) {
+    if (activeSize === 0) return null;
+
+    const segment = nextSegmentPath(dir, baseName);
+    try {
+      await fsPromises.rename(activePath, segment.path);
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+      // Active file was removed externally; nothing to close
+      activeSize = 0;
+      activeHour = null;
+      return null;
+    }
+    const closedBytes = activeSize;
+    activeSize = 0;
+    activeHour = null;
+
+    let closedPath = segment.path;
+    if (gzipClosedSegments) {
+      try {
+        closedPath = await gzipSegment(segment.path);
+      } catch (err) {
+        // The plain segment is still valid and will be uploaded uncompressed
+        console.error(`❌ [Storage] Failed to gzip ${segment.name}:`, err.message);
+      }
+    }
+    console.log(`[Storage] Closed segment ${path.basename(closedPath)} (${reason}, ${(closedBytes / 1024).toFixed(1)} KB)`);
+    return closedPath;
+  }
+
+  const rotationTimer = setInterval(() => {
+    if (!hourExpired()) return;
+    serialize(() => closeActiveSegment('hourly')).catch(err => {
+      console.error('❌ [Storage] Hourly rotation failed:', err.message);
+    });
+  }, ROTATION_CHECK_MS);
+  rotationTimer.unref();
+
+  return {
+    name: 'ndjson',
+
+    describe() {
+      const limits = [
+        maxSegmentBytes >= 1024 * 1024 ? `${(maxSegmentBytes / 1024 / 1024).toFixed(1)} MB`
+          : maxSegmentBytes > 0 ? `${(maxSegmentBytes / 1024).toFixed(1)} KB` : null,
+        rotateHourly ? 'hourly' : null,
+      ].filter(Boolean).join(' / ') || 'manual';
+      return `NDJSON ${activePath} (rotate: ${limits}${gzipClosedSegments ? ', gzip' : ''})`;
+    },
+
+    append(events) {
+      const data = events.map(event => JSON.stringify(event) + '\n').join('');
+      const bytes = Buffer.byteLength(data);
+
+      return serialize(async () => {
+        if (hourExpired()) {
+          await closeActiveSegment('hourly');
+        } else if (maxSegmentBytes > 0 && activeSize > 0 && activeSize + bytes > maxSegmentBytes) {
+          await closeActiveSegment('size');
+        }
+        await fsPromises.appendFile(activePath, data);
+        activeSize += bytes;
+        if (activeHour === null) activeHour = hourOf(Date.now());
+      });
+    },
+
+    async *readEvents({ where, filter } = {}) {
+      const predicate = combineFilters(where, filter);
+      // Listing and opening the active file in one step: a rotation after it
+      // renames the file under the open stream, which still reads it whole
+      const [segments, active] = await serialize(async () => [
+        await listSegments(dir, baseName),
+        await openNdjsonFile(activePath),
+      ]);
+      try {
+        for (const segment of segments) {
+          yield* readNdjsonFile(segment.path, predicate);
+        }
+        yield* readNdjsonFile(active, predicate);
+      } finally {
+        active?.destroy();
+      }
+    },
+
+    rotate(reason = 'manual') {
+      return serialize(() => closeActiveSegment(reason));
+    },
+
+    listClosedSegments() {
+      return serialize(async () => {
+        const segments = await listSegments(dir, baseName);
+        return Promise.all(segments.map(async segment => {
+          const stats = await fsPromises.stat(segment.path).catch(() => null);
+          return { ...segment, size: stats ? stats.size : 0 };
+        }));
+      });
+    },
+
+    removeSegment(segmentPath) {
+      return serialize(() => fsPromises.unlink(segmentPath));
+    },
+
+    activeSegmentBytes() {
+      return activeSize;
+    },
+
+    async close() {
+      clearInterval(rotationTimer);
+      await chain;
+    },
+  };
+}
@@ -0,0 +1,61 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * STORAGE QUERY HELPERS
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Purpose: The structured `where` clause every storage backend accepts in
+ * readEvents(). Indexed backends (SQLite) translate it to SQL; file backends
+ * evaluate it per event with whereToFilter().
+ *
+ *   where = { sessionId?, eventType?, pageRoute?, from?, to? }
+ *   from/to are epoch ms bounds on eventTime() (inclusive / exclusive)
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * Best-effort event time in ms: client timestamp, falling back to serverReceivedAt.
+ *
+ * @param {Object} event - Telemetry event
+ * @returns {number} Epoch milliseconds (NaN if neither field parses)
+ */
+export function eventTime(event) {
+  const t = Date.parse(event.timestamp);
+  return Number.isNaN(t) ? Date.parse(event.serverReceivedAt) : t;
+}
+
+/**
+ * Turns a `where` clause into an event predicate.
+ *
+ * @param {Object} [where] - { sessionId?, eventType?, pageRoute?, from?, to? }
+ * @returns {((event: Object) => boolean)|null} null when there is nothing to filter on
+ */
+export function whereToFilter(where) {
+  if (!where) return null;
+  const { sessionId, eventType, pageRoute, from, to } = where;
+  if (!sessionId && !eventType && !pageRoute && from === undefined && to === undefined) return null;
+
+  return (event) => {
+    if (eventType && event.eventType !== eventType) return false;
+    if (pageRoute && event.pageRoute !== pageRoute) return false;
+    if (sessionId && event.sessionId !== sessionId) return false;
+    if (from !== undefined || to !== undefined) {
+      const t = eventTime(event);
+      if (from !== undefined && !(t >= from)) return false;
+      if (to !== undefined && !(t < to)) return false;
+    }
+    return true;
+  };
+}
+
+/**
+ * Combines a `where` clause with an optional caller predicate.
+ *
+ * @param {Object} [where] - Structured filter
+ * @param {(event: Object) => boolean} [filter] - Extra predicate
+ * @returns {((event: Object) => boolean)|undefined}
+ */
+export function combineFilters(where, filter) {
+  const whereFilter = whereToFilter(where);
+  if (whereFilter && filter) return event => whereFilter(event) && filter(event);
+  return whereFilter ?? filter;
+}
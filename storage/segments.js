@@ -0,0 +1,160 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * NDJSON SEGMENT FILES
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Purpose: File-level helpers shared by the storage backends and the read
+ * side: naming, listing, gzipping and streaming closed NDJSON segments.
+ *
+ * Segment Naming:
+ *   <baseName>.ndjson                 ← active file (NDJSON backend only)
+ *   <baseName>_<unixTs>.ndjson        ← closed segment
+ *   <baseName>_<unixTs>.ndjson.gz     ← closed segment, gzipped
+ *
+ * Design Rationale:
+ *   - Same names the S3 uploader has always produced, so old rotated files
+ *     are still read and uploaded
+ *   - gzip writes to a .tmp file and renames, so readers and the uploader
+ *     never see a half-written archive
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+import fs from 'fs';
+import fsPromises from 'fs/promises';
+import path from 'path';
+import readline from 'readline';
+import zlib from 'zlib';
+import { pipeline } from 'stream/promises';
+
+export const DEFAULT_BASE_NAME = 'telemetry_logs';
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function segmentPattern(baseName) {
+  return new RegExp(`^${escapeRegExp(baseName)}_(\\d+)\\.ndjson(\\.gz)?$`);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// DISCOVERY
+// ─────────────────────────────────────────────────────────────────────────────
+/**
+ * Lists closed segments oldest-first.
+ *
+ * @param {string} dir - Directory to scan
+ * @param {string} [baseName='telemetry_logs'] - Segment name prefix
+ * @returns {Promise<Array<{ path: string, name: string, timestamp: number, gzip: boolean }>>}
+ *   timestamp is the rotation time in Unix seconds
+ */
+export async function listSegments(dir, baseName = DEFAULT_BASE_NAME) {
+  let names;
+  try {
+    names = await fsPromises.readdir(dir);
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+
+  const pattern = segmentPattern(baseName);
+  return names
+    .map(name => ({ name, match: name.match(pattern) }))
+    .filter(({ match }) => match)
+    .map(({ name, match }) => ({
+      path: path.join(dir, name),
+      name,
+      timestamp: Number(match[1]),
+      gzip: Boolean(match[2]),
+    }))
+    .sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * Picks an unused segment path for a rotation happening now. Two rotations in
+ * the same second get consecutive timestamps instead of overwriting.
+ *
+ * @param {string} dir - Directory the segment will live in
+ * @param {string} [baseName='telemetry_logs'] - Segment name prefix
+ * @returns {{ path: string, name: string, timestamp: number }}
+ */
+export function nextSegmentPath(dir, baseName = DEFAULT_BASE_NAME) {
+  let timestamp = Math.floor(Date.now() / 1000);
+  for (;;) {
+    const name = `${baseName}_${timestamp}.ndjson`;
+    const candidate = path.join(dir, name);
+    if (!fs.existsSync(candidate) && !fs.existsSync(`${candidate}.gz`)) {
+      return { path: candidate, name, timestamp };
+    }
+    timestamp++;
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// COMPRESSION
+// ─────────────────────────────────────────────────────────────────────────────
+/**
+ * Gzips a closed segment in place (file.ndjson → file.ndjson.gz) and removes
+ * the original.
+ *
+ * @param {string} file - Path to a closed .ndjson segment
+ * @returns {Promise<string>} Path of the .gz file
+ */
+export async function gzipSegment(file) {
+  const target = `${file}.gz`;
+  const tmp = `${target}.tmp`;
+  await pipeline(fs.createReadStream(file), zlib.createGzip(), fs.createWriteStream(tmp));
+  await fsPromises.rename(tmp, target);
+  await fsPromises.unlink(file);
+  return target;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// STREAMING PARSER
+// ─────────────────────────────────────────────────────────────────────────────
+/**
+ * Opens an NDJSON file for reading. Resolves to null if the file does not
+ * exist (or disappears before it is opened). The stream keeps reading the
+ * file it opened even if that file is renamed or unlinked afterwards.
+ *
+ * @param {string} file - Path to an NDJSON file
+ * @returns {Promise<fs.ReadStream|null>} Opened stream, or null
+ */
+export async function openNdjsonFile(file) {
+  // A closed segment can be deleted by the S3 uploader between listing and reading
+  const stream = fs.createReadStream(file);
+  const opened = await new Promise(resolve => {
+    stream.once('open', () => resolve(true));
+    stream.once('error', () => resolve(false));
+  });
+  return opened ? stream : null;
+}
+
+/**
+ * Async generator over the events in a single NDJSON file (.ndjson or
+ * .ndjson.gz). Yields nothing if the file does not exist (or disappears
+ * before it is opened).
+ *
+ * @param {string|fs.ReadStream|null} source - Path to an NDJSON file, or a
+ *   stream from openNdjsonFile()
+ * @param {(event: Object) => boolean} [filter] - Keep only matching events
+ * @yields {Object} Parsed telemetry event
+ */
+export async function* readNdjsonFile(source, filter) {
+  const stream = typeof source === 'string' ? await openNdjsonFile(source) : source;
+  if (!stream) return;
+
+  const input = String(stream.path).endsWith('.gz') ? stream.pipe(zlib.createGunzip()) : stream;
+  input.setEncoding('utf8');
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+
+    let event;
+    try {
+      event = JSON.parse(line);
+    } catch (_) {
+      continue;
+    }
+    if (!filter || filter(event)) yield event;
+  }
+}
@@ -0,0 +1,297 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * SQLITE STORAGE BACKEND
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Purpose: Embedded, indexed event store for when the query API and
+ * dashboard outgrow full scans of the NDJSON logs.
+ *
+ * Architecture:
+ *   - better-sqlite3 (optional dependency, loaded only when this backend is
+ *     selected), WAL mode so reads don't block the ingestion writer
+ *   - One row per event: indexed sessionId / eventType / timestampMs columns
+ *     plus the full event as JSON in `body`
+ *   - Each append() is one transaction
+ *   - readEvents() pages through rows by id and yields to the event loop
+ *     between pages, so a dashboard scan never stalls ingestion
+ *
+ * S3 Export:
+ *   The uploader consumes NDJSON segments, so rotate() exports every row
+ *   written since the last export (watermark kept in the `meta` table) to
+ *   <segmentDir>/<baseName>_<ts>.ndjson[.gz]. It runs hourly and on shutdown.
+ *   Exports, segment listing and removal share one promise chain, so the
+ *   uploader never sees a segment that is still being written or gzipped.
+ *
+ * Pruning:
+ *   Each export's row range is kept in the `exports` table. When the uploader
+ *   removes a segment (i.e. it is safely in S3), its rows are deleted
+ *   (pruneUploadedRows, on by default), so the database holds what has not
+ *   been uploaded yet instead of growing forever. SQLite reuses the freed
+ *   pages; the file itself does not shrink without a VACUUM.
+ *
+ * Data Flow:
+ *   append() → events table → rotate() → segmentDir/*.ndjson → S3 uploader
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+import fs from 'fs';
+import fsPromises from 'fs/promises';
+import path from 'path';
+import { createRequire } from 'module';
+import { DEFAULT_BASE_NAME, listSegments, nextSegmentPath, gzipSegment } from './segments.js';
+import { eventTime } from './query.js';
+
+const require = createRequire(import.meta.url);
+
+const PAGE_SIZE = 1000;
+const HOUR_MS = 60 * 60 * 1000;
+const ROTATION_CHECK_MS = 60 * 1000;
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS events (
+    id               INTEGER PRIMARY KEY AUTOINCREMENT,
+    sessionId        TEXT,
+    userId           TEXT,
+    eventType        TEXT,
+    pageRoute        TEXT,
+    timestamp        TEXT,
+    timestampMs      INTEGER,
+    serverReceivedAt TEXT,
+    body             TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_events_session   ON events(sessionId, timestampMs);
+  CREATE INDEX IF NOT EXISTS idx_events_type      ON events(eventType, timestampMs);
+  CREATE INDEX IF NOT EXISTS idx_events_timestamp ON events(timestampMs);
+  CREATE TABLE IF NOT EXISTS meta (
+    key   TEXT PRIMARY KEY,
+    value TEXT
+  );
+  CREATE TABLE IF NOT EXISTS exports (
+    name      TEXT PRIMARY KEY,
+    fromId    INTEGER NOT NULL,
+    throughId INTEGER NOT NULL
+  );
+`;
+
+function loadDriver() {
+  try {
+    return require('better-sqlite3');
+  } catch (err) {
+    throw new Error('The sqlite storage backend needs better-sqlite3 (npm install better-sqlite3): ' + err.message);
+  }
+}
+
+/**
+ * Builds the WHERE clause for readEvents() from a storage `where` object.
+ */
+function buildWhereSql(where = {}) {
+  const clauses = [];
+  const params = {};
+  for (const field of ['sessionId', 'eventType', 'pageRoute']) {
+    if (where[field]) {
+      clauses.push(`${field} = @${field}`);
+      params[field] = where[field];
+    }
+  }
+  if (where.from !== undefined) {
+    clauses.push('timestampMs >= @from');
+    params.from = where.from;
+  }
+  if (where.to !== undefined) {
+    clauses.push('timestampMs < @to');
+    params.to = where.to;
+  }
+  return { sql: clauses.length ? ` AND ${clauses.join(' AND ')}` : '', params };
+}
+
+/**
+ * Creates a SQLite store.
+ *
+ * @param {Object} options
+ * @param {string} options.path - Database file
+ * @param {string} options.segmentDir - Where rotate() writes NDJSON exports for S3
+ * @param {string} [options.baseName='telemetry_logs'] - Export file name prefix
+ * @param {boolean} [options.rotateHourly=true] - Export new rows when the clock hour changes
+ * @param {boolean} [options.gzipClosedSegments=false] - gzip exported segments
+ * @param {boolean} [options.pruneUploadedRows=true] - Delete a segment's rows once the uploader removes it
+ * @returns {Object} Storage backend (see storage/index.js for the interface)
+ */
+export function createSqliteStore({
+  path: dbPath,
+  segmentDir,
+  baseName = DEFAULT_BASE_NAME,
+  rotateHourly = true,
+  gzipClosedSegments = false,
+  pruneUploadedRows = true,
+}) {
+  const Database = loadDriver();
+  fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+  fs.mkdirSync(segmentDir, { recursive: true });
+
+  const db = new Database(dbPath);
+  db.pragma('journal_mode = WAL');
+  db.exec(SCHEMA);
+
+  const insert = db.prepare(`
+    INSERT INTO events (sessionId, userId, eventType, pageRoute, timestamp, timestampMs, serverReceivedAt, body)
+    VALUES (@sessionId, @userId, @eventType, @pageRoute, @timestamp, @timestampMs, @serverReceivedAt, @body)
+  `);
+  const insertMany = db.transaction((events) => {
+    for (const event of events) {
+      const t = eventTime(event);
+      insert.run({
+        sessionId: event.sessionId ?? null,
+        userId: event.userId ?? null,
+        eventType: event.eventType ?? null,
+        pageRoute: event.pageRoute ?? null,
+        timestamp: event.timestamp ?? null,
+        timestampMs: Number.isNaN(t) ? null : t,
+        serverReceivedAt: event.serverReceivedAt ?? null,
+        body: JSON.stringify(event),
+      });
+    }
+  });
+  const getMeta = db.prepare('SELECT value FROM meta WHERE key = ?');
+  const setMeta = db.prepare('INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value');
+  const maxId = db.prepare('SELECT MAX(id) AS id FROM events');
+  const exportPage = db.prepare('SELECT id, body FROM events WHERE id > ? AND id <= ? ORDER BY id LIMIT ?');
+  const insertExport = db.prepare('INSERT OR REPLACE INTO exports (name, fromId, throughId) VALUES (?, ?, ?)');
+  const recordExport = db.transaction((name, fromId, throughId) => {
+    insertExport.run(name, fromId, throughId);
+    setMeta.run('exportedThroughId', String(throughId));
+  });
+  const getExport = db.prepare('SELECT fromId, throughId FROM exports WHERE name = ?');
+  const deleteRows = db.prepare('DELETE FROM events WHERE id > ? AND id <= ?');
+  const forgetExport = db.prepare('DELETE FROM exports WHERE name = ?');
+  // Only the uploaded segment's own range: an older segment that failed to
+  // upload keeps its rows
+  const pruneExport = db.transaction((name, { fromId, throughId }) => {
+    const { changes } = pruneUploadedRows ? deleteRows.run(fromId, throughId) : { changes: 0 };
+    forgetExport.run(name);
+    return changes;
+  });
+
+  let lastRotationHour = Math.floor(Date.now() / HOUR_MS);
+
+  let chain = Promise.resolve();
+  function serialize(task) {
+    const run = chain.then(task);
+    chain = run.catch(() => {});
+    return run;
+  }
+
+  // ─── Export (rotation) ───────────────────────────────────────────────────
+  async function exportNewRows(reason) {
+    const watermark = Number(getMeta.get('exportedThroughId')?.value ?? 0);
+    const upTo = maxId.get().id ?? 0;
+    if (upTo <= watermark) return null;
+
+    const segment = nextSegmentPath(segmentDir, baseName);
+    const tmp = `${segment.path}.tmp`;
+    const out = fs.createWriteStream(tmp);
+    let cursor = watermark;
+    let rows;
+    do {
+      rows = exportPage.all(cursor, upTo, PAGE_SIZE);
+      if (rows.length === 0) break;
+      const chunk = rows.map(row => row.body + '\n').join('');
+      if (!out.write(chunk)) await new Promise(resolve => out.once('drain', resolve));
+      cursor = rows[rows.length - 1].id;
+    } while (rows.length === PAGE_SIZE);
+    await new Promise((resolve, reject) => out.end(err => (err ? reject(err) : resolve())));
+
+    await fsPromises.rename(tmp, segment.path);
+    recordExport(segment.name, watermark, upTo);
+
+    let closedPath = segment.path;
+    if (gzipClosedSegments) {
+      try {
+        closedPath = await gzipSegment(segment.path);
+      } catch (err) {
+        console.error(`❌ [Storage] Failed to gzip ${segment.name}:`, err.message);
+      }
+    }
+    console.log(`[Storage] Exported rows ${watermark + 1}–${upTo} to ${path.basename(closedPath)} (${reason})`);
+    return closedPath;
+  }
+
+  function rotate(reason = 'manual') {
+    // Overlapping rotations would export the same rows twice
+    return serialize(() => exportNewRows(reason).finally(() => {
+      lastRotationHour = Math.floor(Date.now() / HOUR_MS);
+    }));
+  }
+
+  const rotationTimer = setInterval(() => {
+    if (!rotateHourly || Math.floor(Date.now() / HOUR_MS) === lastRotationHour) return;
+    rotate('hourly').catch(err => {
+      console.error('❌ [Storage] Hourly export failed:', err.message);
+    });
+  }, ROTATION_CHECK_MS);
+  rotationTimer.unref();
+
+  return {
+    name: 'sqlite',
+
+    describe() {
+      return `SQLite ${dbPath} (exports: ${segmentDir}${rotateHourly ? ', hourly' : ''}${gzipClosedSegments ? ', gzip' : ''}${pruneUploadedRows ? ', prune uploaded' : ''})`;
+    },
+
+    async append(events) {
+      insertMany(events);
+    },
+
+    async *readEvents({ where, filter } = {}) {
+      const { sql, params } = buildWhereSql(where);
+      const page = db.prepare(`SELECT id, body FROM events WHERE id > @cursor${sql} ORDER BY id LIMIT ${PAGE_SIZE}`);
+      let cursor = 0;
+      for (;;) {
+        const rows = page.all({ ...params, cursor });
+        for (const row of rows) {
+          const event = JSON.parse(row.body);
+          if (!filter || filter(event)) yield event;
+        }
+        if (rows.length < PAGE_SIZE) return;
+        cursor = rows[rows.length - 1].id;
+        await new Promise(resolve => setImmediate(resolve));
+      }
+    },
+
+    rotate,
+
+    listClosedSegments() {
+      return serialize(async () => {
+        const segments = await listSegments(segmentDir, baseName);
+        return Promise.all(segments.map(async segment => {
+          const stats = await fsPromises.stat(segment.path).catch(() => null);
+          return { ...segment, size: stats ? stats.size : 0 };
+        }));
+      });
+    },
+
+    removeSegment(segmentPath) {
+      return serialize(async () => {
+        await fsPromises.unlink(segmentPath);
+        const name = path.basename(segmentPath).replace(/\.gz$/, '');
+        const range = getExport.get(name);
+        if (!range) return;   // exported before ranges were recorded
+        const pruned = pruneExport(name, range);
+        if (pruned > 0) console.log(`[Storage] Pruned rows ${range.fromId + 1}–${range.throughId} (${name} uploaded)`);
+      });
+    },
+
+    activeSegmentBytes() {
+      try {
+        return fs.statSync(dbPath).size;
+      } catch (_) {
+        return 0;
+      }
+    },
+
+    async close() {
+      clearInterval(rotationTimer);
+      await chain;
+      db.close();
+    },
+  };
+}
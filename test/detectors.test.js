@@ -0,0 +1,372 @@
+/**
+ * telemetry.js detectors: the pure cores at their thresholds, then the DOM
+ * wiring in jsdom (plugins, enable/disable, config layering).
+ */
+
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadSdk, sleep } from './helpers/sdk.js';
+
+// Objects built by the SDK carry the jsdom realm's prototypes, which strict
+// deepEqual rejects; compare their JSON shape instead
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+// ─────────────────────────────────────────────────────────────────────────────
+// DETECTION CORES (synthetic input, explicit timestamps)
+// ─────────────────────────────────────────────────────────────────────────────
+describe('detector cores', () => {
+  let sdk;
+  let D;
+  before(() => {
+    sdk = loadSdk();
+    D = sdk.TelemetryDetectors;
+  });
+  after(() => sdk.close());
+
+  describe('rageClick', () => {
+    const config = () => ({ threshold: 3, windowMs: 800 });
+
+    it('fires on the threshold-th click inside the window', () => {
+      const core = D.rageClick.createCore(config);
+      assert.equal(core.click('#buy', 0), null);
+      assert.equal(core.click('#buy', 300), null);
+      assert.equal(core.click('#buy', 799), 3);
+    });
+
+    it('does not count a click exactly windowMs old', () => {
+      const core = D.rageClick.createCore(config);
+      core.click('#buy', 0);
+      core.click('#buy', 400);
+      assert.equal(core.click('#buy', 800), null);
+      assert.equal(core.click('#buy', 801), 3);
+    });
+
+    it('keeps elements apart and resets after firing', () => {
+      const core = D.rageClick.createCore(config);
+      core.click('#a', 0);
+      core.click('#b', 10);
+      assert.equal(core.click('#a', 20), null);
+      assert.equal(core.click('#a', 30), 3);
+      assert.equal(core.click('#a', 40), null);
+    });
+  });
+
+  describe('deadClick', () => {
+    const core = () => D.deadClick.createCore(() => ({ delayMs: 350, scrollTolerancePx: 5 }));
+    const at = (url, scrollTop) => ({ url, scrollTop });
+
+    it('is dead when URL and scroll stay within tolerance', () => {
+      assert.equal(core().isDead(at('/a', 100), at('/a', 104)), true);
+    });
+
+    it('is not dead at the scroll tolerance or after navigation', () => {
+      assert.equal(core().isDead(at('/a', 100), at('/a', 105)), false);
+      assert.equal(core().isDead(at('/a', 100), at('/b', 100)), false);
+    });
+  });
+
+  describe('scrollDepth', () => {
+    it('reports each milestone once, including jumps past several', () => {
+      const core = D.scrollDepth.createCore(() => ({ milestones: [0.25, 0.5, 0.75, 1] }));
+      assert.deepEqual(plain(core.scroll(249, 1000)), []);
+      assert.deepEqual(plain(core.scroll(250, 1000)), [0.25]);
+      assert.deepEqual(plain(core.scroll(800, 1000)), [0.5, 0.75]);
+      assert.deepEqual(plain(core.scroll(300, 1000)), []);
+      assert.deepEqual(plain(core.scroll(5000, 1000)), [1]);
+    });
+
+    it('ignores pages that cannot scroll', () => {
+      const core = D.scrollDepth.createCore(() => ({ milestones: [0.25] }));
+      assert.deepEqual(plain(core.scroll(0, 0)), []);
+    });
+  });
+
+  describe('erraticScroll', () => {
+    const config = () => ({ windowMs: 2000, minFlips: 3, minSamples: 4, cooldownMs: 3000 });
+    const feed = (core, samples) => samples.map(([t, y]) => core.scroll(t, y));
+
+    it('fires once direction flips reach minFlips', () => {
+      const core = D.erraticScroll.createCore(config);
+      const results = feed(core, [[0, 0], [100, 200], [200, 0], [300, 200], [400, 0]]);
+      assert.deepEqual(results, [null, null, null, null, 3]);
+    });
+
+    it('does not fire for steady scrolling or flips spread past the window', () => {
+      const steady = D.erraticScroll.createCore(config);
+      assert.ok(feed(steady, [[0, 0], [100, 100], [200, 200], [300, 300], [400, 400]]).every(r => r === null));
+
+      const slow = D.erraticScroll.createCore(config);
+      assert.ok(feed(slow, [[0, 0], [1500, 200], [3000, 0], [4500, 200], [6000, 0]]).every(r => r === null));
+    });
+
+    it('stays quiet for cooldownMs after firing', () => {
+      const core = D.erraticScroll.createCore(config);
+      feed(core, [[0, 0], [100, 200], [200, 0], [300, 200], [400, 0]]);
+      assert.equal(core.scroll(500, 200), null);
+      assert.equal(core.scroll(3400, 0), null);
+      feed(core, [[3500, 200], [3600, 0], [3700, 200]]);
+      assert.equal(core.scroll(3800, 0), 3);
+    });
+  });
+
+  describe('idle', () => {
+    it('schedules thresholdMs after activity and reports once per quiet period', () => {
+      const core = D.idle.createCore(() => ({ thresholdMs: 30000 }));
+      assert.equal(core.activity(1000), 30000);
+      assert.equal(core.idle(31000), 30000);
+      assert.equal(core.idle(40000), null);
+      core.activity(50000);
+      assert.equal(core.idle(80000), 30000);
+    });
+  });
+
+  describe('mouseShake', () => {
+    const config = () => ({ windowMs: 500, throttleMs: 50, minFlips: 3, minSamples: 5, cooldownMs: 2000 });
+    const zigzag = (start, count, step = 60) =>
+      Array.from({ length: count }, (_, i) => [start + i * step, i % 2 === 0 ? 0 : 50]);
+    const feed = (core, samples) => samples.map(([t, x]) => core.move(t, x, 100));
+
+    it('fires on rapid direction changes (regression: shakes were missed)', () => {
+      const core = D.mouseShake.createCore(config);
+      assert.deepEqual(feed(core, zigzag(0, 6)), [null, null, null, null, null, 3]);
+    });
+
+    it('drops samples inside throttleMs', () => {
+      const core = D.mouseShake.createCore(config);
+      assert.ok(feed(core, zigzag(0, 6, 10)).every(r => r === null));
+    });
+
+    it('does not fire for a straight line or before minSamples', () => {
+      const line = D.mouseShake.createCore(config);
+      assert.ok([0, 60, 120, 180, 240, 300].every((t, i) => line.move(t, i * 20, 100) === null));
+
+      const short = D.mouseShake.createCore(config);
+      assert.ok(feed(short, zigzag(0, 4)).every(r => r === null));
+    });
+
+    it('stays quiet for cooldownMs after firing', () => {
+      const core = D.mouseShake.createCore(config);
+      feed(core, zigzag(0, 6));
+      assert.ok(feed(core, zigzag(360, 6)).every(r => r === null));
+      assert.ok(feed(core, zigzag(2400, 6)).some(r => r !== null));
+    });
+  });
+
+  describe('refocus', () => {
+    const config = () => ({ windowMs: 5000 });
+
+    it('fires when the same field is focused again within windowMs (regression: refocus was missed)', () => {
+      const core = D.refocus.createCore(config);
+      assert.equal(core.focus('qty', 0), null);
+      core.blur(1000);
+      assert.equal(core.focus('qty', 5999), 4999);
+    });
+
+    it('does not fire at windowMs or for a different field', () => {
+      const late = D.refocus.createCore(config);
+      late.focus('qty', 0);
+      late.blur(1000);
+      assert.equal(late.focus('qty', 6000), null);
+
+      const other = D.refocus.createCore(config);
+      other.focus('qty', 0);
+      other.blur(100);
+      assert.equal(other.focus('price', 200), null);
+    });
+  });
+
+  describe('formAbandonment', () => {
+    it('is abandoned only after interaction without submission', () => {
+      const core = D.formAbandonment.createCore();
+      assert.equal(core.abandoned(), false);
+      core.interact();
+      assert.equal(core.abandoned(), true);
+      core.submit();
+      assert.equal(core.abandoned(), false);
+    });
+  });
+
+  describe('uTurn', () => {
+    it('detects A → B → A and keeps the last five routes', () => {
+      const core = D.uTurn.createCore();
+      assert.deepEqual(plain(core.visit(['home', 'trade'], 'home')), { history: ['home', 'trade', 'home'], path: ['home', 'trade', 'home'] });
+      assert.equal(core.visit(['home', 'trade'], 'help').path, null);
+      assert.equal(core.visit(['home'], 'home').path, null);
+      assert.deepEqual(plain(core.visit(['a', 'b', 'c', 'd', 'e'], 'f').history), ['b', 'c', 'd', 'e', 'f']);
+    });
+  });
+
+  describe('errorCapture', () => {
+    it('maps errors and rejections to system_error metadata', () => {
+      const core = D.errorCapture.createCore();
+      assert.deepEqual(plain(core.fromError({ message: 'x is undefined', filename: 'a.js', lineno: 3, colno: 7 })), {
+        message: 'x is undefined', filename: 'a.js', lineno: 3, colno: 7, errorType: 'js_error',
+      });
+      assert.deepEqual(plain(core.fromRejection(new Error('nope'))), { message: 'nope', errorType: 'unhandled_promise_rejection' });
+      assert.equal(core.fromRejection('plain').message, 'plain');
+    });
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// DOM WIRING (jsdom)
+// ─────────────────────────────────────────────────────────────────────────────
+describe('detectors in a page', () => {
+  let sdk;
+  afterEach(() => sdk?.close());
+
+  const click = (el, times = 1) => {
+    for (let i = 0; i < times; i++) el.dispatchEvent(new sdk.window.MouseEvent('click', { bubbles: true }));
+  };
+
+  it('emits rage_click for repeated clicks, and a dead_click after the delay', async () => {
+    sdk = loadSdk();
+    sdk.Telemetry.init('trade', { detectors: { deadClick: { delayMs: 10 } } });
+    click(sdk.document.getElementById('buy'), 3);
+
+    assert.equal(sdk.ofType('rage_click').length, 1);
+    assert.equal(sdk.ofType('rage_click')[0].metadata.element, '#buy');
+    assert.equal(sdk.ofType('rage_click')[0].metadata.clickCount, 3);
+    await sleep(30);
+    assert.equal(sdk.ofType('dead_click').length, 3);
+  });
+
+  it('ignores clicks on form fields', async () => {
+    sdk = loadSdk();
+    sdk.Telemetry.init('trade', { detectors: { deadClick: { delayMs: 10 } } });
+    click(sdk.document.getElementById('qty'), 5);
+    await sleep(30);
+    assert.equal(sdk.ofType('rage_click').length, 0);
+    assert.equal(sdk.ofType('dead_click').length, 0);
+  });
+
+  it('emits refocus when a field is re-entered within the window', () => {
+    sdk = loadSdk();
+    sdk.Telemetry.init('trade');
+    const qty = sdk.document.getElementById('qty');
+    qty.focus();
+    qty.blur();
+    qty.focus();
+    const [refocus] = sdk.ofType('refocus');
+    assert.equal(refocus?.metadata.field, 'qty');
+  });
+
+  it('emits mouse_move shake for a zigzag cursor', () => {
+    sdk = loadSdk();
+    sdk.Telemetry.init('help', { detectors: { mouseShake: { throttleMs: 0 } } });
+    for (let i = 0; i < 8; i++) {
+      sdk.document.dispatchEvent(new sdk.window.MouseEvent('mousemove', { clientX: i % 2 ? 300 : 100, clientY: 200 }));
+    }
+    assert.equal(sdk.ofType('mouse_move').length, 1);
+    assert.equal(sdk.ofType('mouse_move')[0].metadata.behavior, 'shake');
+  });
+
+  it('emits idle_time after thresholdMs without activity', async () => {
+    sdk = loadSdk();
+    sdk.Telemetry.init('trade', { detectors: { idle: { thresholdMs: 20 } } });
+    await sleep(50);
+    assert.equal(sdk.ofType('idle_time').length, 1);
+    assert.ok(sdk.ofType('idle_time')[0].metadata.ms >= 20);
+  });
+
+  it('emits form_abandonment on unload after a field was focused, unless a flow completed', () => {
+    sdk = loadSdk();
+    sdk.Telemetry.init('trade');
+    sdk.document.getElementById('qty').focus();
+    sdk.window.dispatchEvent(new sdk.window.Event('beforeunload'));
+    assert.deepEqual(sdk.events.slice(-2).map(e => e.eventType), ['page_view_end', 'form_abandonment']);
+    sdk.close();
+
+    sdk = loadSdk();
+    sdk.Telemetry.init('trade');
+    sdk.document.getElementById('qty').focus();
+    sdk.Telemetry.emit('flow_complete', { flowName: 'trade', status: 'failure' });
+    sdk.window.dispatchEvent(new sdk.window.Event('beforeunload'));
+    assert.equal(sdk.ofType('form_abandonment').length, 0);
+  });
+
+  it('emits system_error for uncaught errors', () => {
+    sdk = loadSdk();
+    sdk.Telemetry.init('trade');
+    sdk.window.dispatchEvent(new sdk.window.ErrorEvent('error', { message: 'boom', filename: 'trade.js', lineno: 1, colno: 2 }));
+    assert.equal(sdk.ofType('system_error')[0]?.metadata.errorType, 'js_error');
+  });
+
+  it('stamps configVersion on every event', () => {
+    sdk = loadSdk();
+    sdk.Telemetry.init('trade', { detectors: { rageClick: { threshold: 4 } } });
+    click(sdk.document.getElementById('buy'), 4);
+    const queued = JSON.parse(sdk.window.sessionStorage.getItem('telemetry_queue'));
+    assert.ok(queued.length >= 2);
+    assert.ok(queued.every(e => e.metadata.configVersion === 'builtin+local'));
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// PLUGIN REGISTRY
+// ─────────────────────────────────────────────────────────────────────────────
+describe('Telemetry.use and enable/disable', () => {
+  let sdk;
+  beforeEach(() => {
+    sdk = loadSdk();
+  });
+  afterEach(() => sdk.close());
+
+  it('does not start a detector disabled for the page', () => {
+    sdk.Telemetry.init('help', { detectors: { rageClick: { enabled: false } } });
+    sdk.document.getElementById('buy').dispatchEvent(new sdk.window.MouseEvent('click', { bubbles: true }));
+    sdk.document.getElementById('buy').dispatchEvent(new sdk.window.MouseEvent('click', { bubbles: true }));
+    sdk.document.getElementById('buy').dispatchEvent(new sdk.window.MouseEvent('click', { bubbles: true }));
+    assert.equal(sdk.ofType('rage_click').length, 0);
+    assert.equal(sdk.Telemetry.plugins().find(p => p.name === 'rageClick').active, false);
+  });
+
+  it('stops a running detector when the server config disables it, removing its listeners', async () => {
+    sdk.close();
+    sdk = loadSdk({ page: 'help', remoteConfig: { version: '2', pageRoute: 'help', detectors: { mouseShake: { enabled: false } } } });
+    sdk.Telemetry.init('help', { detectors: { mouseShake: { throttleMs: 0 } } });
+    assert.equal(sdk.Telemetry.plugins().find(p => p.name === 'mouseShake').active, true);
+    await sleep(10);
+    assert.equal(sdk.requests[0].url, '/api/telemetry/config?pageRoute=help');
+    for (let i = 0; i < 8; i++) {
+      sdk.document.dispatchEvent(new sdk.window.MouseEvent('mousemove', { clientX: i % 2 ? 300 : 100, clientY: 200 }));
+    }
+    assert.equal(sdk.ofType('mouse_move').length, 0);
+    assert.equal(sdk.Telemetry.configVersion, '2+local');
+  });
+
+  it('runs a custom plugin with its defaults, and tears it down when disabled', () => {
+    let tornDown = false;
+    sdk.Telemetry.use({
+      name: 'copyText',
+      defaults: { minChars: 3 },
+      createCore: (config) => ({ copied: (text) => (text.length >= config().minChars ? text.length : null) }),
+      setup(ctx) {
+        ctx.listen(sdk.document, 'copy', (e) => {
+          const chars = ctx.core.copied(e.detail);
+          if (chars !== null) ctx.emit('copy_text', { chars });
+        });
+      },
+      teardown() {
+        tornDown = true;
+      },
+    });
+    sdk.Telemetry.init('help');
+    const copy = (text) => sdk.document.dispatchEvent(new sdk.window.CustomEvent('copy', { detail: text }));
+
+    copy('ab');
+    copy('abcd');
+    assert.deepEqual(sdk.ofType('copy_text').map(e => e.metadata.chars), [4]);
+
+    sdk.Telemetry.init('help', { detectors: { copyText: { enabled: false } } });
+    copy('abcdef');
+    assert.equal(tornDown, true);
+    assert.equal(sdk.ofType('copy_text').length, 1);
+  });
+
+  it('rejects a plugin without a name or setup()', () => {
+    // TypeError from the jsdom realm, so match by name
+    assert.throws(() => sdk.Telemetry.use({ name: 'broken' }), { name: 'TypeError' });
+    assert.throws(() => sdk.Telemetry.use({ setup() {} }), { name: 'TypeError' });
+  });
+});
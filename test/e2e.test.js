@@ -0,0 +1,99 @@
+/**
+ * End to end: one Playwright session of each scenario in scenarios/ against
+ * an in-process server, then the stored events are checked against what the
+ * session manifest says the simulated user did.
+ *
+ * Imports the compiled runner (dist/, built by `npm test`'s pretest step).
+ * Each scenario is skipped when Chromium is not installed
+ * (`npx playwright install chromium`).
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { chromium } from 'playwright';
+import { DETECTORS, readManifest } from '../detectorAccuracy.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ROOT_DIR = path.join(__dirname, '..');
+const RUNNER_PATH = path.join(ROOT_DIR, 'dist', 'runner.js');
+const SCENARIO_DIR = path.join(ROOT_DIR, 'scenarios');
+const SCENARIOS = fs.readdirSync(SCENARIO_DIR)
+  .filter(name => name.endsWith('.json'))
+  .map(name => path.basename(name, '.json'));
+
+const NO_CHROMIUM = !fs.existsSync(chromium.executablePath()) && 'Chromium not installed (npx playwright install chromium)';
+
+describe('scenario sessions end to end', () => {
+  let tmpDir;
+  let server;
+  let storage;
+  let runSessions;
+  let baseUrl;
+
+  before(async () => {
+    if (NO_CHROMIUM) return;
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'telemetry-e2e-'));
+    const storageConfig = path.join(tmpDir, 'storage.json');
+    fs.writeFileSync(storageConfig, JSON.stringify({
+      backend: 'ndjson',
+      ndjson: { dir: path.join(tmpDir, 'events'), rotateHourly: false },
+    }));
+    process.env.TELEMETRY_STORAGE_CONFIG = storageConfig;
+    process.env.TELEMETRY_LOGS_DIR = tmpDir;
+
+    const { app } = await import('../server.js');
+    storage = (await import('../storage/index.js')).getStorage();
+    ({ runSessions } = await import(RUNNER_PATH));
+
+    server = await new Promise(resolve => {
+      const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise(resolve => server?.close(resolve) ?? resolve());
+    await storage?.close();
+    if (tmpDir) fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  for (const [index, scenario] of SCENARIOS.entries()) {
+    it(`${scenario}: the SDK reports what the session did`, { timeout: 180_000, skip: NO_CHROMIUM }, async () => {
+      const manifestFile = path.join(tmpDir, `${scenario}.manifest.ndjson`);
+      await runSessions({
+        baseUrl,
+        sessions: 1,
+        concurrency: 1,
+        scenarioMix: { [scenario]: 1 },
+        scenarioDir: SCENARIO_DIR,
+        seed: 23 + index,
+        fast: true,
+        ingestKey: 'pk_local_mock_site',
+        manifestFile,
+        telemetryJsOnly: true,
+      });
+
+      const [entry] = (await readManifest(manifestFile)).values();
+      assert.equal(entry.scenario, scenario);
+      assert.equal(entry.outcome, 'completed', entry.error);
+
+      // The final batch leaves via sendBeacon as the page closes
+      await new Promise(resolve => setTimeout(resolve, 1000));
+      const events = [];
+      for await (const event of storage.readEvents({ where: { sessionId: entry.sessionId } })) {
+        events.push(event);
+      }
+
+      assert.ok(events.some(e => e.eventType === 'page_view'), 'no page_view stored');
+      const expected = DETECTORS.filter(detector => detector.behaviors.some(behavior => entry.behaviors[behavior] > 0));
+      for (const detector of expected) {
+        const matches = events.filter(e => e.eventType === detector.eventType && (!detector.match || detector.match(e)));
+        assert.ok(matches.length > 0, `${detector.label}: the session ran ${detector.behaviors.join('/')} but no ${detector.eventType} was stored`);
+      }
+    });
+  }
+});
@@ -0,0 +1,131 @@
+/**
+ * Loads public/telemetry.js into a fresh jsdom window, the way a page's
+ * <script src="telemetry.js"> would.
+ *
+ * - fetch is replaced by a recorder that answers 200 (jsdom has no network),
+ *   so transport batches end up in `requests`
+ * - Replay sampling is off; GET /api/telemetry/config is only requested
+ *   when a test passes `remoteConfig` (the response body)
+ * - Every emitted event is recorded in `events` as { eventType, sessionId,
+ *   tabId, pageRoute, metadata }, metadata as built (redacted, with configVersion)
+ * - BroadcastChannel is an in-process stand-in (jsdom has none); windows
+ *   loaded with `tabOf` act as tabs of one browser: they share localStorage
+ *   and channel messages
+ * - The SDK's console.log lines (📊 Telemetry: ...) are dropped; warnings,
+ *   errors and jsdom failures still reach the test output
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { JSDOM, VirtualConsole } from 'jsdom';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const SDK_SOURCE = fs.readFileSync(path.join(__dirname, '..', '..', 'public', 'telemetry.js'), 'utf8');
+
+const DEFAULT_BODY = `
+  <button id="buy">Buy</button>
+  <a id="help" href="#help">Help</a>
+  <form id="order"><input id="qty" name="qty"><input id="price" name="price"></form>
+`;
+
+/** BroadcastChannel for one browser: delivers to the other instances, asynchronously. */
+function channelBus() {
+  const open = new Set();
+  return class BroadcastChannel {
+    constructor(name) {
+      this.name = name;
+      this.onmessage = null;
+      open.add(this);
+    }
+
+    postMessage(data) {
+      for (const other of open) {
+        if (other === this || other.name !== this.name) continue;
+        const message = structuredClone(data);
+        setTimeout(() => open.has(other) && other.onmessage?.({ data: message }), 0);
+      }
+    }
+
+    close() {
+      open.delete(this);
+    }
+  };
+}
+
+/**
+ * @param {Object} [options]
+ * @param {string} [options.page='trade'] - Page name (also the URL path)
+ * @param {string} [options.body] - <body> markup
+ * @param {Object} [options.remoteConfig] - Served as the page's detector config
+ * @param {Object} [options.tabOf] - A loadSdk() result to open this window next to
+ * @returns {{ window, document, Telemetry, TelemetryDetectors, events, requests, ofType, close }}
+ */
+export function loadSdk({ page = 'trade', body = DEFAULT_BODY, remoteConfig, tabOf } = {}) {
+  const virtualConsole = new VirtualConsole();
+  virtualConsole.on('warn', (...args) => console.warn(...args));
+  virtualConsole.on('error', (...args) => console.error(...args));
+  virtualConsole.on('jsdomError', (err) => console.error(err));
+
+  const dom = new JSDOM(`<!DOCTYPE html><html><body>${body}</body></html>`, {
+    url: `http://localhost:3000/${page}.html`,
+    runScripts: 'outside-only',
+    pretendToBeVisual: true,
+    virtualConsole,
+  });
+  const { window } = dom;
+  if (tabOf) Object.defineProperty(window, 'localStorage', { value: tabOf.window.localStorage, configurable: true });
+  window.BroadcastChannel = tabOf ? tabOf.window.BroadcastChannel : channelBus();
+
+  const requests = [];
+  window.fetch = async (url, options = {}) => {
+    requests.push({ url: String(url), options });
+    const json = String(url).startsWith('/api/telemetry/config') ? remoteConfig : {};
+    return { ok: true, status: 200, headers: { get: () => null }, json: async () => json };
+  };
+
+  // Top-level const bindings are not visible to a later eval, so the script
+  // hands them back as its completion value
+  const { Telemetry, TelemetryDetectors } = window.eval(`${SDK_SOURCE}\n;({ Telemetry, TelemetryDetectors });`);
+  Telemetry.replay.sampleRate = 0;
+  Telemetry.remoteConfig.enabled = Boolean(remoteConfig);
+
+  // Every event that passes consent goes through _buildEvent, including those
+  // detectors emit while starting (u_turn), before any plugin could observe them
+  const events = [];
+  const buildEvent = Telemetry._buildEvent;
+  Telemetry._buildEvent = function (eventType, metadata) {
+    const evt = buildEvent.call(this, eventType, metadata);
+    events.push({ eventType, sessionId: evt.sessionId, tabId: evt.tabId, pageRoute: evt.pageRoute, metadata: evt.metadata });
+    return evt;
+  };
+
+  return {
+    window,
+    document: window.document,
+    Telemetry,
+    TelemetryDetectors,
+    events,
+    requests,
+    ofType: (eventType) => events.filter(e => e.eventType === eventType),
+    close: () => {
+      Telemetry._sessionChannel?.close();
+      window.close();
+    },
+  };
+}
+
+/** Resolves after `ms` of real time (detector timers run on the jsdom window). */
+export const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Polls until `predicate` holds, for what jsdom or the channel stand-in
+ * delivers asynchronously (history traversal, BroadcastChannel messages).
+ */
+export async function until(predicate, timeoutMs = 1000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!predicate()) {
+    if (Date.now() > deadline) throw new Error('condition not met in time');
+    await sleep(5);
+  }
+}
@@ -0,0 +1,68 @@
+/**
+ * telemetry.js session replay recorder in jsdom: what the recorded chunks
+ * contain once masking and the privacy scrubbers have run.
+ */
+
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadSdk, sleep } from './helpers/sdk.js';
+
+const BODY = `
+  <p id="contact">Questions? Mail jane.doe@example.com</p>
+  <a id="mail" href="mailto:jane.doe@example.com" title="Account 123456789">Support</a>
+  <p data-telemetry-mask>Balance 1200</p>
+  <input id="qty" value="12">
+`;
+
+describe('session replay recorder', () => {
+  let sdk;
+  afterEach(() => sdk?.close());
+
+  function record() {
+    sdk = loadSdk({ body: BODY });
+    sdk.Telemetry.replay.sampleRate = 1;
+    sdk.Telemetry.init('trade');
+  }
+  /** Ships the buffer and returns every chunk sent so far as text. */
+  function chunks() {
+    sdk.Telemetry._replayFlush();
+    return sdk.requests
+      .filter(r => r.url.startsWith('/api/replay/'))
+      .map(r => r.options.body)
+      .join('\n');
+  }
+
+  it('scrubs page text and attribute values like event metadata', () => {
+    record();
+    const sent = chunks();
+
+    assert.doesNotMatch(sent, /jane\.doe@example\.com/);
+    assert.match(sent, /Questions\? Mail \[email\]/);
+    assert.match(sent, /"href":"mailto:\[email\]"/);
+    assert.match(sent, /"title":"Account \[account\]"/);
+    // Masking still applies first, and input values stay masked
+    assert.match(sent, /"text":"\*\*\*\*\*\*\* \*\*\*\*"/);
+    assert.match(sent, /"value":"\*\*"/);
+  });
+
+  it('scrubs text and attributes changed after the snapshot', async () => {
+    record();
+    chunks();
+    sdk.document.getElementById('contact').firstChild.textContent = 'Now mail ops@example.com';
+    sdk.document.getElementById('mail').setAttribute('href', 'mailto:ops@example.com');
+    await sleep(0);
+
+    const sent = chunks();
+    assert.doesNotMatch(sent, /ops@example\.com/);
+    assert.match(sent, /"text":"Now mail \[email\]"/);
+    assert.match(sent, /"value":"mailto:\[email\]"/);
+  });
+
+  it('uses the configured scrubbers', () => {
+    sdk = loadSdk({ body: '<p>Order ORD-4411 shipped</p>' });
+    sdk.Telemetry.privacy.scrubbers.push([/ORD-\d+/g, '[order]']);
+    sdk.Telemetry.replay.sampleRate = 1;
+    sdk.Telemetry.init('trade');
+    assert.match(chunks(), /Order \[order\] shipped/);
+  });
+});
@@ -0,0 +1,212 @@
+/**
+ * s3Uploader.js against a recording S3 client: segment rotation → upload →
+ * local delete, plus the failure paths that must keep data on disk (failed
+ * put, failed delete after upload, failed multipart part), and the shutdown
+ * upload in dry-run mode.
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import { createNdjsonStore } from '../storage/ndjsonStore.js';
+import { loadS3Config, uploadLogsToS3, uploadOnShutdown, generateS3Key, getSyncStatus } from '../s3Uploader.js';
+
+/**
+ * Stands in for S3Client: records every command and answers with `respond`
+ * (throw from it to fail that call).
+ */
+function fakeClient(respond = () => ({ ETag: '"etag"' })) {
+  const calls = [];
+  return {
+    calls,
+    names: () => calls.map(c => c.command),
+    async send(cmd) {
+      const call = { command: cmd.constructor.name, input: cmd.input };
+      calls.push(call);
+      return respond(call);
+    },
+  };
+}
+
+let tmpDir;
+let store;
+
+function s3Config(overrides = {}) {
+  const configPath = path.join(tmpDir, 's3.json');
+  fs.writeFileSync(configPath, JSON.stringify({
+    mode: 'enabled',
+    bucket: 'test-bucket',
+    prefix: 'raw',
+    manifestPath: path.join(tmpDir, 's3_manifest.json'),
+    ...overrides,
+  }));
+  return loadS3Config({ configPath, env: {}, argv: [] });
+}
+
+function readManifest() {
+  return JSON.parse(fs.readFileSync(path.join(tmpDir, 's3_manifest.json'), 'utf8'));
+}
+
+/** Appends a few events and closes the active file into a segment. */
+async function closedSegment() {
+  await store.append([
+    { eventType: 'page_view', sessionId: 'S1' },
+    { eventType: 'rage_click', sessionId: 'S1' },
+  ]);
+  await store.rotate('test');
+  const [segment] = await store.listClosedSegments();
+  return segment;
+}
+
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'telemetry-s3-'));
+  store = createNdjsonStore({ dir: path.join(tmpDir, 'events'), rotateHourly: false });
+});
+
+afterEach(async () => {
+  await store.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// UPLOAD
+// ─────────────────────────────────────────────────────────────────────────────
+describe('uploadLogsToS3', () => {
+  it('uploads a rotated segment gzipped to its partition key and deletes it', async () => {
+    const config = s3Config();
+    const segment = await closedSegment();
+    const raw = fs.readFileSync(segment.path);
+    const client = fakeClient();
+
+    const result = await uploadLogsToS3({ store, config, client });
+
+    assert.equal(result.success, true);
+    assert.equal(result.uploaded, 1);
+    assert.deepEqual(client.names(), ['PutObjectCommand']);
+    const { input } = client.calls[0];
+    assert.equal(input.Bucket, 'test-bucket');
+    assert.equal(input.Key, generateS3Key(segment, config, `${segment.name}.gz`));
+    assert.match(input.Key, /^raw\/\d{4}-\d{2}-\d{2}\/telemetry_logs_.*\.ndjson\.gz$/);
+    assert.equal(input.ContentEncoding, 'gzip');
+    assert.deepEqual(zlib.gunzipSync(input.Body), raw);
+
+    assert.deepEqual(await store.listClosedSegments(), []);
+    assert.deepEqual(readManifest().segments, {});
+  });
+
+  it('keeps a segment whose upload failed and retries it on the next cycle', async () => {
+    const config = s3Config();
+    const segment = await closedSegment();
+    const failing = fakeClient(() => {
+      throw Object.assign(new Error('connection reset'), { name: 'NetworkingError' });
+    });
+
+    const failed = await uploadLogsToS3({ store, config, client: failing });
+
+    assert.equal(failed.success, false);
+    assert.equal(failed.failed, 1);
+    assert.equal(fs.existsSync(segment.path), true);
+    const entry = readManifest().segments[segment.name];
+    assert.equal(entry.status, 'failed');
+    assert.equal(entry.attempts, 1);
+    assert.equal(entry.lastError, 'NetworkingError: connection reset');
+    assert.equal(getSyncStatus(config).lastError, 'NetworkingError: connection reset');
+
+    const retried = await uploadLogsToS3({ store, config, client: fakeClient() });
+
+    assert.equal(retried.success, true);
+    assert.equal(fs.existsSync(segment.path), false);
+    assert.deepEqual(readManifest().segments, {});
+  });
+
+  it('does not upload again when only the local delete failed', async () => {
+    const config = s3Config();
+    const segment = await closedSegment();
+    const removeSegment = store.removeSegment;
+    store.removeSegment = async () => {
+      throw new Error('EBUSY');
+    };
+    const client = fakeClient();
+
+    const first = await uploadLogsToS3({ store, config, client });
+
+    assert.equal(first.success, true);
+    assert.equal(fs.existsSync(segment.path), true);
+    assert.equal(readManifest().segments[segment.name].status, 'uploaded');
+
+    store.removeSegment = removeSegment;
+    const second = await uploadLogsToS3({ store, config, client });
+
+    assert.equal(second.results[0].skipped, true);
+    assert.equal(client.calls.length, 1);
+    assert.equal(fs.existsSync(segment.path), false);
+    assert.deepEqual(readManifest().segments, {});
+  });
+
+  it('switches to multipart above the threshold and aborts a failed one', async () => {
+    const config = s3Config({ gzip: false, multipartThresholdBytes: 1 });
+    const segment = await closedSegment();
+
+    const failing = fakeClient(({ command }) => {
+      if (command === 'UploadPartCommand') throw new Error('part rejected');
+      return { UploadId: 'upload-1' };
+    });
+    const failed = await uploadLogsToS3({ store, config, client: failing });
+
+    assert.equal(failed.success, false);
+    assert.deepEqual(failing.names(), ['CreateMultipartUploadCommand', 'UploadPartCommand', 'AbortMultipartUploadCommand']);
+    assert.equal(failing.calls[2].input.UploadId, 'upload-1');
+    assert.equal(fs.existsSync(segment.path), true);
+
+    const client = fakeClient(({ command }) => (command === 'CreateMultipartUploadCommand' ? { UploadId: 'upload-2' } : { ETag: '"part"' }));
+    const retried = await uploadLogsToS3({ store, config, client });
+
+    assert.equal(retried.success, true);
+    assert.deepEqual(client.names(), ['CreateMultipartUploadCommand', 'UploadPartCommand', 'CompleteMultipartUploadCommand']);
+    assert.deepEqual(client.calls[2].input.MultipartUpload.Parts, [{ ETag: '"part"', PartNumber: 1 }]);
+    assert.equal(client.calls[0].input.Key, generateS3Key(segment, config));
+    assert.equal(fs.existsSync(segment.path), false);
+  });
+
+  it('only reports what it would upload in dry-run mode', async () => {
+    const config = s3Config({ mode: 'dry-run' });
+    const segment = await closedSegment();
+    const client = fakeClient();
+
+    const result = await uploadLogsToS3({ store, config, client });
+
+    assert.equal(result.results[0].dryRun, true);
+    assert.equal(client.calls.length, 0);
+    assert.equal(fs.existsSync(segment.path), true);
+    assert.equal(fs.existsSync(config.manifestPath), false);
+  });
+
+  it('ignores the active file until it is rotated', async () => {
+    const config = s3Config();
+    await store.append([{ eventType: 'page_view', sessionId: 'S1' }]);
+    const client = fakeClient();
+
+    const result = await uploadLogsToS3({ store, config, client });
+
+    assert.equal(result.reason, 'no_segments');
+    assert.equal(client.calls.length, 0);
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// SHUTDOWN
+// ─────────────────────────────────────────────────────────────────────────────
+describe('uploadOnShutdown', () => {
+  it('leaves the active segment open in dry-run mode', async () => {
+    const config = s3Config({ mode: 'dry-run' });
+    await store.append([{ eventType: 'page_view', sessionId: 'S1' }]);
+
+    await uploadOnShutdown(store, config);
+
+    assert.deepEqual(await store.listClosedSegments(), []);
+    assert.ok(store.activeSegmentBytes() > 0);
+  });
+});
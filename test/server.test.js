@@ -0,0 +1,314 @@
+/**
+ * server.js over HTTP: ingestion auth, schema rejection and dead-lettering,
+ * body/batch limits, NDJSON batches, /api/events filters, replay chunks and
+ * the detector config endpoint.
+ *
+ * The app is imported (not spawned) with storage and logs redirected to a
+ * temp dir, so nothing touches the repo's logs/.
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import request from 'supertest';
+
+const KEY = 'pk_local_mock_site';
+
+let app;
+let tmpDir;
+let storage;
+
+before(async () => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'telemetry-server-'));
+  const storageConfig = path.join(tmpDir, 'storage.json');
+  fs.writeFileSync(storageConfig, JSON.stringify({
+    backend: 'ndjson',
+    ndjson: { dir: path.join(tmpDir, 'events'), rotateHourly: false },
+  }));
+  process.env.TELEMETRY_STORAGE_CONFIG = storageConfig;
+  process.env.TELEMETRY_LOGS_DIR = tmpDir;
+
+  // Imported after the env is set: server.js creates the store at load time
+  ({ app } = await import('../server.js'));
+  storage = (await import('../storage/index.js')).getStorage();
+});
+
+after(async () => {
+  await storage.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+let counter = 0;
+function makeEvent(overrides = {}) {
+  counter++;
+  return {
+    sessionId: `S-test-${counter}`,
+    userId: 'U-test',
+    pageRoute: 'trade',
+    eventType: 'rage_click',
+    timestamp: new Date().toISOString(),
+    url: 'http://localhost:3000/trade.html',
+    metadata: { element: '#buy', clickCount: 3 },
+    ...overrides,
+  };
+}
+
+async function storedEvents(sessionId) {
+  const res = await request(app).get('/api/events').query({ sessionId });
+  assert.equal(res.status, 200);
+  return res.body.events;
+}
+
+function rejects() {
+  const file = path.join(tmpDir, 'telemetry_rejects.ndjson');
+  if (!fs.existsSync(file)) return [];
+  return fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// POST /api/telemetry
+// ─────────────────────────────────────────────────────────────────────────────
+describe('POST /api/telemetry', () => {
+  it('stores a valid event with serverReceivedAt', async () => {
+    const event = makeEvent();
+    const res = await request(app).post('/api/telemetry').set('X-Telemetry-Key', KEY).send(event);
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body, { status: 'success' });
+
+    const [stored] = await storedEvents(event.sessionId);
+    assert.equal(stored.eventType, 'rage_click');
+    assert.deepEqual(stored.metadata, event.metadata);
+    assert.ok(stored.serverReceivedAt);
+  });
+
+  it('answers 401 without a valid ingest key', async () => {
+    const event = makeEvent();
+    const missing = await request(app).post('/api/telemetry').send(event);
+    assert.equal(missing.status, 401);
+    assert.equal(missing.body.reason, 'invalid_ingest_key');
+
+    const wrong = await request(app).post('/api/telemetry').set('X-Telemetry-Key', 'pk_nope').send(event);
+    assert.equal(wrong.status, 401);
+    assert.deepEqual(await storedEvents(event.sessionId), []);
+  });
+
+  it('rejects a schema violation with 400 and dead-letters it', async () => {
+    const event = makeEvent({ metadata: { element: '#buy', clickCount: 0 } });
+    const res = await request(app).post('/api/telemetry').set('X-Telemetry-Key', KEY).send(event);
+    assert.equal(res.status, 400);
+    assert.equal(res.body.reason, 'schema_validation');
+    assert.deepEqual(res.body.errors.map(e => e.field), ['metadata.clickCount']);
+
+    const row = rejects().find(r => r.event.sessionId === event.sessionId);
+    assert.equal(row.reason, 'schema_validation');
+    assert.deepEqual(await storedEvents(event.sessionId), []);
+  });
+
+  it('answers 400 invalid_json for a malformed body', async () => {
+    const res = await request(app)
+      .post('/api/telemetry')
+      .set('X-Telemetry-Key', KEY)
+      .set('Content-Type', 'application/json')
+      .send('{"sessionId":');
+    assert.equal(res.status, 400);
+    assert.equal(res.body.reason, 'invalid_json');
+  });
+
+  it('answers 413 for oversized metadata and bodies', async () => {
+    const bigMetadata = makeEvent({ metadata: { element: '#buy', clickCount: 3, text: 'x'.repeat(9000) } });
+    const metadata = await request(app).post('/api/telemetry').set('X-Telemetry-Key', KEY).send(bigMetadata);
+    assert.equal(metadata.status, 413);
+    assert.equal(metadata.body.reason, 'metadata_too_large');
+
+    const bigBody = makeEvent({ metadata: { element: '#buy', clickCount: 3, text: 'x'.repeat(300 * 1024) } });
+    const body = await request(app).post('/api/telemetry').set('X-Telemetry-Key', KEY).send(bigBody);
+    assert.equal(body.status, 413);
+    assert.equal(body.body.reason, 'body_too_large');
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// POST /api/telemetry/batch
+// ─────────────────────────────────────────────────────────────────────────────
+describe('POST /api/telemetry/batch', () => {
+  it('stores a JSON array batch and reports rejected events by index', async () => {
+    const good = makeEvent();
+    const bad = makeEvent({ sessionId: good.sessionId, eventType: 'Not-Valid' });
+    const res = await request(app)
+      .post('/api/telemetry/batch')
+      .set('X-Telemetry-Key', KEY)
+      .send([good, bad, { ...good, eventType: 'page_view', metadata: {} }]);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.count, 2);
+    assert.deepEqual(res.body.rejected.map(r => r.index), [1]);
+
+    const stored = await storedEvents(good.sessionId);
+    assert.deepEqual(stored.map(e => e.eventType), ['rage_click', 'page_view']);
+    assert.ok(rejects().some(r => r.event.sessionId === good.sessionId && r.event.eventType === 'Not-Valid'));
+  });
+
+  it('accepts an NDJSON body (the sendBeacon path, key in the query string)', async () => {
+    const first = makeEvent();
+    const second = makeEvent({ sessionId: first.sessionId, eventType: 'page_view', metadata: {} });
+    const res = await request(app)
+      .post(`/api/telemetry/batch?key=${KEY}`)
+      .set('Content-Type', 'application/x-ndjson')
+      .send(`${JSON.stringify(first)}\n${JSON.stringify(second)}\n`);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.count, 2);
+    assert.equal((await storedEvents(first.sessionId)).length, 2);
+  });
+
+  it('accepts the SDK session events and keeps tabId', async () => {
+    const start = makeEvent({ eventType: 'session_start', tabId: 'T1-1', metadata: { reason: 'timeout', previousSessionId: 'S-old' } });
+    const end = makeEvent({ sessionId: start.sessionId, eventType: 'session_end', tabId: 'T1-1', metadata: { reason: 'logout', durationMs: 1200 } });
+    const res = await request(app).post('/api/telemetry/batch').set('X-Telemetry-Key', KEY).send([start, end]);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.count, 2);
+
+    const stored = await storedEvents(start.sessionId);
+    assert.deepEqual(stored.map(e => e.tabId), ['T1-1', 'T1-1']);
+  });
+
+  it('answers 400 for a body that is not a batch or has no valid event', async () => {
+    const notBatch = await request(app)
+      .post('/api/telemetry/batch')
+      .set('X-Telemetry-Key', KEY)
+      .set('Content-Type', 'application/x-ndjson')
+      .send('{"broken"\n');
+    assert.equal(notBatch.status, 400);
+    assert.equal(notBatch.body.reason, 'invalid_batch');
+
+    const allBad = await request(app)
+      .post('/api/telemetry/batch')
+      .set('X-Telemetry-Key', KEY)
+      .send([makeEvent({ timestamp: 'yesterday' })]);
+    assert.equal(allBad.status, 400);
+    assert.equal(allBad.body.reason, 'schema_validation');
+  });
+
+  it('answers 413 above maxBatchEvents', async () => {
+    const sessionId = 'S-test-too-many';
+    const events = Array.from({ length: 101 }, () => makeEvent({ sessionId }));
+    const res = await request(app).post('/api/telemetry/batch').set('X-Telemetry-Key', KEY).send(events);
+    assert.equal(res.status, 413);
+    assert.equal(res.body.reason, 'batch_too_large');
+    assert.equal(res.body.maxBatchEvents, 100);
+    assert.deepEqual(await storedEvents(sessionId), []);
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// GET /api/events
+// ─────────────────────────────────────────────────────────────────────────────
+describe('GET /api/events', () => {
+  it('filters by eventType and refuses a repeated filter parameter', async () => {
+    const click = makeEvent();
+    const view = makeEvent({ sessionId: click.sessionId, eventType: 'page_view', metadata: {} });
+    await request(app).post('/api/telemetry/batch').set('X-Telemetry-Key', KEY).send([click, view]);
+
+    const one = await request(app).get('/api/events').query({ sessionId: click.sessionId, eventType: 'page_view' });
+    assert.equal(one.status, 200);
+    assert.deepEqual(one.body.events.map(e => e.eventType), ['page_view']);
+
+    const repeated = await request(app).get(`/api/events?sessionId=${click.sessionId}&eventType=rage_click&eventType=page_view`);
+    assert.equal(repeated.status, 400);
+    assert.equal(repeated.body.reason, 'eventType must be a single value');
+
+    const repeatedTime = await request(app).get('/api/events?from=1&from=2');
+    assert.equal(repeatedTime.status, 400);
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// /api/replay
+// ─────────────────────────────────────────────────────────────────────────────
+describe('/api/replay', () => {
+  it('stores chunks in the logs dir and serves them back in seq order', async () => {
+    const sessionId = 'S-test-replay';
+    for (const seq of [1, 0]) {
+      const res = await request(app)
+        .post(`/api/replay/${sessionId}`)
+        .set('X-Telemetry-Key', KEY)
+        .set('Content-Type', 'text/plain')
+        .send(JSON.stringify({ seq, pageRoute: 'trade', events: [{ type: 'scroll', ts: seq, x: 0, y: seq }] }));
+      assert.equal(res.status, 200);
+    }
+    assert.ok(fs.existsSync(path.join(tmpDir, 'replay', `${sessionId}.ndjson`)));
+
+    const res = await request(app).get(`/api/replay/${sessionId}`);
+    assert.equal(res.body.chunks, 2);
+    assert.deepEqual(res.body.events.map(e => e.ts), [0, 1]);
+  });
+
+  it('accepts an application/json chunk and answers 415 for other content types', async () => {
+    const sessionId = 'S-test-replay-json';
+    const chunk = { seq: 0, events: [{ type: 'scroll', ts: 1, x: 0, y: 0 }] };
+    const json = await request(app).post(`/api/replay/${sessionId}`).set('X-Telemetry-Key', KEY).send(chunk);
+    assert.equal(json.status, 200);
+    assert.equal((await request(app).get(`/api/replay/${sessionId}`)).body.chunks, 1);
+
+    const other = await request(app)
+      .post(`/api/replay/${sessionId}`)
+      .set('X-Telemetry-Key', KEY)
+      .set('Content-Type', 'application/octet-stream')
+      .send(Buffer.from(JSON.stringify(chunk)));
+    assert.equal(other.status, 415);
+    assert.equal(other.body.reason, 'unsupported_content_type');
+  });
+
+  it('scrubs page text, attributes and input values before writing a chunk', async () => {
+    const sessionId = 'S-test-replay-pii';
+    const snapshot = {
+      type: 'snapshot',
+      ts: 1,
+      node: {
+        id: 1, tag: 'p', attrs: { title: 'mail jane@example.com' }, children: [
+          { id: 2, text: 'SSN 123-45-6789' },
+          { id: 3, tag: 'style', attrs: {}, children: [{ id: 4, text: '.x{}' }] },
+        ],
+      },
+    };
+    const mutation = {
+      type: 'mutation',
+      ts: 2,
+      removes: [],
+      adds: [],
+      attrs: [{ id: 1, name: 'title', value: 'ops@example.com' }],
+      texts: [{ id: 2, text: 'card 4111 1111 1111 1111' }],
+    };
+    const input = { type: 'input', ts: 3, id: 5, value: 'jane@example.com' };
+    const res = await request(app)
+      .post(`/api/replay/${sessionId}`)
+      .set('X-Telemetry-Key', KEY)
+      .set('Content-Type', 'text/plain')
+      .send(JSON.stringify({ seq: 0, events: [snapshot, mutation, input] }));
+    assert.equal(res.status, 200);
+
+    const stored = fs.readFileSync(path.join(tmpDir, 'replay', `${sessionId}.ndjson`), 'utf8');
+    assert.doesNotMatch(stored, /example\.com|123-45-6789|4111/);
+    const [snap, mut, typed] = (await request(app).get(`/api/replay/${sessionId}`)).body.events;
+    assert.equal(snap.node.attrs.title, 'mail [email]');
+    assert.equal(snap.node.children[0].text, 'SSN [ssn]');
+    assert.equal(snap.node.children[1].children[0].text, '.x{}');
+    assert.equal(mut.attrs[0].value, '[email]');
+    assert.equal(mut.texts[0].text, 'card [card]');
+    assert.equal(typed.value, '[email]');
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// GET /api/telemetry/config
+// ─────────────────────────────────────────────────────────────────────────────
+describe('GET /api/telemetry/config', () => {
+  it('serves the detector thresholds for a page', async () => {
+    const res = await request(app).get('/api/telemetry/config').query({ pageRoute: 'trade' });
+    assert.equal(res.status, 200);
+    assert.equal(res.headers['cache-control'], 'public, max-age=60');
+    assert.equal(res.body.pageRoute, 'trade');
+    assert.equal(typeof res.body.version, 'string');
+    assert.equal(res.body.detectors.rageClick.threshold, 3);
+  });
+});
@@ -0,0 +1,174 @@
+/**
+ * telemetry.js sessions in jsdom: the localStorage record shared by tabs,
+ * inactivity / max-age / logout endings with session_start and session_end,
+ * tabId on every event, and the runner's pinned session.
+ */
+
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadSdk, until } from './helpers/sdk.js';
+
+const MINUTE = 60 * 1000;
+
+describe('Telemetry sessions', () => {
+  const open = [];
+  afterEach(() => open.splice(0).forEach(sdk => sdk.close()));
+
+  function tab(options) {
+    const sdk = loadSdk(options);
+    open.push(sdk);
+    return sdk;
+  }
+  const record = (sdk) => JSON.parse(sdk.window.localStorage.getItem('telemetry_session'));
+  /** Moves the stored session's clock back, as if time had passed. */
+  function age(sdk, { idleMs = 0, ageMs = idleMs }) {
+    const now = Date.now();
+    sdk.window.localStorage.setItem('telemetry_session', JSON.stringify({
+      ...record(sdk),
+      startedAt: now - ageMs,
+      lastActivityAt: now - idleMs,
+    }));
+  }
+  const types = (sdk) => sdk.events.map(e => e.eventType);
+
+  it('opens a session on the first page and stamps sessionId and tabId on every event', () => {
+    const sdk = tab();
+    sdk.Telemetry.init('trade');
+    sdk.Telemetry.emit('click', { id: 'buy' });
+
+    assert.deepEqual(types(sdk).slice(0, 2), ['session_start', 'page_view']);
+    assert.equal(sdk.ofType('session_start')[0].metadata.reason, 'new');
+    const { id } = record(sdk);
+    assert.match(id, /^S\d+-\d+$/);
+    assert.ok(sdk.events.every(e => e.sessionId === id));
+    assert.match(sdk.events[0].tabId, /^T\d+-\d+$/);
+    assert.ok(sdk.events.every(e => e.tabId === sdk.events[0].tabId));
+  });
+
+  it('ends an idle session with reason timeout and opens the next one', () => {
+    const sdk = tab();
+    sdk.Telemetry.init('trade');
+    const first = record(sdk).id;
+    age(sdk, { idleMs: 31 * MINUTE, ageMs: 40 * MINUTE });
+    sdk.events.length = 0;
+
+    sdk.Telemetry.emit('click', { id: 'buy' });
+
+    assert.deepEqual(types(sdk), ['session_end', 'session_start', 'click']);
+    const [end, start, click] = sdk.events;
+    assert.equal(end.sessionId, first);
+    assert.equal(end.metadata.reason, 'timeout');
+    assert.ok(Math.abs(end.metadata.durationMs - 9 * MINUTE) < 1000);
+    assert.notEqual(start.sessionId, first);
+    assert.equal(start.metadata.reason, 'timeout');
+    assert.equal(start.metadata.previousSessionId, first);
+    assert.equal(click.sessionId, start.sessionId);
+    assert.equal(record(sdk).id, start.sessionId);
+  });
+
+  it('ends a session older than maxDurationMs even while it is active', () => {
+    const sdk = tab();
+    sdk.Telemetry.init('trade');
+    age(sdk, { idleMs: 0, ageMs: 13 * 60 * MINUTE });
+    sdk.Telemetry.emit('click', { id: 'buy' });
+    assert.equal(sdk.ofType('session_end')[0].metadata.reason, 'max_age');
+  });
+
+  it('takes its timeouts from Telemetry.session', () => {
+    const sdk = tab();
+    sdk.Telemetry.session.inactivityTimeoutMs = 5 * MINUTE;
+    sdk.Telemetry.init('trade');
+    age(sdk, { idleMs: 4 * MINUTE });
+    sdk.Telemetry.emit('click', { id: 'buy' });
+    assert.equal(sdk.ofType('session_end').length, 0);
+
+    age(sdk, { idleMs: 6 * MINUTE });
+    sdk.Telemetry.emit('click', { id: 'buy' });
+    assert.equal(sdk.ofType('session_end')[0].metadata.reason, 'timeout');
+  });
+
+  it('ends the session on logout_click and starts a new one with the next event', () => {
+    const sdk = tab();
+    sdk.Telemetry.init('trade');
+    const first = record(sdk).id;
+    sdk.events.length = 0;
+
+    sdk.Telemetry.emit('logout_click', { id: 'logout' });
+    assert.deepEqual(types(sdk), ['logout_click', 'session_end']);
+    assert.ok(sdk.events.every(e => e.sessionId === first));
+    assert.equal(sdk.events[1].metadata.reason, 'logout');
+    assert.equal(record(sdk).endReason, 'logout');
+
+    // Already over: nothing more to end
+    sdk.Telemetry.endSession();
+    assert.equal(sdk.ofType('session_end').length, 1);
+
+    sdk.Telemetry.setRoute('login');
+    const start = sdk.ofType('session_start').at(-1);
+    assert.equal(start.metadata.reason, 'logout');
+    assert.equal(start.metadata.previousSessionId, first);
+    assert.equal(sdk.ofType('page_view').at(-1).sessionId, start.sessionId);
+  });
+
+  it('keeps the session across pages and ends it with Telemetry.endSession()', () => {
+    const first = tab();
+    first.Telemetry.init('trade');
+    const { id } = record(first);
+
+    // A second page reading the same localStorage
+    const next = tab({ page: 'holdings', tabOf: first });
+    next.Telemetry.init('holdings');
+    assert.equal(next.ofType('session_start').length, 0);
+    assert.equal(next.ofType('page_view')[0].sessionId, id);
+
+    next.Telemetry.endSession('account_switch');
+    assert.equal(next.ofType('session_end')[0].metadata.reason, 'account_switch');
+    first.Telemetry.emit('click', { id: 'buy' });
+    assert.equal(first.ofType('session_start').at(-1).metadata.reason, 'account_switch');
+  });
+
+  it('tells the other tabs about a new session over BroadcastChannel', async () => {
+    const first = tab();
+    first.Telemetry.init('trade');
+    const second = tab({ page: 'holdings', tabOf: first });
+    second.Telemetry.init('holdings');
+    assert.notEqual(first.events[0].tabId, second.events[0].tabId);
+
+    second.Telemetry.endSession();
+    second.Telemetry.emit('click', { id: 'buy' });
+    const { id } = record(second);
+    await until(() => first.Telemetry._currentSessionId === id);
+  });
+
+  it('gives a duplicated tab its own tabId', async () => {
+    const first = tab();
+    first.Telemetry.init('trade');
+    const tabId = first.events[0].tabId;
+
+    // Duplicating a tab copies its sessionStorage
+    const copy = tab({ tabOf: first });
+    copy.window.sessionStorage.setItem('telemetry_tab_id', tabId);
+    copy.Telemetry.init('trade');
+    assert.equal(copy.events[0].tabId, tabId);
+
+    // hello → tab_taken takes two channel messages
+    await until(() => copy.Telemetry._tabId() !== tabId);
+    copy.Telemetry.emit('click', { id: 'buy' });
+    assert.notEqual(copy.ofType('click')[0].tabId, tabId);
+    assert.equal(first.Telemetry._tabId(), tabId);
+  });
+
+  it('uses the session the Playwright runner injects, without timeouts', () => {
+    const sdk = tab();
+    sdk.window.sessionStorage.setItem('sessionId', 'S-sim-1');
+    sdk.window.sessionStorage.setItem('simSeed', '7');
+    sdk.Telemetry.session.inactivityTimeoutMs = 0;
+    sdk.Telemetry.init('trade');
+    sdk.Telemetry.emit('logout_click', { id: 'logout' });
+    sdk.Telemetry.emit('click', { id: 'buy' });
+
+    assert.deepEqual(types(sdk), ['page_view', 'logout_click', 'click']);
+    assert.ok(sdk.events.every(e => e.sessionId === 'S-sim-1'));
+    assert.equal(record(sdk), null);
+  });
+});
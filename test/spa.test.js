@@ -0,0 +1,137 @@
+/**
+ * telemetry.js virtual pages: Telemetry.setRoute() and the history hooks
+ * behind Telemetry.spa.trackHistory, in jsdom.
+ */
+
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadSdk, sleep, until } from './helpers/sdk.js';
+
+describe('Telemetry.setRoute', () => {
+  let sdk;
+  afterEach(() => sdk?.close());
+
+  const click = (el) => el.dispatchEvent(new sdk.window.MouseEvent('click', { bubbles: true }));
+  const routes = (...types) => sdk.events
+    .filter(e => types.includes(e.eventType))
+    .map(e => `${e.eventType}@${e.pageRoute}`);
+
+  it('closes the previous page and opens the new one', async () => {
+    sdk = loadSdk();
+    sdk.Telemetry.init('trade');
+    await sleep(5);
+    sdk.window.history.pushState({}, '', '/trade/confirm');
+    sdk.Telemetry.setRoute('trade/confirm');
+
+    assert.deepEqual(routes('page_view', 'page_view_end'), ['page_view@trade', 'page_view_end@trade', 'page_view@trade/confirm']);
+    const [end] = sdk.ofType('page_view_end');
+    assert.ok(end.metadata.dwellMs >= 5);
+    const view = sdk.ofType('page_view').at(-1);
+    assert.equal(view.metadata.referrer, 'http://localhost:3000/trade.html');
+    assert.equal(view.metadata.virtual, true);
+  });
+
+  it('is a no-op for the current route and runs init() when needed', () => {
+    sdk = loadSdk();
+    sdk.Telemetry.setRoute('trade');
+    sdk.Telemetry.setRoute('trade');
+    assert.deepEqual(routes('page_view', 'page_view_end'), ['page_view@trade']);
+  });
+
+  it('reports an unsubmitted form on the route being left', () => {
+    sdk = loadSdk();
+    sdk.Telemetry.init('trade');
+    sdk.document.getElementById('qty').focus();
+    sdk.Telemetry.setRoute('holdings');
+
+    assert.deepEqual(routes('page_view_end', 'form_abandonment'), ['page_view_end@trade', 'form_abandonment@trade']);
+
+    // The new route starts with a clean form state
+    sdk.Telemetry.setRoute('help');
+    assert.equal(sdk.ofType('form_abandonment').length, 1);
+  });
+
+  it('does not report a form submitted before the route change', () => {
+    sdk = loadSdk();
+    sdk.Telemetry.init('trade');
+    sdk.document.getElementById('qty').focus();
+    sdk.Telemetry.emit('flow_complete', { flowName: 'trade', status: 'success' });
+    sdk.Telemetry.setRoute('holdings');
+    assert.equal(sdk.ofType('form_abandonment').length, 0);
+  });
+
+  it('resets per-page detector state', () => {
+    sdk = loadSdk();
+    sdk.Telemetry.init('trade');
+    const buy = sdk.document.getElementById('buy');
+    click(buy);
+    click(buy);
+    sdk.Telemetry.setRoute('holdings');
+    click(buy);
+    assert.equal(sdk.ofType('rage_click').length, 0);
+
+    click(buy);
+    click(buy);
+    assert.deepEqual(routes('rage_click'), ['rage_click@holdings']);
+  });
+
+  it('feeds the u-turn detector', () => {
+    sdk = loadSdk();
+    sdk.Telemetry.init('trade');
+    sdk.Telemetry.setRoute('help');
+    sdk.Telemetry.setRoute('trade');
+    const [uTurn] = sdk.ofType('u_turn');
+    assert.deepEqual([...uTurn.metadata.path], ['trade', 'help', 'trade']);
+    assert.equal(uTurn.pageRoute, 'trade');
+  });
+
+  it('keeps disabled detectors off on the new route', () => {
+    sdk = loadSdk();
+    sdk.Telemetry.init('trade', { detectors: { rageClick: { enabled: false } } });
+    sdk.Telemetry.setRoute('holdings');
+    const active = Object.fromEntries(sdk.Telemetry.plugins().map(p => [p.name, p.active]));
+    assert.equal(active.rageClick, false);
+    assert.equal(active.deadClick, true);
+  });
+});
+
+describe('Telemetry.spa.trackHistory', () => {
+  let sdk;
+  afterEach(() => sdk?.close());
+
+  function init() {
+    sdk = loadSdk();
+    sdk.Telemetry.spa.trackHistory = true;
+    sdk.Telemetry.init('trade');
+  }
+  const pageViews = () => sdk.ofType('page_view').map(e => e.pageRoute);
+
+  it('follows pushState and ignores same-route replaceState', () => {
+    init();
+    sdk.window.history.pushState({}, '', '/holdings');
+    sdk.window.history.replaceState({}, '', '/holdings?tab=funds');
+    sdk.window.history.pushState({}, '', '/trade/confirm.html');
+    assert.deepEqual(pageViews(), ['trade', 'holdings', 'trade/confirm']);
+    assert.equal(sdk.Telemetry.pageRoute, 'trade/confirm');
+  });
+
+  it('follows back navigation after nav_backtrack is recorded on the page left', async () => {
+    init();
+    sdk.window.history.pushState({}, '', '/help');
+    sdk.window.history.back();
+    await until(() => sdk.Telemetry.pageRoute === 'trade');
+
+    assert.deepEqual(pageViews(), ['trade', 'help', 'trade']);
+    assert.deepEqual(sdk.ofType('nav_backtrack').map(e => e.pageRoute), ['help']);
+    assert.equal(sdk.ofType('u_turn').length, 1);
+  });
+
+  it('uses spa.routeName when set', () => {
+    sdk = loadSdk();
+    sdk.Telemetry.spa.trackHistory = true;
+    sdk.Telemetry.spa.routeName = (location) => location.hash.slice(1) || 'trade';
+    sdk.Telemetry.init('trade');
+    sdk.window.history.pushState({}, '', '#positions');
+    assert.equal(sdk.Telemetry.pageRoute, 'positions');
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * Storage backends (storage/ndjsonStore.js, storage/sqliteStore.js): what
+ * the S3 uploader and the read side see while a segment is being closed, and
+ * SQLite pruning once a segment is uploaded.
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import { createNdjsonStore } from '../storage/ndjsonStore.js';
+import { createSqliteStore } from '../storage/sqliteStore.js';
+
+let tmpDir;
+let store;
+
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'telemetry-storage-'));
+});
+
+afterEach(async () => {
+  await store?.close();
+  store = null;
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+const events = (n, sessionId = 'S1') => Array.from({ length: n }, (_, i) => ({ eventType: 'click', sessionId, n: i }));
+
+async function readAll() {
+  const out = [];
+  for await (const event of store.readEvents()) out.push(event);
+  return out;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// NDJSON
+// ─────────────────────────────────────────────────────────────────────────────
+describe('ndjson store', () => {
+  beforeEach(() => {
+    store = createNdjsonStore({ dir: tmpDir, rotateHourly: false, gzipClosedSegments: true });
+  });
+
+  it('lists a segment only once it is gzipped', async () => {
+    await store.append(events(500));
+    const rotation = store.rotate('test');
+    const listed = await store.listClosedSegments();
+
+    assert.equal(listed.length, 1);
+    assert.equal(listed[0].gzip, true);
+    assert.equal(listed[0].path, await rotation);
+    assert.deepEqual(fs.readdirSync(tmpDir).filter(name => name.includes('_')), [listed[0].name]);
+  });
+
+  it('reads every event once while a segment is being closed', async () => {
+    await store.append(events(500));
+    store.rotate('test');
+    const read = await readAll();
+    assert.equal(read.length, 500);
+  });
+
+  it('reads every event once when a rotation lands mid-read', async () => {
+    await store.append(events(10));
+    await store.rotate('test');
+    await store.append(events(500, 'S2'));
+
+    let read = 0;
+    for await (const _ of store.readEvents()) {
+      if (++read === 1) await store.rotate('test');
+    }
+    assert.equal(read, 510);
+  });
+
+  it('removes a segment after a pending rotation has finished', async () => {
+    await store.append(events(10));
+    const closed = await store.rotate('test');
+    await store.append(events(10, 'S2'));
+    const rotation = store.rotate('test');
+    await store.removeSegment(closed);
+
+    const [segment] = await store.listClosedSegments();
+    assert.equal(segment.path, await rotation);
+    assert.deepEqual([...new Set((await readAll()).map(e => e.sessionId))], ['S2']);
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// SQLITE
+// ─────────────────────────────────────────────────────────────────────────────
+describe('sqlite store', () => {
+  function open(options = {}) {
+    store = createSqliteStore({
+      path: path.join(tmpDir, 'telemetry.db'),
+      segmentDir: path.join(tmpDir, 'segments'),
+      rotateHourly: false,
+      gzipClosedSegments: true,
+      ...options,
+    });
+  }
+
+  it('lists an export only once it is gzipped', async () => {
+    open();
+    await store.append(events(500));
+    const rotation = store.rotate('test');
+    const listed = await store.listClosedSegments();
+
+    assert.equal(listed.length, 1);
+    assert.equal(listed[0].gzip, true);
+    assert.equal(listed[0].path, await rotation);
+  });
+
+  it('prunes the rows of an uploaded segment, and only those', async () => {
+    open();
+    await store.append(events(3, 'S1'));
+    const first = await store.rotate('test');
+    await store.append(events(2, 'S2'));
+    const second = await store.rotate('test');
+    await store.append(events(1, 'S3'));
+
+    // The newer segment is uploaded first; the older one's rows stay
+    await store.removeSegment(second);
+    assert.deepEqual((await readAll()).map(e => e.sessionId), ['S1', 'S1', 'S1', 'S3']);
+
+    await store.removeSegment(first);
+    assert.deepEqual((await readAll()).map(e => e.sessionId), ['S3']);
+
+    // Pruned rows are not exported again
+    const third = await store.rotate('test');
+    assert.equal(zlib.gunzipSync(fs.readFileSync(third)).toString().trim().split('\n').length, 1);
+  });
+
+  it('keeps uploaded rows with pruneUploadedRows: false', async () => {
+    open({ pruneUploadedRows: false });
+    await store.append(events(3));
+    await store.removeSegment(await store.rotate('test'));
+    assert.equal((await readAll()).length, 3);
+  });
+});